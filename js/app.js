@@ -8,6 +8,7 @@ class NOXApp {
         this.chatMessages = null;
         this.chatInput = null;
         this.sendButton = null;
+        this.stopButton = null;
         this.attachButton = null;
         this.voiceButton = null;
         this.fileInput = null;
@@ -29,14 +30,35 @@ class NOXApp {
         // Workflow monitoring
         this.workflowSelect = null;
         this.executionsList = null;
+        this.workflowDiagram = null;
         this.selectedWorkflowId = null;
         this.selectedExecutionId = null;
         this.executionsRefreshInterval = null;
+        this.executionsLoadedAt = 0;
+        this.loadingExecutions = false;
+        this.executionsLoadTimer = null;
+        this.listedExecutions = [];
+        this.executionWatches = new Map(); // executionId -> unwatch, for running executions in the list
+
+        // Set while the built-in password still has to be changed
+        this.passwordChangeRequired = false;
+
+        // Signed in user's UI preferences (loaded in setup)
+        this.preferences = {};
+
+        // Chat list sidebar
+        this.chatSearchQuery = '';
+        this.selectedChatToDelete = null;
 
         // Graph auto-refresh
         this.graphPollingInterval = null;
         this.graphAutoRefreshEnabled = false;
 
+        // Graph window result tabs
+        this.queryResultView = new QueryResultView();
+        this.graphResultTab = 'graph';
+        this.explainedPlan = null;
+
         this.init();
     }
 
@@ -49,15 +71,33 @@ class NOXApp {
     }
 
     async setup() {
+        // Without the encryption key nothing can be read or saved - sign in again
+        if (window.CryptoUtils && !(await window.CryptoUtils.hasKey())) {
+            console.warn('🔐 Encryption key missing, please sign in again');
+            window.AuthManager.requireLogin();
+            return;
+        }
+
+        // The role comes from the user directory, not from the (editable) session
+        if (!(await window.AuthManager.restoreSession())) {
+            console.warn('🔐 User directory could not be opened, please sign in again');
+            window.AuthManager.requireLogin();
+            return;
+        }
+
         // Migrate all sensitive data to encrypted storage
         if (window.CryptoUtils) {
             await window.CryptoUtils.migrateAllData();
         }
 
+        // Preferences and recent prompts belong to the signed in user
+        await this.loadPreferences();
+
         // Get DOM elements
         this.chatMessages = document.getElementById('chatMessages');
         this.chatInput = document.getElementById('chatInput');
         this.sendButton = document.getElementById('sendButton');
+        this.stopButton = document.getElementById('stopButton');
         this.attachButton = document.getElementById('attachButton');
         this.voiceButton = document.getElementById('voiceButton');
         this.fileInput = document.getElementById('fileInput');
@@ -65,6 +105,7 @@ class NOXApp {
         this.settingsModal = document.getElementById('settingsModal');
         this.workflowSelect = document.getElementById('workflowSelect');
         this.executionsList = document.getElementById('executionsList');
+        this.workflowDiagram = new WorkflowDiagram(document.getElementById('workflowDiagram'));
         this.nodeLogsModal = document.getElementById('nodeLogsModal');
         this.scrollToBottomBtn = document.getElementById('scrollToBottomBtn');
 
@@ -78,10 +119,23 @@ class NOXApp {
             fast: 15,      // 15ms/word (~65 words/sec)
             instant: 0     // 0ms - immediate display
         };
-        this.currentStreamingSpeed = localStorage.getItem('streaming-speed') || 'normal';
+        this.currentStreamingSpeed = this.preferences.streamingSpeed || 'normal';
 
         // Initialize Chat Exporter
         this.chatExporter = new ChatExporter(chatManager);
+        this.graphExporter = new GraphExporter(neo4jManager);
+
+        // Mini networks drawn in chat messages (destroyed when the chat is cleared)
+        this.inlineGraphs = [];
+
+        // Approval cards for executions waiting on a Wait node
+        this.approvalCards = [];
+
+        // Cards, tables, buttons and forms returned by workflows
+        this.responseBlocks = new ResponseBlocks({
+            formatMarkdown: (text) => this.formatMessageContent(text),
+            onSend: (text, formData) => this.sendFollowUp(text, formData)
+        });
 
         // Initialize Skills Library Manager
         this.skillLibraryManager = new SkillLibraryManager(neo4jManager);
@@ -97,7 +151,7 @@ class NOXApp {
         this.currentWizardSkill = null;
 
         // Initialize Autocomplete
-        this.recentQueries = this.loadRecentQueries();
+        this.recentQueries = await this.loadRecentQueries();
         this.slashCommands = [
             { command: '/create-skill', description: 'Create a new skill via chat' },
             { command: '/list-skills', description: 'List all available skills' },
@@ -112,8 +166,12 @@ class NOXApp {
         this.setupWorkflowMonitoring();
         this.setupTextareaAutoResize();
         this.restoreSidebarStates();
+
+        // Chats are decrypted asynchronously - wait before rendering them
+        await chatManager.whenReady();
         this.loadCurrentChat();
         this.initializeWelcomeScreen();
+        this.renderChatList();
     }
 
     initializeWelcomeScreen() {
@@ -181,6 +239,7 @@ class NOXApp {
     setupEventListeners() {
         // Send message
         this.sendButton.addEventListener('click', () => this.sendMessage());
+        this.stopButton.addEventListener('click', () => this.cancelCurrentRequest());
         this.chatInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
@@ -201,6 +260,9 @@ class NOXApp {
         // Reset Chat
         document.getElementById('resetChatBtn').addEventListener('click', () => this.resetChat());
 
+        // Chat list sidebar
+        this.setupChatSidebar();
+
         // Reply context clear button
         const clearReplyBtn = document.getElementById('clearReplyBtn');
         if (clearReplyBtn) {
@@ -234,26 +296,57 @@ class NOXApp {
         // Connection tests
         document.getElementById('testN8nConnection').addEventListener('click', () => this.testN8nConnection());
         document.getElementById('testNeo4jConnection').addEventListener('click', () => this.testNeo4jConnection());
+        document.getElementById('neo4jProtocol').addEventListener('change', () => this.updateNeo4jUrlHint());
 
         // Logout
         document.getElementById('logoutButton').addEventListener('click', () => window.AuthManager.logout());
 
+        // User Management (admins only)
+        this.setupUserManagement();
+        this.setupChangePassword();
+
+        // Hide actions the signed in role can't use
+        this.applyRolePermissions();
+
         // Graph View
         document.getElementById('graphViewBtn').addEventListener('click', () => this.openGraphView());
         document.getElementById('closeGraphView').addEventListener('click', () => this.closeGraphView());
         document.getElementById('minimizeGraphWindow').addEventListener('click', () => this.minimizeGraphWindow());
         document.getElementById('maximizeGraphWindow').addEventListener('click', () => this.maximizeGraphWindow());
         document.getElementById('executeQuery').addEventListener('click', () => this.executeGraphQuery());
+        this.setupGraphResultTabs();
+        this.cypherEditor = new CypherEditor(document.getElementById('cypherQuery'), {
+            neo4jManager: neo4jManager,
+            onExecute: () => this.executeGraphQuery()
+        });
+        document.querySelectorAll('[data-example-query]').forEach(example => {
+            example.addEventListener('click', () => this.cypherEditor.setValue(example.dataset.exampleQuery));
+        });
+        document.getElementById('graphScriptMode').addEventListener('change', (e) => {
+            document.getElementById('cypherQuery').rows = e.target.checked ? 6 : 2;
+        });
+        document.getElementById('graphLargeMode').addEventListener('change', (e) => {
+            neo4jManager.largeGraphMode = e.target.checked;
+        });
+        document.getElementById('graphClusterMode').addEventListener('change', (e) => this.setGraphClusterMode(e.target.value));
+        document.getElementById('loadMoreGraph').addEventListener('click', () => this.loadMoreGraph());
         document.getElementById('refreshGraph').addEventListener('click', () => this.refreshGraph());
         document.getElementById('clearGraph').addEventListener('click', () => this.clearGraph());
         document.getElementById('stabilizeGraph').addEventListener('click', () => this.stabilizeGraph());
         document.getElementById('toggleAutoRefresh').addEventListener('click', () => this.toggleGraphAutoRefresh());
+        this.setupWriteLock();
+        this.setupNodeContextMenu();
+        this.setupGraphInspector();
+        this.setupPathFinder();
+        this.setupGraphExport();
+        this.setupGraphStyles();
 
         // Window dragging and resizing
         this.setupWindowDragResize();
 
         // Workflow monitoring
         this.workflowSelect.addEventListener('change', (e) => this.handleWorkflowChange(e));
+        document.getElementById('expandWorkflowDiagram').addEventListener('click', () => this.toggleWorkflowDiagramSize());
         document.getElementById('refreshWorkflows').addEventListener('click', () => this.loadWorkflows());
 
         // Node logs modal
@@ -345,6 +438,185 @@ class NOXApp {
         n8nManager.onExecutionUpdate((execution) => {
             this.updateExecutionDisplay(execution);
         });
+
+        n8nManager.onApprovalRequired((approval) => {
+            this.showApprovalCard(approval);
+        });
+
+        // Relay events replace the fast list refresh for the monitored workflow
+        // (a burst of node events reloads the list once)
+        n8nManager.monitor.onRelayEvent((event) => {
+            if (this.selectedWorkflowId && (!event.workflowId || String(event.workflowId) === String(this.selectedWorkflowId))) {
+                clearTimeout(this.executionsLoadTimer);
+                this.executionsLoadTimer = setTimeout(() => this.loadExecutions(), 1000);
+            }
+        });
+    }
+
+    /**
+     * Live update for the execution started by the last chat message
+     * Refreshes its entry in the execution panel when that workflow is being monitored
+     */
+    updateExecutionDisplay(execution) {
+        const group = this.executionsList.querySelector(`.execution-group[data-execution-id="${execution.id}"]`);
+        if (group) {
+            group.replaceWith(this.createExecutionGroup(execution, group.classList.contains('expanded')));
+        }
+
+        // Colour the diagram as it runs, unless another execution was picked
+        const sameWorkflow = String(execution.workflowId) === String(this.selectedWorkflowId);
+        if (sameWorkflow && (!this.selectedExecutionId || String(this.selectedExecutionId) === String(execution.id))) {
+            this.setDiagramExecution(execution);
+        }
+    }
+
+    // ==================== Workflow Diagram ====================
+
+    async loadWorkflowDiagram(workflowId) {
+        const section = document.getElementById('workflowDiagramSection');
+        section.classList.remove('hidden');
+        document.getElementById('workflowDiagramLabel').textContent = 'Loading...';
+
+        try {
+            const workflow = await n8nManager.getWorkflow(workflowId);
+            if (this.selectedWorkflowId !== workflowId) return;
+
+            this.workflowDiagram.setWorkflow(workflow);
+            document.getElementById('workflowDiagramLabel').textContent = '';
+        } catch (error) {
+            console.error('Failed to load workflow diagram:', error);
+            this.workflowDiagram.clear();
+            document.getElementById('workflowDiagramLabel').textContent = 'Could not load the workflow';
+        }
+    }
+
+    /**
+     * Diagram follows the picked execution, or the newest one
+     */
+    showDiagramExecution(executions) {
+        const picked = this.selectedExecutionId
+            ? executions.find(execution => String(execution.id) === String(this.selectedExecutionId))
+            : null;
+        const execution = picked || executions[0];
+
+        if (execution) {
+            this.setDiagramExecution(execution);
+        }
+    }
+
+    selectDiagramExecution(execution) {
+        // Clicking the picked execution again goes back to following the newest
+        const unselect = String(this.selectedExecutionId) === String(execution.id);
+        this.selectedExecutionId = unselect ? null : execution.id;
+
+        this.executionsList.querySelectorAll('.execution-group').forEach(group => {
+            group.classList.toggle('selected', group.dataset.executionId === String(this.selectedExecutionId));
+        });
+
+        if (!unselect) {
+            this.setDiagramExecution(execution);
+        }
+    }
+
+    setDiagramExecution(execution) {
+        if (!this.workflowDiagram.workflow) return;
+
+        this.workflowDiagram.setExecution(execution);
+
+        const status = execution.finished
+            ? (execution.data?.resultData?.error ? 'failed' : 'success')
+            : execution.status === 'waiting' ? 'waiting' : 'running';
+        document.getElementById('workflowDiagramLabel').textContent =
+            `#${execution.id} · ${status}${this.selectedExecutionId ? '' : ' (latest)'}`;
+    }
+
+    toggleWorkflowDiagramSize() {
+        const section = document.getElementById('workflowDiagramSection');
+        const expanded = section.classList.toggle('expanded');
+        document.getElementById('expandWorkflowDiagram').title = expanded ? 'Shrink diagram' : 'Enlarge diagram';
+    }
+
+    // ==================== Approvals ====================
+
+    /**
+     * Card in the chat for an execution paused on a Wait node, with Approve/Reject and a note
+     * @param {object} approval - From N8NManager.getApprovalRequest
+     */
+    showApprovalCard(approval) {
+        const messageEl = document.createElement('div');
+        messageEl.className = 'message assistant-message approval-message';
+
+        const prompt = approval.message
+            ? this.formatMessageContent(approval.message)
+            : `<p>The workflow paused${approval.nodeName ? ` at <strong>${this.escapeHtml(approval.nodeName)}</strong>` : ''} and is waiting for your decision.</p>`;
+
+        messageEl.innerHTML = `
+            <div class="message-avatar">${this.getAvatarHTML('assistant')}</div>
+            <div class="message-content">
+                <div class="message-role">NOX.AI</div>
+                <div class="approval-card">
+                    <div class="approval-title">⏸️ Approval needed</div>
+                    <div class="approval-prompt">${prompt}</div>
+                    <textarea class="approval-input" rows="2" placeholder="Add a note (optional)"></textarea>
+                    <div class="approval-actions">
+                        <button class="approval-btn approve" data-approved="true">Approve</button>
+                        <button class="approval-btn reject" data-approved="false">Reject</button>
+                    </div>
+                    <div class="approval-status"></div>
+                </div>
+            </div>
+        `;
+
+        messageEl.querySelectorAll('.approval-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.decideApproval(approval, messageEl, button.dataset.approved === 'true');
+            });
+        });
+
+        this.chatMessages.appendChild(messageEl);
+        this.approvalCards.push(messageEl);
+        this.scrollToBottom();
+
+        this.notificationManager.info('Approval Needed', 'A workflow is waiting for your decision in the chat');
+    }
+
+    async decideApproval(approval, messageEl, approved) {
+        const card = messageEl.querySelector('.approval-card');
+        const status = card.querySelector('.approval-status');
+        const controls = card.querySelectorAll('button, textarea');
+
+        controls.forEach(control => { control.disabled = true; });
+        status.className = 'approval-status';
+        status.textContent = approved ? 'Approving...' : 'Rejecting...';
+
+        try {
+            await n8nManager.resumeExecution(approval, {
+                approved,
+                comment: card.querySelector('.approval-input').value.trim()
+            });
+            card.classList.add('decided', approved ? 'approved' : 'rejected');
+            status.textContent = approved ? '✅ Approved - the workflow is continuing' : '❌ Rejected - the workflow has been told';
+        } catch (error) {
+            console.error('Approval error:', error);
+            controls.forEach(control => { control.disabled = false; });
+            status.classList.add('error');
+            status.textContent = `Could not resume the workflow: ${error.message}`;
+        }
+    }
+
+    /**
+     * The reply has arrived (or the request ended) - undecided cards can no longer resume anything
+     */
+    closeApprovalCards() {
+        this.approvalCards.forEach(messageEl => {
+            const card = messageEl.querySelector('.approval-card');
+            if (card && !card.classList.contains('decided')) {
+                card.classList.add('decided', 'expired');
+                card.querySelectorAll('button, textarea').forEach(control => { control.disabled = true; });
+                card.querySelector('.approval-status').textContent = 'The workflow is no longer waiting';
+            }
+        });
+        this.approvalCards = [];
     }
 
     // ==================== Workflow Monitoring ====================
@@ -380,67 +652,102 @@ class NOXApp {
             clearInterval(this.executionsRefreshInterval);
             this.executionsRefreshInterval = null;
         }
+        clearTimeout(this.executionsLoadTimer);
+        this.watchListedExecutions([]);
+
+        this.selectedExecutionId = null;
 
         if (!this.selectedWorkflowId) {
             this.executionsList.innerHTML = '<div class="execution-placeholder"><p>Select a workflow to monitor</p></div>';
-            this.executionContent.innerHTML = '<div class="execution-placeholder"><p>No execution selected</p></div>';
+            this.workflowDiagram.clear();
+            document.getElementById('workflowDiagramSection').classList.add('hidden');
             return;
         }
 
         console.log('📊 Monitoring workflow:', this.selectedWorkflowId);
 
+        // Draw the workflow first so the executions can colour it
+        await this.loadWorkflowDiagram(this.selectedWorkflowId);
+
         // Load executions immediately
         await this.loadExecutions();
 
-        // Start auto-refresh every 2 seconds
+        // Look for new executions every 2 seconds (every 30 with the relay, which pushes changes);
+        // running ones are kept up to date by the monitor
         this.executionsRefreshInterval = setInterval(() => {
-            this.loadExecutions();
+            if (!n8nManager.monitor.relayConnected || Date.now() - this.executionsLoadedAt > 30000) {
+                this.loadExecutions();
+            }
         }, 2000);
     }
 
     async loadExecutions() {
-        if (!this.selectedWorkflowId) return;
+        if (!this.selectedWorkflowId || this.loadingExecutions) return;
+
+        this.loadingExecutions = true;
+        this.executionsLoadedAt = Date.now();
 
         try {
             const executions = await n8nManager.getExecutionsByWorkflow(this.selectedWorkflowId);
 
             if (executions.length === 0) {
                 this.executionsList.innerHTML = '<div class="execution-placeholder"><p>No executions found</p></div>';
+                this.listedExecutions = [];
+                this.watchListedExecutions([]);
                 return;
             }
 
-            // Fetch detailed data for each execution
-            const executionsWithData = await Promise.all(
-                executions.map(async (exec) => {
-                    const url = `${n8nManager.config.n8nUrl}/api/v1/executions/${exec.id}?includeData=true`;
-                    const headers = {
-                        'Content-Type': 'application/json'
-                    };
-                    if (n8nManager.config.apiKey) {
-                        headers['X-N8N-API-KEY'] = n8nManager.config.apiKey;
-                    }
-                    try {
-                        const response = await fetch(url, { headers });
-                        if (response.ok) {
-                            return await response.json();
-                        }
-                    } catch (e) {
-                        console.error('Failed to fetch execution details:', exec.id);
-                    }
-                    return exec;
-                })
-            );
+            // Node data for each execution (finished ones come from the monitor's cache)
+            const executionsWithData = await n8nManager.monitor.getExecutionDetails(executions);
 
             // Update DOM while preserving collapse state
             this.updateExecutionsList(executionsWithData);
+            this.watchListedExecutions(executionsWithData);
 
         } catch (error) {
             console.error('Failed to load executions:', error);
             this.executionsList.innerHTML = '<div class="execution-placeholder"><p>Error loading executions</p></div>';
+        } finally {
+            this.loadingExecutions = false;
         }
     }
 
+    /**
+     * Follow running executions in the list through the monitor, which backs off while they
+     * don't change, instead of fetching their node data again on every list refresh
+     */
+    watchListedExecutions(executions) {
+        const running = new Set(executions
+            .filter(execution => !n8nManager.monitor.isFinished(execution))
+            .map(execution => String(execution.id)));
+
+        this.executionWatches.forEach((unwatch, id) => {
+            if (!running.has(id)) {
+                unwatch();
+                this.executionWatches.delete(id);
+            }
+        });
+
+        running.forEach(id => {
+            if (!this.executionWatches.has(id)) {
+                this.executionWatches.set(id, n8nManager.monitor.watch(id, (execution) => this.updateListedExecution(execution)));
+            }
+        });
+    }
+
+    updateListedExecution(execution) {
+        const index = this.listedExecutions.findIndex(listed => String(listed.id) === String(execution.id));
+        const group = this.executionsList.querySelector(`.execution-group[data-execution-id="${execution.id}"]`);
+        if (index === -1 || !group) return;
+
+        this.listedExecutions[index] = execution;
+        group.replaceWith(this.createExecutionGroup(execution, group.classList.contains('expanded')));
+        this.showDiagramExecution(this.listedExecutions);
+    }
+
     updateExecutionsList(executions) {
+        this.listedExecutions = executions;
+
         const existingExecutions = {};
         document.querySelectorAll('.execution-group').forEach(group => {
             existingExecutions[group.dataset.executionId] = group.classList.contains('expanded');
@@ -452,15 +759,30 @@ class NOXApp {
             const wasExpanded = existingExecutions[execution.id] !== undefined ? existingExecutions[execution.id] : true;
             this.addExecutionGroup(execution, wasExpanded);
         });
+
+        this.showDiagramExecution(executions);
     }
 
     addExecutionGroup(execution, expanded = true) {
+        this.executionsList.appendChild(this.createExecutionGroup(execution, expanded));
+    }
+
+    createExecutionGroup(execution, expanded = true) {
         const group = document.createElement('div');
         group.className = `execution-group ${expanded ? 'expanded' : ''}`;
         group.dataset.executionId = execution.id;
-
-        const status = execution.finished ? (execution.data?.resultData?.error ? 'failed' : 'success') : 'running';
-        const statusClass = status === 'running' ? 'status-running' : status === 'failed' ? 'status-error' : 'status-success';
+        group.classList.toggle('selected', String(execution.id) === String(this.selectedExecutionId));
+
+        const status = execution.finished
+            ? (execution.data?.resultData?.error ? 'failed' : 'success')
+            : execution.status === 'waiting' ? 'waiting' : 'running';
+        const statusClass = {
+            running: 'status-running',
+            waiting: 'status-waiting',
+            failed: 'status-error',
+            success: 'status-success'
+        }[status];
+        const statusText = { running: 'Running', waiting: 'Waiting', failed: 'Failed', success: 'Success' }[status];
         const timeAgo = this.getTimeAgo(new Date(execution.startedAt));
 
         // Execution header
@@ -473,7 +795,7 @@ class NOXApp {
             <div class="execution-status ${statusClass}"></div>
             <div class="execution-group-info">
                 <span class="execution-id">#${execution.id}</span>
-                <span class="execution-status-text">${status === 'running' ? 'Running' : status === 'failed' ? 'Failed' : 'Success'}</span>
+                <span class="execution-status-text">${statusText}</span>
                 <span class="execution-time">${timeAgo}</span>
             </div>
             ${status === 'failed' ? `
@@ -490,6 +812,7 @@ class NOXApp {
         header.addEventListener('click', (e) => {
             if (!e.target.closest('.fix-error-btn')) {
                 this.toggleExecutionGroup(execution.id);
+                this.selectDiagramExecution(execution);
             }
         });
 
@@ -524,7 +847,7 @@ class NOXApp {
 
         group.appendChild(header);
         group.appendChild(nodesList);
-        this.executionsList.appendChild(group);
+        return group;
     }
 
     createNodeItem(executionId, nodeName, status, nodeData) {
@@ -651,7 +974,7 @@ class NOXApp {
     setStreamingSpeed(speed) {
         if (this.streamingSpeedOptions[speed] !== undefined) {
             this.currentStreamingSpeed = speed;
-            localStorage.setItem('streaming-speed', speed);
+            this.savePreference('streamingSpeed', speed);
             this.updateSpeedMenuActive();
             console.log(`✨ Streaming speed set to: ${speed} (${this.streamingSpeedOptions[speed]}ms/word)`);
         }
@@ -915,8 +1238,12 @@ class NOXApp {
             this.openDeleteSkillModal(skill);
         });
 
-        actions.appendChild(editBtn);
-        actions.appendChild(deleteBtn);
+        if (this.can('skills.edit')) {
+            actions.appendChild(editBtn);
+        }
+        if (this.can('skills.delete')) {
+            actions.appendChild(deleteBtn);
+        }
 
         footer.appendChild(meta);
         footer.appendChild(actions);
@@ -962,6 +1289,8 @@ class NOXApp {
     }
 
     openEditSkillModal(skill) {
+        if (!this.ensurePermission('skills.edit')) return;
+
         this.selectedSkillToEdit = skill;
 
         const modal = document.getElementById('editSkillModal');
@@ -1148,6 +1477,8 @@ class NOXApp {
     }
 
     openDeleteSkillModal(skill) {
+        if (!this.ensurePermission('skills.delete')) return;
+
         this.selectedSkillToDelete = skill;
 
         const modal = document.getElementById('deleteSkillModal');
@@ -1776,6 +2107,10 @@ class NOXApp {
 
         switch (command) {
             case '/create-skill':
+                if (!this.ensurePermission('skills.edit')) {
+                    chatInput.value = '';
+                    return;
+                }
                 chatInput.value = 'Create a new skill with the following:\nName: \nDescription: \nCategory: \nTriggers: \nCypher Template: ';
                 break;
 
@@ -1804,14 +2139,9 @@ class NOXApp {
         chatInput.style.height = chatInput.scrollHeight + 'px';
     }
 
-    loadRecentQueries() {
-        try {
-            const stored = localStorage.getItem('nox-ai-recent-queries');
-            return stored ? JSON.parse(stored) : [];
-        } catch (error) {
-            console.error('Failed to load recent queries:', error);
-            return [];
-        }
+    async loadRecentQueries() {
+        const stored = await window.CryptoUtils.getItem('nox-recent-queries');
+        return Array.isArray(stored) ? stored : [];
     }
 
     saveRecentQuery(query) {
@@ -1826,12 +2156,27 @@ class NOXApp {
         // Keep only last 20
         this.recentQueries = this.recentQueries.slice(0, 20);
 
-        // Save to localStorage
-        try {
-            localStorage.setItem('nox-ai-recent-queries', JSON.stringify(this.recentQueries));
-        } catch (error) {
-            console.error('Failed to save recent queries:', error);
-        }
+        // Encrypted and kept per user, like the chats they come from
+        window.CryptoUtils.setItem('nox-recent-queries', this.recentQueries);
+    }
+
+    // ==================== Preferences ====================
+
+    /**
+     * Load the signed in user's UI preferences
+     * Drops the keys all accounts used to share - the recent prompts in them may be someone else's
+     */
+    async loadPreferences() {
+        const stored = await window.CryptoUtils.getItem('nox-preferences');
+        this.preferences = stored && typeof stored === 'object' ? stored : {};
+
+        ['nox-ai-recent-queries', 'streaming-speed', 'chat-sidebar-collapsed', 'execution-panel-collapsed', 'graph-window-state']
+            .forEach(key => localStorage.removeItem(key));
+    }
+
+    savePreference(name, value) {
+        this.preferences[name] = value;
+        window.CryptoUtils.setItem('nox-preferences', this.preferences);
     }
 
     // ==================== Chat Management ====================
@@ -1839,7 +2184,7 @@ class NOXApp {
 
     loadCurrentChat() {
         const messages = chatManager.getMessages();
-        this.chatMessages.innerHTML = '';
+        this.clearChatMessages();
 
         if (messages.length > 0) {
             messages.forEach(msg => {
@@ -1850,12 +2195,27 @@ class NOXApp {
         this.scrollToBottom();
     }
 
+    clearChatMessages() {
+        this.inlineGraphs.forEach(graph => graph.destroy());
+        this.inlineGraphs = [];
+        this.approvalCards = [];
+        this.chatMessages.innerHTML = '';
+    }
+
     resetChat() {
-        // Create new chat session
-        chatManager.createNewChat();
+        if (this.isProcessing) {
+            this.notificationManager.warning('Request in Progress', 'Wait for the reply or stop it before starting a new chat');
+            return;
+        }
+
+        // Create new chat session (reuse the current one if it is still empty)
+        if (chatManager.getMessages().length > 0) {
+            chatManager.createNewChat();
+        }
+        this.clearReplyContext();
 
         // Clear chat display
-        this.chatMessages.innerHTML = '';
+        this.clearChatMessages();
 
         // Clear attached files
         this.files = [];
@@ -1875,859 +2235,1553 @@ class NOXApp {
         this.scrollToBottom();
     }
 
-    // ==================== File Handling ====================
-
-    async handleFileSelect(e) {
-        const selectedFile = e.target.files[0];
-        e.target.value = ''; // Reset input immediately
+    // ==================== Chat List Sidebar ====================
 
-        if (!selectedFile) return;
+    setupChatSidebar() {
+        document.getElementById('newChatBtn').addEventListener('click', () => this.resetChat());
+        document.getElementById('chatSidebarToggle').addEventListener('click', () => this.toggleChatSidebar());
 
-        // Validate file
-        const validation = this.validateFile(selectedFile);
-        if (!validation.valid) {
-            this.showFileError(validation.error);
-            return;
-        }
+        document.getElementById('chatSearch').addEventListener('input', (e) => {
+            this.chatSearchQuery = e.target.value;
+            this.renderChatList();
+        });
 
-        // Replace previous file (only 1 at a time)
-        this.files = [selectedFile];
+        // Keep the list in sync with titles, new messages, pins, etc.
+        chatManager.onChatsChanged(() => this.renderChatList());
 
-        // Show loading state
-        this.showFileLoading();
+        // Delete chat modal
+        const modal = document.getElementById('deleteChatModal');
+        const closeModal = () => {
+            modal.classList.add('hidden');
+            this.selectedChatToDelete = null;
+        };
 
-        // Generate preview based on file type
-        try {
-            await this.generateFilePreview(selectedFile);
-        } catch (error) {
-            console.error('Error generating preview:', error);
-            this.showFileError('Unable to read file. Please try again.');
-        }
+        document.getElementById('closeDeleteChatModal').addEventListener('click', closeModal);
+        document.getElementById('cancelDeleteChat').addEventListener('click', closeModal);
+        document.getElementById('confirmDeleteChat').addEventListener('click', () => this.confirmDeleteChat());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModal();
+            }
+        });
     }
 
-    validateFile(file) {
-        const maxSize = 10 * 1024 * 1024; // 10MB in bytes
-
-        // Allowed file types
-        const allowedTypes = {
-            // Images
-            'image/png': true,
-            'image/jpeg': true,
-            'image/jpg': true,
-            'image/gif': true,
-            'image/webp': true,
-            // Documents
-            'application/pdf': true,
-            'text/plain': true,
-            'text/html': true,
-            'text/markdown': true,
-            'application/json': true,
-            'text/csv': true
-        };
+    renderChatList() {
+        const chatList = document.getElementById('chatList');
+        if (!chatList || !chatManager.ready) return;
 
-        // Check file type
-        const fileExtension = file.name.split('.').pop().toLowerCase();
-        const allowedExtensions = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'pdf', 'txt', 'html', 'md', 'json', 'csv'];
+        const chats = chatManager.searchChats(this.chatSearchQuery);
+        const groups = chatManager.getChatsGroupedByDate(chats);
 
-        if (!allowedTypes[file.type] && !allowedExtensions.includes(fileExtension)) {
-            return {
-                valid: false,
-                error: 'Invalid file type. Only images, PDFs, and text files are allowed.'
-            };
+        if (groups.length === 0) {
+            chatList.innerHTML = `<div class="chat-list-placeholder"><p>${this.chatSearchQuery ? 'No chats match your search.' : 'No chats yet.'}</p></div>`;
+            return;
         }
 
-        // Check file size
-        if (file.size > maxSize) {
-            return {
-                valid: false,
-                error: `File size exceeds 10MB limit (${this.formatFileSize(file.size)} provided).`
-            };
-        }
+        chatList.innerHTML = '';
 
-        return { valid: true };
-    }
+        groups.forEach(group => {
+            const groupEl = document.createElement('div');
+            groupEl.className = 'chat-list-group';
 
-    showFileLoading() {
-        this.attachedFiles.style.display = 'block';
-        this.attachedFiles.innerHTML = `
-            <div class="file-preview-card" data-tooltip="Loading file...">
-                <div class="file-loading-spinner">
-                    <div class="spinner-icon"></div>
-                </div>
-            </div>
-        `;
-    }
+            const label = document.createElement('div');
+            label.className = 'chat-list-group-label';
+            label.textContent = group.label;
+            groupEl.appendChild(label);
 
-    showFileError(errorMessage) {
-        this.attachedFiles.style.display = 'block';
-        this.attachedFiles.innerHTML = `
-            <div class="file-error-card" data-error="${this.escapeHtml(errorMessage)}">
-                <div class="file-error-icon">⚠️</div>
-                <button class="file-error-close" id="closeFileError">×</button>
-            </div>
-        `;
+            group.chats.forEach(chat => {
+                groupEl.appendChild(this.createChatListItem(chat));
+            });
 
-        // Add close handler
-        document.getElementById('closeFileError').addEventListener('click', () => {
-            this.files = [];
-            this.attachedFiles.style.display = 'none';
+            chatList.appendChild(groupEl);
         });
-
-        // Auto-dismiss after 5 seconds
-        setTimeout(() => {
-            if (this.files.length === 0) {
-                this.attachedFiles.style.display = 'none';
-            }
-        }, 5000);
     }
 
-    async generateFilePreview(file) {
-        const fileInfo = this.getFileTypeInfo(file);
+    createChatListItem(chat) {
+        const item = document.createElement('div');
+        item.className = `chat-list-item ${chat.id === chatManager.currentChatId ? 'active' : ''}`;
+        item.dataset.chatId = chat.id;
+        item.title = chat.title;
 
-        // For images, generate thumbnail
-        if (fileInfo.category === 'image') {
-            const previewUrl = await this.readFileAsDataURL(file);
-            this.renderFilePreview(file, fileInfo, previewUrl);
-        } else {
-            // For non-images, just show icon
-            this.renderFilePreview(file, fileInfo, null);
-        }
-    }
-
-    readFileAsDataURL(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = (e) => reject(new Error('Failed to read file'));
+        item.innerHTML = `
+            <span class="chat-list-title">${chat.pinned ? '📌 ' : ''}${this.escapeHtml(chat.title)}</span>
+            <div class="chat-list-actions">
+                <button class="chat-list-action" data-action="pin" title="${chat.pinned ? 'Unpin' : 'Pin'}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="12" y1="17" x2="12" y2="22"></line>
+                        <path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24z"></path>
+                    </svg>
+                </button>
+                <button class="chat-list-action" data-action="rename" title="Rename">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M12 20h9"></path>
+                        <path d="M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+                    </svg>
+                </button>
+                <button class="chat-list-action danger" data-action="delete" title="Delete">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="3 6 5 6 21 6"></polyline>
+                        <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                    </svg>
+                </button>
+            </div>
+        `;
 
-            // For large files, track progress
-            if (file.size > 5 * 1024 * 1024) { // > 5MB
-                reader.onprogress = (e) => {
-                    if (e.lengthComputable) {
-                        const percentLoaded = Math.round((e.loaded / e.total) * 100);
-                        this.updateLoadingProgress(percentLoaded);
-                    }
-                };
+        item.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('.chat-list-action');
+            if (!actionBtn) {
+                this.switchToChat(chat.id);
+                return;
             }
 
-            reader.readAsDataURL(file);
+            e.stopPropagation();
+            switch (actionBtn.dataset.action) {
+                case 'pin':
+                    chatManager.togglePinChat(chat.id);
+                    break;
+                case 'rename':
+                    this.startRenameChat(chat, item);
+                    break;
+                case 'delete':
+                    this.openDeleteChatModal(chat);
+                    break;
+            }
         });
-    }
 
-    updateLoadingProgress(percent) {
-        const card = document.querySelector('.file-preview-card');
-        if (card && percent > 0) {
-            card.setAttribute('data-tooltip', `Loading... ${percent}%`);
-            const spinner = card.querySelector('.file-loading-spinner');
-            if (spinner) {
-                spinner.innerHTML = `
-                    <div class="spinner-icon"></div>
-                    <div class="file-progress-bar">
-                        <div class="file-progress-fill" style="width: ${percent}%"></div>
-                    </div>
-                `;
-            }
-        }
+        return item;
     }
 
-    renderFilePreview(file, fileInfo, previewUrl) {
-        this.attachedFiles.style.display = 'block';
+    async switchToChat(chatId) {
+        if (chatId === chatManager.currentChatId) return;
 
-        // Create tooltip text: "filename (size)"
-        const tooltip = `${file.name} (${this.formatFileSize(file.size)})`;
+        if (this.isProcessing) {
+            this.notificationManager.warning('Request in Progress', 'Wait for the reply or stop it before switching chats');
+            return;
+        }
 
-        // Get file extension for badge
-        const extension = file.name.split('.').pop().toUpperCase();
+        if (!chatManager.switchChat(chatId)) return;
+        await chatManager.hydrateAttachments(chatId);
 
-        // Store preview data for chat bubble display
-        this.currentFilePreviewData = {
-            previewUrl: previewUrl,
-            fileInfo: fileInfo,
-            extension: extension
-        };
+        this.clearReplyContext();
+        this.loadCurrentChat();
+        this.updateChatModeForCurrentChat();
+        this.renderChatList();
+    }
 
-        let previewContent = '';
-        if (previewUrl && fileInfo.category === 'image') {
-            // Image thumbnail
-            previewContent = `
-                <div class="file-preview-thumbnail">
-                    <img src="${previewUrl}" alt="${this.escapeHtml(file.name)}">
-                </div>
-            `;
+    /**
+     * Show the welcome screen for empty chats and the message list otherwise
+     */
+    updateChatModeForCurrentChat() {
+        if (chatManager.getMessages().length > 0) {
+            this.transitionToChatMode();
         } else {
-            // File type icon for non-images
-            previewContent = `
-                <div class="file-type-icon">${fileInfo.icon}</div>
-            `;
+            this.transitionToWelcomeMode();
         }
+    }
 
-        this.attachedFiles.innerHTML = `
-            <div class="file-preview-card" data-tooltip="${this.escapeHtml(tooltip)}">
-                ${previewContent}
-                <div class="file-type-badge">${extension}</div>
-                <button class="file-preview-remove" id="removeFilePreview">×</button>
-            </div>
-        `;
+    startRenameChat(chat, item) {
+        const titleEl = item.querySelector('.chat-list-title');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'chat-list-rename-input';
+        input.value = chat.title;
+        input.setAttribute('autocomplete', 'off');
 
-        // Add remove handler
-        document.getElementById('removeFilePreview').addEventListener('click', () => {
-            this.files = [];
-            this.attachedFiles.style.display = 'none';
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+
+            if (save && input.value.trim() && input.value.trim() !== chat.title) {
+                chatManager.renameChat(chat.id, input.value);
+            } else {
+                this.renderChatList();
+            }
+        };
+
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
         });
-    }
+        input.addEventListener('blur', () => finish(true));
 
-    getFileTypeInfo(file) {
-        const extension = file.name.split('.').pop().toLowerCase();
+        titleEl.replaceWith(input);
+        input.focus();
+        input.select();
+    }
 
-        // Images
-        if (file.type.startsWith('image/') || ['png', 'jpg', 'jpeg', 'gif', 'webp'].includes(extension)) {
-            return { category: 'image', icon: '🖼️' };
-        }
+    openDeleteChatModal(chat) {
+        this.selectedChatToDelete = chat;
+        document.getElementById('deleteChatMessage').textContent = `Are you sure you want to delete "${chat.title}"?`;
+        document.getElementById('deleteChatModal').classList.remove('hidden');
+    }
 
-        // PDF
-        if (file.type === 'application/pdf' || extension === 'pdf') {
-            return { category: 'pdf', icon: '📄' };
-        }
+    async confirmDeleteChat() {
+        if (!this.selectedChatToDelete) return;
 
-        // HTML
-        if (file.type === 'text/html' || extension === 'html') {
-            return { category: 'html', icon: '🌐' };
-        }
+        const chat = this.selectedChatToDelete;
+        const wasCurrent = chat.id === chatManager.currentChatId;
 
-        // JSON
-        if (file.type === 'application/json' || extension === 'json') {
-            return { category: 'json', icon: '📊' };
+        if (wasCurrent && this.isProcessing) {
+            this.notificationManager.warning('Request in Progress', 'Wait for the reply or stop it before deleting this chat');
+            return;
         }
 
-        // CSV
-        if (extension === 'csv') {
-            return { category: 'csv', icon: '📈' };
-        }
+        chatManager.deleteChat(chat.id);
 
-        // Markdown
-        if (extension === 'md') {
-            return { category: 'markdown', icon: '📝' };
-        }
+        document.getElementById('deleteChatModal').classList.add('hidden');
+        this.selectedChatToDelete = null;
 
-        // Plain text
-        if (file.type.startsWith('text/') || extension === 'txt') {
-            return { category: 'text', icon: '📝' };
+        if (wasCurrent) {
+            await chatManager.hydrateAttachments();
+            this.clearReplyContext();
+            this.loadCurrentChat();
+            this.updateChatModeForCurrentChat();
         }
 
-        // Default
-        return { category: 'unknown', icon: '📎' };
+        this.notificationManager.success('Chat Deleted', `"${chat.title}" deleted`);
     }
 
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
+    // ==================== Permissions ====================
 
-        return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+    /**
+     * Check if the signed in role allows an action
+     */
+    can(permission) {
+        return window.AuthManager.hasPermission(permission);
     }
 
-    renderAttachedFiles() {
-        // This method is now handled by renderFilePreview
-        // Kept for backwards compatibility
-        if (this.files.length === 0) {
-            this.attachedFiles.style.display = 'none';
+    /**
+     * Check a permission and tell the user when it's missing
+     * @returns {boolean} - Whether the action may go ahead
+     */
+    ensurePermission(permission) {
+        try {
+            window.AuthManager.requirePermission(permission);
+            return true;
+        } catch (error) {
+            this.notificationManager.warning('Not Allowed', error.message);
+            return false;
         }
     }
 
-    getFileIcon(type) {
-        // Kept for backwards compatibility
-        if (type.startsWith('image/')) return '🖼️';
-        if (type === 'application/pdf') return '📄';
-        if (type.includes('text')) return '📝';
-        return '📎';
+    applyRolePermissions() {
+        if (!this.can('settings.edit')) {
+            document.getElementById('settingsButton').style.display = 'none';
+        }
+        if (!this.can('graph.write')) {
+            document.getElementById('toggleWriteLock').style.display = 'none';
+        }
     }
 
-    // ==================== Voice Recording ====================
+    // ==================== User Management ====================
 
-    async toggleVoiceRecording() {
-        if (!this.isRecording) {
-            await this.startRecording();
-        } else {
-            this.stopRecording();
+    setupUserManagement() {
+        const usersButton = document.getElementById('usersButton');
+        if (!window.AuthManager.isAdmin()) {
+            return;
         }
-    }
 
-    async startRecording() {
-        try {
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-            this.mediaRecorder = new MediaRecorder(stream);
-            this.audioChunks = [];
+        usersButton.style.display = '';
+        usersButton.addEventListener('click', () => this.openUserManagement());
 
-            this.mediaRecorder.ondataavailable = (event) => {
-                this.audioChunks.push(event.data);
-            };
+        const modal = document.getElementById('userManagementModal');
+        const closeModal = () => modal.classList.add('hidden');
 
-            this.mediaRecorder.onstop = () => {
-                const audioBlob = new Blob(this.audioChunks, { type: 'audio/webm' });
-                const audioFile = new File([audioBlob], `voice-${Date.now()}.webm`, { type: 'audio/webm' });
-                this.files.push(audioFile);
-                this.renderAttachedFiles();
+        document.getElementById('closeUserManagement').addEventListener('click', closeModal);
+        document.getElementById('doneUserManagement').addEventListener('click', closeModal);
+        document.getElementById('addUserBtn').addEventListener('click', () => this.addUser());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModal();
+            }
+        });
+    }
 
-                // Stop all tracks
-                stream.getTracks().forEach(track => track.stop());
-            };
+    async openUserManagement() {
+        this.hideUserErrors();
+        document.getElementById('userManagementModal').classList.remove('hidden');
+        await this.renderUserList();
+    }
 
-            this.mediaRecorder.start();
-            this.isRecording = true;
-            this.voiceButton.classList.add('recording');
+    async renderUserList() {
+        const userList = document.getElementById('userList');
+
+        let users;
+        try {
+            users = await window.AuthManager.listUsers();
         } catch (error) {
-            console.error('Error accessing microphone:', error);
-            alert('Could not access microphone. Please check permissions.');
+            userList.innerHTML = '';
+            this.showUserErrors([error.message]);
+            return;
         }
-    }
 
-    stopRecording() {
-        if (this.mediaRecorder && this.isRecording) {
-            this.mediaRecorder.stop();
-            this.isRecording = false;
-            this.voiceButton.classList.remove('recording');
-        }
+        const currentUser = window.AuthManager.getUsername();
+        userList.innerHTML = '';
+
+        users.forEach(user => {
+            const isSelf = user.username === currentUser;
+            const row = document.createElement('div');
+            row.className = 'user-row';
+
+            row.innerHTML = `
+                <div class="user-info">
+                    <span class="user-name">${this.escapeHtml(user.username)}${isSelf ? ' <span class="user-self">(you)</span>' : ''}</span>
+                    <span class="user-meta">Created ${new Date(user.createdAt).toLocaleDateString()}</span>
+                </div>
+                <select class="modal-input user-role-select" ${isSelf ? 'disabled' : ''}>
+                    ${window.AuthManager.ROLES.map(role => `
+                        <option value="${role}" ${role === user.role ? 'selected' : ''}>${role.charAt(0).toUpperCase() + role.slice(1)}</option>
+                    `).join('')}
+                </select>
+                <div class="user-actions">
+                    <button class="btn-secondary user-reset-btn" ${isSelf ? 'disabled' : ''}>Reset password</button>
+                    <button class="btn-danger user-remove-btn" ${isSelf ? 'disabled' : ''}>Remove</button>
+                </div>
+            `;
+
+            if (!isSelf) {
+                row.querySelector('.user-role-select').addEventListener('change', (e) => {
+                    this.runUserAction(() => window.AuthManager.setRole(user.username, e.target.value),
+                        `${user.username} is now ${e.target.value}`);
+                });
+                row.querySelector('.user-reset-btn').addEventListener('click', () => this.showPasswordReset(row, user));
+                row.querySelector('.user-remove-btn').addEventListener('click', (e) => this.confirmRemoveUser(e.currentTarget, user.username));
+            }
+
+            userList.appendChild(row);
+        });
     }
 
-    // ==================== Messaging ====================
+    showPasswordReset(row, user) {
+        const actions = row.querySelector('.user-actions');
+        actions.innerHTML = `
+            <input type="password" class="modal-input user-reset-input" placeholder="New password" autocomplete="new-password" />
+            <button class="btn-primary user-reset-save">Save</button>
+            <button class="btn-secondary user-reset-cancel">Cancel</button>
+        `;
 
-    async sendMessage() {
-        const message = this.chatInput.value.trim();
+        // Viewers can't enter connection settings themselves, so they get a fresh copy
+        const input = actions.querySelector('.user-reset-input');
+        const copySettings = user.role === 'viewer';
+        const save = () => this.runUserAction(
+            () => window.AuthManager.resetPassword(user.username, input.value, { copySettings }),
+            `Password reset for ${user.username}`
+        );
 
-        if (!message && this.files.length === 0) {
-            return;
-        }
+        actions.querySelector('.user-reset-save').addEventListener('click', save);
+        actions.querySelector('.user-reset-cancel').addEventListener('click', () => this.renderUserList());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') save();
+            if (e.key === 'Escape') this.renderUserList();
+        });
+        input.focus();
+    }
 
-        if (this.isProcessing) {
+    confirmRemoveUser(button, username) {
+        // First click arms the button, second click removes
+        if (!button.classList.contains('confirming')) {
+            button.classList.add('confirming');
+            button.textContent = 'Confirm remove';
+            setTimeout(() => {
+                if (button.isConnected) {
+                    button.classList.remove('confirming');
+                    button.textContent = 'Remove';
+                }
+            }, 3000);
             return;
         }
 
-        // Create message object
-        const userMessage = {
-            role: 'user',
-            content: message,
-            files: this.files.map(f => ({ name: f.name, type: f.type, size: f.size })),
-            filePreview: this.currentFilePreviewData // Include preview data
-        };
+        this.runUserAction(() => window.AuthManager.removeUser(username), `Removed ${username}`);
+    }
 
-        // Display user message
-        this.displayMessage(userMessage);
-        chatManager.addMessage(userMessage);
+    async addUser() {
+        const usernameInput = document.getElementById('newUsername');
+        const passwordInput = document.getElementById('newUserPassword');
+        const role = document.getElementById('newUserRole').value;
+        const copySettings = document.getElementById('newUserCopySettings').checked;
+        const username = usernameInput.value.trim();
 
-        // Transition from welcome screen to chat mode if this is the first message
-        const chatSection = document.querySelector('.chat-section');
-        if (chatSection.classList.contains('centered')) {
-            this.transitionToChatMode();
-        }
+        const added = await this.runUserAction(
+            () => window.AuthManager.addUser(username, passwordInput.value, role, { copySettings }),
+            `Added ${username}`
+        );
 
-        // Save to recent queries
-        if (message) {
-            this.saveRecentQuery(message);
+        if (added) {
+            usernameInput.value = '';
+            passwordInput.value = '';
         }
+    }
 
-        // Clear input
-        this.chatInput.value = '';
-        this.chatInput.style.height = 'auto';
-
-        // Prepare files for upload
-        const filesToSend = [...this.files];
-        this.files = [];
-        this.currentFilePreviewData = null; // Clear preview data
-        this.renderAttachedFiles();
-
-        // Set processing state
-        this.isProcessing = true;
-        this.sendButton.disabled = true;
-
-        // Show loading
-        const loadingId = this.addLoadingIndicator();
+    /**
+     * Run a user directory change, then refresh the list or show the error
+     */
+    async runUserAction(action, successMessage) {
+        this.hideUserErrors();
 
         try {
-            // Convert files to base64 if needed
-            const fileData = await this.prepareFilesForUpload(filesToSend);
-
-            // Prepare message with context if replying
-            let messageToSend = message;
-            if (this.replyContext) {
-                messageToSend = `[Replying to: "${this.replyContext}"]\n\n${message}`;
-                // Clear reply context after using it
-                this.clearReplyContext();
-            }
+            await action();
+            this.notificationManager.success('Users Updated', successMessage);
+            return true;
+        } catch (error) {
+            this.showUserErrors([error.message]);
+            return false;
+        } finally {
+            await this.renderUserList();
+        }
+    }
 
-            // Send to n8n
-            const response = await n8nManager.sendMessage(messageToSend, fileData);
+    showUserErrors(errors) {
+        const errorsDiv = document.getElementById('userManagementErrors');
+        errorsDiv.innerHTML = '<ul>' + errors.map(err => `<li>${this.escapeHtml(err)}</li>`).join('') + '</ul>';
+        errorsDiv.style.display = 'block';
+    }
 
-            // Remove loading
-            this.removeMessage(loadingId);
+    hideUserErrors() {
+        const errorsDiv = document.getElementById('userManagementErrors');
+        errorsDiv.style.display = 'none';
+        errorsDiv.innerHTML = '';
+    }
 
-            // Handle different response formats from n8n
-            let replyText = '';
+    // ==================== Change Password ====================
 
-            console.log('🔍 Processing response:', response);
+    setupChangePassword() {
+        const modal = document.getElementById('changePasswordModal');
 
-            if (Array.isArray(response)) {
-                // n8n returns array format: [{ "output": "..." }]
-                const firstItem = response[0];
-                replyText = firstItem?.output || firstItem?.message || firstItem?.reply ||
-                           firstItem?.data?.output || firstItem?.data?.message ||
-                           JSON.stringify(firstItem);
-            } else if (typeof response === 'object') {
-                // Check for nested data structure first: { success: true, data: { output: "..." } }
-                if (response.data && typeof response.data === 'object') {
-                    replyText = response.data.output || response.data.reply || response.data.message ||
-                               JSON.stringify(response.data);
-                } else {
-                    // Direct structure: { "output": "..." }
-                    replyText = response.output || response.reply || response.message ||
-                               JSON.stringify(response);
-                }
-            } else {
-                // Fallback: use response as-is
-                replyText = String(response);
+        document.getElementById('changePasswordButton').addEventListener('click', () => this.openChangePassword());
+        document.getElementById('closeChangePassword').addEventListener('click', () => this.closeChangePassword());
+        document.getElementById('cancelChangePassword').addEventListener('click', () => this.closeChangePassword());
+        document.getElementById('saveChangePassword').addEventListener('click', () => this.changePassword());
+        document.getElementById('confirmNewPassword').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.changePassword();
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeChangePassword();
             }
+        });
 
-            console.log('✅ Extracted reply text:', replyText);
-
-            // Check for empty or null responses
-            const cleanedReply = replyText.trim();
-            if (!cleanedReply ||
-                cleanedReply === 'null' ||
-                cleanedReply === 'undefined' ||
-                cleanedReply === '{}' ||
-                cleanedReply === '[]' ||
-                cleanedReply.match(/^{.*"message":\s*null.*}$/)) {
+        // The built-in account's password is public - don't let it be used any further
+        if (window.AuthManager.mustChangePassword()) {
+            this.openChangePassword({ required: true });
+        }
+    }
 
-                // Display friendly error from NOX
-                const errorMessage = {
-                    role: 'assistant',
-                    content: "I apologize, but I received an empty response from the workflow. This might be a configuration issue. Please check your n8n workflow to ensure it's returning a proper response."
-                };
-                await this.displayMessageWithStreaming(errorMessage);
-                chatManager.addMessage(errorMessage);
-                return;
-            }
+    openChangePassword({ required = false } = {}) {
+        this.passwordChangeRequired = required;
+        ['currentPassword', 'newPassword', 'confirmNewPassword'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.showChangePasswordErrors([]);
 
-            // Display response with streaming effect
-            const assistantMessage = {
-                role: 'assistant',
-                content: replyText
-            };
+        document.getElementById('changePasswordRequired').classList.toggle('hidden', !required);
+        document.getElementById('closeChangePassword').style.display = required ? 'none' : '';
+        document.getElementById('cancelChangePassword').style.display = required ? 'none' : '';
+        document.getElementById('changePasswordModal').classList.remove('hidden');
+        document.getElementById('currentPassword').focus();
+    }
 
-            // Use streaming display for assistant messages
-            await this.displayMessageWithStreaming(assistantMessage);
-            chatManager.addMessage(assistantMessage);
+    closeChangePassword() {
+        if (this.passwordChangeRequired) return;
+        document.getElementById('changePasswordModal').classList.add('hidden');
+    }
 
-        } catch (error) {
-            this.removeMessage(loadingId);
+    async changePassword() {
+        const currentPassword = document.getElementById('currentPassword').value;
+        const newPassword = document.getElementById('newPassword').value;
+        const saveButton = document.getElementById('saveChangePassword');
 
-            // Generate friendly error message from NOX
-            const friendlyError = this.getFriendlyErrorMessage(error);
+        if (newPassword !== document.getElementById('confirmNewPassword').value) {
+            this.showChangePasswordErrors(['The new passwords do not match']);
+            return;
+        }
 
-            const errorMessage = {
-                role: 'assistant',
-                content: friendlyError
-            };
-            await this.displayMessageWithStreaming(errorMessage);
-            chatManager.addMessage(errorMessage);
-            console.error('Send message error:', error);
+        saveButton.disabled = true;
+        try {
+            await window.AuthManager.changePassword(currentPassword, newPassword);
+            this.passwordChangeRequired = false;
+            this.closeChangePassword();
+            this.notificationManager.success('Password Changed', 'Use your new password next time you sign in');
+        } catch (error) {
+            this.showChangePasswordErrors([error.message]);
         } finally {
-            this.isProcessing = false;
-            this.sendButton.disabled = false;
-            this.chatInput.focus();
+            saveButton.disabled = false;
         }
     }
 
-    async prepareFilesForUpload(files) {
-        const fileData = [];
-
-        for (const file of files) {
-            if (file.type.startsWith('image/')) {
-                // Convert image to base64
-                const base64 = await this.fileToBase64(file);
-                fileData.push({
-                    name: file.name,
-                    type: file.type,
-                    data: base64
-                });
-            } else {
-                // For other files, read as text or base64
-                const content = await this.fileToBase64(file);
-                fileData.push({
-                    name: file.name,
-                    type: file.type,
-                    data: content
-                });
-            }
-        }
-
-        return fileData;
+    showChangePasswordErrors(errors) {
+        const errorsDiv = document.getElementById('changePasswordErrors');
+        errorsDiv.innerHTML = errors.length ? '<ul>' + errors.map(err => `<li>${this.escapeHtml(err)}</li>`).join('') + '</ul>' : '';
+        errorsDiv.style.display = errors.length ? 'block' : 'none';
     }
 
-    fileToBase64(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-        });
-    }
+    // ==================== File Handling ====================
 
-    async displayMessageWithStreaming(message) {
-        // Cancel any previous stream
-        if (this.currentStreamController) {
-            this.currentStreamController.cancel();
-        }
+    async handleFileSelect(e) {
+        const selectedFile = e.target.files[0];
+        e.target.value = ''; // Reset input immediately
 
-        // Create message element
-        const messageId = `msg-${Date.now()}`;
-        const messageEl = document.createElement('div');
-        messageEl.id = messageId;
-        messageEl.className = `message ${message.role}-message`;
+        if (!selectedFile) return;
 
-        // Use the same avatar method as regular displayMessage
-        const avatar = this.getAvatarHTML(message.role);
-        const role = message.role === 'user' ? 'You' : 'NOX.AI';
+        // Validate file
+        const validation = this.validateFile(selectedFile);
+        if (!validation.valid) {
+            this.showFileError(validation.error);
+            return;
+        }
 
-        // Create avatar and content structure
-        messageEl.innerHTML = `
-            <div class="message-avatar">${avatar}</div>
-            <div class="message-content">
-                <div class="message-role">${role}</div>
-                <div class="message-text" id="${messageId}-text"></div>
-            </div>
-        `;
+        // Replace previous file (only 1 at a time)
+        this.files = [selectedFile];
 
-        this.chatMessages.appendChild(messageEl);
+        // Show loading state
+        this.showFileLoading();
 
-        // Get the text container
-        const textContainer = document.getElementById(`${messageId}-text`);
+        // Generate preview based on file type
+        try {
+            await this.generateFilePreview(selectedFile);
+        } catch (error) {
+            console.error('Error generating preview:', error);
+            this.showFileError('Unable to read file. Please try again.');
+        }
+    }
 
-        // Extract code blocks and tables before streaming
-        const { streamableText, blocks } = this.extractBlocks(message.content);
+    validateFile(file) {
+        const maxSize = 10 * 1024 * 1024; // 10MB in bytes
 
-        // Stream controller
-        const controller = {
-            cancelled: false,
-            cancel: () => {
-                controller.cancelled = true;
-            }
+        // Allowed file types
+        const allowedTypes = {
+            // Images
+            'image/png': true,
+            'image/jpeg': true,
+            'image/jpg': true,
+            'image/gif': true,
+            'image/webp': true,
+            // Documents
+            'application/pdf': true,
+            'text/plain': true,
+            'text/html': true,
+            'text/markdown': true,
+            'application/json': true,
+            'text/csv': true
         };
-        this.currentStreamController = controller;
 
-        // Stream the text word by word
-        await this.streamText(textContainer, streamableText, blocks, controller);
+        // Check file type
+        const fileExtension = file.name.split('.').pop().toLowerCase();
+        const allowedExtensions = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'pdf', 'txt', 'html', 'md', 'json', 'csv'];
 
-        // Apply syntax highlighting
-        this.highlightCode();
-        this.setupCodeCopyButtons();
+        if (!allowedTypes[file.type] && !allowedExtensions.includes(fileExtension)) {
+            return {
+                valid: false,
+                error: 'Invalid file type. Only images, PDFs, and text files are allowed.'
+            };
+        }
 
-        // Scroll to bottom
-        this.scrollToBottom();
+        // Check file size
+        if (file.size > maxSize) {
+            return {
+                valid: false,
+                error: `File size exceeds 10MB limit (${this.formatFileSize(file.size)} provided).`
+            };
+        }
 
-        // Clear stream controller
-        this.currentStreamController = null;
+        return { valid: true };
     }
 
-    extractBlocks(content) {
-        // Extract code blocks and tables, replace with placeholders
-        const blocks = [];
-        let streamableText = content;
+    showFileLoading() {
+        this.attachedFiles.style.display = 'block';
+        this.attachedFiles.innerHTML = `
+            <div class="file-preview-card" data-tooltip="Loading file...">
+                <div class="file-loading-spinner">
+                    <div class="spinner-icon"></div>
+                </div>
+            </div>
+        `;
+    }
 
-        // Extract code blocks
-        streamableText = streamableText.replace(/```(\w+)?\n([\s\S]*?)```/g, (match) => {
-            const placeholder = `__BLOCK_${blocks.length}__`;
-            blocks.push({ type: 'code', content: match });
-            return placeholder;
-        });
+    showFileError(errorMessage) {
+        this.attachedFiles.style.display = 'block';
+        this.attachedFiles.innerHTML = `
+            <div class="file-error-card" data-error="${this.escapeHtml(errorMessage)}">
+                <div class="file-error-icon">⚠️</div>
+                <button class="file-error-close" id="closeFileError">×</button>
+            </div>
+        `;
 
-        // Extract tables (markdown tables with | separators)
-        streamableText = streamableText.replace(/(\|[^\n]+\|\n)+/g, (match) => {
-            const placeholder = `__BLOCK_${blocks.length}__`;
-            blocks.push({ type: 'table', content: match });
-            return placeholder;
+        // Add close handler
+        document.getElementById('closeFileError').addEventListener('click', () => {
+            this.files = [];
+            this.attachedFiles.style.display = 'none';
         });
 
-        return { streamableText, blocks };
+        // Auto-dismiss after 5 seconds
+        setTimeout(() => {
+            if (this.files.length === 0) {
+                this.attachedFiles.style.display = 'none';
+            }
+        }, 5000);
     }
 
-    async streamText(container, text, blocks, controller) {
-        const words = text.split(/(\s+)/); // Split by whitespace but keep the spaces
-        let currentText = '';
+    async generateFilePreview(file) {
+        const fileInfo = this.getFileTypeInfo(file);
 
-        for (let i = 0; i < words.length; i++) {
-            if (controller.cancelled) break;
-
-            currentText += words[i];
-
-            // Replace block placeholders with actual content
-            let displayText = currentText;
-            blocks.forEach((block, index) => {
-                displayText = displayText.replace(`__BLOCK_${index}__`, block.content);
-            });
+        // For images, generate thumbnail
+        if (fileInfo.category === 'image') {
+            const previewUrl = await this.readFileAsDataURL(file);
+            this.renderFilePreview(file, fileInfo, previewUrl);
+        } else {
+            // For non-images, just show icon
+            this.renderFilePreview(file, fileInfo, null);
+        }
+    }
 
-            // Format and display
-            container.innerHTML = this.formatMessageContent(displayText);
+    readFileAsDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
 
-            // Auto-scroll during streaming (only if user is near bottom)
-            if (this.isNearBottom()) {
-                this.scrollToBottom();
-            }
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = (e) => reject(new Error('Failed to read file'));
 
-            // Delay between words (configurable speed)
-            const delay = this.streamingSpeedOptions[this.currentStreamingSpeed] || 40;
-            if (delay > 0) {
-                await new Promise(resolve => setTimeout(resolve, delay));
+            // For large files, track progress
+            if (file.size > 5 * 1024 * 1024) { // > 5MB
+                reader.onprogress = (e) => {
+                    if (e.lengthComputable) {
+                        const percentLoaded = Math.round((e.loaded / e.total) * 100);
+                        this.updateLoadingProgress(percentLoaded);
+                    }
+                };
             }
-        }
 
-        // Final display with all content
-        let finalText = currentText;
-        blocks.forEach((block, index) => {
-            finalText = finalText.replace(`__BLOCK_${index}__`, block.content);
+            reader.readAsDataURL(file);
         });
-        container.innerHTML = this.formatMessageContent(finalText);
     }
 
-    displayMessage(message) {
-        const messageEl = document.createElement('div');
-        messageEl.className = `message ${message.role}-message`;
-
-        if (message.role === 'system') {
-            messageEl.innerHTML = `
-                <div class="message-content">
-                    ${this.escapeHtml(message.content)}
-                    <button class="message-dismiss" aria-label="Dismiss message">×</button>
-                </div>
-            `;
-
-            // Add dismiss handler
-            setTimeout(() => {
-                const dismissBtn = messageEl.querySelector('.message-dismiss');
-                if (dismissBtn) {
-                    dismissBtn.addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        messageEl.classList.add('dismissing');
-                        setTimeout(() => messageEl.remove(), 300);
-                    });
-                }
-            }, 100);
-        } else {
-            const avatar = this.getAvatarHTML(message.role);
-            const role = message.role === 'user' ? 'You' : 'NOX.AI';
-
-            // Generate file preview HTML if present
-            let filePreviewHTML = '';
-            if (message.filePreview && message.role === 'user') {
-                const { previewUrl, fileInfo, extension } = message.filePreview;
-
-                let previewContent = '';
-                if (previewUrl && fileInfo.category === 'image') {
-                    previewContent = `<img src="${previewUrl}" alt="Attached file">`;
-                } else {
-                    previewContent = `<div class="message-file-preview-icon">${fileInfo.icon}</div>`;
-                }
-
-                filePreviewHTML = `
-                    <div class="message-file-preview">
-                        <div class="message-file-preview-card">
-                            ${previewContent}
-                            <div class="message-file-preview-badge">${extension}</div>
-                        </div>
+    updateLoadingProgress(percent) {
+        const card = document.querySelector('.file-preview-card');
+        if (card && percent > 0) {
+            card.setAttribute('data-tooltip', `Loading... ${percent}%`);
+            const spinner = card.querySelector('.file-loading-spinner');
+            if (spinner) {
+                spinner.innerHTML = `
+                    <div class="spinner-icon"></div>
+                    <div class="file-progress-bar">
+                        <div class="file-progress-fill" style="width: ${percent}%"></div>
                     </div>
                 `;
             }
-
-            messageEl.innerHTML = `
-                <div class="message-avatar">${avatar}</div>
-                <div class="message-content">
-                    <div class="message-role">${role}</div>
-                    ${filePreviewHTML}
-                    <div class="message-text">${this.formatMessageContent(message.content)}</div>
-                </div>
-                ${message.role === 'assistant' ? `
-                    <button class="message-reply-btn" title="Reply to this message" aria-label="Reply">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M9 14l-4 4m0 0l4 4m-4-4h11a4 4 0 004-4V6"></path>
-                        </svg>
-                    </button>
-                ` : ''}
-            `;
         }
+    }
 
-        this.chatMessages.appendChild(messageEl);
+    renderFilePreview(file, fileInfo, previewUrl) {
+        this.attachedFiles.style.display = 'block';
 
-        // Add reply button handler for assistant messages
-        if (message.role === 'assistant') {
-            const replyBtn = messageEl.querySelector('.message-reply-btn');
-            if (replyBtn) {
-                replyBtn.addEventListener('click', () => {
-                    // Remove previous selection
-                    if (this.selectedMessageElement) {
-                        this.selectedMessageElement.classList.remove('message-selected');
-                    }
-                    // Mark this message as selected
-                    messageEl.classList.add('message-selected');
-                    this.selectedMessageElement = messageEl;
-                    // Set as reply context
-                    this.setReplyContext(message.content);
-                });
-            }
-        }
+        // Create tooltip text: "filename (size)"
+        const tooltip = `${file.name} (${this.formatFileSize(file.size)})`;
 
-        // Apply syntax highlighting and setup copy buttons
-        this.highlightCode();
-        this.setupCodeCopyButtons();
+        // Get file extension for badge
+        const extension = file.name.split('.').pop().toUpperCase();
 
-        this.scrollToBottom();
-    }
+        // Store preview data for chat bubble display
+        this.currentFilePreviewData = {
+            previewUrl: previewUrl,
+            fileInfo: fileInfo,
+            extension: extension
+        };
 
-    setReplyContext(content) {
-        this.replyContext = content;
+        let previewContent = '';
+        if (previewUrl && fileInfo.category === 'image') {
+            // Image thumbnail
+            previewContent = `
+                <div class="file-preview-thumbnail">
+                    <img src="${previewUrl}" alt="${this.escapeHtml(file.name)}">
+                </div>
+            `;
+        } else {
+            // File type icon for non-images
+            previewContent = `
+                <div class="file-type-icon">${fileInfo.icon}</div>
+            `;
+        }
 
-        const replyPreview = document.getElementById('replyPreview');
-        const replyText = document.getElementById('replyText');
+        this.attachedFiles.innerHTML = `
+            <div class="file-preview-card" data-tooltip="${this.escapeHtml(tooltip)}">
+                ${previewContent}
+                <div class="file-type-badge">${extension}</div>
+                <button class="file-preview-remove" id="removeFilePreview">×</button>
+            </div>
+        `;
 
-        if (replyPreview && replyText) {
-            // Truncate long messages
-            const maxLength = 100;
-            const displayText = content.length > maxLength
-                ? content.substring(0, maxLength) + '...'
-                : content;
+        // Add remove handler
+        document.getElementById('removeFilePreview').addEventListener('click', () => {
+            this.files = [];
+            this.attachedFiles.style.display = 'none';
+        });
+    }
 
-            // Strip HTML tags for preview
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = displayText;
-            const plainText = tempDiv.textContent || tempDiv.innerText || '';
+    getFileTypeInfo(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
 
-            replyText.textContent = plainText;
-            replyPreview.classList.remove('hidden');
+        // Images
+        if (file.type.startsWith('image/') || ['png', 'jpg', 'jpeg', 'gif', 'webp'].includes(extension)) {
+            return { category: 'image', icon: '🖼️' };
+        }
 
-            // Focus on input
-            this.chatInput.focus();
+        // PDF
+        if (file.type === 'application/pdf' || extension === 'pdf') {
+            return { category: 'pdf', icon: '📄' };
         }
-    }
 
-    clearReplyContext() {
-        this.replyContext = null;
+        // HTML
+        if (file.type === 'text/html' || extension === 'html') {
+            return { category: 'html', icon: '🌐' };
+        }
 
-        const replyPreview = document.getElementById('replyPreview');
-        if (replyPreview) {
-            replyPreview.classList.add('hidden');
+        // JSON
+        if (file.type === 'application/json' || extension === 'json') {
+            return { category: 'json', icon: '📊' };
         }
 
-        // Remove selected indicator
-        if (this.selectedMessageElement) {
-            this.selectedMessageElement.classList.remove('message-selected');
-            this.selectedMessageElement = null;
+        // CSV
+        if (extension === 'csv') {
+            return { category: 'csv', icon: '📈' };
         }
 
-        // Clear focused state
-        this.focusedMessageIndex = -1;
-        const focused = document.querySelector('.message-focused');
-        if (focused) {
-            focused.classList.remove('message-focused');
+        // Markdown
+        if (extension === 'md') {
+            return { category: 'markdown', icon: '📝' };
         }
-    }
 
-    handleKeyboardNavigation(e) {
-        // Don't interfere when typing in input fields
-        if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT') {
-            // Only allow Escape to work in input fields
-            if (e.key === 'Escape' && this.replyContext) {
-                e.preventDefault();
-                this.clearReplyContext();
-            }
-            return;
+        // Plain text
+        if (file.type.startsWith('text/') || extension === 'txt') {
+            return { category: 'text', icon: '📝' };
         }
 
-        const assistantMessages = this.getAssistantMessages();
-        if (assistantMessages.length === 0) return;
+        // Default
+        return { category: 'unknown', icon: '📎' };
+    }
 
-        switch (e.key) {
-            case 'ArrowDown':
-                e.preventDefault();
-                this.focusedMessageIndex = Math.min(
-                    this.focusedMessageIndex + 1,
-                    assistantMessages.length - 1
-                );
-                this.focusMessage(assistantMessages[this.focusedMessageIndex]);
-                break;
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
 
-            case 'ArrowUp':
-                e.preventDefault();
-                if (this.focusedMessageIndex === -1) {
-                    this.focusedMessageIndex = assistantMessages.length - 1;
-                } else {
-                    this.focusedMessageIndex = Math.max(this.focusedMessageIndex - 1, 0);
-                }
-                this.focusMessage(assistantMessages[this.focusedMessageIndex]);
-                break;
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
 
-            case 'ArrowRight':
-                e.preventDefault();
-                if (this.focusedMessageIndex >= 0) {
-                    this.selectMessageAsContext(assistantMessages[this.focusedMessageIndex]);
-                }
-                break;
+        return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+    }
 
-            case 'Escape':
-                e.preventDefault();
-                this.clearReplyContext();
-                break;
+    renderAttachedFiles() {
+        // This method is now handled by renderFilePreview
+        // Kept for backwards compatibility
+        if (this.files.length === 0) {
+            this.attachedFiles.style.display = 'none';
         }
     }
 
-    getAssistantMessages() {
-        return Array.from(this.chatMessages.querySelectorAll('.message.assistant-message'))
-            .filter(msg => !msg.id.startsWith('loading_')); // Exclude loading messages
+    getFileIcon(type) {
+        // Kept for backwards compatibility
+        if (type.startsWith('image/')) return '🖼️';
+        if (type === 'application/pdf') return '📄';
+        if (type.includes('text')) return '📝';
+        return '📎';
     }
 
-    focusMessage(messageElement) {
-        // Remove previous focus
-        const prevFocused = document.querySelector('.message-focused');
-        if (prevFocused) {
-            prevFocused.classList.remove('message-focused');
+    // ==================== Voice Recording ====================
+
+    async toggleVoiceRecording() {
+        if (!this.isRecording) {
+            await this.startRecording();
+        } else {
+            this.stopRecording();
         }
+    }
 
-        // Add focus to new message
-        messageElement.classList.add('message-focused');
+    async startRecording() {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            this.mediaRecorder = new MediaRecorder(stream);
+            this.audioChunks = [];
 
-        // Scroll into view
-        messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            this.mediaRecorder.ondataavailable = (event) => {
+                this.audioChunks.push(event.data);
+            };
+
+            this.mediaRecorder.onstop = () => {
+                const audioBlob = new Blob(this.audioChunks, { type: 'audio/webm' });
+                const audioFile = new File([audioBlob], `voice-${Date.now()}.webm`, { type: 'audio/webm' });
+                this.files.push(audioFile);
+                this.renderAttachedFiles();
+
+                // Stop all tracks
+                stream.getTracks().forEach(track => track.stop());
+            };
+
+            this.mediaRecorder.start();
+            this.isRecording = true;
+            this.voiceButton.classList.add('recording');
+        } catch (error) {
+            console.error('Error accessing microphone:', error);
+            alert('Could not access microphone. Please check permissions.');
+        }
     }
 
-    selectMessageAsContext(messageElement) {
-        // Get the message content
-        const messageText = messageElement.querySelector('.message-text');
-        if (!messageText) return;
+    stopRecording() {
+        if (this.mediaRecorder && this.isRecording) {
+            this.mediaRecorder.stop();
+            this.isRecording = false;
+            this.voiceButton.classList.remove('recording');
+        }
+    }
 
-        const content = messageText.textContent;
+    // ==================== Messaging ====================
 
-        // Remove previous selection indicator
-        if (this.selectedMessageElement) {
-            this.selectedMessageElement.classList.remove('message-selected');
+    /**
+     * Send the chat input to the workflow
+     * @param {object} options - Options
+     * @param {object} options.formData - Values of a submitted response form, passed to the workflow
+     */
+    async sendMessage({ text = null, formData = null } = {}) {
+        // Follow-ups from response blocks bring their own text and leave the composer alone
+        const fromComposer = text === null;
+        const message = fromComposer ? this.chatInput.value.trim() : text;
+        const files = fromComposer ? this.files : [];
+
+        if (!message && files.length === 0) {
+            return;
         }
 
-        // Add selection indicator to new message
-        messageElement.classList.add('message-selected');
-        this.selectedMessageElement = messageElement;
+        if (this.isProcessing) {
+            return;
+        }
 
-        // Set as reply context
-        this.setReplyContext(content);
+        // Create message object
+        const userMessage = {
+            role: 'user',
+            content: message,
+            files: files.map(f => ({ name: f.name, type: f.type, size: f.size })),
+            filePreview: fromComposer ? this.currentFilePreviewData : null // Include preview data
+        };
+
+        // Earlier turns for the workflow (taken before this message is stored)
+        const history = chatManager.getHistory(n8nManager.getHistoryLimits());
+
+        // n8n memory session of the chat this message belongs to
+        const sessionId = chatManager.getSessionId();
+
+        // Display user message
+        this.displayMessage(userMessage);
+        chatManager.addMessage(userMessage);
+
+        // Transition from welcome screen to chat mode if this is the first message
+        const chatSection = document.querySelector('.chat-section');
+        if (chatSection.classList.contains('centered')) {
+            this.transitionToChatMode();
+        }
+
+        // Save to recent queries
+        if (message) {
+            this.saveRecentQuery(message);
+        }
+
+        // Prepare files for upload
+        const filesToSend = [...files];
+
+        if (fromComposer) {
+            // Clear input
+            this.chatInput.value = '';
+            this.chatInput.style.height = 'auto';
+
+            this.files = [];
+            this.currentFilePreviewData = null; // Clear preview data
+            this.renderAttachedFiles();
+        }
+
+        // Set processing state
+        this.setProcessingState(true);
+
+        // Show loading
+        const loadingId = this.addLoadingIndicator();
+
+        // Live message for streamed replies (created on the first token)
+        let liveStream = null;
+
+        try {
+            // Convert files to base64 if needed
+            const fileData = await this.prepareFilesForUpload(filesToSend);
+
+            // Prepare message with context if replying
+            let messageToSend = message;
+            if (fromComposer && this.replyContext) {
+                messageToSend = `[Replying to: "${this.replyContext}"]\n\n${message}`;
+                // Clear reply context after using it
+                this.clearReplyContext();
+            }
+
+            // Send to n8n, rendering tokens as they arrive if the workflow streams
+            const response = await n8nManager.sendMessage(messageToSend, fileData, {
+                sessionId,
+                history,
+                formData,
+                onToken: (token) => {
+                    if (!liveStream) {
+                        this.removeMessage(loadingId);
+                        liveStream = this.startLiveMessageStream('assistant');
+                    }
+                    liveStream.append(token);
+                }
+            });
+
+            // Remove loading
+            this.removeMessage(loadingId);
+
+            // Handle different response formats from n8n
+            console.log('🔍 Processing response:', response);
+            const reply = this.parseWorkflowReply(response);
+            const replyText = reply.text;
+            const hasGraph = Boolean(reply.graph || reply.cypher);
+            const hasRichContent = hasGraph || reply.blocks.length > 0;
+
+            console.log('✅ Extracted reply text:', replyText);
+
+            // Check for empty or null responses
+            const cleanedReply = replyText.trim();
+            if (!hasRichContent && (!cleanedReply ||
+                cleanedReply === 'null' ||
+                cleanedReply === 'undefined' ||
+                cleanedReply === '{}' ||
+                cleanedReply === '[]' ||
+                cleanedReply.match(/^{.*"message":\s*null.*}$/))) {
+
+                if (liveStream) {
+                    liveStream.remove();
+                }
+
+                // Display friendly error from NOX
+                const errorMessage = {
+                    role: 'assistant',
+                    status: 'error',
+                    content: "I apologize, but I received an empty response from the workflow. This might be a configuration issue. Please check your n8n workflow to ensure it's returning a proper response."
+                };
+                await this.displayMessageWithStreaming(errorMessage);
+                chatManager.addMessage(errorMessage);
+                return;
+            }
+
+            // Display response with streaming effect
+            const assistantMessage = {
+                role: 'assistant',
+                content: replyText
+            };
+
+            if (reply.blocks.length > 0) {
+                // Known before display, so a used button or form can be saved right away
+                assistantMessage.id = chatStore.generateMessageId();
+                assistantMessage.blocks = reply.blocks;
+            }
+
+            // Graph replies keep a snapshot so the chat shows the same graph later
+            // (roles without graph access don't run the reply's query at all)
+            if (hasGraph && this.can('graph.read')) {
+                Object.assign(assistantMessage, await this.loadReplyGraph(reply));
+            }
+
+            if (liveStream) {
+                // Already on screen - render the final text once more
+                liveStream.finish(replyText);
+                this.renderMessageAttachments(liveStream.element, assistantMessage);
+            } else {
+                // Use streaming display for assistant messages
+                await this.displayMessageWithStreaming(assistantMessage);
+            }
+            chatManager.addMessage(assistantMessage);
+
+        } catch (error) {
+            this.removeMessage(loadingId);
+
+            // Stopped by the user - record what we had as a cancelled reply
+            if (error.cancelled) {
+                const cancelledMessage = {
+                    role: 'assistant',
+                    content: liveStream ? liveStream.text : '',
+                    status: 'partial',
+                    cancelled: true
+                };
+                if (liveStream) {
+                    liveStream.remove();
+                }
+                this.displayMessage(cancelledMessage);
+                chatManager.addMessage(cancelledMessage);
+                return;
+            }
+
+            // Keep whatever had already streamed in before the failure
+            if (liveStream && liveStream.text.trim()) {
+                liveStream.finish();
+                chatManager.addMessage({ role: 'assistant', content: liveStream.text, status: 'partial' });
+            } else if (liveStream) {
+                liveStream.remove();
+            }
+
+            // Generate friendly error message from NOX
+            const friendlyError = this.getFriendlyErrorMessage(error);
+
+            const errorMessage = {
+                role: 'assistant',
+                status: 'error',
+                content: friendlyError
+            };
+            await this.displayMessageWithStreaming(errorMessage);
+            chatManager.addMessage(errorMessage);
+            console.error('Send message error:', error);
+        } finally {
+            this.closeApprovalCards();
+            this.setProcessingState(false);
+            this.chatInput.focus();
+        }
     }
 
-    addSystemMessage(content) {
-        this.displayMessage({ role: 'system', content });
+    /**
+     * Pull the reply out of the different response shapes n8n workflows return
+     * Besides text, a reply may carry response blocks (see ResponseBlocks) and a graph
+     * ({nodes, relationships}) or a Cypher query to draw inline
+     * @returns {{text: string, blocks: Array, graph: Object|null, cypher: string|null}}
+     */
+    parseWorkflowReply(response) {
+        // Object the reply fields sit on
+        let item = response;
+        if (Array.isArray(response)) {
+            item = response[0];
+        } else if (response && typeof response === 'object' && response.data && typeof response.data === 'object') {
+            item = response.data;
+        }
+
+        const sources = [item, item?.data].filter(source => source && typeof source === 'object');
+        const find = (key, type) => {
+            const source = sources.find(candidate => candidate[key] && typeof candidate[key] === type);
+            return source ? source[key] : null;
+        };
+        const blocks = this.responseBlocks.normalize(find('blocks', 'object'));
+        const graph = find('graph', 'object');
+        const cypher = find('cypher', 'string');
+
+        // Without a text field the raw JSON is shown - unless the reply has blocks or a graph
+        const fallback = (value) => (blocks.length > 0 || graph || cypher ? '' : JSON.stringify(value));
+
+        let text;
+        if (Array.isArray(response)) {
+            // n8n returns array format: [{ "output": "..." }]
+            text = item?.output || item?.message || item?.reply ||
+                   item?.data?.output || item?.data?.message ||
+                   fallback(item);
+        } else if (response && typeof response === 'object') {
+            // Nested { success: true, data: { output: "..." } } or direct { "output": "..." }
+            text = item.output || item.reply || item.message || fallback(item);
+        } else {
+            // Fallback: use response as-is
+            text = String(response);
+        }
+
+        return { text, blocks, graph, cypher };
     }
 
-    addLoadingIndicator() {
-        const loadingId = `loading_${Date.now()}`;
-        const messageEl = document.createElement('div');
-        messageEl.className = 'message assistant-message';
-        messageEl.id = loadingId;
+    /**
+     * Graph for a reply: the graph it carried, or the result of its Cypher query (run read-only)
+     * @returns {Promise<{graph: Object|null, cypher: string|null, graphError: string|null}>}
+     */
+    async loadReplyGraph(reply) {
+        try {
+            const graph = reply.graph
+                ? neo4jManager.toGraphSnapshot(reply.graph)
+                : await neo4jManager.getGraphSnapshot(reply.cypher);
+            return { graph, cypher: reply.cypher, graphError: null };
+        } catch (error) {
+            console.error('Inline graph error:', error);
+            return { graph: null, cypher: reply.cypher, graphError: error.message };
+        }
+    }
+
+    /**
+     * Toggle between the send and stop buttons while a request is in flight
+     */
+    setProcessingState(processing) {
+        this.isProcessing = processing;
+        this.sendButton.disabled = processing;
+        this.sendButton.classList.toggle('hidden', processing);
+        this.stopButton.classList.toggle('hidden', !processing);
+        this.stopButton.disabled = false;
+    }
+
+    /**
+     * Stop the in-flight n8n request (and its execution, if known)
+     */
+    async cancelCurrentRequest() {
+        if (!this.isProcessing) return;
+
+        this.stopButton.disabled = true;
+        const cancelled = await n8nManager.cancelMessage();
+
+        if (!cancelled) {
+            this.stopButton.disabled = false;
+        }
+    }
+
+    async prepareFilesForUpload(files) {
+        const fileData = [];
+
+        for (const file of files) {
+            if (file.type.startsWith('image/')) {
+                // Convert image to base64
+                const base64 = await this.fileToBase64(file);
+                fileData.push({
+                    name: file.name,
+                    type: file.type,
+                    data: base64
+                });
+            } else {
+                // For other files, read as text or base64
+                const content = await this.fileToBase64(file);
+                fileData.push({
+                    name: file.name,
+                    type: file.type,
+                    data: content
+                });
+            }
+        }
+
+        return fileData;
+    }
+
+    fileToBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(file);
+        });
+    }
+
+    createStreamingMessageElement(role) {
+        // Create message element
+        const messageId = `msg-${Date.now()}`;
+        const messageEl = document.createElement('div');
+        messageEl.id = messageId;
+        messageEl.className = `message ${role}-message`;
+
+        // Use the same avatar method as regular displayMessage
+        const avatar = this.getAvatarHTML(role);
+        const roleName = role === 'user' ? 'You' : 'NOX.AI';
+
+        // Create avatar and content structure
+        messageEl.innerHTML = `
+            <div class="message-avatar">${avatar}</div>
+            <div class="message-content">
+                <div class="message-role">${roleName}</div>
+                <div class="message-text" id="${messageId}-text"></div>
+            </div>
+        `;
+
+        this.chatMessages.appendChild(messageEl);
+
+        return {
+            messageEl,
+            textContainer: document.getElementById(`${messageId}-text`)
+        };
+    }
+
+    async displayMessageWithStreaming(message) {
+        // Cancel any previous stream
+        if (this.currentStreamController) {
+            this.currentStreamController.cancel();
+        }
+
+        const { messageEl, textContainer } = this.createStreamingMessageElement(message.role);
+
+        // Extract code blocks and tables before streaming
+        const { streamableText, blocks } = this.extractBlocks(message.content);
+
+        // Stream controller
+        const controller = {
+            cancelled: false,
+            cancel: () => {
+                controller.cancelled = true;
+            }
+        };
+        this.currentStreamController = controller;
+
+        // Stream the text word by word
+        await this.streamText(textContainer, streamableText, blocks, controller);
+
+        // Apply syntax highlighting
+        this.highlightCode();
+        this.setupCodeCopyButtons();
+        this.renderMessageAttachments(messageEl, message);
+
+        // Scroll to bottom
+        this.scrollToBottom();
+
+        // Clear stream controller
+        this.currentStreamController = null;
+    }
+
+    /**
+     * Show a message whose text arrives token by token from a streamed webhook reply
+     * Renders are batched to one per animation frame.
+     * @param {string} role - Message role
+     * @returns {object} - Handle with append(token), finish(finalText), remove() and text
+     */
+    startLiveMessageStream(role) {
+        // Cancel any replayed stream still running
+        if (this.currentStreamController) {
+            this.currentStreamController.cancel();
+            this.currentStreamController = null;
+        }
+
+        const { messageEl, textContainer } = this.createStreamingMessageElement(role);
+        let text = '';
+        let renderPending = false;
+
+        const render = () => {
+            renderPending = false;
+            textContainer.innerHTML = this.formatMessageContent(text);
+
+            // Auto-scroll during streaming (only if user is near bottom)
+            if (this.isNearBottom()) {
+                this.scrollToBottom();
+            }
+        };
+
+        return {
+            get text() {
+                return text;
+            },
+            append: (token) => {
+                text += token;
+                if (!renderPending) {
+                    renderPending = true;
+                    requestAnimationFrame(render);
+                }
+            },
+            finish: (finalText = text) => {
+                text = finalText;
+                render();
+                this.highlightCode();
+                this.setupCodeCopyButtons();
+                this.scrollToBottom();
+            },
+            remove: () => messageEl.remove(),
+            element: messageEl
+        };
+    }
+
+    extractBlocks(content) {
+        // Extract code blocks and tables, replace with placeholders
+        const blocks = [];
+        let streamableText = content;
+
+        // Extract code blocks
+        streamableText = streamableText.replace(/```(\w+)?\n([\s\S]*?)```/g, (match) => {
+            const placeholder = `__BLOCK_${blocks.length}__`;
+            blocks.push({ type: 'code', content: match });
+            return placeholder;
+        });
+
+        // Extract tables (markdown tables with | separators)
+        streamableText = streamableText.replace(/(\|[^\n]+\|\n)+/g, (match) => {
+            const placeholder = `__BLOCK_${blocks.length}__`;
+            blocks.push({ type: 'table', content: match });
+            return placeholder;
+        });
+
+        return { streamableText, blocks };
+    }
+
+    async streamText(container, text, blocks, controller) {
+        const words = text.split(/(\s+)/); // Split by whitespace but keep the spaces
+        let currentText = '';
+
+        for (let i = 0; i < words.length; i++) {
+            if (controller.cancelled) break;
+
+            currentText += words[i];
+
+            // Replace block placeholders with actual content
+            let displayText = currentText;
+            blocks.forEach((block, index) => {
+                displayText = displayText.replace(`__BLOCK_${index}__`, block.content);
+            });
+
+            // Format and display
+            container.innerHTML = this.formatMessageContent(displayText);
+
+            // Auto-scroll during streaming (only if user is near bottom)
+            if (this.isNearBottom()) {
+                this.scrollToBottom();
+            }
+
+            // Delay between words (configurable speed)
+            const delay = this.streamingSpeedOptions[this.currentStreamingSpeed] || 40;
+            if (delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        // Final display with all content
+        let finalText = currentText;
+        blocks.forEach((block, index) => {
+            finalText = finalText.replace(`__BLOCK_${index}__`, block.content);
+        });
+        container.innerHTML = this.formatMessageContent(finalText);
+    }
+
+    displayMessage(message) {
+        const messageEl = document.createElement('div');
+        messageEl.className = `message ${message.role}-message`;
+
+        if (message.role === 'system') {
+            messageEl.innerHTML = `
+                <div class="message-content">
+                    ${this.escapeHtml(message.content)}
+                    <button class="message-dismiss" aria-label="Dismiss message">×</button>
+                </div>
+            `;
+
+            // Add dismiss handler
+            setTimeout(() => {
+                const dismissBtn = messageEl.querySelector('.message-dismiss');
+                if (dismissBtn) {
+                    dismissBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        messageEl.classList.add('dismissing');
+                        setTimeout(() => messageEl.remove(), 300);
+                    });
+                }
+            }, 100);
+        } else {
+            const avatar = this.getAvatarHTML(message.role);
+            const role = message.role === 'user' ? 'You' : 'NOX.AI';
+
+            // Generate file preview HTML if present
+            let filePreviewHTML = '';
+            if (message.filePreview && message.role === 'user') {
+                const { previewUrl, fileInfo, extension } = message.filePreview;
+
+                let previewContent = '';
+                if (previewUrl && fileInfo.category === 'image') {
+                    previewContent = `<img src="${previewUrl}" alt="Attached file">`;
+                } else {
+                    previewContent = `<div class="message-file-preview-icon">${fileInfo.icon}</div>`;
+                }
+
+                filePreviewHTML = `
+                    <div class="message-file-preview">
+                        <div class="message-file-preview-card">
+                            ${previewContent}
+                            <div class="message-file-preview-badge">${extension}</div>
+                        </div>
+                    </div>
+                `;
+            }
+
+            messageEl.innerHTML = `
+                <div class="message-avatar">${avatar}</div>
+                <div class="message-content">
+                    <div class="message-role">${role}</div>
+                    ${filePreviewHTML}
+                    <div class="message-text">${this.formatMessageContent(message.content)}</div>
+                    ${message.cancelled ? `
+                        <div class="message-cancelled-badge">
+                            ${message.content ? 'Stopped before the reply finished' : 'Stopped before a reply was received'}
+                        </div>
+                    ` : ''}
+                </div>
+                ${message.role === 'assistant' ? `
+                    <button class="message-reply-btn" title="Reply to this message" aria-label="Reply">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M9 14l-4 4m0 0l4 4m-4-4h11a4 4 0 004-4V6"></path>
+                        </svg>
+                    </button>
+                ` : ''}
+            `;
+        }
+
+        this.chatMessages.appendChild(messageEl);
+        this.renderMessageAttachments(messageEl, message);
+
+        // Add reply button handler for assistant messages
+        if (message.role === 'assistant') {
+            const replyBtn = messageEl.querySelector('.message-reply-btn');
+            if (replyBtn) {
+                replyBtn.addEventListener('click', () => {
+                    // Remove previous selection
+                    if (this.selectedMessageElement) {
+                        this.selectedMessageElement.classList.remove('message-selected');
+                    }
+                    // Mark this message as selected
+                    messageEl.classList.add('message-selected');
+                    this.selectedMessageElement = messageEl;
+                    // Set as reply context
+                    this.setReplyContext(message.content);
+                });
+            }
+        }
+
+        // Apply syntax highlighting and setup copy buttons
+        this.highlightCode();
+        this.setupCodeCopyButtons();
+
+        this.scrollToBottom();
+    }
+
+    setReplyContext(content) {
+        this.replyContext = content;
+
+        const replyPreview = document.getElementById('replyPreview');
+        const replyText = document.getElementById('replyText');
+
+        if (replyPreview && replyText) {
+            // Truncate long messages
+            const maxLength = 100;
+            const displayText = content.length > maxLength
+                ? content.substring(0, maxLength) + '...'
+                : content;
+
+            // Strip HTML tags for preview
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = displayText;
+            const plainText = tempDiv.textContent || tempDiv.innerText || '';
+
+            replyText.textContent = plainText;
+            replyPreview.classList.remove('hidden');
+
+            // Focus on input
+            this.chatInput.focus();
+        }
+    }
+
+    clearReplyContext() {
+        this.replyContext = null;
+
+        const replyPreview = document.getElementById('replyPreview');
+        if (replyPreview) {
+            replyPreview.classList.add('hidden');
+        }
+
+        // Remove selected indicator
+        if (this.selectedMessageElement) {
+            this.selectedMessageElement.classList.remove('message-selected');
+            this.selectedMessageElement = null;
+        }
+
+        // Clear focused state
+        this.focusedMessageIndex = -1;
+        const focused = document.querySelector('.message-focused');
+        if (focused) {
+            focused.classList.remove('message-focused');
+        }
+    }
+
+    handleKeyboardNavigation(e) {
+        // Don't interfere when typing in input fields
+        if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT') {
+            // Only allow Escape to work in input fields
+            if (e.key === 'Escape' && this.replyContext) {
+                e.preventDefault();
+                this.clearReplyContext();
+            }
+            return;
+        }
+
+        const assistantMessages = this.getAssistantMessages();
+        if (assistantMessages.length === 0) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.focusedMessageIndex = Math.min(
+                    this.focusedMessageIndex + 1,
+                    assistantMessages.length - 1
+                );
+                this.focusMessage(assistantMessages[this.focusedMessageIndex]);
+                break;
+
+            case 'ArrowUp':
+                e.preventDefault();
+                if (this.focusedMessageIndex === -1) {
+                    this.focusedMessageIndex = assistantMessages.length - 1;
+                } else {
+                    this.focusedMessageIndex = Math.max(this.focusedMessageIndex - 1, 0);
+                }
+                this.focusMessage(assistantMessages[this.focusedMessageIndex]);
+                break;
+
+            case 'ArrowRight':
+                e.preventDefault();
+                if (this.focusedMessageIndex >= 0) {
+                    this.selectMessageAsContext(assistantMessages[this.focusedMessageIndex]);
+                }
+                break;
+
+            case 'Escape':
+                e.preventDefault();
+                this.clearReplyContext();
+                break;
+        }
+    }
+
+    getAssistantMessages() {
+        return Array.from(this.chatMessages.querySelectorAll('.message.assistant-message'))
+            .filter(msg => !msg.id.startsWith('loading_')); // Exclude loading messages
+    }
+
+    focusMessage(messageElement) {
+        // Remove previous focus
+        const prevFocused = document.querySelector('.message-focused');
+        if (prevFocused) {
+            prevFocused.classList.remove('message-focused');
+        }
+
+        // Add focus to new message
+        messageElement.classList.add('message-focused');
+
+        // Scroll into view
+        messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    selectMessageAsContext(messageElement) {
+        // Get the message content
+        const messageText = messageElement.querySelector('.message-text');
+        if (!messageText) return;
+
+        const content = messageText.textContent;
+
+        // Remove previous selection indicator
+        if (this.selectedMessageElement) {
+            this.selectedMessageElement.classList.remove('message-selected');
+        }
+
+        // Add selection indicator to new message
+        messageElement.classList.add('message-selected');
+        this.selectedMessageElement = messageElement;
+
+        // Set as reply context
+        this.setReplyContext(content);
+    }
+
+    addSystemMessage(content) {
+        this.displayMessage({ role: 'system', content });
+    }
+
+    addLoadingIndicator() {
+        const loadingId = `loading_${Date.now()}`;
+        const messageEl = document.createElement('div');
+        messageEl.className = 'message assistant-message';
+        messageEl.id = loadingId;
 
         // Fun loading messages (Gemini-style)
         const loadingMessages = [
@@ -2743,485 +3797,1317 @@ class NOXApp {
             'crafting response...'
         ];
 
-        let messageIndex = Math.floor(Math.random() * loadingMessages.length);
+        let messageIndex = Math.floor(Math.random() * loadingMessages.length);
+
+        messageEl.innerHTML = `
+            <div class="message-avatar">${this.getAvatarHTML('assistant')}</div>
+            <div class="message-content">
+                <div class="message-role">NOX.AI</div>
+                <div class="loading-indicator">
+                    <span class="loading-message">${loadingMessages[messageIndex]}</span>
+                    <div class="loading-dots">
+                        <div class="loading-dot"></div>
+                        <div class="loading-dot"></div>
+                        <div class="loading-dot"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.chatMessages.appendChild(messageEl);
+        this.scrollToBottom();
+
+        // Rotate loading message every 1.5 seconds
+        const messageRotationInterval = setInterval(() => {
+            const loadingMessageEl = messageEl.querySelector('.loading-message');
+            if (!loadingMessageEl) {
+                clearInterval(messageRotationInterval);
+                return;
+            }
+
+            messageIndex = (messageIndex + 1) % loadingMessages.length;
+            loadingMessageEl.textContent = loadingMessages[messageIndex];
+        }, 1500);
+
+        // Store interval ID so we can clear it when removing the loading indicator
+        messageEl.dataset.rotationInterval = messageRotationInterval;
+
+        return loadingId;
+    }
+
+    removeMessage(messageId) {
+        const messageEl = document.getElementById(messageId);
+        if (messageEl) {
+            // Clear rotation interval if it exists
+            if (messageEl.dataset.rotationInterval) {
+                clearInterval(parseInt(messageEl.dataset.rotationInterval));
+            }
+            messageEl.remove();
+        }
+    }
+
+    scrollToBottom() {
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
+
+    // ==================== Settings ====================
+
+    openSettings() {
+        if (!this.ensurePermission('settings.edit')) return;
+
+        // Load n8n config
+        const n8nConfig = n8nManager.getConfig();
+        document.getElementById('n8nUrl').value = n8nConfig.n8nUrl || '';
+        document.getElementById('webhookUrl').value = n8nConfig.webhookUrl || '';
+        document.getElementById('apiKey').value = n8nConfig.apiKey || '';
+        document.getElementById('historyTurns').value = n8nConfig.historyTurns || 0;
+        document.getElementById('historyTokenBudget').value = n8nConfig.historyTokenBudget || 0;
+        document.getElementById('relayUrl').value = n8nConfig.relayUrl || '';
+        document.getElementById('chatWorkflowId').value = n8nConfig.chatWorkflowId || '';
+
+        // Load Neo4j config
+        const neo4jConfig = neo4jManager.getConfig();
+        document.getElementById('neo4jUrl').value = neo4jConfig.neo4jUrl || '';
+        document.getElementById('neo4jUsername').value = neo4jConfig.neo4jUsername || '';
+        document.getElementById('neo4jPassword').value = neo4jConfig.neo4jPassword || '';
+        document.getElementById('neo4jViewerUsername').value = neo4jConfig.viewerUsername || '';
+        document.getElementById('neo4jViewerPassword').value = neo4jConfig.viewerPassword || '';
+        document.getElementById('neo4jDatabase').value = neo4jConfig.neo4jDatabase || 'neo4j';
+        document.getElementById('neo4jProtocol').value = neo4jManager.getProtocol(neo4jConfig);
+        this.updateNeo4jUrlHint();
+
+        this.settingsModal.classList.remove('hidden');
+    }
+
+    closeSettings() {
+        this.settingsModal.classList.add('hidden');
+    }
+
+    async saveSettings() {
+        if (!this.ensurePermission('settings.edit')) return;
+
+        // Save n8n config
+        const n8nConfig = {
+            n8nUrl: document.getElementById('n8nUrl').value.trim(),
+            webhookUrl: document.getElementById('webhookUrl').value.trim(),
+            apiKey: document.getElementById('apiKey').value.trim(),
+            historyTurns: Math.max(0, parseInt(document.getElementById('historyTurns').value, 10) || 0),
+            historyTokenBudget: Math.max(0, parseInt(document.getElementById('historyTokenBudget').value, 10) || 0),
+            relayUrl: document.getElementById('relayUrl').value.trim(),
+            chatWorkflowId: document.getElementById('chatWorkflowId').value.trim()
+        };
+        await n8nManager.saveConfig(n8nConfig);
+
+        // Save Neo4j config
+        const neo4jConfig = {
+            neo4jUrl: document.getElementById('neo4jUrl').value.trim(),
+            neo4jUsername: document.getElementById('neo4jUsername').value.trim(),
+            neo4jPassword: document.getElementById('neo4jPassword').value.trim(),
+            neo4jDatabase: document.getElementById('neo4jDatabase').value.trim() || 'neo4j',
+            neo4jProtocol: document.getElementById('neo4jProtocol').value,
+            viewerUsername: document.getElementById('neo4jViewerUsername').value.trim(),
+            viewerPassword: document.getElementById('neo4jViewerPassword').value.trim()
+        };
+        await neo4jManager.saveConfig(neo4jConfig);
+        this.cypherEditor.invalidateSchema();
+
+        this.closeSettings();
+        this.notificationManager.success(
+            'Settings Saved',
+            'All configurations are now encrypted and saved'
+        );
+    }
+
+    async testN8nConnection() {
+        const statusEl = document.getElementById('n8nTestStatus');
+        const n8nUrl = document.getElementById('n8nUrl').value.trim();
+        const apiKey = document.getElementById('apiKey').value.trim();
+
+        if (!n8nUrl) {
+            this.updateConnectionStatus('n8nTestStatus', 'Please enter n8n URL', 'error');
+            return;
+        }
+
+        this.updateConnectionStatus('n8nTestStatus', 'Testing n8n connection...', 'testing');
+
+        try {
+            // Test connection to n8n API
+            const url = `${n8nUrl}/api/v1/workflows`;
+            const headers = {};
+            if (apiKey) {
+                headers['X-N8N-API-KEY'] = apiKey;
+            }
+
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: headers,
+                mode: 'cors'
+            });
+
+            if (response.ok) {
+                this.updateConnectionStatus('n8nTestStatus', `✅ Connected successfully! (${response.status})`, 'success');
+            } else {
+                this.updateConnectionStatus('n8nTestStatus', `Connection failed: ${response.status} ${response.statusText}`, 'error');
+            }
+        } catch (error) {
+            this.updateConnectionStatus('n8nTestStatus', `Connection error: ${error.message}`, 'error');
+        }
+    }
+
+    async testNeo4jConnection() {
+        const config = {
+            neo4jUrl: document.getElementById('neo4jUrl').value.trim(),
+            neo4jUsername: document.getElementById('neo4jUsername').value.trim(),
+            neo4jPassword: document.getElementById('neo4jPassword').value.trim(),
+            neo4jDatabase: document.getElementById('neo4jDatabase').value.trim() || 'neo4j',
+            neo4jProtocol: document.getElementById('neo4jProtocol').value
+        };
+
+        if (!config.neo4jUrl || !config.neo4jUsername || !config.neo4jPassword) {
+            this.updateConnectionStatus('neo4jTestStatus', 'Please fill in all Neo4j fields', 'error');
+            return;
+        }
+
+        // Check for Mixed Content issues (unencrypted resource from HTTPS page)
+        if (window.location.protocol === 'https:' && /^(http|ws|bolt|neo4j):/i.test(config.neo4jUrl)) {
+            this.updateConnectionStatus('neo4jTestStatus',
+                '⚠️ Mixed Content Error: Cannot reach an unencrypted URL from an HTTPS page. Use https:// (or neo4j+s:// for Bolt).',
+                'error');
+            return;
+        }
+
+        const protocolLabel = neo4jManager.getProtocolLabel(config);
+        this.updateConnectionStatus('neo4jTestStatus', `Testing Neo4j connection via ${protocolLabel}...`, 'testing');
+
+        try {
+            const data = await neo4jManager.testConnection(config);
+
+            // Verify result
+            if (data.results && data.results[0] && data.results[0].data && data.results[0].data.length > 0) {
+                this.updateConnectionStatus('neo4jTestStatus', `✅ Connected successfully via ${protocolLabel}! Database: ${config.neo4jDatabase}`, 'success');
+            } else {
+                this.updateConnectionStatus('neo4jTestStatus', 'Connection established but unexpected response', 'error');
+            }
+
+        } catch (error) {
+            console.error('Neo4j connection error:', error);
+            this.updateConnectionStatus('neo4jTestStatus', `Connection error: ${error.message}`, 'error');
+        }
+    }
+
+    updateNeo4jUrlHint() {
+        const hints = {
+            'http-tx': 'Format: https://host:7473 (requests go to /db/{database}/tx/commit)',
+            'query-api': 'Format: https://host:7473 (requests go to /db/{database}/query/v2)',
+            'bolt': 'Format: neo4j+s://host:7687 or bolt://host:7687 (WebSocket)'
+        };
+        const protocol = document.getElementById('neo4jProtocol').value;
+        document.getElementById('neo4jUrlHint').textContent = hints[protocol] || hints['http-tx'];
+        document.getElementById('neo4jUrl').placeholder = protocol === 'bolt'
+            ? 'neo4j+s://neo4j-stateful.neo4j.svc.cluster.local:7687'
+            : 'https://neo4j-stateful.neo4j.svc.cluster.local:7473';
+    }
+
+    updateConnectionStatus(elementId, message, type) {
+        const statusEl = document.getElementById(elementId);
+        statusEl.textContent = message;
+        statusEl.className = 'connection-status';
+        statusEl.style.display = 'flex';
+        if (type) {
+            statusEl.classList.add(type);
+        }
+    }
+
+    // ==================== Message Attachments ====================
+
+    /**
+     * Response blocks and inline graph under a message's text
+     */
+    renderMessageAttachments(messageEl, message) {
+        this.renderResponseBlocks(messageEl, message);
+        this.renderInlineGraph(messageEl, message);
+    }
+
+    renderResponseBlocks(messageEl, message) {
+        if (!Array.isArray(message.blocks) || message.blocks.length === 0) return;
+
+        const content = messageEl.querySelector('.message-content');
+        if (!content) return;
+
+        const text = content.querySelector('.message-text');
+        const blocksEl = this.responseBlocks.render(message.blocks, {
+            // The block was marked used - save it so it stays used after a reload
+            onUsed: () => message.id && chatManager.saveMessage(message.id)
+        });
+        content.insertBefore(blocksEl, text ? text.nextSibling : null);
+        this.highlightCode();
+        this.setupCodeCopyButtons();
+    }
+
+    /**
+     * Post a button's message or a form's values as the next chat message
+     * @returns {boolean} - False if a reply is still being processed
+     */
+    sendFollowUp(text, formData = null) {
+        if (this.isProcessing) {
+            this.notificationManager.warning('Request in Progress', 'Wait for the reply before sending another message');
+            return false;
+        }
+
+        this.sendMessage({ text, formData });
+        return true;
+    }
+
+    // ==================== Inline Graphs ====================
+
+    /**
+     * Draw a message's graph under its text (no-op for messages without one)
+     * @param {HTMLElement} messageEl - Message element
+     * @param {object} message - Message with graph/graphError (and the cypher it came from)
+     */
+    renderInlineGraph(messageEl, message) {
+        if (!message.graph && !message.graphError) return;
+
+        const content = messageEl.querySelector('.message-content');
+        if (!content) return;
+
+        const canOpen = Boolean(message.graph) && this.can('graph.read');
+        const inlineGraph = new InlineGraph(content, neo4jManager, {
+            onOpen: canOpen ? () => this.openInlineGraph(message) : null
+        });
+        inlineGraph.render(message.graph, message.graphError);
+        this.inlineGraphs.push(inlineGraph);
+    }
+
+    /**
+     * Show a message's graph in the graph window - re-running its query when it has one
+     */
+    async openInlineGraph(message) {
+        this.openGraphView();
+        if (document.getElementById('graphFloatingWindow').classList.contains('hidden')) return;
+
+        if (message.cypher) {
+            this.cypherEditor.setValue(message.cypher);
+            await this.executeGraphQuery();
+            return;
+        }
+
+        try {
+            const result = neo4jManager.toGraphResult(message.graph);
+            neo4jManager.clearVisualization();
+            const rendered = neo4jManager.renderVisualization('graphCanvas', result);
+            this.showGraphResult(result);
+            this.updateGraphStatus(`✅ Graph from chat: ${rendered.nodeCount} node(s), ${rendered.edgeCount} relationship(s)`, 'success');
+            setTimeout(() => neo4jManager.fit(), 500);
+        } catch (error) {
+            console.error('Inline graph error:', error);
+            this.updateGraphStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    // ==================== Graph View ====================
+
+    openGraphView() {
+        const config = neo4jManager.getConfig();
+
+        // Check if Neo4j is configured
+        if (!config.neo4jUrl || !config.neo4jUsername || !config.neo4jPassword) {
+            if (this.can('settings.edit')) {
+                this.notificationManager.warning(
+                    'Neo4j Not Configured',
+                    'Please configure Neo4j settings first'
+                );
+                this.openSettings();
+            } else {
+                this.notificationManager.warning(
+                    'Neo4j Not Configured',
+                    'Ask an administrator to set up the Neo4j connection for your account'
+                );
+            }
+            return;
+        }
+
+        // Set default database
+        const dbSelect = document.getElementById('graphDatabase');
+        dbSelect.value = config.neo4jDatabase || 'neo4j';
+
+        // Clear previous query and status
+        const cypherQuery = document.getElementById('cypherQuery');
+        this.cypherEditor.setValue('MATCH (n) RETURN n LIMIT 25');
+        this.updateGraphStatus('Ready. Enter a Cypher query and click "Execute Query".');
+
+        // Show floating window
+        const floatingWindow = document.getElementById('graphFloatingWindow');
+        floatingWindow.classList.remove('hidden');
+
+        // Restore window position and size from the user's preferences
+        this.restoreWindowState();
+
+        // Reinforce attributes to prevent Edge autocomplete on graph query textarea
+        cypherQuery.setAttribute('autocomplete', 'off');
+        cypherQuery.setAttribute('data-form-type', 'other');
+    }
+
+    closeGraphView() {
+        const floatingWindow = document.getElementById('graphFloatingWindow');
+        floatingWindow.classList.add('hidden');
+
+        // Save window state before closing
+        this.saveWindowState();
+
+        // Stop auto-refresh if enabled
+        if (this.graphAutoRefreshEnabled) {
+            this.stopGraphPolling();
+            this.graphAutoRefreshEnabled = false;
+            const button = document.getElementById('toggleAutoRefresh');
+            if (button) {
+                button.classList.remove('active');
+            }
+        }
+
+        this.graphInspector.hide();
+
+        // Writes are only unlocked for one graph session
+        if (!neo4jManager.readOnly) {
+            neo4jManager.setReadOnly(true);
+            this.updateWriteLockButton();
+        }
+
+        // Clear the graph
+        if (neo4jManager.viz) {
+            neo4jManager.clearVisualization();
+        }
+
+        // Reinforce chat input attributes to prevent Edge autocomplete re-enabling
+        this.chatInput.setAttribute('autocomplete', 'off');
+        this.chatInput.setAttribute('data-form-type', 'other');
+    }
+
+    minimizeGraphWindow() {
+        const floatingWindow = document.getElementById('graphFloatingWindow');
+        floatingWindow.classList.toggle('minimized');
+        this.saveWindowState();
+    }
+
+    maximizeGraphWindow() {
+        const floatingWindow = document.getElementById('graphFloatingWindow');
+        floatingWindow.classList.toggle('maximized');
+        this.saveWindowState();
+    }
+
+    saveWindowState() {
+        const floatingWindow = document.getElementById('graphFloatingWindow');
+        const isMinimized = floatingWindow.classList.contains('minimized');
+        const isMaximized = floatingWindow.classList.contains('maximized');
+
+        const state = {
+            left: floatingWindow.style.left || '40px',
+            top: floatingWindow.style.top || '100px',
+            width: floatingWindow.style.width || '800px',
+            height: floatingWindow.style.height || '600px',
+            minimized: isMinimized,
+            maximized: isMaximized
+        };
+
+        this.savePreference('graphWindow', state);
+    }
+
+    restoreWindowState() {
+        const state = this.preferences.graphWindow;
+        if (!state) return;
+
+        try {
+            const floatingWindow = document.getElementById('graphFloatingWindow');
+
+            floatingWindow.style.left = state.left;
+            floatingWindow.style.top = state.top;
+            floatingWindow.style.width = state.width;
+            floatingWindow.style.height = state.height;
+
+            if (state.minimized) {
+                floatingWindow.classList.add('minimized');
+            }
+            if (state.maximized) {
+                floatingWindow.classList.add('maximized');
+            }
+        } catch (error) {
+            console.error('Failed to restore window state:', error);
+        }
+    }
+
+    setupWindowDragResize() {
+        const floatingWindow = document.getElementById('graphFloatingWindow');
+        const header = floatingWindow.querySelector('.floating-window-header');
+        const windowBody = floatingWindow.querySelector('.floating-window-body');
+        const resizeHandle = floatingWindow.querySelector('.window-resize-handle');
+
+        let isDragging = false;
+        let isResizing = false;
+        let startX, startY, startLeft, startTop, startWidth, startHeight;
+
+        const startDrag = (e) => {
+            // Don't drag if maximized
+            if (floatingWindow.classList.contains('maximized')) return;
+
+            isDragging = true;
+            startX = e.clientX;
+            startY = e.clientY;
+
+            const rect = floatingWindow.getBoundingClientRect();
+            startLeft = rect.left;
+            startTop = rect.top;
+
+            // Add visual feedback
+            floatingWindow.style.cursor = 'move';
+            document.body.style.cursor = 'move';
+            document.body.style.userSelect = 'none';
+
+            e.preventDefault();
+        };
+
+        // Dragging functionality - entire header is draggable
+        header.addEventListener('mousedown', (e) => {
+            // Don't drag if clicking on buttons or input elements
+            if (e.target.closest('.window-control-btn') ||
+                e.target.closest('button') ||
+                e.target.closest('input') ||
+                e.target.closest('select') ||
+                e.target.closest('textarea')) {
+                return;
+            }
+
+            startDrag(e);
+        });
+
+        // Also allow dragging from window body (except on interactive elements)
+        windowBody.addEventListener('mousedown', (e) => {
+            // Only drag if clicking on the background or non-interactive areas
+            if (e.target === windowBody ||
+                e.target.classList.contains('graph-canvas') ||
+                e.target.classList.contains('floating-window-body')) {
+                startDrag(e);
+            }
+        });
+
+        // Resizing functionality
+        resizeHandle.addEventListener('mousedown', (e) => {
+            // Don't resize if maximized
+            if (floatingWindow.classList.contains('maximized')) return;
+
+            isResizing = true;
+            startX = e.clientX;
+            startY = e.clientY;
+
+            const rect = floatingWindow.getBoundingClientRect();
+            startWidth = rect.width;
+            startHeight = rect.height;
+
+            e.preventDefault();
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            if (isDragging) {
+                const deltaX = e.clientX - startX;
+                const deltaY = e.clientY - startY;
+
+                let newLeft = startLeft + deltaX;
+                let newTop = startTop + deltaY;
+
+                // Keep window within viewport bounds (with some margin)
+                const margin = 50;
+                newLeft = Math.max(-floatingWindow.offsetWidth + margin, newLeft);
+                newLeft = Math.min(window.innerWidth - margin, newLeft);
+                newTop = Math.max(0, newTop);
+                newTop = Math.min(window.innerHeight - margin, newTop);
+
+                floatingWindow.style.left = `${newLeft}px`;
+                floatingWindow.style.top = `${newTop}px`;
+                floatingWindow.style.right = 'auto';
+            } else if (isResizing) {
+                const deltaX = e.clientX - startX;
+                const deltaY = e.clientY - startY;
+
+                const newWidth = Math.max(400, startWidth + deltaX);
+                const newHeight = Math.max(300, startHeight + deltaY);
+
+                floatingWindow.style.width = `${newWidth}px`;
+                floatingWindow.style.height = `${newHeight}px`;
+            }
+        });
+
+        document.addEventListener('mouseup', () => {
+            if (isDragging || isResizing) {
+                this.saveWindowState();
+
+                // Reset cursors
+                floatingWindow.style.cursor = '';
+                document.body.style.cursor = '';
+                document.body.style.userSelect = '';
+            }
+            isDragging = false;
+            isResizing = false;
+        });
+    }
+
+    async executeGraphQuery() {
+        const query = document.getElementById('cypherQuery').value.trim();
+        const database = document.getElementById('graphDatabase').value;
+
+        if (!query) {
+            this.updateGraphStatus('Please enter a Cypher query.', 'error');
+            return;
+        }
 
-        messageEl.innerHTML = `
-            <div class="message-avatar">${this.getAvatarHTML('assistant')}</div>
-            <div class="message-content">
-                <div class="message-role">NOX.AI</div>
-                <div class="loading-indicator">
-                    <span class="loading-message">${loadingMessages[messageIndex]}</span>
-                    <div class="loading-dots">
-                        <div class="loading-dot"></div>
-                        <div class="loading-dot"></div>
-                        <div class="loading-dot"></div>
-                    </div>
-                </div>
-            </div>
-        `;
+        this.cypherEditor.addToHistory(query);
 
-        this.chatMessages.appendChild(messageEl);
-        this.scrollToBottom();
+        if (document.getElementById('graphScriptMode').checked) {
+            await this.executeGraphScript(query);
+            return;
+        }
 
-        // Rotate loading message every 1.5 seconds
-        const messageRotationInterval = setInterval(() => {
-            const loadingMessageEl = messageEl.querySelector('.loading-message');
-            if (!loadingMessageEl) {
-                clearInterval(messageRotationInterval);
+        try {
+            this.updateGraphStatus(`Executing query via ${neo4jManager.getProtocolLabel()}...`, 'loading');
+
+            // Check the expected result size before drawing anything
+            const plan = await neo4jManager.planGraphLoad(query);
+            if (plan.refused) {
+                this.updateGraphStatus(`⚠️ This query would return about ${plan.estimatedRows.toLocaleString()} rows - too many to draw. Add a LIMIT (or lower it) and try again.`, 'error');
                 return;
             }
+            if (plan.paged && plan.tooLarge) {
+                this.notificationManager.warning(
+                    'Large Result',
+                    `About ${plan.estimatedRows.toLocaleString()} rows expected. Loading ${neo4jManager.PAGE_SIZE} at a time - use "Load more" for the rest.`
+                );
+            }
 
-            messageIndex = (messageIndex + 1) % loadingMessages.length;
-            loadingMessageEl.textContent = loadingMessages[messageIndex];
-        }, 1500);
-
-        // Store interval ID so we can clear it when removing the loading indicator
-        messageEl.dataset.rotationInterval = messageRotationInterval;
+            // Initialize or update visualization
+            if (!neo4jManager.network) {
+                const result = await neo4jManager.initializeVisualization('graphCanvas', query, {}, { paged: plan.paged });
+                this.showGraphResult(result.result);
 
-        return loadingId;
-    }
+                if (result.nodeCount === 0 && this.queryResultView.getRows().length > 0) {
+                    this.showRowsOnlyStatus();
+                } else if (result.nodeCount === 0) {
+                    this.updateGraphStatus(`Query executed but no nodes found. Try: MATCH (n) RETURN n LIMIT 10`, 'error');
+                } else {
+                    this.updateGraphStatus(`✅ Graph rendered: ${result.nodeCount} node(s), ${result.edgeCount} relationship(s)${this.describeGraphLoad(result)} • Double-click nodes to expand, right-click to filter`, 'success');
+                    // Fit graph to view after short delay
+                    setTimeout(() => neo4jManager.fit(), 500);
+                }
+            } else {
+                const result = await neo4jManager.updateVisualization(query, {}, { paged: plan.paged });
+                this.showGraphResult(result.result);
 
-    removeMessage(messageId) {
-        const messageEl = document.getElementById(messageId);
-        if (messageEl) {
-            // Clear rotation interval if it exists
-            if (messageEl.dataset.rotationInterval) {
-                clearInterval(parseInt(messageEl.dataset.rotationInterval));
+                if (result.nodeCount === 0 && this.queryResultView.getRows().length > 0) {
+                    this.showRowsOnlyStatus();
+                } else if (result.nodeCount === 0) {
+                    this.updateGraphStatus(`Query executed but no nodes found. Try a different query.`, 'error');
+                } else {
+                    this.updateGraphStatus(`✅ Graph updated: ${result.nodeCount} node(s), ${result.edgeCount} relationship(s)${this.describeGraphLoad(result)}`, 'success');
+                    // Fit graph to view after short delay
+                    setTimeout(() => neo4jManager.fit(), 500);
+                }
             }
-            messageEl.remove();
+        } catch (error) {
+            if (error.readOnlyBlocked) {
+                this.updateGraphStatus(`🔒 ${error.message}`, 'error');
+                return;
+            }
+            console.error('Graph query error:', error);
+            this.updateGraphStatus(`Error: ${error.message}`, 'error');
         }
     }
 
-    scrollToBottom() {
-        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
-    }
+    // ==================== Graph Result Tabs ====================
 
-    // ==================== Settings ====================
+    setupGraphResultTabs() {
+        document.querySelectorAll('.graph-result-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.switchGraphResultTab(tab.dataset.view));
+        });
 
-    openSettings() {
-        // Load n8n config
-        const n8nConfig = n8nManager.getConfig();
-        document.getElementById('n8nUrl').value = n8nConfig.n8nUrl || '';
-        document.getElementById('webhookUrl').value = n8nConfig.webhookUrl || '';
-        document.getElementById('apiKey').value = n8nConfig.apiKey || '';
+        document.getElementById('copyResultCsv').addEventListener('click', () => this.copyResultAsCsv());
 
-        // Load Neo4j config
-        const neo4jConfig = neo4jManager.getConfig();
-        document.getElementById('neo4jUrl').value = neo4jConfig.neo4jUrl || '';
-        document.getElementById('neo4jUsername').value = neo4jConfig.neo4jUsername || '';
-        document.getElementById('neo4jPassword').value = neo4jConfig.neo4jPassword || '';
-        document.getElementById('neo4jDatabase').value = neo4jConfig.neo4jDatabase || 'neo4j';
+        document.getElementById('graphPlanView').addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="explain"]')) {
+                this.explainGraphQuery();
+            }
+        });
+    }
 
-        this.settingsModal.classList.remove('hidden');
+    /**
+     * Store a new result and refresh the summary and the visible tab
+     */
+    showGraphResult(result) {
+        this.queryResultView.setResult(result);
+        this.explainedPlan = null;
+
+        document.getElementById('graphResultSummary').textContent = this.queryResultView.getSummary();
+        document.getElementById('loadMoreGraph').classList.toggle('hidden', !neo4jManager.hasMorePages());
+        this.renderGraphResultView();
     }
 
-    closeSettings() {
-        this.settingsModal.classList.add('hidden');
+    /**
+     * Rows but no nodes (e.g. RETURN n.name, count(*)) - the table is the useful view
+     */
+    showRowsOnlyStatus() {
+        const rowCount = this.queryResultView.getRows().length;
+        this.switchGraphResultTab('table');
+        this.updateGraphStatus(`✅ ${rowCount} row(s) returned - no nodes to draw, showing the table`, 'success');
     }
 
-    async saveSettings() {
-        // Save n8n config
-        const n8nConfig = {
-            n8nUrl: document.getElementById('n8nUrl').value.trim(),
-            webhookUrl: document.getElementById('webhookUrl').value.trim(),
-            apiKey: document.getElementById('apiKey').value.trim()
-        };
-        await n8nManager.saveConfig(n8nConfig);
+    switchGraphResultTab(view) {
+        this.graphResultTab = view;
 
-        // Save Neo4j config
-        const neo4jConfig = {
-            neo4jUrl: document.getElementById('neo4jUrl').value.trim(),
-            neo4jUsername: document.getElementById('neo4jUsername').value.trim(),
-            neo4jPassword: document.getElementById('neo4jPassword').value.trim(),
-            neo4jDatabase: document.getElementById('neo4jDatabase').value.trim() || 'neo4j'
-        };
-        await neo4jManager.saveConfig(neo4jConfig);
+        document.querySelectorAll('.graph-result-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === view);
+        });
+        document.getElementById('graphCanvas').classList.toggle('hidden', view !== 'graph');
+        document.getElementById('graphTableView').classList.toggle('hidden', view !== 'table');
+        document.getElementById('graphJsonView').classList.toggle('hidden', view !== 'json');
+        document.getElementById('graphPlanView').classList.toggle('hidden', view !== 'plan');
+
+        if (view === 'graph' && neo4jManager.network) {
+            // vis.js can't measure a hidden canvas - redraw once it is visible again
+            neo4jManager.network.redraw();
+        }
 
-        this.closeSettings();
-        this.notificationManager.success(
-            'Settings Saved',
-            'All configurations are now encrypted and saved'
-        );
+        this.renderGraphResultView();
     }
 
-    async testN8nConnection() {
-        const statusEl = document.getElementById('n8nTestStatus');
-        const n8nUrl = document.getElementById('n8nUrl').value.trim();
-        const apiKey = document.getElementById('apiKey').value.trim();
+    renderGraphResultView() {
+        switch (this.graphResultTab) {
+            case 'table':
+                this.queryResultView.renderTable(document.getElementById('graphTableView'));
+                break;
+            case 'json':
+                this.queryResultView.renderJson(document.getElementById('graphJsonView'));
+                break;
+            case 'plan':
+                this.queryResultView.renderPlan(
+                    document.getElementById('graphPlanView'),
+                    this.explainedPlan || this.queryResultView.getPlan()
+                );
+                break;
+        }
+    }
 
-        if (!n8nUrl) {
-            this.updateConnectionStatus('n8nTestStatus', 'Please enter n8n URL', 'error');
+    async explainGraphQuery() {
+        const query = document.getElementById('cypherQuery').value.trim();
+        if (!query) {
+            this.updateGraphStatus('Please enter a Cypher query.', 'error');
             return;
         }
 
-        this.updateConnectionStatus('n8nTestStatus', 'Testing n8n connection...', 'testing');
-
         try {
-            // Test connection to n8n API
-            const url = `${n8nUrl}/api/v1/workflows`;
-            const headers = {};
-            if (apiKey) {
-                headers['X-N8N-API-KEY'] = apiKey;
-            }
-
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: headers,
-                mode: 'cors'
-            });
-
-            if (response.ok) {
-                this.updateConnectionStatus('n8nTestStatus', `✅ Connected successfully! (${response.status})`, 'success');
-            } else {
-                this.updateConnectionStatus('n8nTestStatus', `Connection failed: ${response.status} ${response.statusText}`, 'error');
-            }
+            this.updateGraphStatus('Fetching query plan...', 'loading');
+            this.explainedPlan = await neo4jManager.explainQuery(query);
+            this.renderGraphResultView();
+            this.updateGraphStatus(this.explainedPlan ? '✅ Query plan loaded (the query was not run)' : 'Neo4j returned no plan for this query', this.explainedPlan ? 'success' : 'error');
         } catch (error) {
-            this.updateConnectionStatus('n8nTestStatus', `Connection error: ${error.message}`, 'error');
+            this.updateGraphStatus(`Error: ${error.message}`, 'error');
         }
     }
 
-    async testNeo4jConnection() {
-        const neo4jUrl = document.getElementById('neo4jUrl').value.trim();
-        const username = document.getElementById('neo4jUsername').value.trim();
-        const password = document.getElementById('neo4jPassword').value.trim();
-        const database = document.getElementById('neo4jDatabase').value.trim() || 'neo4j';
-
-        if (!neo4jUrl || !username || !password) {
-            this.updateConnectionStatus('neo4jTestStatus', 'Please fill in all Neo4j fields', 'error');
+    async copyResultAsCsv() {
+        if (!this.queryResultView.hasResult() || this.queryResultView.getColumns().length === 0) {
+            this.updateGraphStatus('No rows to copy. Execute a query first.', 'error');
             return;
         }
 
-        // Check for Mixed Content issues (HTTP resource from HTTPS page)
-        if (window.location.protocol === 'https:' && neo4jUrl.startsWith('http:')) {
-            this.updateConnectionStatus('neo4jTestStatus',
-                '⚠️ Mixed Content Error: Cannot load HTTP resource from HTTPS page. Change URL to use HTTPS.',
-                'error');
-            return;
+        try {
+            await navigator.clipboard.writeText(this.queryResultView.toCSV());
+            this.updateGraphStatus(`📋 Copied ${this.queryResultView.getRows().length} row(s) as CSV`, 'success');
+        } catch (error) {
+            this.updateGraphStatus(`Copy failed: ${error.message}`, 'error');
         }
+    }
 
-        this.updateConnectionStatus('neo4jTestStatus', 'Testing Neo4j connection via HTTP API...', 'testing');
+    /**
+     * Run a ;-separated script in one transaction and show the last statement's graph
+     */
+    async executeGraphScript(script) {
+        const count = neo4jManager.splitStatements(script).length;
 
         try {
-            // Test connection via HTTP API
-            const authHeader = 'Basic ' + btoa(`${username}:${password}`);
-
-            const response = await fetch(neo4jUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': authHeader,
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify({
-                    statements: [{
-                        statement: 'RETURN 1 as test',
-                        resultDataContents: ['row']
-                    }]
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
-
-            // Check for Neo4j errors
-            if (data.errors && data.errors.length > 0) {
-                const error = data.errors[0];
-                throw new Error(`${error.message} (${error.code})`);
-            }
+            this.updateGraphStatus(`Running ${count} statement(s) in one transaction...`, 'loading');
 
-            // Verify result
-            if (data.results && data.results[0] && data.results[0].data && data.results[0].data.length > 0) {
-                this.updateConnectionStatus('neo4jTestStatus', `✅ Connected successfully! Database: ${database}`, 'success');
-            } else {
-                this.updateConnectionStatus('neo4jTestStatus', 'Connection established but unexpected response', 'error');
-            }
+            const results = await neo4jManager.runScript(script);
+            const result = neo4jManager.renderVisualization('graphCanvas', results[results.length - 1]);
+            this.showGraphResult(result.result);
 
+            this.updateGraphStatus(`✅ Script committed: ${results.length} statement(s) • Last statement: ${result.nodeCount} node(s), ${result.edgeCount} relationship(s)`, 'success');
+            setTimeout(() => neo4jManager.fit(), 500);
         } catch (error) {
-            console.error('Neo4j connection error:', error);
-            this.updateConnectionStatus('neo4jTestStatus', `Connection error: ${error.message}`, 'error');
+            if (error.readOnlyBlocked) {
+                this.updateGraphStatus(`🔒 ${error.message}`, 'error');
+                return;
+            }
+            console.error('Graph script error:', error);
+            this.updateGraphStatus(`↩️ ${error.message}`, 'error');
         }
     }
 
-    updateConnectionStatus(elementId, message, type) {
-        const statusEl = document.getElementById(elementId);
-        statusEl.textContent = message;
-        statusEl.className = 'connection-status';
-        statusEl.style.display = 'flex';
-        if (type) {
-            statusEl.classList.add(type);
+    // ==================== Large Graphs ====================
+
+    /**
+     * Status suffix for paged and clustered results
+     */
+    describeGraphLoad(result) {
+        let text = '';
+        if (result.hasMore) {
+            text += ` • First ${neo4jManager.paging.offset} rows - "Load more" for the rest`;
         }
+        if (result.clusterCount > 0) {
+            text += ` • ${result.clusterCount} cluster(s), double-click to open`;
+        }
+        return text;
     }
 
-    // ==================== Graph View ====================
+    async loadMoreGraph() {
+        const button = document.getElementById('loadMoreGraph');
+        button.disabled = true;
+        this.updateGraphStatus('Loading the next page...', 'loading');
 
-    openGraphView() {
-        const config = neo4jManager.getConfig();
+        try {
+            const result = await neo4jManager.loadMore();
+            if (!result) return;
 
-        // Check if Neo4j is configured
-        if (!config.neo4jUrl || !config.neo4jUsername || !config.neo4jPassword) {
-            this.notificationManager.warning(
-                'Neo4j Not Configured',
-                'Please configure Neo4j settings first'
+            this.queryResultView.appendResult(result.result);
+            document.getElementById('graphResultSummary').textContent = this.queryResultView.getSummary();
+            button.classList.toggle('hidden', !result.hasMore);
+            this.renderGraphResultView();
+
+            this.updateGraphStatus(
+                `✅ Added ${result.nodeCount} node(s), ${result.edgeCount} relationship(s) • ${result.loadedRows} rows loaded, ${result.totalNodes} node(s) shown${result.hasMore ? '' : ' • All results loaded'}`,
+                'success'
             );
-            this.openSettings();
-            return;
+        } catch (error) {
+            this.updateGraphStatus(`Error: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
         }
+    }
 
-        // Set default database
-        const dbSelect = document.getElementById('graphDatabase');
-        dbSelect.value = config.neo4jDatabase || 'neo4j';
+    setGraphClusterMode(mode) {
+        const result = neo4jManager.setClusterMode(mode);
+        if (!neo4jManager.network) return;
 
-        // Clear previous query and status
-        const cypherQuery = document.getElementById('cypherQuery');
-        cypherQuery.value = 'MATCH (n) RETURN n LIMIT 25';
-        this.updateGraphStatus('Ready. Enter a Cypher query and click "Execute Query".');
+        if (result && result.clusterCount > 0) {
+            this.updateGraphStatus(`✅ ${result.clusteredNodes} node(s) grouped into ${result.clusterCount} cluster(s) • Double-click a cluster to open it`, 'success');
+        } else {
+            this.updateGraphStatus(mode === 'auto' || mode === 'none' ? 'Clusters opened.' : 'No groups large enough to cluster.', 'success');
+        }
+    }
 
-        // Show floating window
-        const floatingWindow = document.getElementById('graphFloatingWindow');
-        floatingWindow.classList.remove('hidden');
+    // ==================== Graph Node Expansion ====================
 
-        // Restore window position and size from localStorage
-        this.restoreWindowState();
+    setupNodeContextMenu() {
+        const menu = document.getElementById('nodeContextMenu');
 
-        // Reinforce attributes to prevent Edge autocomplete on graph query textarea
-        cypherQuery.setAttribute('autocomplete', 'off');
-        cypherQuery.setAttribute('data-form-type', 'other');
-    }
+        neo4jManager.onNodeContextMenu((nodeId, position) => this.openNodeContextMenu(nodeId, position));
 
-    closeGraphView() {
-        const floatingWindow = document.getElementById('graphFloatingWindow');
-        floatingWindow.classList.add('hidden');
+        menu.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            if (!action) return;
 
-        // Save window state before closing
-        this.saveWindowState();
+            if (action.dataset.action === 'expand') {
+                this.expandFromContextMenu();
+            } else if (action.dataset.action === 'close') {
+                this.closeNodeContextMenu();
+            }
+        });
+        menu.addEventListener('contextmenu', (e) => e.preventDefault());
 
-        // Stop auto-refresh if enabled
-        if (this.graphAutoRefreshEnabled) {
-            this.stopGraphPolling();
-            this.graphAutoRefreshEnabled = false;
-            const button = document.getElementById('toggleAutoRefresh');
-            if (button) {
-                button.classList.remove('active');
+        document.addEventListener('mousedown', (e) => {
+            if (!menu.classList.contains('hidden') && !menu.contains(e.target)) {
+                this.closeNodeContextMenu();
             }
-        }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !menu.classList.contains('hidden')) {
+                this.closeNodeContextMenu();
+            }
+        });
+    }
 
-        // Clear the graph
-        if (neo4jManager.viz) {
-            neo4jManager.clearVisualization();
-        }
+    /**
+     * Show expansion filters for a node, filled from a count of its neighbours
+     */
+    async openNodeContextMenu(nodeId, position) {
+        const menu = document.getElementById('nodeContextMenu');
+        const node = neo4jManager.nodes.get(nodeId);
+        this.contextMenuNodeId = nodeId;
+
+        menu.innerHTML = `
+            <div class="node-menu-header">${this.escapeHtml(node ? node.label : String(nodeId))}</div>
+            <div class="node-menu-loading">Counting neighbours...</div>
+        `;
+        menu.classList.remove('hidden');
+        this.positionNodeContextMenu(position);
 
-        // Reinforce chat input attributes to prevent Edge autocomplete re-enabling
-        this.chatInput.setAttribute('autocomplete', 'off');
-        this.chatInput.setAttribute('data-form-type', 'other');
-    }
+        try {
+            const summary = await neo4jManager.getNeighborSummary(nodeId);
+            if (this.contextMenuNodeId !== nodeId) return;
 
-    minimizeGraphWindow() {
-        const floatingWindow = document.getElementById('graphFloatingWindow');
-        floatingWindow.classList.toggle('minimized');
-        this.saveWindowState();
+            this.renderNodeContextMenu(node, summary);
+            this.positionNodeContextMenu(position);
+        } catch (error) {
+            menu.querySelector('.node-menu-loading').textContent = `Error: ${error.message}`;
+        }
     }
 
-    maximizeGraphWindow() {
-        const floatingWindow = document.getElementById('graphFloatingWindow');
-        floatingWindow.classList.toggle('maximized');
-        this.saveWindowState();
+    renderNodeContextMenu(node, summary) {
+        const menu = document.getElementById('nodeContextMenu');
+        const types = Object.entries(summary.types).sort((a, b) => (b[1].out + b[1].in) - (a[1].out + a[1].in));
+        const labels = Object.entries(summary.labels).sort((a, b) => b[1] - a[1]);
+
+        const typeOptions = types.map(([type, counts]) => `
+            <label class="node-menu-option">
+                <input type="checkbox" name="relType" value="${this.escapeAttribute(type)}" />
+                <span>${this.escapeHtml(type)}</span>
+                <span class="node-menu-count">→${counts.out} ←${counts.in}</span>
+            </label>
+        `).join('');
+
+        const labelOptions = labels.map(([label, count]) => `
+            <label class="node-menu-option">
+                <input type="checkbox" name="neighborLabel" value="${this.escapeAttribute(label)}" />
+                <span>${this.escapeHtml(label)}</span>
+                <span class="node-menu-count">${count}</span>
+            </label>
+        `).join('');
+
+        menu.innerHTML = `
+            <div class="node-menu-header">
+                ${this.escapeHtml(node ? node.label : '')}
+                <span class="node-menu-count">${summary.total} relationship(s)</span>
+            </div>
+            ${summary.total === 0 ? '<div class="node-menu-loading">This node has no relationships.</div>' : `
+            <div class="node-menu-section">
+                <div class="node-menu-title">Relationship types <small>(none checked = all)</small></div>
+                ${typeOptions}
+            </div>
+            <div class="node-menu-section">
+                <div class="node-menu-title">Direction</div>
+                <div class="node-menu-directions">
+                    <label><input type="radio" name="direction" value="both" checked /> Both</label>
+                    <label><input type="radio" name="direction" value="out" /> Outgoing</label>
+                    <label><input type="radio" name="direction" value="in" /> Incoming</label>
+                </div>
+            </div>
+            <div class="node-menu-section">
+                <div class="node-menu-title">Neighbour labels <small>(none checked = all)</small></div>
+                ${labelOptions}
+            </div>
+            <div class="node-menu-section node-menu-limit">
+                <label for="nodeMenuLimit">Limit</label>
+                <input type="number" id="nodeMenuLimit" min="1" max="1000" value="${neo4jManager.EXPAND_LIMIT}" />
+            </div>`}
+            <div class="node-menu-actions">
+                <button class="btn-secondary" data-action="close">Close</button>
+                ${summary.total === 0 ? '' : '<button class="btn-primary" data-action="expand">Expand</button>'}
+            </div>
+        `;
     }
 
-    saveWindowState() {
-        const floatingWindow = document.getElementById('graphFloatingWindow');
-        const isMinimized = floatingWindow.classList.contains('minimized');
-        const isMaximized = floatingWindow.classList.contains('maximized');
+    /**
+     * Keep the menu inside the viewport
+     */
+    positionNodeContextMenu(position) {
+        const menu = document.getElementById('nodeContextMenu');
+        const x = Math.min(position.x, window.innerWidth - menu.offsetWidth - 8);
+        const y = Math.min(position.y, window.innerHeight - menu.offsetHeight - 8);
 
-        const state = {
-            left: floatingWindow.style.left || '40px',
-            top: floatingWindow.style.top || '100px',
-            width: floatingWindow.style.width || '800px',
-            height: floatingWindow.style.height || '600px',
-            minimized: isMinimized,
-            maximized: isMaximized
-        };
+        menu.style.left = `${Math.max(8, x)}px`;
+        menu.style.top = `${Math.max(8, y)}px`;
+    }
 
-        localStorage.setItem('graph-window-state', JSON.stringify(state));
+    closeNodeContextMenu() {
+        document.getElementById('nodeContextMenu').classList.add('hidden');
+        this.contextMenuNodeId = null;
     }
 
-    restoreWindowState() {
-        const savedState = localStorage.getItem('graph-window-state');
-        if (!savedState) return;
+    async expandFromContextMenu() {
+        const menu = document.getElementById('nodeContextMenu');
+        const nodeId = this.contextMenuNodeId;
+        const checked = (name) => Array.from(menu.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
 
-        try {
-            const state = JSON.parse(savedState);
-            const floatingWindow = document.getElementById('graphFloatingWindow');
+        const filters = {
+            relationshipTypes: checked('relType'),
+            direction: (menu.querySelector('input[name="direction"]:checked') || {}).value || 'both',
+            neighborLabels: checked('neighborLabel'),
+            limit: parseInt(document.getElementById('nodeMenuLimit').value, 10) || neo4jManager.EXPAND_LIMIT
+        };
 
-            floatingWindow.style.left = state.left;
-            floatingWindow.style.top = state.top;
-            floatingWindow.style.width = state.width;
-            floatingWindow.style.height = state.height;
+        this.closeNodeContextMenu();
+        this.updateGraphStatus('Expanding node...', 'loading');
 
-            if (state.minimized) {
-                floatingWindow.classList.add('minimized');
-            }
-            if (state.maximized) {
-                floatingWindow.classList.add('maximized');
-            }
+        try {
+            const result = await neo4jManager.expandNode(nodeId, filters);
+            const more = result.hasMore ? ' • Limit reached - expand again for more' : '';
+            this.updateGraphStatus(`✅ Added ${result.nodeCount} node(s), ${result.edgeCount} relationship(s) • ${result.totalNodes} node(s) shown${more}`, 'success');
         } catch (error) {
-            console.error('Failed to restore window state:', error);
+            this.updateGraphStatus(`Error: ${error.message}`, 'error');
         }
     }
 
-    setupWindowDragResize() {
-        const floatingWindow = document.getElementById('graphFloatingWindow');
-        const header = floatingWindow.querySelector('.floating-window-header');
-        const windowBody = floatingWindow.querySelector('.floating-window-body');
-        const resizeHandle = floatingWindow.querySelector('.window-resize-handle');
+    // ==================== Graph Path Finding ====================
 
-        let isDragging = false;
-        let isResizing = false;
-        let startX, startY, startLeft, startTop, startWidth, startHeight;
+    setupPathFinder() {
+        const panel = document.getElementById('graphPathPanel');
 
-        const startDrag = (e) => {
-            // Don't drag if maximized
-            if (floatingWindow.classList.contains('maximized')) return;
+        document.getElementById('togglePathPanel').addEventListener('click', () => {
+            panel.classList.toggle('hidden');
+            document.getElementById('togglePathPanel').classList.toggle('active', !panel.classList.contains('hidden'));
+            this.updatePathEndpoints();
+        });
+        document.getElementById('findPaths').addEventListener('click', () => this.findGraphPaths());
+        document.getElementById('clearPathHighlight').addEventListener('click', () => {
+            neo4jManager.clearPathHighlight();
+            this.updateGraphStatus('Path highlight cleared.', 'success');
+        });
+        document.getElementById('pathRelTypes').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.findGraphPaths();
+            }
+        });
 
-            isDragging = true;
-            startX = e.clientX;
-            startY = e.clientY;
+        // Endpoints follow the canvas selection
+        document.getElementById('graphCanvas').addEventListener('click', () => {
+            if (!panel.classList.contains('hidden')) {
+                this.updatePathEndpoints();
+            }
+        });
+    }
 
-            const rect = floatingWindow.getBoundingClientRect();
-            startLeft = rect.left;
-            startTop = rect.top;
+    /**
+     * Show which selected nodes the search will run between
+     */
+    updatePathEndpoints() {
+        const element = document.getElementById('pathEndpoints');
+        const [start, end] = neo4jManager.getSelectedNodeIds();
+        const name = (id) => {
+            const node = neo4jManager.nodes && neo4jManager.nodes.get(id);
+            return this.escapeHtml(node ? node.label : String(id));
+        };
 
-            // Add visual feedback
-            floatingWindow.style.cursor = 'move';
-            document.body.style.cursor = 'move';
-            document.body.style.userSelect = 'none';
+        if (start === undefined) {
+            element.innerHTML = 'Ctrl+click two nodes: the first is the start, the second the end.';
+        } else if (end === undefined) {
+            element.innerHTML = `Start: <strong>${name(start)}</strong> • Ctrl+click the end node`;
+        } else {
+            element.innerHTML = `<strong>${name(start)}</strong> → <strong>${name(end)}</strong>`;
+        }
+    }
 
-            e.preventDefault();
+    async findGraphPaths() {
+        const [start, end] = neo4jManager.getSelectedNodeIds();
+        if (start === undefined || end === undefined) {
+            this.updateGraphStatus('Ctrl+click two nodes to find paths between them.', 'error');
+            return;
+        }
+
+        const mode = document.getElementById('pathMode').value;
+        const options = {
+            mode,
+            direction: document.getElementById('pathDirection').value,
+            maxHops: parseInt(document.getElementById('pathMaxHops').value, 10) || 5,
+            relationshipTypes: document.getElementById('pathRelTypes').value
+                .split(',')
+                .map(type => type.trim())
+                .filter(Boolean)
         };
 
-        // Dragging functionality - entire header is draggable
-        header.addEventListener('mousedown', (e) => {
-            // Don't drag if clicking on buttons or input elements
-            if (e.target.closest('.window-control-btn') ||
-                e.target.closest('button') ||
-                e.target.closest('input') ||
-                e.target.closest('select') ||
-                e.target.closest('textarea')) {
+        this.updateGraphStatus('Searching for paths...', 'loading');
+
+        try {
+            const result = await neo4jManager.findPaths(start, end, options);
+            if (result.pathCount === 0) {
+                this.updateGraphStatus(`No path within ${result.maxHops} hop(s). Try more hops or fewer relationship types.`, 'error');
                 return;
             }
 
-            startDrag(e);
+            const found = mode === 'shortest'
+                ? `Shortest path: ${result.hops} hop(s)`
+                : `${result.pathCount} path(s), shortest ${result.hops} hop(s)${result.pathCount >= neo4jManager.PATH_LIMIT ? ' • Limit reached' : ''}`;
+            this.updateGraphStatus(`✅ ${found} • Added ${result.nodeCount} node(s), ${result.edgeCount} relationship(s)`, 'success');
+        } catch (error) {
+            this.updateGraphStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    // ==================== Graph Export ====================
+
+    setupGraphExport() {
+        const exportButton = document.getElementById('exportGraphButton');
+        const exportMenu = document.getElementById('graphExportMenu');
+
+        exportButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const isVisible = exportMenu.style.display === 'block';
+            exportMenu.style.display = isVisible ? 'none' : 'block';
         });
 
-        // Also allow dragging from window body (except on interactive elements)
-        windowBody.addEventListener('mousedown', (e) => {
-            // Only drag if clicking on the background or non-interactive areas
-            if (e.target === windowBody ||
-                e.target.classList.contains('graph-canvas') ||
-                e.target.classList.contains('floating-window-body')) {
-                startDrag(e);
+        exportMenu.querySelectorAll('.export-option').forEach(option => {
+            option.addEventListener('click', () => {
+                this.exportGraph(option.dataset.format);
+                exportMenu.style.display = 'none';
+            });
+        });
+
+        // Close menu when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!exportButton.contains(e.target) && !exportMenu.contains(e.target)) {
+                exportMenu.style.display = 'none';
             }
         });
+    }
 
-        // Resizing functionality
-        resizeHandle.addEventListener('mousedown', (e) => {
-            // Don't resize if maximized
-            if (floatingWindow.classList.contains('maximized')) return;
+    exportGraph(format) {
+        try {
+            this.graphExporter.export(format);
+            this.updateGraphStatus(`✅ Graph exported as ${format.toUpperCase()}`, 'success');
+        } catch (error) {
+            console.error('Graph export error:', error);
+            this.updateGraphStatus(`Export failed: ${error.message}`, 'error');
+        }
+    }
 
-            isResizing = true;
-            startX = e.clientX;
-            startY = e.clientY;
+    // ==================== Graph Styles ====================
 
-            const rect = floatingWindow.getBoundingClientRect();
-            startWidth = rect.width;
-            startHeight = rect.height;
+    setupGraphStyles() {
+        const modal = document.getElementById('graphStylesModal');
+        const closeModal = () => modal.classList.add('hidden');
 
-            e.preventDefault();
+        document.getElementById('openGraphStyles').addEventListener('click', () => this.openGraphStyles());
+        document.getElementById('closeGraphStylesModal').addEventListener('click', closeModal);
+        document.getElementById('cancelGraphStyles').addEventListener('click', closeModal);
+        document.getElementById('saveGraphStyles').addEventListener('click', () => this.saveGraphStyles());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModal();
+            }
+            const reset = e.target.closest('[data-action="reset-style"]');
+            if (reset) {
+                this.resetStyleRule(reset.closest('.style-rule'));
+            }
         });
 
-        document.addEventListener('mousemove', (e) => {
-            if (isDragging) {
-                const deltaX = e.clientX - startX;
-                const deltaY = e.clientY - startY;
+        const addOnEnter = (inputId, kind) => {
+            document.getElementById(inputId).addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter') return;
+                e.preventDefault();
 
-                let newLeft = startLeft + deltaX;
-                let newTop = startTop + deltaY;
+                const name = e.target.value.trim();
+                const list = document.getElementById(kind === 'labels' ? 'labelStyleRules' : 'relationshipStyleRules');
+                const exists = Array.from(list.querySelectorAll('.style-rule')).some(row => row.dataset.name === name);
+                if (name && !exists) {
+                    list.insertAdjacentHTML('beforeend', kind === 'labels'
+                        ? this.renderLabelStyleRule(name, {}, [])
+                        : this.renderRelationshipStyleRule(name, {}, []));
+                }
+                e.target.value = '';
+            });
+        };
+        addOnEnter('newLabelStyle', 'labels');
+        addOnEnter('newRelationshipStyle', 'relationships');
+    }
 
-                // Keep window within viewport bounds (with some margin)
-                const margin = 50;
-                newLeft = Math.max(-floatingWindow.offsetWidth + margin, newLeft);
-                newLeft = Math.min(window.innerWidth - margin, newLeft);
-                newTop = Math.max(0, newTop);
-                newTop = Math.min(window.innerHeight - margin, newTop);
+    /**
+     * List every label and type on the canvas or with a saved rule
+     */
+    openGraphStyles() {
+        const rules = neo4jManager.styles.getRules();
+        const labelProperties = new Map();
+        const typeProperties = new Map();
+        const addKeys = (map, name, properties) => {
+            if (!map.has(name)) map.set(name, new Set());
+            Object.keys(properties || {}).forEach(key => map.get(name).add(key));
+        };
 
-                floatingWindow.style.left = `${newLeft}px`;
-                floatingWindow.style.top = `${newTop}px`;
-                floatingWindow.style.right = 'auto';
-            } else if (isResizing) {
-                const deltaX = e.clientX - startX;
-                const deltaY = e.clientY - startY;
+        if (neo4jManager.nodes) {
+            neo4jManager.nodes.get().forEach(node => {
+                (node.metadata.labels || []).forEach(label => addKeys(labelProperties, label, node.metadata.properties));
+            });
+            neo4jManager.edges.get().forEach(edge => addKeys(typeProperties, edge.metadata.type, edge.metadata.properties));
+        }
+        Object.keys(rules.labels).forEach(label => addKeys(labelProperties, label, {}));
+        Object.keys(rules.relationships).forEach(type => addKeys(typeProperties, type, {}));
+
+        const sorted = (map) => Array.from(map.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+
+        document.getElementById('graphStylesDatabase').textContent = neo4jManager.styles.getDatabase();
+        document.getElementById('labelStyleRules').innerHTML = sorted(labelProperties)
+            .map(([label, keys]) => this.renderLabelStyleRule(label, rules.labels[label] || {}, [...keys]))
+            .join('') || '<div class="style-rule-empty">No labels on the canvas yet.</div>';
+        document.getElementById('relationshipStyleRules').innerHTML = sorted(typeProperties)
+            .map(([type, keys]) => this.renderRelationshipStyleRule(type, rules.relationships[type] || {}, [...keys]))
+            .join('') || '<div class="style-rule-empty">No relationships on the canvas yet.</div>';
+
+        document.getElementById('graphStylesModal').classList.remove('hidden');
+    }
+
+    renderLabelStyleRule(label, rule, propertyKeys) {
+        const name = this.escapeHtml(label);
+        const nameAttribute = this.escapeAttribute(label);
+        const defaultColor = neo4jManager.getNodeColor([label]).border;
+        const shapes = neo4jManager.styles.SHAPES.map(shape =>
+            `<option value="${shape}" ${rule.shape === shape ? 'selected' : ''}>${shape}</option>`
+        ).join('');
+        const keyOptions = propertyKeys.sort().map(key => `<option value="${this.escapeAttribute(key)}"></option>`).join('');
+        const listId = `styleKeys-${this.hashStyleName(label)}`;
+
+        return `
+            <div class="style-rule" data-kind="labels" data-name="${nameAttribute}" data-default-color="${defaultColor}">
+                <span class="style-rule-name" title="${nameAttribute}">${name}</span>
+                <input type="color" name="color" value="${this.escapeAttribute(rule.color || defaultColor)}" />
+                <select name="shape" class="graph-select">
+                    <option value="">default</option>
+                    ${shapes}
+                </select>
+                <input type="text" name="icon" class="graph-select" value="${this.escapeAttribute(rule.icon || '')}" placeholder="🙂" maxlength="4" title="Emoji shown inside the node (replaces the shape)" />
+                <input type="text" name="caption" class="graph-select" value="${this.escapeAttribute(rule.caption || '')}" placeholder="name" list="${listId}" />
+                <input type="text" name="sizeProperty" class="graph-select" value="${this.escapeAttribute(rule.sizeProperty || '')}" placeholder="none" list="${listId}" title="Numeric property that sets the node size" />
+                <button class="btn-secondary style-rule-reset" data-action="reset-style" title="Back to defaults">↺</button>
+                <datalist id="${listId}">${keyOptions}</datalist>
+            </div>
+        `;
+    }
 
-                const newWidth = Math.max(400, startWidth + deltaX);
-                const newHeight = Math.max(300, startHeight + deltaY);
+    renderRelationshipStyleRule(type, rule, propertyKeys) {
+        const name = this.escapeHtml(type);
+        const nameAttribute = this.escapeAttribute(type);
+        const keyOptions = propertyKeys.sort().map(key => `<option value="${this.escapeAttribute(key)}"></option>`).join('');
+        const listId = `styleRelKeys-${this.hashStyleName(type)}`;
+
+        return `
+            <div class="style-rule rel" data-kind="relationships" data-name="${nameAttribute}" data-default-color="#667eea">
+                <span class="style-rule-name" title="${nameAttribute}">${name}</span>
+                <input type="color" name="color" value="${this.escapeAttribute(rule.color || '#667eea')}" />
+                <input type="number" name="width" class="graph-select" value="${this.escapeAttribute(rule.width || '')}" placeholder="2" min="1" max="12" />
+                <input type="text" name="caption" class="graph-select" value="${this.escapeAttribute(rule.caption || '')}" placeholder="type" list="${listId}" />
+                <button class="btn-secondary style-rule-reset" data-action="reset-style" title="Back to defaults">↺</button>
+                <datalist id="${listId}">${keyOptions}</datalist>
+            </div>
+        `;
+    }
 
-                floatingWindow.style.width = `${newWidth}px`;
-                floatingWindow.style.height = `${newHeight}px`;
+    /**
+     * Labels can contain any character - give their datalists a safe ID
+     */
+    hashStyleName(name) {
+        return neo4jManager.hashString(name).toString(36);
+    }
+
+    resetStyleRule(row) {
+        row.querySelectorAll('input, select').forEach(field => {
+            field.value = field.name === 'color' ? row.dataset.defaultColor : '';
+        });
+    }
+
+    async saveGraphStyles() {
+        const rules = { labels: {}, relationships: {} };
+
+        document.querySelectorAll('#graphStylesModal .style-rule[data-name]').forEach(row => {
+            const rule = {};
+            row.querySelectorAll('input[name], select[name]').forEach(field => {
+                const value = field.value.trim();
+                if (field.name === 'color') {
+                    // Only a changed colour becomes a rule
+                    if (value.toLowerCase() !== row.dataset.defaultColor.toLowerCase()) rule.color = value;
+                } else if (field.name === 'width') {
+                    if (value) rule.width = Math.min(12, Math.max(1, parseInt(value, 10) || 1));
+                } else {
+                    rule[field.name] = value;
+                }
+            });
+            rules[row.dataset.kind][row.dataset.name] = rule;
+        });
+
+        try {
+            await neo4jManager.styles.setRules(rules);
+            neo4jManager.restyleGraph();
+            document.getElementById('graphStylesModal').classList.add('hidden');
+            this.updateGraphStatus('🎨 Graph styles saved', 'success');
+        } catch (error) {
+            this.notificationManager.error('Save Failed', error.message);
+        }
+    }
+
+    // ==================== Graph Inspector ====================
+
+    setupGraphInspector() {
+        this.graphInspector = new GraphInspector(document.getElementById('graphInspector'), neo4jManager, {
+            onStatus: (message, type) => this.updateGraphStatus(message, type),
+            canEdit: () => this.can('graph.write')
+        });
+
+        neo4jManager.onSelectionChange((selection) => {
+            if (selection) {
+                this.graphInspector.show(selection);
+            } else {
+                this.graphInspector.hide();
             }
         });
+    }
 
-        document.addEventListener('mouseup', () => {
-            if (isDragging || isResizing) {
-                this.saveWindowState();
+    // ==================== Graph Write Lock ====================
 
-                // Reset cursors
-                floatingWindow.style.cursor = '';
-                document.body.style.cursor = '';
-                document.body.style.userSelect = '';
+    setupWriteLock() {
+        const modal = document.getElementById('unlockWritesModal');
+        const closeModal = () => modal.classList.add('hidden');
+
+        document.getElementById('toggleWriteLock').addEventListener('click', () => this.toggleWriteLock());
+        document.getElementById('closeUnlockWritesModal').addEventListener('click', closeModal);
+        document.getElementById('cancelUnlockWrites').addEventListener('click', closeModal);
+        document.getElementById('confirmUnlockWrites').addEventListener('click', () => {
+            closeModal();
+            this.setGraphWritesUnlocked(true);
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModal();
             }
-            isDragging = false;
-            isResizing = false;
         });
     }
 
-    async executeGraphQuery() {
-        const query = document.getElementById('cypherQuery').value.trim();
-        const database = document.getElementById('graphDatabase').value;
+    toggleWriteLock() {
+        if (neo4jManager.readOnly) {
+            // Unlocking needs an explicit confirmation
+            document.getElementById('unlockWritesModal').classList.remove('hidden');
+        } else {
+            this.setGraphWritesUnlocked(false);
+        }
+    }
 
-        if (!query) {
-            this.updateGraphStatus('Please enter a Cypher query.', 'error');
+    setGraphWritesUnlocked(unlocked) {
+        try {
+            neo4jManager.setReadOnly(!unlocked);
+        } catch (error) {
+            this.notificationManager.warning('Not Allowed', error.message);
             return;
         }
 
-        try {
-            this.updateGraphStatus('Executing query via HTTP API...', 'loading');
+        this.updateWriteLockButton();
+        this.updateGraphStatus(
+            unlocked ? '🔓 Writes unlocked - queries can modify the graph' : '🔒 Read-only - write queries are blocked',
+            unlocked ? 'error' : 'success'
+        );
+    }
 
-            // Initialize or update visualization
-            if (!neo4jManager.network) {
-                const result = await neo4jManager.initializeVisualization('graphCanvas', query);
+    updateWriteLockButton() {
+        const button = document.getElementById('toggleWriteLock');
+        const unlocked = !neo4jManager.readOnly;
 
-                if (result.nodeCount === 0) {
-                    this.updateGraphStatus(`Query executed but no nodes found. Try: MATCH (n) RETURN n LIMIT 10`, 'error');
-                } else {
-                    this.updateGraphStatus(`✅ Graph rendered: ${result.nodeCount} node(s), ${result.edgeCount} relationship(s) • Double-click nodes to expand`, 'success');
-                    // Fit graph to view after short delay
-                    setTimeout(() => neo4jManager.fit(), 500);
-                }
-            } else {
-                const result = await neo4jManager.updateVisualization(query);
+        button.classList.toggle('unlocked', unlocked);
+        button.querySelector('.write-lock-label').textContent = unlocked ? 'Writes On' : 'Read-only';
+        button.title = unlocked ? 'Writes unlocked: click to lock' : 'Read-only: write queries are blocked';
 
-                if (result.nodeCount === 0) {
-                    this.updateGraphStatus(`Query executed but no nodes found. Try a different query.`, 'error');
-                } else {
-                    this.updateGraphStatus(`✅ Graph updated: ${result.nodeCount} node(s), ${result.edgeCount} relationship(s)`, 'success');
-                    // Fit graph to view after short delay
-                    setTimeout(() => neo4jManager.fit(), 500);
-                }
-            }
-        } catch (error) {
-            console.error('Graph query error:', error);
-            this.updateGraphStatus(`Error: ${error.message}`, 'error');
+        // Editing in the inspector follows the lock
+        if (this.graphInspector) {
+            this.graphInspector.refresh();
         }
     }
 
@@ -3280,6 +5166,10 @@ class NOXApp {
                 this.updateGraphStatus('Please execute a query first before enabling auto-refresh', 'error');
                 return;
             }
+            if (document.getElementById('graphScriptMode').checked) {
+                this.updateGraphStatus('Auto-refresh is not available in script mode', 'error');
+                return;
+            }
 
             this.startGraphPolling();
             button.classList.add('active');
@@ -3300,11 +5190,18 @@ class NOXApp {
             try {
                 const query = document.getElementById('cypherQuery').value.trim();
                 if (query && neo4jManager.network) {
-                    // Update silently without changing status
-                    await neo4jManager.updateVisualization(query);
+                    // Update silently without changing status (never re-runs writes)
+                    // A paged result refreshes its first page
+                    const result = await neo4jManager.updateVisualization(query, { allowWrites: false }, { paged: neo4jManager.paging !== null });
+                    this.showGraphResult(result.result);
                     console.log('Graph auto-refreshed');
                 }
             } catch (error) {
+                if (error.readOnlyBlocked) {
+                    this.toggleGraphAutoRefresh();
+                    this.updateGraphStatus('Auto-refresh only re-runs read queries', 'error');
+                    return;
+                }
                 console.error('Auto-refresh failed:', error);
                 // Don't stop polling on single error
             }
@@ -3460,6 +5357,13 @@ class NOXApp {
         return div.innerHTML;
     }
 
+    /**
+     * Escape text for an attribute value (escapeHtml leaves quotes alone)
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
     formatMessageContent(content) {
         let formatted = content;
         const codeBlocks = [];
@@ -3648,6 +5552,13 @@ class NOXApp {
     /**
      * Toggle left sidebar (chat list)
      */
+    toggleChatSidebar() {
+        const sidebar = document.getElementById('chatSidebar');
+        sidebar.classList.toggle('collapsed');
+
+        this.savePreference('chatSidebarCollapsed', sidebar.classList.contains('collapsed'));
+    }
+
     /**
      * Toggle right execution panel
      */
@@ -3655,18 +5566,20 @@ class NOXApp {
         const panel = document.getElementById('executionPanel');
         panel.classList.toggle('collapsed');
 
-        // Save state to localStorage
-        const isCollapsed = panel.classList.contains('collapsed');
-        localStorage.setItem('execution-panel-collapsed', isCollapsed);
+        this.savePreference('executionPanelCollapsed', panel.classList.contains('collapsed'));
     }
 
     /**
-     * Restore sidebar states from localStorage
+     * Restore sidebar states from the user's preferences
      */
     restoreSidebarStates() {
+        // Restore chat list sidebar state
+        if (this.preferences.chatSidebarCollapsed) {
+            document.getElementById('chatSidebar').classList.add('collapsed');
+        }
+
         // Restore execution panel state
-        const panelCollapsed = localStorage.getItem('execution-panel-collapsed') === 'true';
-        if (panelCollapsed) {
+        if (this.preferences.executionPanelCollapsed) {
             document.getElementById('executionPanel').classList.add('collapsed');
         }
     }
@@ -1,10 +1,16 @@
 /**
  * NOX.AI Authentication Manager
  * Secure authentication with PBKDF2 password hashing and salt
+ *
+ * Accounts live in an encrypted user directory in localStorage ("nox-users").
+ * The directory is encrypted with a random directory key, and that key is
+ * wrapped once per user with a key derived from their password - a user can
+ * only open the directory with the right password.
  */
 
 class AuthManager {
     constructor() {
+        // Built-in account, only used to create the user directory on first login
         // Pre-hashed credentials (never store plain text passwords!)
         // Default: username: admin, password: nox2024
         this.credentials = {
@@ -18,8 +24,35 @@ class AuthManager {
             }
         };
 
+        // Signed in user's directory entry - resolved from the directory on every page load
+        // and kept in memory only, because sessionStorage can be edited
+        this.account = null;
+
         this.SESSION_KEY = 'nox_session';
         this.SESSION_TIMEOUT = 24 * 60 * 60 * 1000; // 24 hours
+
+        this.USERS_KEY = 'nox-users';
+        // Set once a directory exists, so deleting it doesn't bring back the built-in account
+        this.USERS_CREATED_KEY = 'nox-users-created';
+        this.MIN_PASSWORD_LENGTH = 8;
+
+        // Roles from least to most privileged, and what each may do
+        this.ROLES = ['viewer', 'operator', 'admin'];
+        this.ROLE_PERMISSIONS = {
+            viewer: ['chat', 'skills.view', 'graph.read'],
+            operator: ['chat', 'skills.view', 'skills.edit', 'skills.delete', 'graph.read', 'graph.write', 'settings.edit'],
+            admin: ['chat', 'skills.view', 'skills.edit', 'skills.delete', 'graph.read', 'graph.write', 'settings.edit', 'users.manage']
+        };
+        this.PERMISSION_LABELS = {
+            'chat': 'chat',
+            'skills.view': 'browse skills',
+            'skills.edit': 'edit skills',
+            'skills.delete': 'delete skills',
+            'graph.read': 'run graph queries',
+            'graph.write': 'run write queries',
+            'settings.edit': 'change settings',
+            'users.manage': 'manage users'
+        };
     }
 
     /**
@@ -87,6 +120,59 @@ class AuthManager {
      * Login with username and password
      */
     async login(username, password) {
+        username = (username || '').trim();
+
+        const directory = this.loadDirectory();
+        if (!directory) {
+            return await this.bootstrapLogin(username, password);
+        }
+
+        const access = directory.access[await this.hashUsername(username)];
+        if (!access) {
+            // Add small delay to prevent timing attacks
+            await new Promise(resolve => setTimeout(resolve, 500));
+            return false;
+        }
+
+        // A wrong password can't unwrap the directory key (AES-GCM authentication fails)
+        let directoryKey;
+        try {
+            directoryKey = await this.unwrapDirectoryKey(access, password);
+        } catch (error) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+            return false;
+        }
+
+        const users = await window.CryptoUtils.decrypt(directory.users, directoryKey);
+        const user = users && users[username];
+        if (!user) {
+            return false;
+        }
+        const role = this.normalizeRole(user.role);
+        this.markDirectoryCreated();
+
+        // Everyone keeps the directory key to look up their role on each page load,
+        // only administrators a copy that can wrap it for new users
+        const keptKey = role === 'admin' ? directoryKey : await this.unwrapDirectoryKey(access, password, false);
+
+        // Derive the storage encryption key while the password is at hand
+        await window.CryptoUtils.unlock(username, password, keptKey);
+
+        this.account = user;
+        this.createSession(username);
+        return true;
+    }
+
+    /**
+     * First login: check the built-in account and create the user directory
+     */
+    async bootstrapLogin(username, password) {
+        if (this.hasHadDirectory()) {
+            console.warn('👥 User directory missing - the built-in account stays disabled once accounts exist');
+            await new Promise(resolve => setTimeout(resolve, 500));
+            return false;
+        }
+
         // Check if user exists
         if (!this.credentials[username]) {
             // Add small delay to prevent timing attacks
@@ -96,30 +182,386 @@ class AuthManager {
 
         const userCred = this.credentials[username];
 
-        // TEMPORARY: Check plain password for initial setup
-        //if (userCred.tempPassword && password === userCred.tempPassword) {
-        //    console.log('⚠️ Using temporary plain-text password. Please generate proper credentials!');
-        //    this.createSession(username);
-        //    return true;
-        //}
-
         // Hash the provided password with the stored salt
         const hash = await this.hashPassword(password, userCred.salt);
 
         // Compare hashes (constant-time comparison would be better, but this is acceptable for demo)
-        if (hash === userCred.hash) {
-            // Create session
-            this.createSession(username);
+        if (hash !== userCred.hash) {
+            // Add small delay to prevent timing attacks
+            await new Promise(resolve => setTimeout(resolve, 500));
+            return false;
+        }
+
+        const directoryKey = await crypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+
+        const now = new Date().toISOString();
+        // The built-in password is public - it has to be changed right away
+        const users = {
+            [username]: { role: 'admin', createdAt: now, updatedAt: now, mustChangePassword: true }
+        };
+        const directory = {
+            version: 1,
+            access: {
+                [await this.hashUsername(username)]: await this.wrapDirectoryKey(directoryKey, password)
+            }
+        };
+        await this.saveDirectory(directory, directoryKey, users);
+        this.markDirectoryCreated();
+        console.log('👥 User directory created');
+
+        await window.CryptoUtils.unlock(username, password, directoryKey);
+
+        this.account = users[username];
+        this.createSession(username);
+        return true;
+    }
+
+    // ==================== User Directory ====================
+
+    loadDirectory() {
+        const stored = localStorage.getItem(this.USERS_KEY);
+        if (!stored) return null;
+
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            console.error('Failed to load user directory:', error);
+            return null;
+        }
+    }
+
+    async saveDirectory(directory, directoryKey, users) {
+        directory.users = await window.CryptoUtils.encrypt(users, directoryKey);
+        localStorage.setItem(this.USERS_KEY, JSON.stringify(directory));
+    }
+
+    markDirectoryCreated() {
+        if (!localStorage.getItem(this.USERS_CREATED_KEY)) {
+            localStorage.setItem(this.USERS_CREATED_KEY, new Date().toISOString());
+        }
+    }
+
+    /**
+     * Whether this browser had a user directory (or accounts other than the built-in one)
+     */
+    hasHadDirectory() {
+        if (localStorage.getItem(this.USERS_CREATED_KEY)) {
             return true;
         }
+        // Every account that signed in has a key salt
+        return Object.keys(localStorage).some(key =>
+            key.startsWith('nox_enc_salt_') && key !== `nox_enc_salt_${window.CryptoUtils.LEGACY_OWNER}`);
+    }
+
+    /**
+     * Usernames are only stored hashed outside the encrypted directory
+     */
+    async hashUsername(username) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(username));
+        return this.bufferToHex(digest);
+    }
+
+    /**
+     * Derive the key that wraps the directory key for one user
+     */
+    async deriveWrappingKey(password, salt) {
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return await crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: this.hexToBuffer(salt),
+                iterations: 100000,
+                hash: 'SHA-256'
+            },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    async wrapDirectoryKey(directoryKey, password) {
+        const salt = this.generateSalt();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const wrappingKey = await this.deriveWrappingKey(password, salt);
+
+        const wrapped = await crypto.subtle.wrapKey('raw', directoryKey, wrappingKey, { name: 'AES-GCM', iv });
+
+        return {
+            salt: salt,
+            iv: this.bufferToHex(iv),
+            key: this.bufferToHex(wrapped)
+        };
+    }
+
+    /**
+     * @param {boolean} extractable - Whether the key can be wrapped again (administrators)
+     */
+    async unwrapDirectoryKey(access, password, extractable = true) {
+        const wrappingKey = await this.deriveWrappingKey(password, access.salt);
+
+        return await crypto.subtle.unwrapKey(
+            'raw',
+            this.hexToBuffer(access.key),
+            wrappingKey,
+            { name: 'AES-GCM', iv: this.hexToBuffer(access.iv) },
+            { name: 'AES-GCM', length: 256 },
+            extractable,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Open the directory for an administrator
+     */
+    async openDirectory() {
+        this.requirePermission('users.manage');
+
+        const directory = this.loadDirectory();
+        if (!directory) {
+            throw new Error('User directory not found');
+        }
+
+        const directoryKey = await window.CryptoUtils.getDirectoryKey();
+        const users = await window.CryptoUtils.decrypt(directory.users, directoryKey);
+        if (!users) {
+            throw new Error('User directory could not be decrypted');
+        }
+
+        return { directory, directoryKey, users };
+    }
+
+    /**
+     * List all users (admin only)
+     * @returns {Promise<Array>} - [{username, role, createdAt, updatedAt}]
+     */
+    async listUsers() {
+        const { users } = await this.openDirectory();
+
+        return Object.entries(users)
+            .map(([username, user]) => ({ username, ...user, role: this.normalizeRole(user.role) }))
+            .sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    /**
+     * Add a user (admin only)
+     * @param {object} options - Options
+     * @param {boolean} options.copySettings - Give the user a copy of the admin's connection settings
+     */
+    async addUser(username, password, role, { copySettings = false } = {}) {
+        username = (username || '').trim();
+        if (!/^[A-Za-z0-9._-]{2,32}$/.test(username)) {
+            throw new Error('Username must be 2-32 characters: letters, digits, ".", "_" or "-"');
+        }
+        this.validatePassword(password);
+        this.validateRole(role);
+
+        const { directory, directoryKey, users } = await this.openDirectory();
+        if (users[username]) {
+            throw new Error(`User "${username}" already exists`);
+        }
+
+        const now = new Date().toISOString();
+        users[username] = { role, createdAt: now, updatedAt: now };
+        directory.access[await this.hashUsername(username)] = await this.wrapDirectoryKey(directoryKey, password);
+
+        await this.saveDirectory(directory, directoryKey, users);
+        if (copySettings) {
+            await this.copySettingsTo(username, password, role);
+        }
+        console.log(`👤 Added user ${username} (${role})`);
+    }
+
+    /**
+     * Remove a user and everything stored for them (admin only)
+     */
+    async removeUser(username) {
+        if (username === this.getUsername()) {
+            throw new Error('You cannot remove your own account');
+        }
+
+        const { directory, directoryKey, users } = await this.openDirectory();
+        if (!users[username]) {
+            throw new Error(`User "${username}" not found`);
+        }
+        this.ensureAnotherAdmin(users, username);
+
+        delete users[username];
+        delete directory.access[await this.hashUsername(username)];
+
+        await this.saveDirectory(directory, directoryKey, users);
+        await this.purgeUserData(username);
+        console.log(`👤 Removed user ${username}`);
+    }
+
+    /**
+     * Set a new password for a user (admin only)
+     * Their stored chats and settings were encrypted with a key derived from
+     * the old password, so they are deleted
+     * @param {object} options - Options
+     * @param {boolean} options.copySettings - Give the user a copy of the admin's connection settings
+     */
+    async resetPassword(username, password, { copySettings = false } = {}) {
+        if (username === this.getUsername()) {
+            throw new Error('Use "Change password" to change your own password');
+        }
+        this.validatePassword(password);
+
+        const { directory, directoryKey, users } = await this.openDirectory();
+        if (!users[username]) {
+            throw new Error(`User "${username}" not found`);
+        }
+
+        users[username].updatedAt = new Date().toISOString();
+        directory.access[await this.hashUsername(username)] = await this.wrapDirectoryKey(directoryKey, password);
 
-        // Add small delay to prevent timing attacks
-        await new Promise(resolve => setTimeout(resolve, 500));
-        return false;
+        await this.saveDirectory(directory, directoryKey, users);
+        await this.purgeUserData(username);
+        if (copySettings) {
+            await this.copySettingsTo(username, password, users[username].role);
+        }
+        console.log(`🔑 Reset password for ${username}`);
+    }
+
+    /**
+     * Change a user's role (admin only)
+     */
+    async setRole(username, role) {
+        this.validateRole(role);
+        if (username === this.getUsername()) {
+            throw new Error('You cannot change your own role');
+        }
+
+        const { directory, directoryKey, users } = await this.openDirectory();
+        if (!users[username]) {
+            throw new Error(`User "${username}" not found`);
+        }
+        if (role !== 'admin') {
+            this.ensureAnotherAdmin(users, username);
+        }
+
+        users[username].role = role;
+        users[username].updatedAt = new Date().toISOString();
+
+        await this.saveDirectory(directory, directoryKey, users);
+        console.log(`👤 ${username} is now ${role}`);
+    }
+
+    /**
+     * Change the signed in user's own password
+     * The directory key is wrapped again for the new password, and chats and
+     * settings are re-encrypted with the key derived from it - nothing is lost
+     */
+    async changePassword(currentPassword, newPassword) {
+        this.validatePassword(newPassword);
+        if (newPassword === currentPassword) {
+            throw new Error('The new password must be different from the current one');
+        }
+
+        const directory = this.loadDirectory();
+        if (!directory) {
+            throw new Error('User directory not found');
+        }
+
+        const username = await window.CryptoUtils.getUsername();
+        const usernameHash = await this.hashUsername(username);
+
+        let directoryKey;
+        try {
+            directoryKey = await this.unwrapDirectoryKey(directory.access[usernameHash], currentPassword);
+        } catch (error) {
+            throw new Error('Current password is incorrect');
+        }
+
+        const users = await window.CryptoUtils.decrypt(directory.users, directoryKey);
+        const user = users && users[username];
+        if (!user) {
+            throw new Error(`User "${username}" not found`);
+        }
+
+        // Data first: if this fails, the old password still opens everything
+        await window.CryptoUtils.changePassword(newPassword);
+
+        delete user.mustChangePassword;
+        user.updatedAt = new Date().toISOString();
+        directory.access[usernameHash] = await this.wrapDirectoryKey(directoryKey, newPassword);
+
+        await this.saveDirectory(directory, directoryKey, users);
+        this.account = user;
+        console.log(`🔑 ${username} changed their password`);
+    }
+
+    /**
+     * Whether the signed in user still has to replace the built-in password
+     */
+    mustChangePassword() {
+        return Boolean(this.account && this.account.mustChangePassword);
+    }
+
+    validatePassword(password) {
+        if (!password || password.length < this.MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${this.MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    validateRole(role) {
+        if (!this.ROLES.includes(role)) {
+            throw new Error(`Unknown role "${role}"`);
+        }
+    }
+
+    ensureAnotherAdmin(users, username) {
+        const admins = Object.keys(users).filter(name => users[name].role === 'admin');
+        if (admins.length === 1 && admins[0] === username) {
+            throw new Error('At least one administrator is required');
+        }
+    }
+
+    /**
+     * Copy the signed in admin's connection settings to another user
+     * Viewers can't change settings, so this is how they get a working setup.
+     * Needs the user's password, as their data key is derived from it.
+     * Roles are only enforced by the app, so viewers never get credentials that can write:
+     * no n8n API key, and the read-only Neo4j user from settings instead of the admin's.
+     */
+    async copySettingsTo(username, password, role) {
+        const n8nConfig = await window.CryptoUtils.getItem('nox-n8n-config');
+        const neo4jConfig = await window.CryptoUtils.getItem('nox-neo4j-config');
+
+        if (n8nConfig) {
+            const copy = role === 'viewer' ? { ...n8nConfig, apiKey: '' } : n8nConfig;
+            await window.CryptoUtils.setItemForUser(username, password, 'nox-n8n-config', copy);
+        }
+        if (neo4jConfig) {
+            const { viewerUsername = '', viewerPassword = '', ...connection } = neo4jConfig;
+            const copy = role === 'viewer'
+                ? { ...connection, neo4jUsername: viewerUsername, neo4jPassword: viewerPassword }
+                : neo4jConfig;
+            await window.CryptoUtils.setItemForUser(username, password, 'nox-neo4j-config', copy);
+        }
+    }
+
+    async purgeUserData(username) {
+        window.CryptoUtils.purgeUserData(username);
+        if (typeof chatStore !== 'undefined') {
+            await chatStore.deleteUserData(username);
+        }
     }
 
     /**
      * Create authenticated session
+     * The role is deliberately not stored - see restoreSession
      */
     createSession(username) {
         const session = {
@@ -148,6 +590,9 @@ class AuthManager {
             if (Date.now() > session.expiresAt) {
                 // Clear expired session but don't redirect (caller will handle redirect)
                 sessionStorage.removeItem(this.SESSION_KEY);
+                if (window.CryptoUtils) {
+                    window.CryptoUtils.clearKey();
+                }
                 return false;
             }
 
@@ -176,36 +621,104 @@ class AuthManager {
         }
     }
 
+    /**
+     * Look up the signed in user in the user directory (once per page load)
+     * The session must belong to the user the encryption key was unlocked for.
+     * @returns {Promise<boolean>} - False if the directory can't be opened (sign in again)
+     */
+    async restoreSession() {
+        const directory = this.loadDirectory();
+        const username = this.getUsername();
+        if (!directory || !username) {
+            return false;
+        }
+
+        try {
+            if (await window.CryptoUtils.getUsername() !== username) {
+                return false;
+            }
+
+            const directoryKey = await window.CryptoUtils.getDirectoryKey();
+            const users = await window.CryptoUtils.decrypt(directory.users, directoryKey);
+            if (!users || !users[username]) {
+                return false;
+            }
+
+            this.account = users[username];
+            return true;
+        } catch (error) {
+            console.error('Failed to open user directory:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the signed in username
+     */
+    getUsername() {
+        const session = this.getSession();
+        return session ? session.username : null;
+    }
+
+    /**
+     * Get the signed in user's role (viewer until restoreSession has run)
+     */
+    getRole() {
+        return this.normalizeRole(this.account && this.account.role);
+    }
+
+    /**
+     * Map stored roles onto the current set
+     * Accounts created as "user" before roles existed become operators
+     */
+    normalizeRole(role) {
+        if (role === 'user') {
+            return 'operator';
+        }
+        return this.ROLES.includes(role) ? role : 'viewer';
+    }
+
+    isAdmin() {
+        return this.getRole() === 'admin';
+    }
+
+    /**
+     * Check if the signed in user's role allows an action
+     * @param {string} permission - e.g. 'skills.delete', 'graph.write'
+     */
+    hasPermission(permission) {
+        return (this.ROLE_PERMISSIONS[this.getRole()] || []).includes(permission);
+    }
+
+    /**
+     * Throw if the signed in user's role doesn't allow an action
+     */
+    requirePermission(permission) {
+        if (!this.hasPermission(permission)) {
+            const action = this.PERMISSION_LABELS[permission] || permission;
+            throw new Error(`Your role (${this.getRole()}) is not allowed to ${action}`);
+        }
+    }
+
     /**
      * Logout and clear session
      */
-    logout() {
+    async logout() {
         sessionStorage.removeItem(this.SESSION_KEY);
-        // Clear encryption key on logout
+        // Clear encryption key on logout (before leaving the page)
         if (window.CryptoUtils) {
-            window.CryptoUtils.clearKey();
+            await window.CryptoUtils.clearKey();
         }
         window.location.href = '/nox/login.html';
     }
 
     /**
-     * Utility: Generate hash for a new password (for admin use)
-     * Usage: await AuthManager.generateCredentials('username', 'password')
+     * End the session without logging out (e.g. the encryption key is missing)
+     * Keeps any legacy per-tab key so the next login can still re-encrypt its data
      */
-    async generateCredentials(username, password) {
-        const salt = this.generateSalt();
-        const hash = await this.hashPassword(password, salt);
-
-        console.log('Generated credentials for:', username);
-        console.log('Salt:', salt);
-        console.log('Hash:', hash);
-        console.log('\nAdd to credentials object:');
-        console.log(`${username}: {`);
-        console.log(`    salt: '${salt}',`);
-        console.log(`    hash: '${hash}'`);
-        console.log(`}`);
-
-        return { salt, hash };
+    requireLogin() {
+        sessionStorage.removeItem(this.SESSION_KEY);
+        window.location.href = '/nox/login.html';
     }
 }
 
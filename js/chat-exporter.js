@@ -6,6 +6,9 @@
 class ChatExporter {
     constructor(chatManager) {
         this.chatManager = chatManager;
+
+        // Response blocks are exported read-only: buttons and forms are shown disabled
+        this.responseBlocks = new ResponseBlocks({ formatMarkdown: (text) => this.formatHTMLContent(text) });
     }
 
     /**
@@ -46,7 +49,9 @@ class ChatExporter {
                     has_preview: true,
                     file_type: msg.filePreview.fileInfo?.category
                 } : null,
-                skill_used: msg.skill_used || null
+                skill_used: msg.skill_used || null,
+                blocks: msg.blocks || [],
+                cancelled: msg.cancelled || false
             }))
         };
 
@@ -82,7 +87,17 @@ class ChatExporter {
             }
 
             // Add message content
-            markdown += `${msg.content}\n\n`;
+            if (msg.content) {
+                markdown += `${msg.content}\n\n`;
+            }
+
+            if (msg.blocks && msg.blocks.length > 0) {
+                markdown += `${this.responseBlocks.toMarkdown(msg.blocks)}\n\n`;
+            }
+
+            if (msg.cancelled) {
+                markdown += `_⏹️ Stopped before the reply finished_\n\n`;
+            }
 
             markdown += `---\n\n`;
         });
@@ -242,6 +257,52 @@ class ChatExporter {
             font-size: 13px;
         }
 
+        .response-block {
+            margin-top: 12px;
+            padding: 12px;
+            background: rgba(0, 0, 0, 0.2);
+            border-radius: 8px;
+        }
+
+        .response-block-title,
+        .response-card-title {
+            font-weight: 600;
+            margin-bottom: 8px;
+        }
+
+        .response-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 13px;
+        }
+
+        .response-table th,
+        .response-table td {
+            padding: 4px 8px;
+            border: 1px solid rgba(255, 255, 255, 0.1);
+            text-align: left;
+        }
+
+        .response-card-fields {
+            display: grid;
+            grid-template-columns: max-content 1fr;
+            gap: 4px 12px;
+        }
+
+        .response-card-fields dt {
+            color: #a0a0a0;
+        }
+
+        .response-gallery img {
+            max-width: 200px;
+            border-radius: 6px;
+        }
+
+        .response-form-field {
+            display: block;
+            margin-bottom: 6px;
+        }
+
         .footer {
             text-align: center;
             margin-top: 40px;
@@ -290,7 +351,14 @@ class ChatExporter {
 
             // Add message content (escape HTML but preserve code blocks)
             html += `                    <div class="message-text">${this.formatHTMLContent(msg.content)}</div>
-                </div>
+`;
+
+            if (msg.blocks && msg.blocks.length > 0) {
+                html += `                    <div class="response-blocks">${this.responseBlocks.toHTML(msg.blocks)}</div>
+`;
+            }
+
+            html += `                </div>
             </div>
 `;
         });
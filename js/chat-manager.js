@@ -7,12 +7,30 @@ class ChatManager {
         this.chats = [];
         this.currentChatId = null;
         this.ready = false;
-        this.initialize();
+        this.changeCallback = null;
+        this.readyPromise = this.initialize();
+    }
+
+    /**
+     * Resolves once chats have been loaded from storage
+     */
+    whenReady() {
+        return this.readyPromise;
+    }
+
+    /**
+     * Register callback for any change to the chat list
+     * @param {function} callback - Function to call after chats change
+     */
+    onChatsChanged(callback) {
+        this.changeCallback = callback;
     }
 
     async initialize() {
         await this.loadChats();
+        this.ensureSessionIds();
         this.init();
+        await this.hydrateAttachments();
         this.ready = true;
     }
 
@@ -26,43 +44,70 @@ class ChatManager {
     }
 
     /**
-     * Load chats from encrypted storage
+     * Load chats from the encrypted IndexedDB store
      */
     async loadChats() {
-        if (window.CryptoUtils) {
-            const stored = await window.CryptoUtils.getItem('nox-chats');
-            if (stored) {
-                this.chats = stored;
-            }
-        } else {
-            // Fallback to unencrypted (for initial load before crypto-utils loads)
-            const stored = localStorage.getItem('nox-chats');
-            if (stored) {
-                try {
-                    this.chats = JSON.parse(stored);
-                } catch (e) {
-                    console.error('Failed to load chats:', e);
-                    this.chats = [];
-                }
-            }
+        try {
+            this.chats = await chatStore.loadChats();
+        } catch (error) {
+            console.error('Failed to load chats:', error);
+            this.chats = [];
         }
     }
 
     /**
-     * Save chats to encrypted storage
+     * Persist a chat's metadata and tell listeners the list changed
      */
-    async saveChats() {
-        if (window.CryptoUtils) {
-            await window.CryptoUtils.setItem('nox-chats', this.chats);
-        } else {
-            // Fallback to unencrypted
-            localStorage.setItem('nox-chats', JSON.stringify(this.chats));
+    saveChat(chat) {
+        chatStore.saveChat(chat);
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        if (this.changeCallback) {
+            this.changeCallback(this.chats);
+        }
+    }
+
+    /**
+     * Generate an n8n session ID for a chat
+     */
+    generateSessionId() {
+        return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Give chats created before per-chat sessions their own session ID
+     */
+    ensureSessionIds() {
+        this.chats.forEach(chat => {
+            if (!chat.sessionId) {
+                chat.sessionId = this.generateSessionId();
+                chatStore.saveChat(chat);
+            }
+        });
+    }
+
+    /**
+     * Get the n8n session ID of a chat
+     * @param {string} chatId - Chat ID (defaults to the current chat)
+     * @returns {string|null} - Session ID, or null if the chat doesn't exist
+     */
+    getSessionId(chatId = this.currentChatId) {
+        const chat = this.chats.find(c => c.id === chatId);
+        if (!chat) return null;
+
+        if (!chat.sessionId) {
+            chat.sessionId = this.generateSessionId();
+            chatStore.saveChat(chat);
         }
+        return chat.sessionId;
     }
 
     createNewChat() {
         const chat = {
             id: `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            sessionId: this.generateSessionId(),
             title: 'New Chat',
             messages: [],
             createdAt: new Date().toISOString(),
@@ -71,7 +116,7 @@ class ChatManager {
 
         this.chats.unshift(chat);
         this.currentChatId = chat.id;
-        this.saveChats();
+        this.saveChat(chat);
 
         return chat;
     }
@@ -92,7 +137,9 @@ class ChatManager {
     deleteChat(chatId) {
         const index = this.chats.findIndex(c => c.id === chatId);
         if (index !== -1) {
-            this.chats.splice(index, 1);
+            const [chat] = this.chats.splice(index, 1);
+            this.revokePreviewUrls(chat);
+            chatStore.deleteChat(chatId);
 
             // Switch to another chat if current was deleted
             if (chatId === this.currentChatId) {
@@ -103,7 +150,7 @@ class ChatManager {
                 }
             }
 
-            this.saveChats();
+            this.notifyChange();
             return true;
         }
         return false;
@@ -112,10 +159,12 @@ class ChatManager {
     addMessage(message) {
         const chat = this.getCurrentChat();
         if (chat) {
-            chat.messages.push({
+            const stored = {
                 ...message,
+                id: message.id || chatStore.generateMessageId(),
                 timestamp: new Date().toISOString()
-            });
+            };
+            chat.messages.push(stored);
 
             // Update chat title based on first user message
             if (chat.messages.length === 1 && message.role === 'user') {
@@ -123,28 +172,216 @@ class ChatManager {
             }
 
             chat.updatedAt = new Date().toISOString();
-            this.saveChats();
+
+            // Only the new message is written, not the whole history
+            chatStore.saveMessage(chat.id, stored, chat.messages.length - 1);
+            this.saveChat(chat);
         }
     }
 
+    /**
+     * Write a stored message again after it changed in place (e.g. a response block was used)
+     * @param {string} messageId - ID of the message, in any chat
+     * @returns {boolean} - Whether the message was found
+     */
+    saveMessage(messageId) {
+        for (const chat of this.chats) {
+            const index = chat.messages.findIndex(message => message.id === messageId);
+            if (index !== -1) {
+                chatStore.saveMessage(chat.id, chat.messages[index], index);
+                return true;
+            }
+        }
+        return false;
+    }
+
     getMessages() {
         const chat = this.getCurrentChat();
         return chat ? chat.messages : [];
     }
 
+    /**
+     * Get recent conversation turns to send to the workflow as context
+     * A turn is a user message plus the replies that followed it. NOX's own error
+     * messages and replies that were cut off (status 'error' / 'partial') are left out.
+     * @param {object} limits - Limits (0 = no limit); history is off when both are 0
+     * @param {number} limits.maxTurns - Maximum number of turns
+     * @param {number} limits.maxTokens - Approximate token budget
+     * @returns {Array} - [{role, content, timestamp}] oldest first
+     */
+    getHistory({ maxTurns = 0, maxTokens = 0 } = {}) {
+        if (!maxTurns && !maxTokens) {
+            return [];
+        }
+
+        const messages = this.getMessages().filter(msg =>
+            (msg.role === 'user' || msg.role === 'assistant') && msg.content &&
+            !['error', 'partial'].includes(msg.status) && !msg.cancelled
+        );
+
+        const history = [];
+        let turns = 0;
+        let tokens = 0;
+
+        for (let i = messages.length - 1; i >= 0; i--) {
+            const msg = messages[i];
+            const cost = this.estimateTokens(msg.content);
+
+            if (maxTokens && tokens + cost > maxTokens) {
+                break;
+            }
+
+            history.unshift({
+                role: msg.role,
+                content: msg.content,
+                timestamp: msg.timestamp
+            });
+            tokens += cost;
+
+            if (msg.role === 'user') {
+                turns++;
+                if (maxTurns && turns >= maxTurns) {
+                    break;
+                }
+            }
+        }
+
+        return history;
+    }
+
+    /**
+     * Rough token count (about 4 characters per token)
+     */
+    estimateTokens(text) {
+        return Math.ceil(String(text).length / 4);
+    }
+
     clearCurrentChat() {
         const chat = this.getCurrentChat();
         if (chat) {
+            this.revokePreviewUrls(chat);
             chat.messages = [];
             chat.title = 'New Chat';
             chat.updatedAt = new Date().toISOString();
-            this.saveChats();
+            chatStore.clearMessages(chat.id);
+            this.saveChat(chat);
         }
     }
 
+    /**
+     * Load stored attachment previews of a chat into object URLs
+     * @param {string} chatId - Chat ID (defaults to the current chat)
+     */
+    async hydrateAttachments(chatId = this.currentChatId) {
+        const chat = this.chats.find(c => c.id === chatId);
+        if (!chat) return;
+
+        const pending = chat.messages.filter(msg =>
+            msg.filePreview && msg.filePreview.attachmentId && !msg.filePreview.previewUrl
+        );
+
+        for (const msg of pending) {
+            const blob = await chatStore.loadAttachment(msg.filePreview.attachmentId);
+            if (blob) {
+                msg.filePreview.previewUrl = URL.createObjectURL(blob);
+            }
+        }
+    }
+
+    revokePreviewUrls(chat) {
+        chat.messages.forEach(msg => {
+            const url = msg.filePreview && msg.filePreview.previewUrl;
+            if (url && url.startsWith('blob:')) {
+                URL.revokeObjectURL(url);
+            }
+        });
+    }
+
     getAllChats() {
         return this.chats;
     }
+
+    renameChat(chatId, title) {
+        const chat = this.chats.find(c => c.id === chatId);
+        const trimmed = (title || '').trim();
+        if (!chat || !trimmed) {
+            return false;
+        }
+
+        chat.title = trimmed.substring(0, 100);
+        this.saveChat(chat);
+        return true;
+    }
+
+    togglePinChat(chatId) {
+        const chat = this.chats.find(c => c.id === chatId);
+        if (!chat) {
+            return false;
+        }
+
+        chat.pinned = !chat.pinned;
+        this.saveChat(chat);
+        return chat.pinned;
+    }
+
+    /**
+     * Find chats whose title or messages contain the query
+     */
+    searchChats(query) {
+        const q = (query || '').trim().toLowerCase();
+        if (!q) {
+            return this.chats;
+        }
+
+        return this.chats.filter(chat =>
+            chat.title.toLowerCase().includes(q) ||
+            chat.messages.some(msg => (msg.content || '').toLowerCase().includes(q))
+        );
+    }
+
+    /**
+     * Group chats for the sidebar: pinned first, then by last activity
+     * @param {Array} chats - Chats to group (defaults to all)
+     * @returns {Array} - [{ label, chats }] with empty groups left out
+     */
+    getChatsGroupedByDate(chats = this.chats) {
+        const startOfToday = new Date();
+        startOfToday.setHours(0, 0, 0, 0);
+        const dayMs = 24 * 60 * 60 * 1000;
+
+        const groups = [
+            { label: 'Pinned', chats: [] },
+            { label: 'Today', chats: [] },
+            { label: 'Yesterday', chats: [] },
+            { label: 'Previous 7 Days', chats: [] },
+            { label: 'Previous 30 Days', chats: [] },
+            { label: 'Older', chats: [] }
+        ];
+
+        const sorted = [...chats].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+        sorted.forEach(chat => {
+            if (chat.pinned) {
+                groups[0].chats.push(chat);
+                return;
+            }
+
+            const updated = new Date(chat.updatedAt).getTime();
+            if (updated >= startOfToday.getTime()) {
+                groups[1].chats.push(chat);
+            } else if (updated >= startOfToday.getTime() - dayMs) {
+                groups[2].chats.push(chat);
+            } else if (updated >= startOfToday.getTime() - 7 * dayMs) {
+                groups[3].chats.push(chat);
+            } else if (updated >= startOfToday.getTime() - 30 * dayMs) {
+                groups[4].chats.push(chat);
+            } else {
+                groups[5].chats.push(chat);
+            }
+        });
+
+        return groups.filter(group => group.chats.length > 0);
+    }
 }
 
 // Create global instance
@@ -0,0 +1,439 @@
+/**
+ * Chat Store - IndexedDB persistence for chats
+ * One record per chat, one per message and one encrypted blob per attachment,
+ * so saving a message never rewrites the whole history
+ * Each user gets their own database ("nox-chat-store:<username>")
+ */
+
+class ChatStore {
+    constructor() {
+        this.DB_NAME = 'nox-chat-store';
+        this.DB_VERSION = 1;
+        this.LEGACY_KEY = 'nox-chats';
+
+        this.dbPromise = null;
+        // Writes run one after another so they land in the order they were made
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Database name for a user
+     */
+    getDatabaseName(username) {
+        return `${this.DB_NAME}:${username}`;
+    }
+
+    /**
+     * Open (and create) the signed in user's database
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = window.CryptoUtils.getUsername()
+            .then(username => this.openDatabase(this.getDatabaseName(username)));
+
+        // Ask the browser not to evict chat history under storage pressure
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => {});
+        }
+
+        return this.dbPromise;
+    }
+
+    openDatabase(name) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('chats')) {
+                    db.createObjectStore('chats', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('messages')) {
+                    const messages = db.createObjectStore('messages', { keyPath: 'id' });
+                    messages.createIndex('chatId', 'chatId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('attachments')) {
+                    const attachments = db.createObjectStore('attachments', { keyPath: 'id' });
+                    attachments.createIndex('chatId', 'chatId', { unique: false });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a transaction and resolve with the callback's result once it commits
+     * @param {Array} storeNames - Object stores to include
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} callback - Receives the transaction, returns an IDBRequest or a value
+     */
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const result = callback(tx);
+
+            tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Queue a write behind earlier ones
+     * @returns {Promise<boolean>} - Whether the write succeeded (failures are logged)
+     */
+    enqueue(operation) {
+        this.queue = this.queue
+            .then(operation)
+            .then(() => true, (error) => {
+                console.error('❌ Chat store write failed:', error);
+                return false;
+            });
+        return this.queue;
+    }
+
+    /**
+     * Encrypt a record payload (never stored in plain text)
+     */
+    async encrypt(value) {
+        if (!window.CryptoUtils) {
+            throw new Error('CryptoUtils not loaded - refusing to store chats unencrypted');
+        }
+        return await window.CryptoUtils.encrypt(value);
+    }
+
+    async decrypt(payload) {
+        if (!window.CryptoUtils) return null;
+        return await window.CryptoUtils.decrypt(payload);
+    }
+
+    // ==================== Reading ====================
+
+    /**
+     * Load all chats with their messages (attachments stay in the blob store)
+     * Migrates the old localStorage blob on first run
+     * @returns {Promise<Array>} - Chats, each with a messages array
+     */
+    async loadChats() {
+        await this.migrateSharedDatabase();
+
+        const unmigrated = await this.migrateLegacyChats();
+        if (unmigrated) {
+            // Migration didn't complete - keep working from the old copy
+            return unmigrated;
+        }
+
+        const [chatRecords, messageRecords] = await this.transaction(['chats', 'messages'], 'readonly', tx => {
+            const chats = tx.objectStore('chats').getAll();
+            const messages = tx.objectStore('messages').getAll();
+            return [chats, messages];
+        }).then(([chats, messages]) => [chats.result, messages.result]);
+
+        const chats = [];
+        for (const record of chatRecords) {
+            const chat = await this.decrypt(record.payload);
+            if (chat) {
+                chats.push({ ...chat, messages: [] });
+            }
+        }
+
+        const chatsById = new Map(chats.map(chat => [chat.id, chat]));
+        const sortedMessages = [...messageRecords].sort((a, b) => a.seq - b.seq);
+
+        for (const record of sortedMessages) {
+            const chat = chatsById.get(record.chatId);
+            if (!chat) continue;
+
+            const message = await this.decrypt(record.payload);
+            if (message) {
+                chat.messages.push(message);
+            }
+        }
+
+        return chats.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    /**
+     * Load an attachment as a Blob
+     * @param {string} attachmentId - Attachment ID
+     * @returns {Promise<Blob|null>}
+     */
+    async loadAttachment(attachmentId) {
+        const record = await this.transaction(['attachments'], 'readonly', tx =>
+            tx.objectStore('attachments').get(attachmentId)
+        );
+        if (!record) return null;
+
+        try {
+            const bytes = await window.CryptoUtils.decryptBytes(record.data);
+            return new Blob([bytes], { type: record.type });
+        } catch (error) {
+            console.error(`Failed to decrypt attachment ${attachmentId}:`, error);
+            return null;
+        }
+    }
+
+    // ==================== Writing ====================
+
+    /**
+     * Save chat metadata (title, pin state, session, timestamps)
+     */
+    saveChat(chat) {
+        return this.enqueue(async () => {
+            const { messages, ...meta } = chat;
+            const payload = await this.encrypt(meta);
+
+            await this.transaction(['chats'], 'readwrite', tx => {
+                tx.objectStore('chats').put({ id: chat.id, payload });
+            });
+        });
+    }
+
+    /**
+     * Save one message, moving an inline preview data URL into the blob store
+     * @param {string} chatId - Chat the message belongs to
+     * @param {object} message - Message (must have an id)
+     * @param {number} seq - Position of the message in the chat
+     */
+    saveMessage(chatId, message, seq) {
+        return this.enqueue(async () => {
+            const stored = { ...message };
+            let attachment = null;
+
+            const preview = message.filePreview;
+            if (preview && preview.previewUrl && preview.previewUrl.startsWith('data:')) {
+                const { type, bytes } = this.dataUrlToBytes(preview.previewUrl);
+                attachment = {
+                    id: `att_${message.id}`,
+                    chatId: chatId,
+                    messageId: message.id,
+                    type: type,
+                    data: await window.CryptoUtils.encryptBytes(bytes)
+                };
+
+                const { previewUrl, ...rest } = preview;
+                stored.filePreview = { ...rest, attachmentId: attachment.id };
+            } else if (preview && preview.previewUrl) {
+                // Object URLs don't outlive the page - the attachment is already stored
+                const { previewUrl, ...rest } = preview;
+                stored.filePreview = rest;
+            }
+
+            const payload = await this.encrypt(stored);
+
+            await this.transaction(['messages', 'attachments'], 'readwrite', tx => {
+                tx.objectStore('messages').put({ id: message.id, chatId, seq, payload });
+                if (attachment) {
+                    tx.objectStore('attachments').put(attachment);
+                }
+            });
+        });
+    }
+
+    /**
+     * Delete a chat with its messages and attachments
+     */
+    deleteChat(chatId) {
+        return this.enqueue(async () => {
+            await this.transaction(['chats', 'messages', 'attachments'], 'readwrite', tx => {
+                tx.objectStore('chats').delete(chatId);
+                this.deleteByChatId(tx.objectStore('messages'), chatId);
+                this.deleteByChatId(tx.objectStore('attachments'), chatId);
+            });
+        });
+    }
+
+    /**
+     * Delete all messages and attachments of a chat, keeping the chat itself
+     */
+    clearMessages(chatId) {
+        return this.enqueue(async () => {
+            await this.transaction(['messages', 'attachments'], 'readwrite', tx => {
+                this.deleteByChatId(tx.objectStore('messages'), chatId);
+                this.deleteByChatId(tx.objectStore('attachments'), chatId);
+            });
+        });
+    }
+
+    deleteByChatId(store, chatId) {
+        const request = store.index('chatId').openKeyCursor(IDBKeyRange.only(chatId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+    }
+
+    /**
+     * Re-encrypt every record with a new key (the user changed their password)
+     * All records are written in one transaction, so they never end up with mixed keys;
+     * if any record can't be decrypted with the old key, nothing is written
+     * @returns {Promise<boolean>} - Whether the records were rewritten
+     */
+    reencrypt(oldKey, newKey) {
+        return this.enqueue(async () => {
+            const storeNames = ['chats', 'messages', 'attachments'];
+            const requests = await this.transaction(storeNames, 'readonly', tx =>
+                storeNames.map(name => tx.objectStore(name).getAll()));
+            const [chats, messages, attachments] = requests.map(request => request.result);
+
+            for (const record of [...chats, ...messages]) {
+                const value = await window.CryptoUtils.decrypt(record.payload, oldKey);
+                if (value === null) {
+                    throw new Error(`Record ${record.id} could not be decrypted - nothing was re-encrypted`);
+                }
+                record.payload = await window.CryptoUtils.encrypt(value, newKey);
+            }
+            for (const record of attachments) {
+                const bytes = await window.CryptoUtils.decryptBytes(record.data, oldKey);
+                record.data = await window.CryptoUtils.encryptBytes(bytes, newKey);
+            }
+
+            await this.transaction(storeNames, 'readwrite', tx => {
+                chats.forEach(record => tx.objectStore('chats').put(record));
+                messages.forEach(record => tx.objectStore('messages').put(record));
+                attachments.forEach(record => tx.objectStore('attachments').put(record));
+            });
+        });
+    }
+
+    // ==================== Migration ====================
+
+    /**
+     * One-time move of the encrypted localStorage blob into IndexedDB
+     * The old key is only removed once every record has been written,
+     * and message IDs are derived from their position so a retry overwrites
+     * rather than duplicates
+     * @returns {Promise<Array|null>} - The legacy chats if migration failed, otherwise null
+     */
+    async migrateLegacyChats() {
+        const chats = await window.CryptoUtils.getItem(this.LEGACY_KEY);
+        if (chats === null) {
+            return null;
+        }
+        if (!Array.isArray(chats)) {
+            console.warn('⚠️ Could not read legacy chats, leaving them in localStorage');
+            return null;
+        }
+
+        console.log(`🔄 Migrating ${chats.length} chat(s) to IndexedDB...`);
+
+        let failed = false;
+        const track = promise => promise.then(saved => {
+            if (!saved) failed = true;
+        });
+
+        for (const chat of chats) {
+            (chat.messages || []).forEach((message, index) => {
+                if (!message.id) {
+                    message.id = `${chat.id}_msg_${index}`;
+                }
+                track(this.saveMessage(chat.id, message, index));
+            });
+            track(this.saveChat(chat));
+        }
+
+        await this.queue;
+        const count = await this.transaction(['chats'], 'readonly', tx => tx.objectStore('chats').count());
+
+        if (failed || count < chats.length) {
+            console.warn('⚠️ Chat migration incomplete, keeping localStorage copy');
+            return chats.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        }
+
+        await window.CryptoUtils.removeItem(this.LEGACY_KEY);
+        console.log('✅ Chats migrated to IndexedDB');
+        return null;
+    }
+
+    /**
+     * Move the database used before per-user namespacing to the built-in admin
+     * Records are already encrypted with the admin's key, so they are copied as-is
+     */
+    async migrateSharedDatabase() {
+        const username = await window.CryptoUtils.getUsername();
+        if (username !== window.CryptoUtils.LEGACY_OWNER || !indexedDB.databases) {
+            return;
+        }
+
+        const databases = await indexedDB.databases();
+        if (!databases.some(db => db.name === this.DB_NAME)) {
+            return;
+        }
+
+        const shared = await this.openDatabase(this.DB_NAME);
+        const storeNames = ['chats', 'messages', 'attachments'];
+
+        try {
+            const records = await new Promise((resolve, reject) => {
+                const tx = shared.transaction(storeNames, 'readonly');
+                const requests = storeNames.map(name => tx.objectStore(name).getAll());
+                tx.oncomplete = () => resolve(requests.map(request => request.result));
+                tx.onerror = () => reject(tx.error);
+            });
+
+            await this.transaction(storeNames, 'readwrite', tx => {
+                storeNames.forEach((name, index) => {
+                    records[index].forEach(record => tx.objectStore(name).put(record));
+                });
+            });
+        } finally {
+            shared.close();
+        }
+
+        indexedDB.deleteDatabase(this.DB_NAME);
+        console.log('✅ Moved shared chat database to the admin account');
+    }
+
+    /**
+     * Delete all stored chats of a user (account removed or password reset)
+     */
+    deleteUserData(username) {
+        return new Promise((resolve) => {
+            const request = indexedDB.deleteDatabase(this.getDatabaseName(username));
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => resolve(false);
+            request.onblocked = () => resolve(false);
+        });
+    }
+
+    // ==================== Helpers ====================
+
+    generateMessageId() {
+        return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Decode a data URL into its MIME type and bytes
+     */
+    dataUrlToBytes(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const type = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+
+        let binary;
+        if (header.includes(';base64')) {
+            binary = atob(data);
+        } else {
+            binary = decodeURIComponent(data);
+        }
+
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return { type, bytes };
+    }
+}
+
+// Create global instance
+const chatStore = new ChatStore();
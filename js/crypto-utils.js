@@ -1,34 +1,242 @@
 /**
  * Crypto Utilities for Secure Local Storage
  * Encrypts sensitive data before storing in localStorage
+ * The AES key is derived from the login password and kept in IndexedDB
+ * as a non-extractable CryptoKey until logout
+ * Stored items are namespaced per user (e.g. "nox-n8n-config:alice")
  */
 
 class CryptoUtils {
     constructor() {
-        // Generate or retrieve encryption key from session
-        this.ensureEncryptionKey();
+        // Key storage (the key itself is a non-extractable CryptoKey)
+        this.DB_NAME = 'nox-keystore';
+        this.STORE_NAME = 'keys';
+        this.KEY_RECORD_ID = 'active';
+        this.LEGACY_KEY = 'nox_enc_key';
+        this.SENSITIVE_KEYS = ['nox-chats', 'nox-n8n-config', 'nox-neo4j-config'];
+        // Everything stored per user with setItem (re-encrypted on a password change, removed with the user)
+        this.USER_KEYS = [...this.SENSITIVE_KEYS, 'nox-preferences', 'nox-recent-queries', 'nox-cypher-queries', 'nox-graph-styles'];
+        // Data from before multi-user accounts belongs to the built-in admin
+        this.LEGACY_OWNER = 'admin';
+
+        this.key = null;
+        this.username = null;
+    }
+
+    /**
+     * Open the IndexedDB key store
+     */
+    openKeyStore() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+                    db.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a single request against the key store
+     */
+    async withKeyStore(mode, callback) {
+        const db = await this.openKeyStore();
+
+        try {
+            return await new Promise((resolve, reject) => {
+                const tx = db.transaction(this.STORE_NAME, mode);
+                const request = callback(tx.objectStore(this.STORE_NAME));
+
+                tx.oncomplete = () => resolve(request ? request.result : undefined);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Get (or create) the per-user salt used for key derivation
+     * Deliberately separate from the login salt, so the encryption key
+     * can never be computed from the stored password hash
+     */
+    getKeySalt(username) {
+        const saltKey = `nox_enc_salt_${username}`;
+        let salt = localStorage.getItem(saltKey);
+
+        if (!salt) {
+            const buffer = crypto.getRandomValues(new Uint8Array(16));
+            salt = Array.from(buffer).map(b => b.toString(16).padStart(2, '0')).join('');
+            localStorage.setItem(saltKey, salt);
+        }
+
+        return new Uint8Array(salt.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
+    }
+
+    /**
+     * Derive the data encryption key from the user's password (PBKDF2)
+     */
+    async deriveKey(username, password) {
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return await crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: this.getKeySalt(username),
+                iterations: 100000,
+                hash: 'SHA-256'
+            },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
     }
 
     /**
-     * Ensure we have an encryption key for this session
+     * Derive and persist the encryption key after a successful login
+     * @param {string} username - Logged in user
+     * @param {string} password - Password the user just entered
+     * @param {CryptoKey} directoryKey - User directory key (only administrators get a wrappable one)
      */
-    ensureEncryptionKey() {
-        let keyData = sessionStorage.getItem('nox_enc_key');
+    async unlock(username, password, directoryKey = null) {
+        const legacyKey = await this.getLegacyKey();
+        const key = await this.deriveKey(username, password);
 
-        if (!keyData) {
-            // Generate a new key for this session
-            const randomBytes = new Uint8Array(32);
-            crypto.getRandomValues(randomBytes);
-            keyData = Array.from(randomBytes).map(b => b.toString(16).padStart(2, '0')).join('');
-            sessionStorage.setItem('nox_enc_key', keyData);
+        await this.saveKeyRecord(username, key, directoryKey);
+
+        // Data written with the old per-tab key is re-encrypted once
+        if (legacyKey && username === this.LEGACY_OWNER) {
+            await this.reencryptLegacyData(legacyKey);
         }
+
+        console.log('🔐 Encryption key unlocked');
+    }
+
+    async saveKeyRecord(username, key, directoryKey) {
+        await this.withKeyStore('readwrite', store => store.put({
+            id: this.KEY_RECORD_ID,
+            username: username,
+            key: key,
+            directoryKey: directoryKey,
+            createdAt: new Date().toISOString()
+        }));
+        this.key = key;
+        this.username = username;
+    }
+
+    /**
+     * Re-encrypt the signed in user's chats and settings for a new password
+     * Everything is decrypted before anything is written, and chats are rewritten
+     * in a single transaction
+     * @param {string} newPassword - The user's new password
+     */
+    async changePassword(newPassword) {
+        const username = await this.getUsername();
+        const oldKey = await this.getKey();
+        const newKey = await this.deriveKey(username, newPassword);
+        const directoryKey = await this.getDirectoryKey();
+
+        const items = [];
+        for (const key of this.USER_KEYS) {
+            const stored = localStorage.getItem(`${key}:${username}`);
+            if (!stored) continue;
+
+            const value = await this.decrypt(stored, oldKey);
+            if (value === null) {
+                throw new Error(`Stored ${key} could not be decrypted - the password was not changed`);
+            }
+            items.push([key, value]);
+        }
+
+        if (typeof chatStore !== 'undefined' && !(await chatStore.reencrypt(oldKey, newKey))) {
+            throw new Error('Stored chats could not be re-encrypted - the password was not changed');
+        }
+
+        for (const [key, value] of items) {
+            localStorage.setItem(`${key}:${username}`, await this.encrypt(value, newKey));
+        }
+        await this.saveKeyRecord(username, newKey, directoryKey);
+
+        console.log('🔐 Encryption key changed');
     }
 
     /**
      * Get the encryption key
      */
     async getKey() {
-        const keyData = sessionStorage.getItem('nox_enc_key');
+        if (this.key) {
+            return this.key;
+        }
+
+        const record = await this.withKeyStore('readonly', store => store.get(this.KEY_RECORD_ID));
+        if (!record || !record.key) {
+            throw new Error('Encryption key not available - please sign in again');
+        }
+
+        this.key = record.key;
+        this.username = record.username;
+        return this.key;
+    }
+
+    /**
+     * Get the user the encryption key belongs to
+     */
+    async getUsername() {
+        await this.getKey();
+        return this.username;
+    }
+
+    /**
+     * Get the user directory key
+     */
+    async getDirectoryKey() {
+        const record = await this.withKeyStore('readonly', store => store.get(this.KEY_RECORD_ID));
+        if (!record || !record.directoryKey) {
+            throw new Error('User directory is locked - please sign in again');
+        }
+        return record.directoryKey;
+    }
+
+    /**
+     * Storage key namespaced to the signed in user
+     */
+    async scopedKey(key) {
+        const username = await this.getUsername();
+        return `${key}:${username}`;
+    }
+
+    /**
+     * Check if an encryption key is available
+     */
+    async hasKey() {
+        try {
+            await this.getKey();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Import the old per-tab key from sessionStorage, if one is left
+     */
+    async getLegacyKey() {
+        const keyData = sessionStorage.getItem(this.LEGACY_KEY);
+        if (!keyData) return null;
+
         const keyBytes = new Uint8Array(keyData.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
 
         return await crypto.subtle.importKey(
@@ -40,43 +248,64 @@ class CryptoUtils {
         );
     }
 
+    /**
+     * Re-encrypt data written with the legacy per-tab key
+     */
+    async reencryptLegacyData(legacyKey) {
+        for (const key of this.SENSITIVE_KEYS) {
+            const stored = localStorage.getItem(key);
+            if (!stored) continue;
+
+            const value = await this.decrypt(stored, legacyKey);
+            if (value !== null && await this.setItem(key, value)) {
+                localStorage.removeItem(key);
+                console.log(`🔄 Re-encrypted ${key} with the persistent key`);
+            }
+        }
+
+        sessionStorage.removeItem(this.LEGACY_KEY);
+    }
+
     /**
      * Encrypt data
+     * Throws if no key is available - data is never written in plain text
+     * @param {*} data - JSON-serializable data
+     * @param {CryptoKey} key - Optional key (defaults to the persistent key)
      */
-    async encrypt(data) {
-        try {
-            const key = await this.getKey();
-            const iv = crypto.getRandomValues(new Uint8Array(12));
-            const encoder = new TextEncoder();
-            const encoded = encoder.encode(JSON.stringify(data));
+    async encrypt(data, key = null) {
+        key = key || await this.getKey();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const encoder = new TextEncoder();
+        const encoded = encoder.encode(JSON.stringify(data));
 
-            const encrypted = await crypto.subtle.encrypt(
-                { name: 'AES-GCM', iv },
-                key,
-                encoded
-            );
+        const encrypted = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            encoded
+        );
 
-            // Combine IV and encrypted data
-            const result = new Uint8Array(iv.length + encrypted.byteLength);
-            result.set(iv, 0);
-            result.set(new Uint8Array(encrypted), iv.length);
+        // Combine IV and encrypted data
+        const result = new Uint8Array(iv.length + encrypted.byteLength);
+        result.set(iv, 0);
+        result.set(new Uint8Array(encrypted), iv.length);
 
-            // Convert to base64
-            return btoa(String.fromCharCode(...result));
-        } catch (error) {
-            console.error('Encryption failed:', error);
-            // Fallback: return unencrypted data as JSON (for compatibility)
-            return JSON.stringify(data);
+        // Convert to base64 (chunked - large chat histories overflow the argument limit)
+        let binary = '';
+        for (let i = 0; i < result.length; i += 0x8000) {
+            binary += String.fromCharCode(...result.subarray(i, i + 0x8000));
         }
+        return btoa(binary);
     }
 
     /**
      * Decrypt data
+     * @param {string} encryptedData - Base64 IV + ciphertext
+     * @param {CryptoKey} key - Optional key (defaults to the persistent key)
      */
-    async decrypt(encryptedData) {
+    async decrypt(encryptedData, key = null) {
         try {
             // Try to decrypt
-            const key = await this.getKey();
+            key = key || await this.getKey();
             const data = Uint8Array.from(atob(encryptedData), c => c.charCodeAt(0));
 
             const iv = data.slice(0, 12);
@@ -101,35 +330,126 @@ class CryptoUtils {
         }
     }
 
+    /**
+     * Encrypt binary data (attachments)
+     * @param {ArrayBuffer|Uint8Array} bytes - Data to encrypt
+     * @param {CryptoKey} key - Optional key (defaults to the persistent key)
+     * @returns {Promise<Uint8Array>} - IV followed by ciphertext
+     */
+    async encryptBytes(bytes, key = null) {
+        key = key || await this.getKey();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+
+        const encrypted = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            bytes
+        );
+
+        const result = new Uint8Array(iv.length + encrypted.byteLength);
+        result.set(iv, 0);
+        result.set(new Uint8Array(encrypted), iv.length);
+        return result;
+    }
+
+    /**
+     * Decrypt binary data written by encryptBytes
+     * @param {CryptoKey} key - Optional key (defaults to the persistent key)
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async decryptBytes(data, key = null) {
+        key = key || await this.getKey();
+        const bytes = new Uint8Array(data);
+
+        return await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: bytes.slice(0, 12) },
+            key,
+            bytes.slice(12)
+        );
+    }
+
     /**
      * Secure localStorage set
      */
     async setItem(key, value) {
-        const encrypted = await this.encrypt(value);
-        localStorage.setItem(key, encrypted);
+        try {
+            const encrypted = await this.encrypt(value);
+            localStorage.setItem(await this.scopedKey(key), encrypted);
+            return true;
+        } catch (error) {
+            console.error(`❌ Not saving ${key}:`, error.message);
+            return false;
+        }
     }
 
     /**
      * Secure localStorage get
      */
     async getItem(key) {
-        const stored = localStorage.getItem(key);
-        if (!stored) return null;
-        return await this.decrypt(stored);
+        let storageKey;
+        try {
+            storageKey = await this.scopedKey(key);
+        } catch (error) {
+            return null;
+        }
+
+        const stored = localStorage.getItem(storageKey);
+        if (stored) {
+            return await this.decrypt(stored);
+        }
+
+        // Adopt data stored before items were namespaced
+        const legacy = localStorage.getItem(key);
+        if (legacy && this.username === this.LEGACY_OWNER) {
+            const value = await this.decrypt(legacy);
+            if (value !== null && await this.setItem(key, value)) {
+                localStorage.removeItem(key);
+                console.log(`🔄 Moved ${key} to ${storageKey}`);
+            }
+            return value;
+        }
+
+        return null;
+    }
+
+    /**
+     * Clear encryption key (on logout or session expiry)
+     */
+    async clearKey() {
+        this.key = null;
+        this.username = null;
+        sessionStorage.removeItem(this.LEGACY_KEY);
+
+        try {
+            await this.withKeyStore('readwrite', store => store.delete(this.KEY_RECORD_ID));
+        } catch (error) {
+            console.error('Failed to clear encryption key:', error);
+        }
+    }
+
+    /**
+     * Store an item for another user (e.g. settings an admin hands to a new account)
+     * @param {string} username - User the item belongs to
+     * @param {string} password - That user's password (their key is derived from it)
+     */
+    async setItemForUser(username, password, key, value) {
+        const userKey = await this.deriveKey(username, password);
+        localStorage.setItem(`${key}:${username}`, await this.encrypt(value, userKey));
     }
 
     /**
-     * Clear encryption key (on logout)
+     * Remove everything stored for a user (account removed or password reset)
      */
-    clearKey() {
-        sessionStorage.removeItem('nox_enc_key');
+    purgeUserData(username) {
+        this.USER_KEYS.forEach(key => localStorage.removeItem(`${key}:${username}`));
+        localStorage.removeItem(`nox_enc_salt_${username}`);
     }
 
     /**
      * Remove item from encrypted storage
      */
     async removeItem(key) {
-        localStorage.removeItem(key);
+        localStorage.removeItem(await this.scopedKey(key));
     }
 
     /**
@@ -137,10 +457,14 @@ class CryptoUtils {
      * This runs once to encrypt existing plain text data
      */
     async migrateAllData() {
-        const sensitiveKeys = ['nox-chats', 'nox-n8n-config', 'nox-neo4j-config'];
         let migratedCount = 0;
 
-        for (const key of sensitiveKeys) {
+        // Plain text data predates accounts and belongs to the built-in admin
+        if (await this.getUsername().catch(() => null) !== this.LEGACY_OWNER) {
+            return migratedCount;
+        }
+
+        for (const key of this.SENSITIVE_KEYS) {
             const plainText = localStorage.getItem(key);
             if (plainText) {
                 try {
@@ -150,9 +474,11 @@ class CryptoUtils {
                     // Check if it's actually plain text (not already encrypted)
                     if (parsed && typeof parsed === 'object') {
                         console.log(`🔄 Migrating ${key} to encrypted storage...`);
-                        await this.setItem(key, parsed);
-                        migratedCount++;
-                        console.log(`✅ ${key} successfully encrypted`);
+                        if (await this.setItem(key, parsed)) {
+                            localStorage.removeItem(key);
+                            migratedCount++;
+                            console.log(`✅ ${key} successfully encrypted`);
+                        }
                     }
                 } catch (e) {
                     // If it fails to parse as JSON, it might already be encrypted
@@ -0,0 +1,627 @@
+/**
+ * Cypher Editor Module
+ * Turns the graph window's query textarea into a Cypher editor: syntax highlighting,
+ * bracket matching, schema-aware autocomplete, per-database history and saved queries
+ * Highlighting is drawn in a <pre> behind the textarea, whose own text is transparent
+ */
+
+class CypherEditor {
+    /**
+     * @param {HTMLTextAreaElement} textarea - Query input to enhance
+     * @param {object} options - Options
+     * @param {Neo4jManager} options.neo4jManager - Used to fetch labels, types and property keys
+     * @param {function} options.onExecute - Called on Ctrl/Cmd+Enter
+     */
+    constructor(textarea, { neo4jManager, onExecute = null } = {}) {
+        this.textarea = textarea;
+        this.neo4jManager = neo4jManager;
+        this.onExecute = onExecute;
+
+        this.STORAGE_KEY = 'nox-cypher-queries';
+        this.MAX_HISTORY = 50;
+
+        this.KEYWORDS = [
+            'MATCH', 'OPTIONAL', 'WHERE', 'RETURN', 'WITH', 'UNWIND', 'ORDER', 'BY', 'SKIP', 'LIMIT',
+            'ASC', 'DESC', 'DISTINCT', 'AS', 'AND', 'OR', 'XOR', 'NOT', 'IN', 'IS', 'NULL', 'TRUE', 'FALSE',
+            'CREATE', 'MERGE', 'ON', 'SET', 'DELETE', 'DETACH', 'REMOVE', 'CALL', 'YIELD', 'UNION', 'ALL',
+            'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'EXISTS', 'COUNT', 'FOREACH', 'LOAD', 'CSV', 'FROM',
+            'HEADERS', 'EXPLAIN', 'PROFILE', 'STARTS', 'ENDS', 'CONTAINS', 'INDEX', 'CONSTRAINT', 'DROP',
+            'SHOW', 'USE', 'FOR', 'REQUIRE', 'UNIQUE', 'KEY', 'TRANSACTIONS', 'OF', 'ROWS'
+        ];
+        this.FUNCTIONS = [
+            'count', 'collect', 'sum', 'avg', 'min', 'max', 'size', 'length', 'labels', 'type', 'keys',
+            'properties', 'id', 'elementId', 'nodes', 'relationships', 'head', 'last', 'tail', 'range',
+            'coalesce', 'toString', 'toInteger', 'toFloat', 'toBoolean', 'toLower', 'toUpper', 'trim',
+            'split', 'replace', 'substring', 'startNode', 'endNode', 'shortestPath', 'allShortestPaths',
+            'exists', 'datetime', 'date', 'timestamp', 'duration', 'reduce', 'any', 'none', 'single'
+        ];
+        this.keywordSet = new Set(this.KEYWORDS);
+
+        // Schema for autocomplete, per database
+        this.schema = { labels: [], relationshipTypes: [], propertyKeys: [] };
+        this.schemaDatabase = null;
+
+        // { [database]: { history: [query], saved: [{name, query}] } }
+        this.store = {};
+
+        this.suggestions = [];
+        this.selectedSuggestion = 0;
+        this.completionStart = 0;
+
+        this.build();
+        this.bindEvents();
+        this.loadStore();
+        this.render();
+    }
+
+    // ==================== Setup ====================
+
+    /**
+     * Wrap the textarea with the highlight layer, autocomplete list and toolbar
+     */
+    build() {
+        this.wrapper = document.createElement('div');
+        this.wrapper.className = 'cypher-editor';
+        this.textarea.parentNode.insertBefore(this.wrapper, this.textarea);
+
+        this.highlight = document.createElement('pre');
+        this.highlight.className = 'cypher-highlight';
+        this.highlight.setAttribute('aria-hidden', 'true');
+
+        this.wrapper.appendChild(this.highlight);
+        this.wrapper.appendChild(this.textarea);
+        this.textarea.classList.add('cypher-input');
+
+        this.completionList = document.createElement('ul');
+        this.completionList.className = 'cypher-completions hidden';
+        this.wrapper.appendChild(this.completionList);
+
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'cypher-toolbar';
+        this.toolbar.innerHTML = `
+            <button type="button" class="cypher-toolbar-btn" data-panel="history">History ▾</button>
+            <button type="button" class="cypher-toolbar-btn" data-panel="saved">Saved ▾</button>
+            <span class="cypher-toolbar-hint">Ctrl+Space: suggestions • Ctrl+Enter: run</span>
+            <div class="cypher-panel hidden"></div>
+        `;
+        this.wrapper.parentNode.insertBefore(this.toolbar, this.wrapper);
+        this.panel = this.toolbar.querySelector('.cypher-panel');
+    }
+
+    bindEvents() {
+        this.textarea.addEventListener('input', () => {
+            this.render();
+            this.updateCompletions(false);
+        });
+        this.textarea.addEventListener('scroll', () => this.syncScroll());
+        this.textarea.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.textarea.addEventListener('click', () => {
+            this.render();
+            this.hideCompletions();
+        });
+        this.textarea.addEventListener('keyup', (e) => {
+            if (['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key) ||
+                (!this.isCompleting() && ['ArrowUp', 'ArrowDown'].includes(e.key))) {
+                this.render();
+            }
+        });
+        this.textarea.addEventListener('focus', () => this.loadSchema());
+        this.textarea.addEventListener('blur', () => {
+            // Let a click on a suggestion land first
+            setTimeout(() => this.hideCompletions(), 150);
+        });
+
+        // Keep the highlight layer the same size when the textarea is resized
+        if (window.ResizeObserver) {
+            new ResizeObserver(() => this.syncSize()).observe(this.textarea);
+        }
+
+        this.completionList.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('li[data-index]');
+            if (item) {
+                e.preventDefault();
+                this.acceptCompletion(parseInt(item.dataset.index, 10));
+            }
+        });
+
+        this.toolbar.querySelectorAll('[data-panel]').forEach(button => {
+            button.addEventListener('click', () => this.togglePanel(button.dataset.panel));
+        });
+        this.panel.addEventListener('click', (e) => this.handlePanelClick(e));
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.classList.contains('cypher-save-name')) {
+                e.preventDefault();
+                this.saveCurrentQuery(e.target.value);
+            }
+        });
+        document.addEventListener('click', (e) => {
+            if (!this.toolbar.contains(e.target)) {
+                this.closePanel();
+            }
+        });
+    }
+
+    // ==================== Value ====================
+
+    getValue() {
+        return this.textarea.value;
+    }
+
+    /**
+     * Replace the query (use instead of setting textarea.value so the highlight updates)
+     */
+    setValue(value) {
+        this.textarea.value = value;
+        this.hideCompletions();
+        this.render();
+    }
+
+    // ==================== Highlighting ====================
+
+    /**
+     * Split a query into tokens
+     * @returns {Array<{type: string, text: string, start: number}>}
+     */
+    tokenize(text) {
+        const pattern = /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|('(?:[^'\\]|\\.)*'?|"(?:[^"\\]|\\.)*"?)|(`[^`]*`?)|(\$\w+)|(\b\d+(?:\.\d+)?(?:e[+-]?\d+)?\b)|([A-Za-z_][\w]*)|([()[\]{}])|(\s+)|([\s\S])/gi;
+        const tokens = [];
+        let match;
+        let previous = null;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const [whole, comment, string, backtick, param, number, word, bracket] = match;
+            let type = 'text';
+
+            if (comment) type = 'comment';
+            else if (string) type = 'string';
+            else if (backtick) type = 'identifier';
+            else if (param) type = 'param';
+            else if (number) type = 'number';
+            else if (bracket) type = 'bracket';
+            else if (word) {
+                // ":Label" - but not "key: value" in a map
+                if (previous && previous.text === ':' && previous.start + 1 === match.index) type = 'label';
+                else if (this.keywordSet.has(word.toUpperCase())) type = 'keyword';
+                else if (/^\s*\(/.test(text.slice(pattern.lastIndex))) type = 'function';
+                else type = 'variable';
+            }
+
+            const token = { type, text: whole, start: match.index };
+            tokens.push(token);
+            if (!/^\s+$/.test(whole)) previous = token;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Redraw the highlight layer (also marks matching brackets and the caret)
+     */
+    render() {
+        const text = this.textarea.value;
+        const caret = this.textarea.selectionStart;
+        const tokens = this.tokenize(text);
+        const matched = this.findMatchingBrackets(tokens, caret);
+
+        let html = '';
+        let caretPlaced = false;
+
+        tokens.forEach(token => {
+            // The caret marker lets autocomplete find where to open its list
+            if (!caretPlaced && caret >= token.start && caret < token.start + token.text.length) {
+                const offset = caret - token.start;
+                html += this.renderToken(token, token.text.slice(0, offset), matched) +
+                    '<span class="cypher-caret"></span>' +
+                    this.renderToken(token, token.text.slice(offset), matched);
+                caretPlaced = true;
+                return;
+            }
+            html += this.renderToken(token, token.text, matched);
+        });
+
+        if (!caretPlaced) {
+            html += '<span class="cypher-caret"></span>';
+        }
+
+        // A trailing newline needs content after it to take up a line
+        this.highlight.innerHTML = html + '\n';
+        this.syncScroll();
+    }
+
+    renderToken(token, text, matched) {
+        if (!text) return '';
+
+        const escaped = this.escapeHtml(text);
+        if (token.type === 'text') return escaped;
+
+        let className = `cy-${token.type}`;
+        if (token.type === 'bracket' && matched) {
+            if (matched.positions.includes(token.start)) {
+                className += matched.unmatched ? ' cy-bracket-unmatched' : ' cy-bracket-match';
+            }
+        }
+        return `<span class="${className}">${escaped}</span>`;
+    }
+
+    /**
+     * Find the bracket next to the caret and its partner
+     * @returns {{positions: Array<number>, unmatched: boolean}|null}
+     */
+    findMatchingBrackets(tokens, caret) {
+        const pairs = { '(': ')', '[': ']', '{': '}' };
+        const closers = { ')': '(', ']': '[', '}': '{' };
+        const brackets = tokens.filter(token => token.type === 'bracket');
+
+        const current = brackets.find(token => token.start === caret - 1) ||
+            brackets.find(token => token.start === caret);
+        if (!current) return null;
+
+        const index = brackets.indexOf(current);
+        const forward = !!pairs[current.text];
+        const open = forward ? current.text : closers[current.text];
+        const close = pairs[open];
+        let depth = 0;
+
+        for (let i = index; forward ? i < brackets.length : i >= 0; i += forward ? 1 : -1) {
+            const text = brackets[i].text;
+            if (text === open) depth += forward ? 1 : -1;
+            if (text === close) depth += forward ? -1 : 1;
+            if (depth === 0) {
+                return { positions: [current.start, brackets[i].start], unmatched: false };
+            }
+        }
+
+        return { positions: [current.start], unmatched: true };
+    }
+
+    syncScroll() {
+        this.highlight.scrollTop = this.textarea.scrollTop;
+        this.highlight.scrollLeft = this.textarea.scrollLeft;
+    }
+
+    syncSize() {
+        this.highlight.style.height = `${this.textarea.offsetHeight}px`;
+        this.syncScroll();
+    }
+
+    // ==================== Autocomplete ====================
+
+    /**
+     * Fetch labels, relationship types and property keys for the configured database
+     * @param {boolean} force - Reload even if already loaded for this database
+     */
+    async loadSchema(force = false) {
+        const database = this.getDatabase();
+        if (!force && this.schemaDatabase === database) return;
+        this.schemaDatabase = database;
+
+        let failed = false;
+        const fetchColumn = async (query) => {
+            try {
+                const result = await this.neo4jManager.executeQuery(query);
+                const statement = result.results[0];
+                return (statement.data || []).map(record => record.row[0]).filter(Boolean).sort();
+            } catch (error) {
+                console.warn(`Autocomplete schema query failed (${query}):`, error.message);
+                failed = true;
+                return [];
+            }
+        };
+
+        const [labels, relationshipTypes, propertyKeys] = await Promise.all([
+            fetchColumn('CALL db.labels() YIELD label RETURN label'),
+            fetchColumn('CALL db.relationshipTypes() YIELD relationshipType RETURN relationshipType'),
+            fetchColumn('CALL db.propertyKeys() YIELD propertyKey RETURN propertyKey')
+        ]);
+
+        this.schema = { labels, relationshipTypes, propertyKeys };
+        if (failed) {
+            // Try again on the next focus
+            this.schemaDatabase = null;
+        }
+        console.log(`🧭 Cypher schema loaded: ${labels.length} labels, ${relationshipTypes.length} relationship types, ${propertyKeys.length} property keys`);
+    }
+
+    /**
+     * Forget the loaded schema (connection settings changed)
+     */
+    invalidateSchema() {
+        this.schemaDatabase = null;
+        this.schema = { labels: [], relationshipTypes: [], propertyKeys: [] };
+    }
+
+    /**
+     * Work out what is being typed at the caret and which names fit there
+     * @param {boolean} explicit - Opened with Ctrl+Space (show even without a prefix)
+     */
+    updateCompletions(explicit) {
+        const text = this.textarea.value;
+        const caret = this.textarea.selectionStart;
+        const before = text.slice(0, caret);
+
+        const match = before.match(/([:.]?)([A-Za-z_][\w]*)?$/);
+        const trigger = match[1];
+        const prefix = match[2] || '';
+
+        if (this.isInsideLiteral(before)) {
+            this.hideCompletions();
+            return;
+        }
+
+        let candidates;
+        if (trigger === ':') {
+            candidates = this.isInsideRelationship(before) ? this.schema.relationshipTypes : this.schema.labels;
+        } else if (trigger === '.') {
+            candidates = this.schema.propertyKeys;
+        } else if (prefix.length >= 2 || explicit) {
+            candidates = [...this.KEYWORDS, ...this.FUNCTIONS.map(fn => `${fn}()`), ...this.schema.labels];
+        } else {
+            this.hideCompletions();
+            return;
+        }
+
+        const lower = prefix.toLowerCase();
+        this.suggestions = candidates
+            .filter(name => name.toLowerCase().startsWith(lower) && name !== prefix)
+            .slice(0, 12);
+        this.completionStart = caret - prefix.length;
+        this.selectedSuggestion = 0;
+
+        if (this.suggestions.length === 0) {
+            this.hideCompletions();
+            return;
+        }
+
+        this.showCompletions();
+    }
+
+    /**
+     * No suggestions inside strings or comments
+     */
+    isInsideLiteral(before) {
+        const last = this.tokenize(before).pop();
+        if (!last) return false;
+
+        if (last.type === 'comment') {
+            return last.text.startsWith('//') || !last.text.endsWith('*/');
+        }
+        if (last.type === 'string') {
+            return last.text.length < 2 || last.text[last.text.length - 1] !== last.text[0];
+        }
+        return false;
+    }
+
+    /**
+     * Is the caret inside [ ] (a relationship pattern) rather than ( ) (a node)?
+     */
+    isInsideRelationship(before) {
+        const code = before.replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, '');
+        return code.lastIndexOf('[') > code.lastIndexOf(']') &&
+            code.lastIndexOf('[') > code.lastIndexOf('(');
+    }
+
+    showCompletions() {
+        this.completionList.innerHTML = this.suggestions.map((name, index) =>
+            `<li data-index="${index}" class="${index === this.selectedSuggestion ? 'selected' : ''}">${this.escapeHtml(name)}</li>`
+        ).join('');
+
+        // Open the list under the caret
+        const caretMarker = this.highlight.querySelector('.cypher-caret');
+        if (caretMarker) {
+            const lineHeight = parseFloat(getComputedStyle(this.textarea).lineHeight) || 16;
+            this.completionList.style.left = `${caretMarker.offsetLeft - this.textarea.scrollLeft}px`;
+            this.completionList.style.top = `${caretMarker.offsetTop - this.textarea.scrollTop + lineHeight}px`;
+        }
+
+        this.completionList.classList.remove('hidden');
+    }
+
+    hideCompletions() {
+        this.suggestions = [];
+        this.completionList.classList.add('hidden');
+    }
+
+    isCompleting() {
+        return this.suggestions.length > 0;
+    }
+
+    acceptCompletion(index = this.selectedSuggestion) {
+        const name = this.suggestions[index];
+        if (name === undefined) return;
+
+        const text = this.textarea.value;
+        const caret = this.textarea.selectionStart;
+        let insert = /^\w+$/.test(name) || name.endsWith('()') ? name : `\`${name}\``;
+        let caretOffset = insert.length;
+
+        // Functions: put the caret between the parentheses
+        if (insert.endsWith('()')) {
+            caretOffset -= 1;
+        }
+
+        this.textarea.value = text.slice(0, this.completionStart) + insert + text.slice(caret);
+        this.textarea.selectionStart = this.textarea.selectionEnd = this.completionStart + caretOffset;
+
+        this.hideCompletions();
+        this.render();
+        this.textarea.focus();
+    }
+
+    handleKeydown(e) {
+        // Ctrl/Cmd+Enter runs the query
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.hideCompletions();
+            if (this.onExecute) this.onExecute();
+            return;
+        }
+
+        if (e.key === ' ' && e.ctrlKey) {
+            e.preventDefault();
+            this.loadSchema().then(() => this.updateCompletions(true));
+            return;
+        }
+
+        if (!this.isCompleting()) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.selectedSuggestion = (this.selectedSuggestion + step + this.suggestions.length) % this.suggestions.length;
+            this.showCompletions();
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            this.acceptCompletion();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.hideCompletions();
+        }
+    }
+
+    // ==================== History & Saved Queries ====================
+
+    getDatabase() {
+        return this.neo4jManager.getConfig().neo4jDatabase || 'neo4j';
+    }
+
+    getEntry(database = this.getDatabase()) {
+        if (!this.store[database]) {
+            this.store[database] = { history: [], saved: [] };
+        }
+        return this.store[database];
+    }
+
+    async loadStore() {
+        if (!window.CryptoUtils) return;
+        const stored = await window.CryptoUtils.getItem(this.STORAGE_KEY);
+        if (stored && typeof stored === 'object') {
+            this.store = stored;
+        }
+    }
+
+    async saveStore() {
+        if (!window.CryptoUtils) return;
+        await window.CryptoUtils.setItem(this.STORAGE_KEY, this.store);
+    }
+
+    /**
+     * Remember an executed query (most recent first, no duplicates)
+     */
+    addToHistory(query) {
+        const trimmed = query.trim();
+        if (!trimmed) return;
+
+        const entry = this.getEntry();
+        entry.history = [trimmed, ...entry.history.filter(item => item !== trimmed)].slice(0, this.MAX_HISTORY);
+        this.saveStore();
+    }
+
+    saveCurrentQuery(name) {
+        const query = this.getValue().trim();
+        const trimmedName = (name || '').trim();
+        if (!query || !trimmedName) return;
+
+        const entry = this.getEntry();
+        entry.saved = entry.saved.filter(item => item.name !== trimmedName);
+        entry.saved.unshift({ name: trimmedName, query, savedAt: new Date().toISOString() });
+        this.saveStore();
+
+        this.renderPanel('saved');
+    }
+
+    deleteSavedQuery(name) {
+        const entry = this.getEntry();
+        entry.saved = entry.saved.filter(item => item.name !== name);
+        this.saveStore();
+        this.renderPanel('saved');
+    }
+
+    togglePanel(panel) {
+        if (!this.panel.classList.contains('hidden') && this.panel.dataset.panel === panel) {
+            this.closePanel();
+            return;
+        }
+        this.renderPanel(panel);
+        this.panel.classList.remove('hidden');
+    }
+
+    closePanel() {
+        this.panel.classList.add('hidden');
+    }
+
+    renderPanel(panel) {
+        const entry = this.getEntry();
+        const database = this.escapeHtml(this.getDatabase());
+        this.panel.dataset.panel = panel;
+
+        if (panel === 'history') {
+            this.panel.innerHTML = entry.history.length === 0
+                ? `<div class="cypher-panel-empty">No queries run on ${database} yet.</div>`
+                : entry.history.map((query, index) =>
+                    `<div class="cypher-panel-item" data-history="${index}" title="${this.escapeAttribute(query)}">${this.escapeHtml(query)}</div>`
+                ).join('');
+            return;
+        }
+
+        const saved = entry.saved.map((item, index) => `
+            <div class="cypher-panel-item" data-saved="${index}" title="${this.escapeAttribute(item.query)}">
+                <span class="cypher-saved-name">${this.escapeHtml(item.name)}</span>
+                <span class="cypher-saved-query">${this.escapeHtml(item.query)}</span>
+                <button type="button" class="cypher-saved-delete" data-delete="${index}" title="Delete">×</button>
+            </div>
+        `).join('');
+
+        this.panel.innerHTML = `
+            <div class="cypher-save-row">
+                <input type="text" class="cypher-save-name" placeholder="Name for the current query" autocomplete="off" />
+                <button type="button" class="cypher-toolbar-btn" data-action="save">Save</button>
+            </div>
+            ${saved || `<div class="cypher-panel-empty">No saved queries for ${database}.</div>`}
+        `;
+    }
+
+    handlePanelClick(e) {
+        const entry = this.getEntry();
+
+        const deleteButton = e.target.closest('[data-delete]');
+        if (deleteButton) {
+            e.stopPropagation();
+            this.deleteSavedQuery(entry.saved[parseInt(deleteButton.dataset.delete, 10)].name);
+            return;
+        }
+
+        if (e.target.closest('[data-action="save"]')) {
+            this.saveCurrentQuery(this.panel.querySelector('.cypher-save-name').value);
+            return;
+        }
+
+        const historyItem = e.target.closest('[data-history]');
+        const savedItem = e.target.closest('[data-saved]');
+        const query = historyItem
+            ? entry.history[parseInt(historyItem.dataset.history, 10)]
+            : savedItem ? entry.saved[parseInt(savedItem.dataset.saved, 10)].query : null;
+
+        if (query !== null && query !== undefined) {
+            this.setValue(query);
+            this.closePanel();
+            this.textarea.focus();
+        }
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Escape text for an attribute value (queries are full of quotes)
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+}
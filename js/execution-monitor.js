@@ -0,0 +1,494 @@
+/**
+ * Execution Monitor Module
+ * Single place that reads executions from the n8n API, so open tabs don't each poll it every second:
+ * - Running executions are polled with exponential backoff, and fast again as soon as they change
+ * - Finished executions are fetched once and cached by ID while their stoppedAt is unchanged
+ * - Fetched executions are shared with other open tabs of the same n8n instance
+ * - Waiting executions of a workflow can be searched for the same way (a chat message that
+ *   paused on a Wait node before its execution ID was known)
+ * - An optional relay pushes n8n execution events over Server-Sent Events (relay/execution-relay.js);
+ *   while it is connected, polling only runs as a slow fallback
+ */
+
+class ExecutionMonitor {
+    /**
+     * @param {N8NManager} n8nManager - Provides the n8n URL and API key
+     */
+    constructor(n8nManager) {
+        this.n8nManager = n8nManager;
+
+        this.cache = new Map();    // executionId -> {execution, etag, fetchedAt}
+        this.watchers = new Map(); // executionId -> {callbacks, timer, delay, signature, failures}
+        this.pending = new Map();  // executionId -> in-flight fetch
+        this.searches = new Set();  // Waiting-execution searches: {workflowId, since, match, callback, timer, delay, failures}
+        this.relayListeners = [];
+
+        this.MIN_INTERVAL = 1000;
+        this.MAX_INTERVAL = 15000;
+        this.BACKOFF_FACTOR = 1.5;
+        this.RELAY_FALLBACK_INTERVAL = 30000;
+        this.MAX_FAILURES = 3;
+        this.MAX_CACHE_SIZE = 200;
+        this.DETAIL_CONCURRENCY = 4;
+
+        this.eventSource = null;
+        this.relayUrl = null;
+        this.relayConnected = false;
+
+        // Tabs share what they fetch, so only one of them has to ask n8n
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('nox-executions') : null;
+        if (this.channel) {
+            this.channel.onmessage = (e) => this.handleSharedExecution(e.data);
+        }
+    }
+
+    // ==================== Fetching ====================
+
+    /**
+     * Finished executions never change again
+     */
+    isFinished(execution) {
+        if (['new', 'running', 'waiting'].includes(execution.status)) {
+            return false;
+        }
+        return Boolean(execution.finished || execution.stoppedAt);
+    }
+
+    /**
+     * Execution with node data - from the cache when it is finished or was fetched within maxAge ms
+     * @param {string} executionId
+     * @param {object} options - Options
+     * @param {number} options.maxAge - Accept a cached copy this recent (e.g. fetched by another tab)
+     * @returns {Promise<object>}
+     */
+    async getExecution(executionId, { maxAge = 0 } = {}) {
+        const cached = this.cache.get(String(executionId));
+        if (cached && (this.isFinished(cached.execution) || Date.now() - cached.fetchedAt < maxAge)) {
+            return cached.execution;
+        }
+        return this.fetchExecution(executionId);
+    }
+
+    /**
+     * Fetch from the API (concurrent calls for the same execution share one request)
+     */
+    fetchExecution(executionId) {
+        const id = String(executionId);
+        if (this.pending.has(id)) {
+            return this.pending.get(id);
+        }
+
+        const request = this.requestExecution(id).finally(() => this.pending.delete(id));
+        this.pending.set(id, request);
+        return request;
+    }
+
+    getRequestHeaders(config) {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (config.apiKey) {
+            headers['X-N8N-API-KEY'] = config.apiKey;
+        }
+        return headers;
+    }
+
+    async requestExecution(id) {
+        const config = this.n8nManager.getConfig();
+        if (!config.n8nUrl) {
+            throw new Error('n8n URL not configured');
+        }
+
+        // no-cache lets the browser revalidate with the ETag n8n sent last time
+        const response = await fetch(`${config.n8nUrl}/api/v1/executions/${id}?includeData=true`, {
+            method: 'GET',
+            headers: this.getRequestHeaders(config),
+            cache: 'no-cache'
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch execution: ${response.status}`);
+        }
+
+        // Same ETag as the cached copy - skip parsing the (large) body again
+        const etag = response.headers.get('ETag');
+        const cached = this.cache.get(id);
+        if (etag && cached && cached.etag === etag) {
+            cached.fetchedAt = Date.now();
+            return cached.execution;
+        }
+
+        const execution = await response.json();
+        const entry = this.store(id, execution, etag);
+        this.share(id, entry);
+        return execution;
+    }
+
+    store(id, execution, etag = null) {
+        const entry = { execution, etag, fetchedAt: Date.now() };
+
+        // Re-insert so the Map stays in least-recently-fetched order
+        this.cache.delete(id);
+        this.cache.set(id, entry);
+
+        if (this.cache.size > this.MAX_CACHE_SIZE) {
+            const oldest = this.cache.keys().next().value;
+            this.cache.delete(oldest);
+        }
+        return entry;
+    }
+
+    /**
+     * Node data for a list of executions (from the executions list endpoint)
+     * Finished executions whose stoppedAt matches the cached copy are not fetched again, and
+     * watched ones come from the cache, which their watcher keeps up to date.
+     * @param {Array} summaries - Executions without data
+     * @returns {Promise<Array>} - Executions with data, in the same order (summary if a fetch fails)
+     */
+    async getExecutionDetails(summaries) {
+        const results = new Array(summaries.length);
+        const queue = [];
+
+        summaries.forEach((summary, index) => {
+            const cached = this.cache.get(String(summary.id));
+            const current = cached && (this.isFinished(cached.execution)
+                ? cached.execution.stoppedAt === summary.stoppedAt
+                : this.watchers.has(String(summary.id)));
+            if (current) {
+                results[index] = cached.execution;
+            } else {
+                queue.push(index);
+            }
+        });
+
+        // A few requests at a time rather than the whole list at once
+        const worker = async () => {
+            while (queue.length > 0) {
+                const index = queue.shift();
+                try {
+                    results[index] = await this.fetchExecution(summaries[index].id);
+                } catch (error) {
+                    console.error('Failed to fetch execution details:', summaries[index].id);
+                    results[index] = summaries[index];
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.DETAIL_CONCURRENCY, queue.length) }, worker));
+
+        return results;
+    }
+
+    // ==================== Watching ====================
+
+    /**
+     * Call back whenever an execution changes, until it finishes
+     * @param {string} executionId
+     * @param {function} callback - Receives the execution (with node data)
+     * @returns {function} - Stops watching
+     */
+    watch(executionId, callback) {
+        const id = String(executionId);
+        let watcher = this.watchers.get(id);
+
+        if (!watcher) {
+            watcher = { callbacks: new Set(), timer: null, delay: this.MIN_INTERVAL, signature: null, failures: 0 };
+            this.watchers.set(id, watcher);
+            this.schedule(id, 0);
+        }
+        watcher.callbacks.add(callback);
+
+        return () => this.unwatch(id, callback);
+    }
+
+    unwatch(executionId, callback) {
+        const id = String(executionId);
+        const watcher = this.watchers.get(id);
+        if (!watcher) return;
+
+        watcher.callbacks.delete(callback);
+        if (watcher.callbacks.size === 0) {
+            clearTimeout(watcher.timer);
+            this.watchers.delete(id);
+        }
+    }
+
+    /**
+     * Check a watched execution now and poll quickly again (e.g. after a relay event)
+     */
+    refresh(executionId) {
+        const id = String(executionId);
+        const watcher = this.watchers.get(id);
+        if (watcher) {
+            watcher.delay = this.MIN_INTERVAL;
+            this.schedule(id, 0);
+        }
+    }
+
+    schedule(id, delay) {
+        const watcher = this.watchers.get(id);
+        if (!watcher) return;
+
+        clearTimeout(watcher.timer);
+        watcher.timer = setTimeout(() => this.poll(id), delay);
+    }
+
+    async poll(id) {
+        const watcher = this.watchers.get(id);
+        if (!watcher) return;
+
+        try {
+            // A copy another tab fetched a moment ago is good enough
+            const execution = await this.getExecution(id, { maxAge: this.MIN_INTERVAL });
+            watcher.failures = 0;
+            this.deliver(id, execution);
+        } catch (error) {
+            watcher.failures++;
+
+            if (error.name === 'TypeError') {
+                console.warn('⚠️ CORS Error: Cannot fetch execution details from n8n API.');
+                console.warn('💡 To fix: Configure CORS in your n8n instance to allow origin:', window.location.origin);
+                console.warn('📚 See: https://docs.n8n.io/hosting/configuration/environment-variables/#cors');
+            } else {
+                console.error('❌ Error fetching execution details:', error);
+            }
+
+            if (error.name === 'TypeError' || watcher.failures >= this.MAX_FAILURES) {
+                // Give up on this execution rather than keep hitting a failing API
+                clearTimeout(watcher.timer);
+                this.watchers.delete(id);
+                return;
+            }
+
+            watcher.delay = Math.min(watcher.delay * this.BACKOFF_FACTOR, this.MAX_INTERVAL);
+            this.schedule(id, watcher.delay);
+        }
+    }
+
+    /**
+     * Pass an execution to its watchers if it changed, then pick the next poll delay
+     */
+    deliver(id, execution) {
+        const watcher = this.watchers.get(id);
+        if (!watcher) return;
+
+        const signature = this.getSignature(execution);
+        const changed = signature !== watcher.signature;
+        watcher.signature = signature;
+
+        // Back off while nothing happens, poll fast again once it does
+        watcher.delay = changed
+            ? this.MIN_INTERVAL
+            : Math.min(watcher.delay * this.BACKOFF_FACTOR, this.MAX_INTERVAL);
+
+        if (changed) {
+            watcher.callbacks.forEach(callback => callback(execution));
+        }
+
+        if (this.isFinished(execution)) {
+            clearTimeout(watcher.timer);
+            return;
+        }
+
+        this.schedule(id, this.relayConnected ? this.RELAY_FALLBACK_INTERVAL : watcher.delay);
+    }
+
+    /**
+     * What changes while an execution runs: its status and which nodes have run how often
+     */
+    getSignature(execution) {
+        const runData = execution.data?.resultData?.runData || {};
+        const runs = Object.keys(runData).map(node => `${node}:${runData[node].length}`).join(',');
+        return [execution.status, execution.finished, execution.stoppedAt, execution.data?.resultData?.lastNodeExecuted, runs].join('|');
+    }
+
+    // ==================== Waiting Executions ====================
+
+    /**
+     * Call back once with the first waiting execution of a workflow that matches
+     * Polls with the same backoff as watch(), and checks at once on relay events for the workflow.
+     * @param {object} query - Query
+     * @param {string} query.workflowId - Only executions of this workflow
+     * @param {number} query.since - Only executions started after this time (ms)
+     * @param {function} query.match - Receives an execution (with node data), returns whether it is the one
+     * @param {function} callback - Receives the matching execution
+     * @returns {function} - Stops searching
+     */
+    findWaiting({ workflowId, since, match }, callback) {
+        const search = {
+            workflowId: String(workflowId),
+            since,
+            match,
+            callback,
+            timer: null,
+            delay: this.MIN_INTERVAL,
+            failures: 0
+        };
+        this.searches.add(search);
+        this.scheduleSearch(search, search.delay);
+
+        return () => this.stopSearch(search);
+    }
+
+    stopSearch(search) {
+        clearTimeout(search.timer);
+        this.searches.delete(search);
+    }
+
+    scheduleSearch(search, delay) {
+        if (!this.searches.has(search)) return;
+
+        clearTimeout(search.timer);
+        search.timer = setTimeout(() => this.search(search), delay);
+    }
+
+    async search(search) {
+        if (!this.searches.has(search)) return;
+
+        try {
+            const executions = await this.requestWaiting(search.workflowId);
+            search.failures = 0;
+
+            const execution = executions.find(candidate =>
+                new Date(candidate.startedAt).getTime() >= search.since - 1000 && search.match(candidate));
+            if (execution && this.searches.has(search)) {
+                this.stopSearch(search);
+                search.callback(execution);
+                return;
+            }
+        } catch (error) {
+            search.failures++;
+            console.warn('⚠️ Could not check for waiting executions:', error.message);
+
+            if (error.name === 'TypeError' || search.failures >= this.MAX_FAILURES) {
+                this.stopSearch(search);
+                return;
+            }
+        }
+
+        search.delay = Math.min(search.delay * this.BACKOFF_FACTOR, this.MAX_INTERVAL);
+        this.scheduleSearch(search, this.relayConnected ? this.RELAY_FALLBACK_INTERVAL : search.delay);
+    }
+
+    /**
+     * Waiting executions of a workflow, with node data (so they can be matched)
+     */
+    async requestWaiting(workflowId) {
+        const config = this.n8nManager.getConfig();
+        if (!config.n8nUrl) {
+            throw new Error('n8n URL not configured');
+        }
+
+        const params = new URLSearchParams({ status: 'waiting', workflowId, includeData: 'true', limit: '10' });
+        const response = await fetch(`${config.n8nUrl}/api/v1/executions?${params}`, {
+            method: 'GET',
+            headers: this.getRequestHeaders(config)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch waiting executions: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.data || [];
+    }
+
+    // ==================== Sharing ====================
+
+    share(id, entry) {
+        if (!this.channel) return;
+
+        try {
+            this.channel.postMessage({ n8nUrl: this.n8nManager.getConfig().n8nUrl, id, ...entry });
+        } catch (error) {
+            // Not cloneable - other tabs fetch it themselves
+        }
+    }
+
+    handleSharedExecution(message) {
+        if (!message || message.n8nUrl !== this.n8nManager.getConfig().n8nUrl) return;
+
+        this.store(message.id, message.execution, message.etag);
+        if (this.watchers.has(message.id)) {
+            this.deliver(message.id, message.execution);
+        }
+    }
+
+    // ==================== Relay ====================
+
+    /**
+     * Receive execution events pushed by the relay (empty URL disconnects)
+     * Events are JSON: {executionId, workflowId, status, event}
+     * @param {string} url - The relay's /events URL
+     */
+    connectRelay(url) {
+        if (url === this.relayUrl && this.eventSource) return;
+
+        this.disconnectRelay();
+        if (!url || typeof EventSource === 'undefined') return;
+
+        this.relayUrl = url;
+        this.eventSource = new EventSource(url);
+
+        this.eventSource.onopen = () => {
+            this.relayConnected = true;
+            // The URL carries the relay token - keep it out of the console
+            console.log('📡 Execution relay connected:', url.split('?')[0]);
+        };
+
+        this.eventSource.onerror = () => {
+            // EventSource reconnects on its own - poll normally until it does
+            if (this.relayConnected) {
+                console.warn('⚠️ Execution relay disconnected, polling until it reconnects');
+                this.relayConnected = false;
+                this.watchers.forEach((_, id) => this.refresh(id));
+            }
+        };
+
+        this.eventSource.onmessage = (e) => this.handleRelayEvent(e.data);
+    }
+
+    disconnectRelay() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+        this.relayUrl = null;
+        this.relayConnected = false;
+    }
+
+    handleRelayEvent(data) {
+        let event;
+        try {
+            event = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+
+        if (event.executionId) {
+            const id = String(event.executionId);
+
+            // The cached copy is out of date now, even if it looked finished
+            this.cache.delete(id);
+            this.refresh(id);
+        }
+
+        // Something happened in the workflow - look for the waiting execution now
+        this.searches.forEach(search => {
+            if (!event.workflowId || event.workflowId === search.workflowId) {
+                search.delay = this.MIN_INTERVAL;
+                this.scheduleSearch(search, 0);
+            }
+        });
+
+        this.relayListeners.forEach(listener => listener(event));
+    }
+
+    /**
+     * Register callback for relay events (e.g. to refresh an executions list)
+     * @param {function} callback - Receives {executionId, workflowId, status, event}
+     */
+    onRelayEvent(callback) {
+        this.relayListeners.push(callback);
+    }
+}
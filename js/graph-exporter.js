@@ -0,0 +1,371 @@
+/**
+ * Graph Exporter Module
+ * Exports the graph shown in the graph window to GraphML, a Cypher CREATE script,
+ * JSON, and PNG/SVG snapshots
+ */
+
+class GraphExporter {
+    constructor(neo4jManager) {
+        this.neo4jManager = neo4jManager;
+    }
+
+    /**
+     * Nodes and relationships currently on the canvas
+     * @returns {{nodes: Array, relationships: Array}}
+     */
+    getGraph() {
+        const manager = this.neo4jManager;
+        if (!manager.nodes || manager.nodes.length === 0) {
+            throw new Error('No graph to export. Execute a query first.');
+        }
+
+        const nodes = manager.nodes.get().map(node => ({
+            id: node.id,
+            labels: (node.metadata && node.metadata.labels) || [],
+            properties: (node.metadata && node.metadata.properties) || {}
+        }));
+
+        const relationships = manager.edges.get().map(edge => ({
+            id: edge.id,
+            type: (edge.metadata && edge.metadata.type) || edge.label || 'RELATED_TO',
+            startNode: edge.from,
+            endNode: edge.to,
+            properties: (edge.metadata && edge.metadata.properties) || {}
+        }));
+
+        return { nodes, relationships };
+    }
+
+    /**
+     * Export graph to JSON format
+     */
+    exportToJSON() {
+        const { nodes, relationships } = this.getGraph();
+
+        const exportData = {
+            format: "NOX.AI Graph Export",
+            version: "1.0",
+            database: this.neo4jManager.config.neo4jDatabase || 'neo4j',
+            exported_at: new Date().toISOString(),
+            node_count: nodes.length,
+            relationship_count: relationships.length,
+            nodes: nodes,
+            relationships: relationships
+        };
+
+        return JSON.stringify(exportData, null, 2);
+    }
+
+    // ==================== GraphML ====================
+
+    /**
+     * Export graph to GraphML (labels and relationship types follow the APOC convention,
+     * so apoc.import.graphml can read the file back)
+     */
+    exportToGraphML() {
+        const { nodes, relationships } = this.getGraph();
+
+        const nodeKeys = this.collectKeys(nodes);
+        const edgeKeys = this.collectKeys(relationships);
+
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+        xml += '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">\n';
+        xml += '  <key id="labels" for="node" attr.name="labels" attr.type="string"/>\n';
+        nodeKeys.forEach((type, key) => {
+            xml += `  <key id="n_${this.escapeXml(key)}" for="node" attr.name="${this.escapeXml(key)}" attr.type="${type}"/>\n`;
+        });
+        xml += '  <key id="label" for="edge" attr.name="label" attr.type="string"/>\n';
+        edgeKeys.forEach((type, key) => {
+            xml += `  <key id="e_${this.escapeXml(key)}" for="edge" attr.name="${this.escapeXml(key)}" attr.type="${type}"/>\n`;
+        });
+        xml += '  <graph id="G" edgedefault="directed">\n';
+
+        nodes.forEach(node => {
+            const labels = node.labels.map(label => `:${label}`).join('');
+            xml += `    <node id="n${this.escapeXml(node.id)}" labels="${this.escapeXml(labels)}">\n`;
+            xml += `      <data key="labels">${this.escapeXml(labels)}</data>\n`;
+            Object.entries(node.properties).forEach(([key, value]) => {
+                xml += `      <data key="n_${this.escapeXml(key)}">${this.escapeXml(this.toGraphMLValue(value))}</data>\n`;
+            });
+            xml += '    </node>\n';
+        });
+
+        relationships.forEach(rel => {
+            xml += `    <edge id="e${this.escapeXml(rel.id)}" source="n${this.escapeXml(rel.startNode)}" target="n${this.escapeXml(rel.endNode)}" label="${this.escapeXml(rel.type)}">\n`;
+            xml += `      <data key="label">${this.escapeXml(rel.type)}</data>\n`;
+            Object.entries(rel.properties).forEach(([key, value]) => {
+                xml += `      <data key="e_${this.escapeXml(key)}">${this.escapeXml(this.toGraphMLValue(value))}</data>\n`;
+            });
+            xml += '    </edge>\n';
+        });
+
+        xml += '  </graph>\n';
+        xml += '</graphml>\n';
+
+        return xml;
+    }
+
+    /**
+     * Property keys and their GraphML types - a key with mixed types becomes a string
+     * @returns {Map<string, string>}
+     */
+    collectKeys(elements) {
+        const keys = new Map();
+
+        elements.forEach(element => {
+            Object.entries(element.properties).forEach(([key, value]) => {
+                const type = this.getGraphMLType(value);
+                if (!keys.has(key)) {
+                    keys.set(key, type);
+                } else if (keys.get(key) !== type) {
+                    keys.set(key, keys.get(key) === 'long' && type === 'double' ? 'double' : 'string');
+                }
+            });
+        });
+
+        return keys;
+    }
+
+    getGraphMLType(value) {
+        if (typeof value === 'boolean') return 'boolean';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'long' : 'double';
+        return 'string';
+    }
+
+    toGraphMLValue(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    // ==================== Cypher ====================
+
+    /**
+     * Export graph as a single CREATE statement that rebuilds it in another database
+     * Date/time values are exported as strings
+     */
+    exportToCypher() {
+        const { nodes, relationships } = this.getGraph();
+        const variables = new Map();
+
+        const lines = [
+            `// NOX.AI graph export - ${nodes.length} node(s), ${relationships.length} relationship(s)`,
+            `// Exported ${new Date().toISOString()} from database "${this.neo4jManager.config.neo4jDatabase || 'neo4j'}"`
+        ];
+
+        nodes.forEach((node, index) => {
+            const variable = `n${index}`;
+            variables.set(node.id, variable);
+
+            const labels = node.labels.map(label => `:${this.quoteName(label)}`).join('');
+            lines.push(`CREATE (${variable}${labels}${this.toCypherProperties(node.properties)})`);
+        });
+
+        relationships.forEach(rel => {
+            const from = variables.get(rel.startNode);
+            const to = variables.get(rel.endNode);
+            if (!from || !to) return;
+
+            lines.push(`CREATE (${from})-[:${this.quoteName(rel.type)}${this.toCypherProperties(rel.properties)}]->(${to})`);
+        });
+
+        return lines.join('\n') + ';\n';
+    }
+
+    /**
+     * Property map literal, e.g. " {name: 'APT29', score: 9.5}"
+     */
+    toCypherProperties(properties) {
+        const entries = Object.entries(properties)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `${this.quoteName(key)}: ${this.toCypherLiteral(value)}`);
+
+        return entries.length > 0 ? ` {${entries.join(', ')}}` : '';
+    }
+
+    toCypherLiteral(value) {
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return String(value);
+        }
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.toCypherLiteral(item)).join(', ')}]`;
+        }
+        // Maps aren't valid property values - keep them as JSON text
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`;
+    }
+
+    /**
+     * Backtick-quote a label, type or key unless it is a plain identifier
+     */
+    quoteName(name) {
+        return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : '`' + String(name).replace(/`/g, '``') + '`';
+    }
+
+    // ==================== Images ====================
+
+    /**
+     * Snapshot of the canvas as a PNG data URL, on the window's background colour
+     */
+    exportToPNG() {
+        this.getGraph();
+
+        const source = this.neo4jManager.network.body.container.querySelector('canvas');
+        if (!source) {
+            throw new Error('Graph canvas not found');
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = this.getBackgroundColor();
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(source, 0, 0);
+
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Redraw the graph as SVG from the current node positions
+     * (vector output for reports - shadows and smooth curves are left out)
+     */
+    exportToSVG() {
+        this.getGraph();
+
+        const network = this.neo4jManager.network;
+        const nodes = this.neo4jManager.nodes.get();
+        const edges = this.neo4jManager.edges.get();
+        const positions = network.getPositions(nodes.map(node => node.id));
+        const DEFAULT_SIZE = 20;
+        const PADDING = 60;
+
+        // Bounds of every node, including its caption
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        nodes.forEach(node => {
+            const { x, y } = positions[node.id];
+            const size = node.size || DEFAULT_SIZE;
+            minX = Math.min(minX, x - size);
+            minY = Math.min(minY, y - size);
+            maxX = Math.max(maxX, x + size);
+            maxY = Math.max(maxY, y + size + 20);
+        });
+
+        const width = Math.ceil(maxX - minX + PADDING * 2);
+        const height = Math.ceil(maxY - minY + PADDING * 2);
+        const viewBox = `${Math.floor(minX - PADDING)} ${Math.floor(minY - PADDING)} ${width} ${height}`;
+
+        let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${viewBox}" font-family="system-ui, -apple-system, sans-serif">\n`;
+        svg += '  <defs>\n';
+        svg += '    <marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">\n';
+        svg += '      <path d="M 0 0 L 10 5 L 0 10 z" fill="#667eea"/>\n';
+        svg += '    </marker>\n';
+        svg += '  </defs>\n';
+        svg += `  <rect x="${Math.floor(minX - PADDING)}" y="${Math.floor(minY - PADDING)}" width="${width}" height="${height}" fill="${this.getBackgroundColor()}"/>\n`;
+
+        edges.forEach(edge => {
+            const from = positions[edge.from];
+            const to = positions[edge.to];
+            if (!from || !to) return;
+
+            // Stop the line at the target's edge so the arrow stays visible
+            const target = this.neo4jManager.nodes.get(edge.to);
+            const radius = (target && target.size) || DEFAULT_SIZE;
+            const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+            const endX = to.x - ((to.x - from.x) / length) * radius;
+            const endY = to.y - ((to.y - from.y) / length) * radius;
+            const color = (edge.color && edge.color.color) || 'rgba(102, 126, 234, 0.5)';
+
+            svg += `  <line x1="${from.x}" y1="${from.y}" x2="${endX}" y2="${endY}" stroke="${color}" stroke-width="${edge.width || 2}" marker-end="url(#arrow)"/>\n`;
+            if (edge.label) {
+                svg += `  <text x="${(from.x + to.x) / 2}" y="${(from.y + to.y) / 2}" fill="#9ca3af" font-size="12" text-anchor="middle">${this.escapeXml(edge.label)}</text>\n`;
+            }
+        });
+
+        nodes.forEach(node => {
+            const { x, y } = positions[node.id];
+            const size = node.size || DEFAULT_SIZE;
+            const color = node.color || {};
+
+            svg += `  <circle cx="${x}" cy="${y}" r="${size}" fill="${color.background || 'rgba(102, 126, 234, 0.2)'}" stroke="${color.border || '#667eea'}" stroke-width="${node.borderWidth || 2}"/>\n`;
+            if (node.label) {
+                svg += `  <text x="${x}" y="${y + size + 16}" fill="#ffffff" stroke="rgba(0, 0, 0, 0.8)" stroke-width="3" paint-order="stroke" font-size="14" text-anchor="middle">${this.escapeXml(node.label)}</text>\n`;
+            }
+        });
+
+        svg += '</svg>\n';
+        return svg;
+    }
+
+    getBackgroundColor() {
+        const container = this.neo4jManager.network.body.container;
+        const color = getComputedStyle(container).backgroundColor;
+        return color && color !== 'rgba(0, 0, 0, 0)' ? color : '#1a1a2e';
+    }
+
+    // ==================== Download ====================
+
+    /**
+     * Download exported data as file
+     */
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        this.downloadUrl(url, filename);
+        URL.revokeObjectURL(url);
+    }
+
+    downloadUrl(url, filename) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    /**
+     * Export and download in specified format
+     */
+    export(format) {
+        const timestamp = new Date().toISOString().split('T')[0];
+        const filename = `nox-ai-graph-${timestamp}`;
+
+        switch (format) {
+            case 'graphml':
+                this.downloadFile(this.exportToGraphML(), `${filename}.graphml`, 'application/graphml+xml');
+                break;
+
+            case 'cypher':
+                this.downloadFile(this.exportToCypher(), `${filename}.cypher`, 'text/plain');
+                break;
+
+            case 'json':
+                this.downloadFile(this.exportToJSON(), `${filename}.json`, 'application/json');
+                break;
+
+            case 'png':
+                this.downloadUrl(this.exportToPNG(), `${filename}.png`);
+                break;
+
+            case 'svg':
+                this.downloadFile(this.exportToSVG(), `${filename}.svg`, 'image/svg+xml');
+                break;
+
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+
+        console.log(`✅ Exported graph as ${format.toUpperCase()} - ${filename}.${format}`);
+    }
+}
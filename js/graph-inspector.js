@@ -0,0 +1,388 @@
+/**
+ * Graph Inspector Module
+ * Side panel in the graph window showing the selected node or relationship:
+ * labels (or type), every property in full and the node's degree
+ * Properties and labels can be edited in place, with undo
+ */
+
+class GraphInspector {
+    /**
+     * @param {HTMLElement} container - Panel element
+     * @param {Neo4jManager} neo4jManager - Used to load and edit elements
+     * @param {object} options - Options
+     * @param {function} options.onStatus - Receives (message, type) for the graph status bar
+     * @param {function} options.canEdit - Returns whether the user may edit the graph
+     */
+    constructor(container, neo4jManager, { onStatus = () => {}, canEdit = () => true } = {}) {
+        this.container = container;
+        this.neo4jManager = neo4jManager;
+        this.onStatus = onStatus;
+        this.canEdit = canEdit;
+
+        this.selection = null; // {type, id}
+        this.details = null;
+        this.undoStack = [];
+        this.MAX_UNDO = 50;
+
+        // Temporal and spatial values come back as strings or objects - saving them
+        // (or undoing their removal) would change their Cypher type, so they are read-only
+        this.TEMPORAL_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?(\[[^\]]+\])?)?$/;
+        this.TIME_PATTERN = /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+        this.DURATION_PATTERN = /^-?P(?=\d|T\d)(\d+(\.\d+)?[YMWD])*(T(\d+(\.\d+)?[HMS])+)?$/;
+        this.POINT_PATTERN = /^Point\{.*\}$/;
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('change', (e) => this.handleChange(e));
+        this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    // ==================== Selection ====================
+
+    /**
+     * Show an element (null hides the panel)
+     * @param {{type: string, id: (string|number)}|null} selection
+     */
+    async show(selection) {
+        this.selection = selection;
+        if (!selection) {
+            this.hide();
+            return;
+        }
+
+        this.container.classList.remove('hidden');
+        this.container.innerHTML = '<div class="inspector-empty">Loading...</div>';
+        await this.reload();
+    }
+
+    hide() {
+        this.selection = null;
+        this.details = null;
+        this.container.classList.add('hidden');
+    }
+
+    async reload() {
+        const selection = this.selection;
+        if (!selection) return;
+
+        try {
+            const details = await this.neo4jManager.getElementDetails(selection.type, selection.id);
+            if (this.selection !== selection) return;
+
+            this.details = details;
+            this.render();
+        } catch (error) {
+            this.container.innerHTML = `<div class="inspector-empty">Error: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Re-render the current element (e.g. after the write lock changes)
+     */
+    refresh() {
+        if (this.selection && this.details) {
+            this.render();
+        }
+    }
+
+    isEditable() {
+        return this.canEdit() && !this.neo4jManager.readOnly;
+    }
+
+    // ==================== Rendering ====================
+
+    render() {
+        const { type } = this.selection;
+        const details = this.details;
+
+        if (!details) {
+            this.container.innerHTML = `
+                ${this.renderHeader(type === 'node' ? 'Node' : 'Relationship')}
+                <div class="inspector-empty">This element no longer exists.</div>
+            `;
+            return;
+        }
+
+        const editable = this.isEditable();
+        const properties = Object.keys(details.properties).sort().map(key =>
+            this.renderProperty(key, details.properties[key], editable)
+        ).join('');
+
+        this.container.innerHTML = `
+            ${this.renderHeader(type === 'node' ? 'Node' : 'Relationship')}
+            <div class="inspector-section">
+                ${type === 'node' ? this.renderLabels(details.labels, editable) : `
+                    <div class="inspector-title">Type</div>
+                    <span class="inspector-chip">${this.escapeHtml(details.type)}</span>
+                `}
+                ${type === 'node' ? `<div class="inspector-meta">Degree: <strong>${details.degree}</strong> relationship(s)</div>` : ''}
+                <div class="inspector-meta inspector-id" title="${this.escapeHtml(String(this.selection.id))}">ID: ${this.escapeHtml(String(this.selection.id))}</div>
+            </div>
+            <div class="inspector-section">
+                <div class="inspector-title">Properties</div>
+                ${properties || '<div class="inspector-empty">No properties</div>'}
+                ${editable ? `
+                    <div class="inspector-add-row">
+                        <input type="text" class="inspector-new-key" placeholder="key" autocomplete="off" />
+                        <input type="text" class="inspector-new-value" placeholder="value (JSON or text)" autocomplete="off" />
+                        <button class="inspector-btn" data-action="add-property" title="Add property">+</button>
+                    </div>
+                ` : ''}
+            </div>
+            <div class="inspector-footer">
+                ${editable ? '' : `<span class="inspector-hint">${this.canEdit() ? '🔒 Unlock writes to edit' : 'Read-only access'}</span>`}
+                <button class="inspector-btn" data-action="undo" ${this.undoStack.length === 0 ? 'disabled' : ''}>
+                    ↩️ Undo${this.undoStack.length > 0 ? ` (${this.undoStack.length})` : ''}
+                </button>
+            </div>
+        `;
+    }
+
+    renderHeader(title) {
+        return `
+            <div class="inspector-header">
+                <span>${title}</span>
+                <button class="inspector-close" data-action="close" title="Close">×</button>
+            </div>
+        `;
+    }
+
+    renderLabels(labels, editable) {
+        const chips = labels.map(label => `
+            <span class="inspector-chip">
+                ${this.escapeHtml(label)}
+                ${editable ? `<button class="inspector-chip-remove" data-action="remove-label" data-label="${this.escapeHtml(label)}" title="Remove label">×</button>` : ''}
+            </span>
+        `).join('');
+
+        return `
+            <div class="inspector-title">Labels</div>
+            <div class="inspector-chips">
+                ${chips || '<span class="inspector-empty">No labels</span>'}
+                ${editable ? '<input type="text" class="inspector-new-label" placeholder="+ label" autocomplete="off" />' : ''}
+            </div>
+        `;
+    }
+
+    renderProperty(key, value, editable) {
+        const text = this.formatValue(value);
+        const special = !this.isPlainValue(value);
+        const canEditValue = editable && !special;
+        const multiline = text.length > 60 || text.includes('\n');
+
+        const field = !canEditValue
+            ? `<div class="inspector-value-readonly" title="${special && editable ? 'Date/time and spatial values can only be changed with Cypher' : ''}">${this.escapeHtml(text)}</div>`
+            : multiline
+                ? `<textarea class="inspector-value" data-key="${this.escapeHtml(key)}" rows="3">${this.escapeHtml(text)}</textarea>`
+                : `<input type="text" class="inspector-value" data-key="${this.escapeHtml(key)}" value="${this.escapeHtml(text)}" autocomplete="off" />`;
+
+        return `
+            <div class="inspector-property">
+                <div class="inspector-key">
+                    ${this.escapeHtml(key)}
+                    ${canEditValue ? `<button class="inspector-chip-remove" data-action="remove-property" data-key="${this.escapeHtml(key)}" title="Remove property">×</button>` : ''}
+                </div>
+                ${field}
+            </div>
+        `;
+    }
+
+    // ==================== Values ====================
+
+    formatValue(value) {
+        if (typeof value === 'string') return value;
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Whether a value reads and writes back as the same Cypher type
+     * (strings, numbers, booleans and lists of them - not dates, times, durations or points)
+     */
+    isPlainValue(value) {
+        if (Array.isArray(value)) {
+            return value.every(item => this.isPlainValue(item));
+        }
+        if (typeof value === 'string') {
+            return ![this.TEMPORAL_PATTERN, this.TIME_PATTERN, this.DURATION_PATTERN, this.POINT_PATTERN]
+                .some(pattern => pattern.test(value));
+        }
+        // Properties can't be maps, so an object is a point
+        return value === null || typeof value !== 'object';
+    }
+
+    /**
+     * Turn edited text back into a value
+     * Strings stay strings; other types (and new properties) are read as JSON when possible
+     */
+    parseValue(text, original) {
+        if (typeof original === 'string') return text;
+
+        try {
+            const parsed = JSON.parse(text);
+            if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                return parsed;
+            }
+        } catch (e) {
+            // Not JSON - store as text
+        }
+        return text;
+    }
+
+    // ==================== Editing ====================
+
+    handleClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        switch (target.dataset.action) {
+            case 'close':
+                this.hide();
+                break;
+            case 'undo':
+                this.undo();
+                break;
+            case 'remove-label':
+                this.changeLabel(target.dataset.label, false);
+                break;
+            case 'remove-property':
+                this.changeProperty(target.dataset.key, null);
+                break;
+            case 'add-property':
+                this.addProperty();
+                break;
+        }
+    }
+
+    handleChange(e) {
+        if (e.target.classList.contains('inspector-value')) {
+            const key = e.target.dataset.key;
+            const original = this.details.properties[key];
+            const value = this.parseValue(e.target.value, original);
+
+            if (JSON.stringify(value) !== JSON.stringify(original)) {
+                this.changeProperty(key, value);
+            }
+        }
+    }
+
+    handleKeydown(e) {
+        if (e.key !== 'Enter' || e.shiftKey) return;
+
+        if (e.target.classList.contains('inspector-new-label')) {
+            e.preventDefault();
+            this.changeLabel(e.target.value, true);
+        } else if (e.target.classList.contains('inspector-new-key') || e.target.classList.contains('inspector-new-value')) {
+            e.preventDefault();
+            this.addProperty();
+        } else if (e.target.tagName === 'INPUT' && e.target.classList.contains('inspector-value')) {
+            e.preventDefault();
+            e.target.blur();
+        }
+    }
+
+    addProperty() {
+        const key = this.container.querySelector('.inspector-new-key').value.trim();
+        const text = this.container.querySelector('.inspector-new-value').value;
+
+        if (!key) {
+            this.onStatus('Enter a property key', 'error');
+            return;
+        }
+        this.changeProperty(key, this.parseValue(text, undefined));
+    }
+
+    /**
+     * Set a property (null removes it) and remember how to undo it
+     */
+    async changeProperty(key, value) {
+        const { type, id } = this.selection;
+        const previous = Object.prototype.hasOwnProperty.call(this.details.properties, key)
+            ? this.details.properties[key]
+            : null;
+
+        if (!this.isPlainValue(previous)) {
+            this.onStatus(`"${key}" is a date/time or spatial value - change it with Cypher`, 'error');
+            return;
+        }
+        if (JSON.stringify(previous) === JSON.stringify(value)) {
+            this.onStatus(value === null ? `No property "${key}"` : `${key} is already set to that`, '');
+            return;
+        }
+
+        await this.apply(
+            () => this.neo4jManager.setElementProperties(type, id, { [key]: value }),
+            { type, id, kind: 'properties', changes: { [key]: previous } },
+            value === null ? `Removed property "${key}"` : `Set ${key}`
+        );
+    }
+
+    async changeLabel(label, add) {
+        const name = (label || '').trim();
+        if (!name) return;
+
+        // Nothing to do (or undo) when the node already has / lacks the label
+        if (this.details.labels.includes(name) === add) {
+            this.onStatus(add ? `Already labelled :${name}` : `No label :${name}`, '');
+            return;
+        }
+
+        const { id } = this.selection;
+        await this.apply(
+            () => this.neo4jManager.setNodeLabel(id, name, add),
+            { type: 'node', id, kind: 'label', label: name, add: !add },
+            add ? `Added label :${name}` : `Removed label :${name}`
+        );
+    }
+
+    /**
+     * Run an edit, record its inverse and refresh the panel
+     */
+    async apply(edit, inverse, description) {
+        try {
+            await edit();
+
+            this.undoStack.push({ ...inverse, description });
+            if (this.undoStack.length > this.MAX_UNDO) {
+                this.undoStack.shift();
+            }
+
+            this.onStatus(`✅ ${description}`, 'success');
+        } catch (error) {
+            this.onStatus(`${error.readOnlyBlocked ? '🔒 ' : 'Error: '}${error.message}`, 'error');
+        }
+
+        await this.reload();
+    }
+
+    async undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return;
+
+        try {
+            if (entry.kind === 'label') {
+                await this.neo4jManager.setNodeLabel(entry.id, entry.label, entry.add);
+            } else {
+                await this.neo4jManager.setElementProperties(entry.type, entry.id, entry.changes);
+            }
+            this.onStatus(`↩️ Undid: ${entry.description}`, 'success');
+        } catch (error) {
+            // Keep it so the user can retry (e.g. after unlocking writes)
+            this.undoStack.push(entry);
+            this.onStatus(`${error.readOnlyBlocked ? '🔒 ' : 'Undo failed: '}${error.message}`, 'error');
+        }
+
+        if (this.selection && this.selection.id === entry.id) {
+            await this.reload();
+        } else if (this.details) {
+            this.render();
+        }
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Graph Style Manager Module
+ * Styling rules for the graph window, saved per database:
+ * - Labels: colour, shape, icon, size-by-property and caption property
+ * - Relationship types: colour, width and caption property
+ * Anything without a rule keeps the default look from Neo4jManager
+ */
+
+class GraphStyleManager {
+    /**
+     * @param {Neo4jManager} neo4jManager - Provides the current database name
+     */
+    constructor(neo4jManager) {
+        this.neo4jManager = neo4jManager;
+        this.STORAGE_KEY = 'nox-graph-styles';
+
+        this.store = {}; // {[database]: {labels: {Label: rule}, relationships: {TYPE: rule}}}
+
+        this.SHAPES = ['dot', 'box', 'diamond', 'square', 'triangle', 'triangleDown', 'star', 'hexagon', 'ellipse'];
+
+        // Used when no caption property is set
+        this.DEFAULT_CAPTION_PROPERTIES = ['name', 'title', 'label', 'id'];
+    }
+
+    async load() {
+        if (!window.CryptoUtils) return;
+        const stored = await window.CryptoUtils.getItem(this.STORAGE_KEY);
+        if (stored && typeof stored === 'object') {
+            this.store = stored;
+        }
+    }
+
+    async save() {
+        if (!window.CryptoUtils) return;
+        await window.CryptoUtils.setItem(this.STORAGE_KEY, this.store);
+    }
+
+    getDatabase() {
+        return this.neo4jManager.getConfig().neo4jDatabase || 'neo4j';
+    }
+
+    getRules(database = this.getDatabase()) {
+        if (!this.store[database]) {
+            this.store[database] = { labels: {}, relationships: {} };
+        }
+        return this.store[database];
+    }
+
+    /**
+     * Replace all rules for the current database
+     * @param {{labels: Object, relationships: Object}} rules
+     */
+    async setRules(rules) {
+        this.store[this.getDatabase()] = {
+            labels: this.compactRules(rules.labels || {}),
+            relationships: this.compactRules(rules.relationships || {})
+        };
+        await this.save();
+        console.log(`🎨 Graph styles saved for ${this.getDatabase()}`);
+    }
+
+    /**
+     * Drop empty settings (and rules left with none) so defaults apply
+     */
+    compactRules(rules) {
+        const compact = {};
+
+        Object.entries(rules).forEach(([name, rule]) => {
+            const kept = {};
+            Object.entries(rule || {}).forEach(([key, value]) => {
+                if (value !== '' && value !== null && value !== undefined) {
+                    kept[key] = value;
+                }
+            });
+            if (Object.keys(kept).length > 0) {
+                compact[name] = kept;
+            }
+        });
+
+        return compact;
+    }
+
+    // ==================== Lookup ====================
+
+    /**
+     * Rule for a node - the first of its labels that has one
+     * @param {Array<string>} labels - Node labels
+     * @returns {Object|null} - {color, shape, icon, sizeProperty, caption}
+     */
+    getNodeStyle(labels) {
+        const rules = this.getRules().labels;
+        for (const label of labels || []) {
+            if (rules[label]) {
+                return rules[label];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} type - Relationship type
+     * @returns {Object|null} - {color, width, caption}
+     */
+    getRelationshipStyle(type) {
+        return this.getRules().relationships[type] || null;
+    }
+
+    /**
+     * Caption for a node: the rule's caption property, else the first common name-like property
+     */
+    getNodeCaption(node) {
+        const style = this.getNodeStyle(node.labels);
+        const properties = style && style.caption ? [style.caption] : this.DEFAULT_CAPTION_PROPERTIES;
+
+        for (const prop of properties) {
+            const value = node.properties[prop];
+            if (value !== null && value !== undefined && value !== '') {
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * vis.js colour object from a hex colour (the background is a translucent fill)
+     */
+    toVisColor(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        const rgb = `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
+        return {
+            border: hex,
+            background: `rgba(${rgb}, 0.3)`,
+            highlight: { border: hex, background: `rgba(${rgb}, 0.5)` },
+            hover: { border: hex, background: `rgba(${rgb}, 0.4)` }
+        };
+    }
+
+    /**
+     * An emoji or short text drawn inside a circle, as an image URL for vis.js
+     */
+    toIconImage(icon, color) {
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64">`
+            + `<circle cx="32" cy="32" r="32" fill="${color.background}"/>`
+            + `<text x="32" y="34" font-size="34" text-anchor="middle" dominant-baseline="middle">${this.escapeXml(icon)}</text>`
+            + `</svg>`;
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    }
+
+    escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
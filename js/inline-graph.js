@@ -0,0 +1,126 @@
+/**
+ * Inline Graph Module
+ * Small read-only network drawn inside a chat message for replies that carry a graph
+ * Styled like the graph window; the full view is one click away
+ */
+
+class InlineGraph {
+    /**
+     * @param {HTMLElement} container - Element the graph is appended to (the message content)
+     * @param {Neo4jManager} neo4jManager - Converts the graph with the current styles
+     * @param {object} options - Options
+     * @param {function} options.onOpen - Called when "Open in graph window" is clicked
+     */
+    constructor(container, neo4jManager, { onOpen = null } = {}) {
+        this.container = container;
+        this.neo4jManager = neo4jManager;
+        this.onOpen = onOpen;
+        this.network = null;
+        this.element = null;
+    }
+
+    /**
+     * @param {{nodes: Array, relationships: Array, truncated: boolean}|null} graph - Stored graph
+     * @param {string|null} error - Why the graph could not be loaded
+     */
+    render(graph, error = null) {
+        this.element = document.createElement('div');
+        this.element.className = 'inline-graph';
+
+        const nodeCount = graph ? graph.nodes.length : 0;
+        const edgeCount = graph ? graph.relationships.length : 0;
+        const summary = error
+            ? `⚠️ Graph unavailable: ${this.escapeHtml(error)}`
+            : `🕸️ ${nodeCount} node(s), ${edgeCount} relationship(s)${graph.truncated ? ' (truncated)' : ''}`;
+
+        this.element.innerHTML = `
+            <div class="inline-graph-header">
+                <span class="inline-graph-summary">${summary}</span>
+                ${this.onOpen ? '<button class="inline-graph-open" title="Open in graph window">↗️ Open in graph window</button>' : ''}
+            </div>
+            ${error || nodeCount === 0 ? '' : '<div class="inline-graph-canvas"></div>'}
+        `;
+        this.container.appendChild(this.element);
+
+        const openButton = this.element.querySelector('.inline-graph-open');
+        if (openButton) {
+            openButton.addEventListener('click', () => this.onOpen());
+        }
+
+        const canvas = this.element.querySelector('.inline-graph-canvas');
+        if (canvas && typeof vis !== 'undefined') {
+            this.draw(canvas, graph);
+        }
+
+        return this.element;
+    }
+
+    draw(canvas, graph) {
+        const graphData = this.neo4jManager.parseGraphData(this.neo4jManager.toGraphResult(graph));
+
+        const options = {
+            nodes: {
+                shape: 'dot',
+                size: 14,
+                font: { size: 11, color: '#e1e4e8', face: 'system-ui, -apple-system, sans-serif' },
+                borderWidth: 2,
+                scaling: { min: 8, max: 30 },
+                color: {
+                    border: '#667eea',
+                    background: 'rgba(102, 126, 234, 0.2)',
+                    highlight: { border: '#818cf8', background: 'rgba(129, 140, 248, 0.3)' }
+                }
+            },
+            edges: {
+                width: 1.5,
+                color: { color: 'rgba(102, 126, 234, 0.5)', highlight: 'rgba(129, 140, 248, 0.8)' },
+                arrows: { to: { enabled: true, scaleFactor: 0.6 } },
+                smooth: false,
+                font: { size: 9, color: '#9ca3af', strokeWidth: 0, align: 'middle' }
+            },
+            physics: {
+                barnesHut: { gravitationalConstant: -4000, springLength: 100, avoidOverlap: 0.3 },
+                stabilization: { iterations: 150 }
+            },
+            interaction: {
+                hover: true,
+                tooltipDelay: 100,
+                keyboard: false,
+                zoomView: false, // Wheel scrolls the chat, not the graph
+                dragView: true
+            },
+            layout: { randomSeed: 42 }
+        };
+
+        this.network = new vis.Network(canvas, {
+            nodes: new vis.DataSet(graphData.nodes),
+            edges: new vis.DataSet(graphData.edges)
+        }, options);
+
+        // Stop the layout once it settles so many graphs in one chat stay cheap
+        this.network.once('stabilizationIterationsDone', () => {
+            this.network.setOptions({ physics: false });
+            this.network.fit();
+        });
+    }
+
+    destroy() {
+        if (this.network) {
+            this.network.destroy();
+            this.network = null;
+        }
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -8,13 +8,25 @@ class N8NManager {
         this.config = {
             n8nUrl: '',
             webhookUrl: '',
-            apiKey: ''
+            apiKey: '',
+            historyTurns: 0,       // Earlier turns sent as context (0 = off)
+            historyTokenBudget: 0, // Approximate token cap for that history (0 = no cap)
+            relayUrl: '',          // Optional execution relay (Server-Sent Events)
+            chatWorkflowId: ''     // Workflow behind the webhook (found from the webhook path when empty)
         };
 
+        this.monitor = new ExecutionMonitor(this);
         this.currentExecutionId = null;
-        this.executionPollingInterval = null;
+        this.unwatchExecution = null;
+        this.activeRequest = null; // In-flight webhook request (for cancellation)
         this.executionUpdateCallback = null;
 
+        // Human-in-the-loop approvals for executions paused on a Wait node
+        this.approvalCallback = null;
+        this.notifiedApprovals = new Set(); // "executionId:node:run" already shown
+        this.chatWorkflow = null; // {webhookUrl, id} found from the webhook path
+        this.REQUEST_TIMEOUT = 300000; // 5 minutes without response or stream data (paused while an approval is pending)
+
         // Load config asynchronously
         this.init();
     }
@@ -24,6 +36,7 @@ class N8NManager {
      */
     async init() {
         await this.loadConfig();
+        this.monitor.connectRelay(this.config.relayUrl);
     }
 
     /**
@@ -33,14 +46,14 @@ class N8NManager {
         if (window.CryptoUtils) {
             const stored = await window.CryptoUtils.getItem('nox-n8n-config');
             if (stored) {
-                this.config = stored;
+                this.config = { ...this.config, ...stored };
             }
         } else {
             // Fallback to unencrypted (for initial load)
             const stored = localStorage.getItem('nox-n8n-config');
             if (stored) {
                 try {
-                    this.config = JSON.parse(stored);
+                    this.config = { ...this.config, ...JSON.parse(stored) };
                 } catch (e) {
                     console.error('Failed to load n8n config:', e);
                 }
@@ -61,6 +74,7 @@ class N8NManager {
         }
 
         this.config = { ...this.config, ...config };
+        this.monitor.connectRelay(this.config.relayUrl);
 
         if (window.CryptoUtils) {
             await window.CryptoUtils.setItem('nox-n8n-config', this.config);
@@ -77,48 +91,91 @@ class N8NManager {
         return { ...this.config };
     }
 
+    /**
+     * Get the history limits for chatManager.getHistory()
+     */
+    getHistoryLimits() {
+        return {
+            maxTurns: parseInt(this.config.historyTurns, 10) || 0,
+            maxTokens: parseInt(this.config.historyTokenBudget, 10) || 0
+        };
+    }
+
     /**
      * Send message to n8n webhook
      * @param {string} message - The message to send
      * @param {Array} files - Optional files array
+     * @param {object} options - Optional settings
+     * @param {function} options.onToken - Called with each text token when the webhook streams its reply
+     * @param {Array} options.history - Earlier turns as [{role, content, timestamp}]
+     * @param {string} options.sessionId - Session ID of the chat (defaults to the tab session)
+     * @param {object} options.formData - Submitted response form as {form, values}
      * @returns {Promise<object>} - Response from n8n
      */
-    async sendMessage(message, files = []) {
+    async sendMessage(message, files = [], options = {}) {
         if (!this.config.webhookUrl) {
             throw new Error('Webhook URL not configured. Please configure n8n settings.');
         }
 
         const payload = {
             action: 'sendMessage',
-            sessionId: this.getSessionId(),
+            sessionId: options.sessionId || this.getSessionId(),
             chatInput: message,
             message: message, // Keep for compatibility with regular webhooks
             files: files,
             timestamp: new Date().toISOString()
         };
 
+        // Earlier turns, so the workflow doesn't need its own memory store
+        if (options.history && options.history.length > 0) {
+            payload.history = options.history;
+        }
+
+        // Values from a form the workflow sent in an earlier reply
+        if (options.formData) {
+            payload.formData = options.formData;
+        }
+
         console.log('📤 Sending to n8n webhook:', {
             url: this.config.webhookUrl,
             payload: payload
         });
 
+        // Track the request so the user can cancel it
+        const controller = new AbortController();
+        const request = {
+            controller,
+            cancelled: false,
+            executionId: null,
+            sessionId: payload.sessionId,
+            startedAt: Date.now(),
+            responded: false,
+            timeoutId: null,
+            stopWaitingCheck: null
+        };
+        this.activeRequest = request;
+
         try {
-            // Create AbortController for 5-minute timeout
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 300000); // 5 minutes
+            // Abort after 5 minutes unless the user cancels first
+            this.armRequestTimeout(request);
+
+            // The execution ID only comes with the reply - look for it if the workflow pauses first
+            this.startWaitingCheck(request);
 
             const response = await fetch(this.config.webhookUrl, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream, application/x-ndjson, application/json, text/plain',
                     ...(this.config.apiKey && { 'X-N8N-API-KEY': this.config.apiKey })
                 },
                 body: JSON.stringify(payload),
                 signal: controller.signal
             });
 
-            // Clear timeout on successful response
-            clearTimeout(timeoutId);
+            // Headers are in - from now on the timeout only fires if the body stops arriving
+            this.armRequestTimeout(request);
+            request.responded = true;
 
             console.log('📥 Webhook response status:', response.status, response.statusText);
 
@@ -128,47 +185,328 @@ class N8NManager {
                 throw new Error(`Webhook request failed: ${response.status} ${response.statusText}`);
             }
 
-            // Get the response text first
-            const responseText = await response.text();
-            console.log('📄 Raw response:', responseText);
-
-            // Try to parse as JSON, fallback to plain text
             let data;
-            try {
-                data = JSON.parse(responseText);
-                console.log('✅ Parsed as JSON:', data);
-            } catch (e) {
-                // Not JSON, treat as plain text response
-                console.log('📝 Plain text response detected, wrapping in object');
-                data = {
-                    output: responseText,
-                    message: responseText
-                };
+            if (options.onToken && response.body) {
+                // Read the body incrementally so streamed replies render as they arrive
+                const stream = await this.readStreamedResponse(response, options.onToken, () => this.armRequestTimeout(request));
+
+                if (stream.streamed) {
+                    console.log('🌊 Streamed response complete:', stream.text.length, 'chars');
+                    data = {
+                        output: stream.text,
+                        streamed: true,
+                        ...(stream.executionId && { executionId: stream.executionId })
+                    };
+                } else {
+                    data = this.parseResponseText(stream.raw);
+                }
+            } else {
+                data = this.parseResponseText(await response.text());
             }
 
             // If the response includes an execution ID, start monitoring
             // Check both top-level and nested in data object
             const executionId = data.executionId || data.data?.executionId;
             if (executionId) {
+                request.executionId = executionId;
+            }
+            if (executionId && executionId !== this.currentExecutionId) {
                 console.log('🔍 Starting execution monitoring for ID:', executionId);
                 this.startExecutionMonitoring(executionId);
             }
 
             return data;
         } catch (error) {
+            // Cancelled by the user - not an error worth logging as one
+            if (request.cancelled) {
+                console.log('⏹️ Webhook request cancelled by user');
+                const cancelError = new Error('Request cancelled');
+                cancelError.cancelled = true;
+                throw cancelError;
+            }
+
             console.error('❌ Error sending message to n8n:', error);
 
             // Provide better error message for timeout
+            if (error.name === 'AbortError' && request.responded) {
+                throw new Error('Request timeout: the n8n response stopped arriving for 5 minutes. Please check your workflow or try again.');
+            }
             if (error.name === 'AbortError') {
                 throw new Error('Request timeout: n8n workflow took longer than 5 minutes to respond. Please check your workflow or try again.');
             }
 
             throw error;
+        } finally {
+            clearTimeout(request.timeoutId);
+            if (this.activeRequest === request) {
+                this.activeRequest = null;
+            }
+            if (request.stopWaitingCheck) {
+                request.stopWaitingCheck();
+            }
+        }
+    }
+
+    /**
+     * (Re)start the timeout that aborts a webhook request with no response, or whose body stalls
+     */
+    armRequestTimeout(request) {
+        clearTimeout(request.timeoutId);
+        request.timeoutId = setTimeout(() => request.controller.abort(), this.REQUEST_TIMEOUT);
+    }
+
+    /**
+     * Cancel the in-flight webhook request
+     * Aborts the fetch and, when the execution ID is already known, asks n8n to stop it.
+     * @returns {Promise<boolean>} - True if a request was cancelled
+     */
+    async cancelMessage() {
+        const request = this.activeRequest;
+        if (!request) {
+            return false;
+        }
+
+        request.cancelled = true;
+        request.controller.abort();
+
+        if (request.executionId) {
+            try {
+                await this.stopExecution(request.executionId);
+            } catch (error) {
+                console.warn('⚠️ Could not stop execution:', error.message);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Stop a running execution through the n8n API
+     * @param {string} executionId - The execution ID to stop
+     */
+    async stopExecution(executionId) {
+        if (!this.config.n8nUrl) {
+            throw new Error('n8n URL not configured');
+        }
+
+        const url = `${this.config.n8nUrl}/api/v1/executions/${executionId}/stop`;
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (this.config.apiKey) {
+            headers['X-N8N-API-KEY'] = this.config.apiKey;
+        }
+
+        console.log('⏹️ Stopping execution:', executionId);
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: headers
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to stop execution: ${response.status}`);
+        }
+
+        return true;
+    }
+
+    /**
+     * Parse a complete webhook response body
+     * @param {string} responseText - Raw response body
+     * @returns {object} - Parsed JSON, or the text wrapped in an object
+     */
+    parseResponseText(responseText) {
+        console.log('📄 Raw response:', responseText);
+
+        // Try to parse as JSON, fallback to plain text
+        try {
+            const data = JSON.parse(responseText);
+            console.log('✅ Parsed as JSON:', data);
+            return data;
+        } catch (e) {
+            // Not JSON, treat as plain text response
+            console.log('📝 Plain text response detected, wrapping in object');
+            return {
+                output: responseText,
+                message: responseText
+            };
+        }
+    }
+
+    /**
+     * Read a webhook response body as it arrives
+     * Understands n8n's streaming "Respond to Webhook" mode (one JSON chunk per line)
+     * and Server-Sent Events. Any other body is buffered and returned as raw text.
+     * @param {Response} response - Fetch response with a readable body
+     * @param {function} onToken - Called with each text token
+     * @param {function} onChunk - Called whenever data arrives (e.g. to re-arm an idle timeout)
+     * @returns {Promise<object>} - { streamed, text, raw, executionId }
+     */
+    async readStreamedResponse(response, onToken, onChunk = () => {}) {
+        const contentType = response.headers.get('content-type') || '';
+
+        // 'sse' and 'jsonl' stream tokens; 'buffered' waits for the whole body.
+        // Without a telling content type, the first line decides.
+        let mode = null;
+        if (contentType.includes('text/event-stream')) {
+            mode = 'sse';
+        } else if (/ndjson|jsonl/.test(contentType)) {
+            mode = 'jsonl';
+        }
+
+        const state = {
+            streamed: false,
+            text: '',
+            raw: '',
+            executionId: null,
+            eventData: [] // Pending SSE data lines
+        };
+
+        const handleLine = (line) => {
+            if (mode === null) {
+                if (!line.trim()) return;
+                mode = this.isStreamChunk(this.tryParseJSON(line)) ? 'jsonl' : 'buffered';
+                console.log('🌊 Response mode detected:', mode);
+            }
+
+            if (mode === 'jsonl') {
+                if (line.trim()) {
+                    this.handleStreamChunk(this.tryParseJSON(line) ?? line, state, onToken);
+                }
+            } else if (mode === 'sse') {
+                this.handleSSELine(line, state, onToken);
+            }
+        };
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            onChunk();
+
+            const chunk = decoder.decode(value, { stream: true });
+            state.raw += chunk;
+            buffer += chunk;
+
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+                buffer = buffer.slice(newlineIndex + 1);
+                handleLine(line);
+            }
+        }
+
+        // Flush whatever is left after the last newline
+        const rest = decoder.decode();
+        state.raw += rest;
+        buffer += rest;
+        if (buffer) {
+            handleLine(buffer.replace(/\r$/, ''));
+        }
+        if (mode === 'sse') {
+            this.handleSSELine('', state, onToken);
+        }
+
+        return {
+            streamed: state.streamed,
+            text: state.text,
+            raw: state.raw,
+            executionId: state.executionId
+        };
+    }
+
+    /**
+     * Handle one line of a Server-Sent Events stream
+     * Data lines are collected until a blank line ends the event.
+     */
+    handleSSELine(line, state, onToken) {
+        if (line.startsWith('data:')) {
+            state.eventData.push(line.slice(5).replace(/^ /, ''));
+            return;
+        }
+
+        if (line.trim() !== '' || state.eventData.length === 0) {
+            // Ignore comments, event names and ids
+            return;
+        }
+
+        const data = state.eventData.join('\n');
+        state.eventData = [];
+
+        if (data === '[DONE]') return;
+        this.handleStreamChunk(this.tryParseJSON(data) ?? data, state, onToken);
+    }
+
+    /**
+     * Extract the text token from one streamed chunk and pass it on
+     * @param {object|string} chunk - Parsed chunk, or plain text
+     */
+    handleStreamChunk(chunk, state, onToken) {
+        state.streamed = true;
+
+        if (typeof chunk === 'string') {
+            state.text += chunk;
+            onToken(chunk);
+            return;
+        }
+
+        if (!chunk || typeof chunk !== 'object') return;
+
+        const executionId = chunk.executionId || chunk.metadata?.executionId;
+        if (executionId && !state.executionId) {
+            state.executionId = executionId;
+            if (this.activeRequest) {
+                this.activeRequest.executionId = executionId;
+                if (this.activeRequest.stopWaitingCheck) {
+                    this.activeRequest.stopWaitingCheck();
+                }
+            }
+            console.log('🔍 Execution ID received in stream:', executionId);
+            this.startExecutionMonitoring(executionId);
+        }
+
+        if (chunk.type === 'error') {
+            throw new Error(`Workflow stream error: ${chunk.content || chunk.message || 'Unknown error'}`);
+        }
+
+        // n8n sends 'begin'/'end' markers around each node's output
+        if (chunk.type === 'begin' || chunk.type === 'end') return;
+
+        const token = chunk.content ?? chunk.token ?? chunk.delta ?? chunk.text ?? chunk.output;
+        if (typeof token === 'string' && token) {
+            state.text += token;
+            onToken(token);
+        }
+    }
+
+    /**
+     * Check whether a parsed line looks like an n8n streaming chunk
+     */
+    isStreamChunk(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value) &&
+            ['begin', 'item', 'end', 'error'].includes(value.type);
+    }
+
+    /**
+     * Parse JSON without throwing
+     * @returns {*} - Parsed value, or null if the text is not JSON
+     */
+    tryParseJSON(text) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return null;
         }
     }
 
     /**
-     * Get or create session ID
+     * Get or create the tab-wide session ID
+     * Only used when the caller doesn't pass the chat's own session ID
      */
     getSessionId() {
         let sessionId = sessionStorage.getItem('nox-session-id');
@@ -184,130 +522,254 @@ class N8NManager {
      * @param {string} executionId - The execution ID to monitor
      */
     startExecutionMonitoring(executionId) {
+        this.stopExecutionMonitoring();
         this.currentExecutionId = executionId;
 
-        // Clear any existing polling
-        if (this.executionPollingInterval) {
-            clearInterval(this.executionPollingInterval);
-        }
-
-        // Fetch execution details immediately
-        this.fetchExecutionDetails();
-
-        // Poll for updates every 1 second
-        this.executionPollingInterval = setInterval(() => {
-            this.fetchExecutionDetails();
-        }, 1000);
+        // The monitor polls with backoff (or listens to the relay) and calls back on changes
+        this.unwatchExecution = this.monitor.watch(executionId, (execution) => {
+            this.handleExecutionUpdate(execution);
+        });
     }
 
     /**
      * Stop monitoring executions
      */
     stopExecutionMonitoring() {
-        if (this.executionPollingInterval) {
-            clearInterval(this.executionPollingInterval);
-            this.executionPollingInterval = null;
+        if (this.unwatchExecution) {
+            this.unwatchExecution();
+            this.unwatchExecution = null;
         }
         this.currentExecutionId = null;
     }
 
     /**
-     * Fetch execution details from n8n API
+     * Handle a changed execution of the current message
      */
-    async fetchExecutionDetails() {
-        if (!this.currentExecutionId || !this.config.n8nUrl) {
-            return;
+    handleExecutionUpdate(execution) {
+        // Log execution summary
+        console.log('📊 Execution update:', {
+            id: execution.id,
+            status: execution.status || (execution.finished ? 'finished' : 'running'),
+            mode: execution.mode,
+            startedAt: execution.startedAt,
+            stoppedAt: execution.stoppedAt
+        });
+
+        // Log node-level details if available
+        if (execution.data?.resultData?.runData) {
+            const nodes = Object.keys(execution.data.resultData.runData);
+            console.log('🔷 Nodes executed:', nodes.length, '→', nodes);
+        } else {
+            console.warn('⚠️ No node execution data found. Make sure includeData=true is working.');
         }
 
+        // Call the update callback if registered
+        if (this.executionUpdateCallback) {
+            this.executionUpdateCallback(execution);
+        }
+
+        // Paused on a Wait node - ask the user to resume it
+        if (execution.status === 'waiting') {
+            this.handleWaitingExecution(execution);
+        }
+
+        if (this.monitor.isFinished(execution)) {
+            console.log('✅ Execution completed, stopping monitoring in 5s');
+            setTimeout(() => {
+                if (String(this.currentExecutionId) === String(execution.id)) {
+                    this.stopExecutionMonitoring();
+                }
+            }, 5000); // Keep showing for 5 more seconds
+        }
+    }
+
+    /**
+     * Register callback for execution updates
+     * @param {function} callback - Function to call with execution data
+     */
+    onExecutionUpdate(callback) {
+        this.executionUpdateCallback = callback;
+    }
+
+    // ==================== Approvals ====================
+
+    /**
+     * Register callback for executions waiting on a person
+     * @param {function} callback - Called with the approval request (see getApprovalRequest)
+     */
+    onApprovalRequired(callback) {
+        this.approvalCallback = callback;
+    }
+
+    /**
+     * Look for this request's execution in case it pauses on a Wait node before replying
+     * (webhooks that reply when the last node finishes only send the ID at the end).
+     * An execution ID from the workflow itself always wins; a waiting execution is only
+     * adopted when it belongs to the chat workflow and was started with this chat's session ID.
+     */
+    async startWaitingCheck(request) {
+        if (!this.config.n8nUrl) return;
+
+        let workflowId;
         try {
-            // Add includeData=true to get node-level execution details
-            const url = `${this.config.n8nUrl}/api/v1/executions/${this.currentExecutionId}?includeData=true`;
-            const headers = {
-                'Content-Type': 'application/json'
-            };
+            workflowId = await this.getChatWorkflowId();
+        } catch (error) {
+            console.warn('⚠️ Could not find the chat workflow:', error.message);
+            return;
+        }
 
-            if (this.config.apiKey) {
-                headers['X-N8N-API-KEY'] = this.config.apiKey;
-            }
+        if (!workflowId) {
+            console.warn('⚠️ No workflow found for the webhook URL - set the chat workflow ID in settings to detect approvals');
+            return;
+        }
+        if (request.executionId || this.activeRequest !== request) return;
+
+        request.stopWaitingCheck = this.monitor.findWaiting({
+            workflowId,
+            since: request.startedAt,
+            match: (execution) => this.isSessionExecution(execution, request.sessionId)
+        }, (execution) => {
+            if (request.executionId || this.activeRequest !== request) return;
+
+            console.log('⏸️ Found waiting execution for this message:', execution.id);
+            request.executionId = execution.id;
+            this.startExecutionMonitoring(execution.id);
+        });
+    }
 
-            console.log('🔄 Fetching execution details with node data:', this.currentExecutionId);
+    /**
+     * ID of the workflow behind the chat webhook: from settings, or the workflow
+     * with a Webhook/Chat Trigger node on the webhook URL's path
+     * @returns {Promise<string|null>}
+     */
+    async getChatWorkflowId() {
+        if (this.config.chatWorkflowId) {
+            return String(this.config.chatWorkflowId);
+        }
+        if (this.chatWorkflow && this.chatWorkflow.webhookUrl === this.config.webhookUrl) {
+            return this.chatWorkflow.id;
+        }
 
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: headers
-            });
+        const match = new URL(this.config.webhookUrl).pathname.match(/\/webhook(?:-test)?\/(.+?)\/?$/);
+        const path = match ? decodeURIComponent(match[1]) : null;
 
-            if (!response.ok) {
-                console.error('❌ Failed to fetch execution:', response.status);
-                return;
-            }
+        const workflows = path ? await this.getWorkflows() : [];
+        const workflow = workflows.find(wf => (wf.nodes || []).some(node => {
+            const nodePath = String(node.parameters?.path || '').replace(/^\/+/, '');
+            // Chat Triggers listen on /webhook/<webhookId>/chat
+            return nodePath === path || (node.webhookId && (path === node.webhookId || path.startsWith(`${node.webhookId}/`)));
+        }));
 
-            const execution = await response.json();
+        if (!workflow) return null;
 
-            // Log execution summary
-            console.log('📊 Execution update:', {
-                id: execution.id,
-                status: execution.finished ? 'finished' : 'running',
-                mode: execution.mode,
-                startedAt: execution.startedAt,
-                stoppedAt: execution.stoppedAt
-            });
+        this.chatWorkflow = { webhookUrl: this.config.webhookUrl, id: String(workflow.id) };
+        return this.chatWorkflow.id;
+    }
 
-            // Log node-level details if available
-            if (execution.data?.resultData?.runData) {
-                const nodes = Object.keys(execution.data.resultData.runData);
-                console.log('🔷 Nodes executed:', nodes.length, '→', nodes);
-
-                nodes.forEach(nodeName => {
-                    const nodeRuns = execution.data.resultData.runData[nodeName];
-                    if (nodeRuns && nodeRuns.length > 0) {
-                        const lastRun = nodeRuns[nodeRuns.length - 1];
-                        console.log(`  ├─ ${nodeName}:`, {
-                            status: lastRun.error ? '❌ error' : '✅ success',
-                            executionTime: lastRun.executionTime ? `${lastRun.executionTime}ms` : 'N/A',
-                            startTime: lastRun.startTime || 'N/A'
-                        });
-                    }
-                });
-            } else {
-                console.warn('⚠️ No node execution data found. Make sure includeData=true is working.');
-            }
+    /**
+     * Whether an execution was started by a message with this session ID
+     * (the trigger item carries the payload: body.sessionId for webhooks, sessionId for chat triggers)
+     */
+    isSessionExecution(execution, sessionId) {
+        const runData = execution.data?.resultData?.runData || {};
+        return Object.values(runData).some(runs => {
+            const json = runs[0]?.data?.main?.[0]?.[0]?.json || {};
+            return (json.body?.sessionId ?? json.sessionId) === sessionId;
+        });
+    }
 
-            // Call the update callback if registered
-            if (this.executionUpdateCallback) {
-                this.executionUpdateCallback(execution);
-            }
+    /**
+     * Notify once per wait - and stop the request timing out while a person decides
+     */
+    handleWaitingExecution(execution) {
+        const approval = this.getApprovalRequest(execution);
+        if (!approval || this.notifiedApprovals.has(approval.key)) return;
 
-            // Stop polling if execution is finished
-            if (execution.finished || execution.stoppedAt) {
-                console.log('✅ Execution completed, stopping monitoring in 5s');
-                setTimeout(() => {
-                    this.stopExecutionMonitoring();
-                }, 5000); // Keep showing for 5 more seconds
-            }
+        this.notifiedApprovals.add(approval.key);
+        console.log('⏸️ Execution waiting for approval:', approval.executionId, approval.nodeName);
 
-            return execution;
-        } catch (error) {
-            // Check if it's a CORS error
-            if (error.message.includes('Failed to fetch') || error.name === 'TypeError') {
-                console.warn('⚠️ CORS Error: Cannot fetch execution details from n8n API.');
-                console.warn('💡 To fix: Configure CORS in your n8n instance to allow origin:', window.location.origin);
-                console.warn('📚 See: https://docs.n8n.io/hosting/configuration/environment-variables/#cors');
-
-                // Stop trying to fetch if we hit CORS errors
-                this.stopExecutionMonitoring();
-            } else {
-                console.error('❌ Error fetching execution details:', error);
-            }
+        const request = this.activeRequest;
+        if (request && request.executionId === execution.id) {
+            clearTimeout(request.timeoutId);
+        }
+
+        if (this.approvalCallback) {
+            this.approvalCallback(approval);
         }
     }
 
     /**
-     * Register callback for execution updates
-     * @param {function} callback - Function to call with execution data
+     * Approval request for an execution paused on a Wait node resumed by webhook call
+     * The item reaching the Wait node can carry an approvalMessage (or message/prompt) to show.
+     * @returns {object|null} - {key, executionId, nodeName, message, resumeUrl, method}, or null for timed waits
      */
-    onExecutionUpdate(callback) {
-        this.executionUpdateCallback = callback;
+    getApprovalRequest(execution) {
+        const resultData = execution.data?.resultData || {};
+        const nodeName = resultData.lastNodeExecuted || null;
+        const node = (execution.workflowData?.nodes || []).find(n => n.name === nodeName);
+        const params = node?.parameters || {};
+
+        // Waits on a timer or a form can't be resumed from the chat
+        if (node && params.resume !== 'webhook') {
+            return null;
+        }
+
+        const runs = (nodeName && resultData.runData?.[nodeName]) || [];
+        const item = runs[runs.length - 1]?.data?.main?.[0]?.[0]?.json || {};
+        const message = [item.approvalMessage, item.message, item.prompt]
+            .find(value => typeof value === 'string' && value.trim()) || null;
+
+        const suffix = params.options?.webhookSuffix
+            ? `/${String(params.options.webhookSuffix).replace(/^\/+/, '')}`
+            : '';
+
+        return {
+            key: `${execution.id}:${nodeName}:${runs.length}`,
+            executionId: execution.id,
+            nodeName,
+            message,
+            resumeUrl: `${this.config.n8nUrl}/webhook-waiting/${execution.id}${suffix}`,
+            method: (params.httpMethod || 'GET').toUpperCase()
+        };
+    }
+
+    /**
+     * Resume a waiting execution with the user's decision
+     * The Wait node receives {approved, decision, comment} as query parameters (GET) or a JSON body.
+     * @param {object} approval - From getApprovalRequest
+     * @param {object} decision - {approved: boolean, comment: string}
+     */
+    async resumeExecution(approval, { approved, comment = '' }) {
+        const decision = {
+            approved,
+            decision: approved ? 'approve' : 'reject',
+            comment
+        };
+
+        let url = approval.resumeUrl;
+        const init = { method: approval.method, headers: {} };
+
+        if (approval.method === 'GET') {
+            url += `?${new URLSearchParams({ ...decision, approved: String(approved) })}`;
+        } else {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(decision);
+        }
+
+        console.log(`${approved ? '✅' : '❌'} Resuming execution:`, approval.executionId);
+
+        const response = await fetch(url, init);
+        if (!response.ok) {
+            throw new Error(`Failed to resume execution: ${response.status} ${response.statusText}`);
+        }
+
+        // The workflow runs on - give the reply the usual time again
+        const request = this.activeRequest;
+        if (request && request.executionId === approval.executionId) {
+            this.armRequestTimeout(request);
+        }
+
+        return true;
     }
 
     /**
@@ -349,6 +811,37 @@ class N8NManager {
         }
     }
 
+    /**
+     * Get a workflow definition (nodes with their editor positions, and connections)
+     * @param {string} workflowId - The workflow ID
+     * @returns {Promise<object>}
+     */
+    async getWorkflow(workflowId) {
+        if (!this.config.n8nUrl) {
+            throw new Error('n8n URL not configured');
+        }
+
+        const url = `${this.config.n8nUrl}/api/v1/workflows/${workflowId}`;
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (this.config.apiKey) {
+            headers['X-N8N-API-KEY'] = this.config.apiKey;
+        }
+
+        const response = await fetch(url, {
+            method: 'GET',
+            headers: headers
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch workflow: ${response.status}`);
+        }
+
+        return await response.json();
+    }
+
     /**
      * Get executions for a specific workflow
      * @param {string} workflowId - The workflow ID
@@ -1,6 +1,7 @@
 /**
- * Neo4j Integration Module (HTTP API)
- * Handles Neo4j graph database connections via HTTP API and vis.js visualization
+ * Neo4j Integration Module
+ * Handles Neo4j graph database connections (transactional HTTP API, Query API v2
+ * or Bolt over WebSocket) and vis.js visualization
  */
 
 class Neo4jManager {
@@ -9,15 +10,67 @@ class Neo4jManager {
             neo4jUrl: '',
             neo4jUsername: '',
             neo4jPassword: '',
-            neo4jDatabase: 'neo4j'
+            neo4jDatabase: 'neo4j',
+            neo4jProtocol: 'http-tx',
+            viewerUsername: '',    // Read-only Neo4j user handed to viewer accounts instead of the above
+            viewerPassword: ''
         };
 
+        // Supported connection protocols
+        this.PROTOCOLS = {
+            'http-tx': 'HTTP API',
+            'query-api': 'Query API',
+            'bolt': 'Bolt'
+        };
+        this.boltDriver = null;
+        this.boltDriverKey = null;
+
         this.network = null;
         this.nodes = null;
         this.edges = null;
         this.expandedNodes = new Set(); // Track expanded nodes
         this.originalNodeIds = new Set(); // Track nodes from original query
 
+        // Graph explorer refuses write queries until writes are unlocked
+        this.readOnly = true;
+
+        // Relationships added per expansion, so hub nodes don't flood the canvas
+        this.EXPAND_LIMIT = 25;
+        this.nodeContextMenuCallback = null;
+        this.selectionCallback = null;
+
+        // Path finding
+        this.PATH_LIMIT = 10; // Paths returned by the "all paths" modes
+        this.PATH_MAX_HOPS = 15; // Variable-length patterns get expensive fast
+        this.PATH_MAX_HOPS_ALL = 6; // "All paths" enumerates every path, not just the shortest
+        this.selectedNodeOrder = []; // Ctrl+click order - the first node is the path start
+        this.highlightedPath = null; // {nodes: Map(id -> original style), edges: Map(id -> original style)}
+        this.PATH_COLOR = '#f59e0b';
+
+        // Large graphs: paged loading, frozen physics and clustering
+        this.LARGE_RESULT_ROWS = 2000; // Estimated rows above which results are paged (or refused)
+        this.PAGE_SIZE = 500; // Rows per page
+        this.LARGE_GRAPH_NODES = 1000; // Node count that switches the layout to large-graph settings
+        this.CLUSTER_THRESHOLD = 300; // Node count above which 'auto' clusters by label
+        this.MIN_CLUSTER_SIZE = 3;
+        this.largeGraphMode = false; // Always page and use large-graph settings
+        this.clusterMode = 'auto'; // 'auto', 'none', 'label' or 'community'
+        this.paging = null; // {query, offset, pageSize, hasMore}
+        this.clusterIds = [];
+        this.physicsFrozen = false;
+        this.largeLayout = false;
+
+        // Graphs embedded in chat replies
+        this.INLINE_GRAPH_LIMIT = 150;
+        this.INLINE_GRAPH_ROWS = 300; // Rows read for a graph in a chat reply
+
+        // vis.js fields that depend on styling rules
+        this.NODE_STYLE_KEYS = ['label', 'title', 'color', 'shape', 'image', 'size', 'value'];
+        this.EDGE_STYLE_KEYS = ['label', 'title', 'color', 'width'];
+
+        // User styling rules (colour, shape, icon, size, caption), saved per database
+        this.styles = new GraphStyleManager(this);
+
         // Dynamic color assignment
         this.labelColorMap = new Map(); // Track which labels have which colors
         this.colorPalette = [
@@ -47,6 +100,7 @@ class Neo4jManager {
      */
     async init() {
         await this.loadConfig();
+        await this.styles.load();
     }
 
     /**
@@ -56,7 +110,7 @@ class Neo4jManager {
         if (window.CryptoUtils) {
             const stored = await window.CryptoUtils.getItem('nox-neo4j-config');
             if (stored) {
-                this.config = stored;
+                this.config = { ...this.config, ...stored };
             }
         } else {
             // Fallback to unencrypted (for initial load)
@@ -76,6 +130,7 @@ class Neo4jManager {
      */
     async saveConfig(config) {
         this.config = { ...this.config, ...config };
+        this.closeBoltDriver();
 
         if (window.CryptoUtils) {
             await window.CryptoUtils.setItem('nox-neo4j-config', this.config);
@@ -93,75 +148,713 @@ class Neo4jManager {
     }
 
     /**
-     * Execute Cypher query via HTTP API
+     * Execute Cypher query over the configured protocol
      * @param {string} cypherQuery - Cypher query to execute
-     * @returns {Promise<Object>} - Query results
+     * @param {object} parameters - Query parameters
+     * @returns {Promise<Object>} - Query results in the transactional API shape (see normalizeResult)
      */
     async executeQuery(cypherQuery, parameters = {}) {
-        if (!this.config.neo4jUrl || !this.config.neo4jUsername || !this.config.neo4jPassword) {
+        this.checkWritePermission(cypherQuery);
+
+        const statementObj = {
+            statement: cypherQuery,
+            resultDataContents: ['row', 'graph'],
+            includeStats: true
+        };
+
+        // Add parameters if provided
+        if (parameters && Object.keys(parameters).length > 0) {
+            statementObj.parameters = parameters;
+        }
+
+        return await this.sendStatements([statementObj]);
+    }
+
+    /**
+     * Viewers may only read
+     */
+    checkWritePermission(cypherQuery) {
+        if (window.AuthManager && this.isWriteQuery(cypherQuery)) {
+            window.AuthManager.requirePermission('graph.write');
+        }
+    }
+
+    // ==================== Transactions ====================
+
+    /**
+     * Open an explicit transaction
+     * @returns {Promise<Neo4jTransaction>} - Call run() any number of times, then commit() or rollback()
+     */
+    async beginTransaction() {
+        const tx = new Neo4jTransaction(this, { ...this.config });
+        await tx.begin();
+        return tx;
+    }
+
+    /**
+     * Run work inside a transaction - commits if it resolves, rolls back if it throws
+     * @param {function} work - Receives the transaction, returns a promise
+     * @returns {Promise<*>} - Whatever work resolved with
+     */
+    async runTransaction(work) {
+        const tx = await this.beginTransaction();
+
+        try {
+            const value = await work(tx);
+            await tx.commit();
+            return value;
+        } catch (error) {
+            if (tx.isOpen()) {
+                await tx.rollback().catch(rollbackError => {
+                    console.error('Rollback failed:', rollbackError);
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Run a ";"-separated Cypher script in one transaction
+     * Stops and rolls back at the first failing statement
+     * @param {string} script - Cypher statements separated by semicolons
+     * @param {object} guardOptions - Read-only guard options (see assertQueryAllowed)
+     * @returns {Promise<Array>} - One result per statement
+     */
+    async runScript(script, guardOptions = {}) {
+        const statements = this.splitStatements(script);
+        if (statements.length === 0) {
+            throw new Error('Script is empty');
+        }
+
+        // Refuse the whole script before anything runs
+        for (const statement of statements) {
+            await this.assertQueryAllowed(statement, guardOptions);
+        }
+
+        // Only failures inside tx.run belong to a statement - begin and commit fail on their own
+        let phase = 'begin';
+        let current = 0;
+        try {
+            return await this.runTransaction(async (tx) => {
+                phase = 'run';
+                const results = [];
+                for (current = 0; current < statements.length; current++) {
+                    results.push(await tx.run(statements[current]));
+                }
+                phase = 'commit';
+                return results;
+            });
+        } catch (error) {
+            if (phase === 'begin') {
+                throw new Error(`Could not start the transaction, nothing was run: ${error.message}`);
+            }
+            if (phase === 'commit') {
+                throw new Error(`All ${statements.length} statements ran, but the commit failed: ${error.message}`);
+            }
+
+            const scriptError = new Error(`Statement ${current + 1} of ${statements.length} failed, nothing was committed: ${error.message}`);
+            scriptError.statementIndex = current;
+            throw scriptError;
+        }
+    }
+
+    /**
+     * Split a script on semicolons outside strings, identifiers and comments
+     * @param {string} script - Cypher script
+     * @returns {Array<string>} - Non-empty statements
+     */
+    splitStatements(script) {
+        const statements = [];
+        let current = '';
+
+        const tokens = script.match(/'(?:[^'\\]|\\.)*'?|"(?:[^"\\]|\\.)*"?|`[^`]*`?|\/\*[\s\S]*?(?:\*\/|$)|\/\/[^\n]*|;|[^'"`\/;]+|\//g) || [];
+        tokens.forEach(token => {
+            if (token === ';') {
+                statements.push(current);
+                current = '';
+            } else {
+                current += token;
+            }
+        });
+        statements.push(current);
+
+        // Drop empty statements (and ones that are only comments)
+        return statements
+            .map(statement => statement.trim())
+            .filter(statement => statement.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, '').trim());
+    }
+
+    /**
+     * Check a connection without saving it
+     * @param {object} config - Connection settings to test (same shape as this.config)
+     * @returns {Promise<Object>} - Query results
+     */
+    async testConnection(config) {
+        return await this.sendStatements([{ statement: 'RETURN 1 AS test' }], { ...this.config, ...config });
+    }
+
+    // ==================== Protocols ====================
+
+    /**
+     * Send statements over the configured protocol
+     * Every protocol resolves to the transactional HTTP API shape:
+     * {results: [{columns, data: [{row, meta, graph}], stats, plan}], errors: []}
+     * @param {Array} statements - Statement objects ({statement, parameters})
+     * @param {object} config - Connection settings (defaults to the saved ones)
+     * @returns {Promise<Object>}
+     */
+    async sendStatements(statements, config = this.config) {
+        if (!config.neo4jUrl || !config.neo4jUsername || !config.neo4jPassword) {
             throw new Error('Neo4j not configured. Please check settings.');
         }
 
-        const authHeader = 'Basic ' + btoa(`${this.config.neo4jUsername}:${this.config.neo4jPassword}`);
+        try {
+            switch (this.getProtocol(config)) {
+                case 'query-api':
+                    return await this.sendQueryApi(statements, config);
+                case 'bolt':
+                    return await this.sendBolt(statements, config);
+                default:
+                    return await this.sendHttpTx(statements, config);
+            }
+        } catch (error) {
+            console.error('Neo4j query error:', error);
+            throw error;
+        }
+    }
+
+    getProtocol(config = this.config) {
+        return this.PROTOCOLS[config.neo4jProtocol] ? config.neo4jProtocol : 'http-tx';
+    }
 
+    getProtocolLabel(config = this.config) {
+        return this.PROTOCOLS[this.getProtocol(config)];
+    }
+
+    /**
+     * Build the HTTP endpoint for the configured database
+     * Accepts a bare server URL or a full legacy ".../db/{name}/tx/commit" URL
+     * @param {string} path - Path after /db/{name}, e.g. 'tx/commit' or 'query/v2'
+     */
+    buildEndpoint(path, config = this.config) {
+        const base = config.neo4jUrl.trim()
+            .replace(/\/db\/.*$/, '')
+            .replace(/\/+$/, '');
+        const database = encodeURIComponent(config.neo4jDatabase || 'neo4j');
+        return `${base}/db/${database}/${path}`;
+    }
+
+    getAuthHeader(config = this.config) {
+        return 'Basic ' + btoa(`${config.neo4jUsername}:${config.neo4jPassword}`);
+    }
+
+    /**
+     * POST JSON to a Neo4j HTTP endpoint and return the parsed body
+     */
+    async postJson(url, body, config = this.config) {
+        const { data } = await this.requestJson(url, { body }, config);
+        return data;
+    }
+
+    /**
+     * Send a request to a Neo4j HTTP endpoint
+     * @param {string} url - Endpoint URL
+     * @param {object} options - {method, body, headers}
+     * @param {object} config - Connection settings
+     * @returns {Promise<{data: Object, headers: Headers}>} - Parsed body (empty object if none) and response headers
+     */
+    async requestJson(url, { method = 'POST', body = null, headers = {} } = {}, config = this.config) {
+        const response = await fetch(url, {
+            method: method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': this.getAuthHeader(config),
+                'Accept': 'application/json',
+                ...headers
+            },
+            body: body === null ? undefined : JSON.stringify(body)
+        });
+
+        const text = await response.text();
+        let data = null;
         try {
-            const statementObj = {
-                statement: cypherQuery,
-                resultDataContents: ['row', 'graph'],
-                includeStats: true
-            };
+            data = text ? JSON.parse(text) : {};
+        } catch (e) {
+            // Not JSON - report the raw text below
+        }
+
+        // Check for Neo4j errors
+        if (data && data.errors && data.errors.length > 0) {
+            const error = data.errors[0];
+            throw new Error(`Neo4j Error: ${error.message} (${error.code})`);
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${text}`);
+        }
+        if (data === null) {
+            throw new Error(`Unexpected response from Neo4j: ${text.slice(0, 200)}`);
+        }
+
+        return { data, headers: response.headers };
+    }
+
+    /**
+     * Legacy transactional endpoint (/db/{name}/tx/commit) - already in the common shape
+     */
+    async sendHttpTx(statements, config) {
+        return await this.postJson(this.buildEndpoint('tx/commit', config), { statements }, config);
+    }
+
+    /**
+     * Query API v2 (/db/{name}/query/v2) - one statement per request
+     */
+    async sendQueryApi(statements, config) {
+        const url = this.buildEndpoint('query/v2', config);
+        const results = [];
+
+        for (const statementObj of statements) {
+            const data = await this.postJson(url, {
+                statement: statementObj.statement,
+                parameters: statementObj.parameters || {},
+                includeCounters: true
+            }, config);
+
+            results.push(this.normalizeQueryApiResponse(data));
+        }
+
+        return { results, errors: [] };
+    }
 
-            // Add parameters if provided
-            if (parameters && Object.keys(parameters).length > 0) {
-                statementObj.parameters = parameters;
+    normalizeQueryApiResponse(data) {
+        const payload = data.data || { fields: [], values: [] };
+        return this.normalizeResult(
+            payload.fields,
+            payload.values,
+            data.counters,
+            data.queryPlan || data.profiledQueryPlan
+        );
+    }
+
+    /**
+     * Bolt over WebSocket via neo4j-driver
+     */
+    async sendBolt(statements, config) {
+        if (typeof neo4j === 'undefined') {
+            throw new Error('neo4j-driver is not loaded - Bolt is unavailable');
+        }
+
+        const session = this.getBoltDriver(config).session({
+            database: config.neo4jDatabase || 'neo4j'
+        });
+
+        try {
+            const results = [];
+            for (const statementObj of statements) {
+                const result = await session.run(statementObj.statement, this.toBoltParameters(statementObj.parameters || {}));
+                results.push(this.normalizeBoltResult(result));
             }
+            return { results, errors: [] };
+        } catch (error) {
+            throw this.toBoltError(error);
+        } finally {
+            await session.close();
+        }
+    }
 
-            const response = await fetch(this.config.neo4jUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': authHeader,
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify({
-                    statements: [statementObj]
-                })
+    normalizeBoltResult(result) {
+        const fields = result.keys || (result.records.length > 0 ? result.records[0].keys : []);
+        const values = result.records.map(record => record.keys.map(key => record.get(key)));
+        const counters = result.summary.counters;
+
+        return this.normalizeResult(
+            fields,
+            values,
+            { ...counters.updates(), containsUpdates: counters.containsUpdates() },
+            result.summary.plan || result.summary.profile || null
+        );
+    }
+
+    toBoltError(error) {
+        return new Error(`Neo4j Error: ${error.message}${error.code ? ` (${error.code})` : ''}`);
+    }
+
+    /**
+     * JavaScript numbers go over Bolt as floats, so whole numbers are sent as integers
+     * (LIMIT $limit and id comparisons reject floats)
+     */
+    toBoltParameters(value) {
+        if (typeof value === 'number' && Number.isInteger(value)) {
+            return neo4j.int(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.toBoltParameters(item));
+        }
+        if (value && typeof value === 'object' && value.constructor === Object) {
+            const converted = {};
+            Object.entries(value).forEach(([key, item]) => {
+                converted[key] = this.toBoltParameters(item);
             });
+            return converted;
+        }
+        return value;
+    }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
-            }
+    /**
+     * Reuse one driver per server and user (drivers hold a connection pool)
+     */
+    getBoltDriver(config) {
+        const driverKey = `${config.neo4jUrl}|${config.neo4jUsername}|${config.neo4jPassword}`;
+        if (this.boltDriver && this.boltDriverKey === driverKey) {
+            return this.boltDriver;
+        }
+
+        this.closeBoltDriver();
+        this.boltDriver = neo4j.driver(
+            config.neo4jUrl.trim(),
+            neo4j.auth.basic(config.neo4jUsername, config.neo4jPassword)
+        );
+        this.boltDriverKey = driverKey;
+        return this.boltDriver;
+    }
+
+    closeBoltDriver() {
+        if (this.boltDriver) {
+            this.boltDriver.close().catch(() => {});
+            this.boltDriver = null;
+            this.boltDriverKey = null;
+        }
+    }
+
+    // ==================== Result Normalization ====================
+
+    /**
+     * Convert Query API / Bolt records into one transactional API result
+     * row holds plain values (nodes and relationships become their properties),
+     * graph holds every node and relationship found in the record
+     * @param {Array} fields - Column names
+     * @param {Array} values - One array of values per record
+     * @param {object} counters - camelCase update counters
+     * @param {object} plan - Root plan operator (EXPLAIN / PROFILE)
+     */
+    normalizeResult(fields, values, counters, plan) {
+        const data = (values || []).map(recordValues => {
+            const graph = { nodes: new Map(), relationships: new Map() };
+            const row = recordValues.map(value => this.normalizeValue(value, graph));
+            return {
+                row,
+                meta: recordValues.map(value => this.describeValue(value)),
+                graph: {
+                    nodes: Array.from(graph.nodes.values()),
+                    relationships: Array.from(graph.relationships.values())
+                }
+            };
+        });
 
-            const data = await response.json();
+        const result = { columns: fields || [], data };
+        if (counters) {
+            result.stats = this.normalizeCounters(counters);
+        }
+        if (plan) {
+            result.plan = { root: plan };
+        }
+        return result;
+    }
 
-            // Check for Neo4j errors
-            if (data.errors && data.errors.length > 0) {
-                const error = data.errors[0];
-                throw new Error(`Neo4j Error: ${error.message} (${error.code})`);
+    /**
+     * Convert one value to its row form, collecting graph entities on the way
+     */
+    normalizeValue(value, graph) {
+        if (value === null || value === undefined) return null;
+
+        if (this.isGraphNode(value)) {
+            const node = this.toGraphNode(value);
+            graph.nodes.set(node.id, node);
+            return node.properties;
+        }
+        if (this.isGraphRelationship(value)) {
+            const rel = this.toGraphRelationship(value);
+            graph.relationships.set(rel.id, rel);
+            return rel.properties;
+        }
+        if (this.isGraphPath(value)) {
+            return this.pathToRow(value, graph);
+        }
+        if (typeof neo4j !== 'undefined') {
+            if (neo4j.isInt(value)) {
+                return neo4j.integer.inSafeRange(value) ? value.toNumber() : value.toString();
             }
+            if (this.isBoltTemporal(value)) {
+                return value.toString();
+            }
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.normalizeValue(item, graph));
+        }
+        if (typeof value === 'object') {
+            const normalized = {};
+            Object.entries(value).forEach(([key, item]) => {
+                normalized[key] = this.normalizeValue(item, graph);
+            });
+            return normalized;
+        }
+        return value;
+    }
+
+    /**
+     * Describe a value the way the transactional API's "meta" does
+     */
+    describeValue(value) {
+        if (this.isGraphNode(value)) {
+            return { id: this.toGraphNode(value).id, elementId: value.elementId, type: 'node', deleted: false };
+        }
+        if (this.isGraphRelationship(value)) {
+            return { id: this.toGraphRelationship(value).id, elementId: value.elementId, type: 'relationship', deleted: false };
+        }
+        return null;
+    }
+
+    isGraphNode(value) {
+        if (typeof neo4j !== 'undefined' && neo4j.isNode && neo4j.isNode(value)) return true;
+        return !!value && typeof value === 'object' && 'elementId' in value &&
+            Array.isArray(value.labels) && !('startNodeElementId' in value);
+    }
+
+    isGraphRelationship(value) {
+        if (typeof neo4j !== 'undefined' && neo4j.isRelationship && neo4j.isRelationship(value)) return true;
+        return !!value && typeof value === 'object' && 'elementId' in value && 'startNodeElementId' in value;
+    }
+
+    isGraphPath(value) {
+        return typeof neo4j !== 'undefined' && neo4j.isPath && neo4j.isPath(value);
+    }
+
+    isBoltTemporal(value) {
+        return ['isDate', 'isDateTime', 'isLocalDateTime', 'isLocalTime', 'isTime', 'isDuration', 'isPoint']
+            .some(check => typeof neo4j[check] === 'function' && neo4j[check](value));
+    }
+
+    /**
+     * Node in the transactional API graph shape - the elementId doubles as the ID
+     */
+    toGraphNode(node) {
+        return {
+            id: node.elementId,
+            elementId: node.elementId,
+            labels: node.labels || [],
+            properties: this.normalizeValue(node.properties || {}, { nodes: new Map(), relationships: new Map() })
+        };
+    }
+
+    toGraphRelationship(rel) {
+        return {
+            id: rel.elementId,
+            elementId: rel.elementId,
+            type: rel.type,
+            startNode: rel.startNodeElementId,
+            endNode: rel.endNodeElementId,
+            properties: this.normalizeValue(rel.properties || {}, { nodes: new Map(), relationships: new Map() })
+        };
+    }
+
+    /**
+     * Bolt path -> alternating node / relationship properties (as the transactional API returns)
+     */
+    pathToRow(path, graph) {
+        const row = [this.normalizeValue(path.start, graph)];
+        path.segments.forEach(segment => {
+            row.push(this.normalizeValue(segment.relationship, graph));
+            row.push(this.normalizeValue(segment.end, graph));
+        });
+        return row;
+    }
+
+    /**
+     * camelCase counters -> transactional API stats (nodesCreated -> nodes_created)
+     */
+    normalizeCounters(counters) {
+        const stats = {};
+        Object.entries(counters).forEach(([key, value]) => {
+            const snake = key === 'relationshipsDeleted'
+                ? 'relationship_deleted'
+                : key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+            stats[snake] = value;
+        });
+        return stats;
+    }
+
+    /**
+     * Check if a Cypher query can modify the graph
+     * String literals and comments are ignored, so "RETURN 'CREATE'" is a read
+     * @param {string} cypherQuery - Cypher query
+     * @returns {boolean}
+     */
+    isWriteQuery(cypherQuery) {
+        // One pass, so quotes inside comments and "//" inside strings are handled
+        const code = cypherQuery.replace(
+            /'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`[^`]*`|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g,
+            ' '
+        );
+
+        const writeClauses = /\b(CREATE|MERGE|DELETE|SET|REMOVE|DROP|FOREACH|LOAD\s+CSV|ALTER|GRANT|DENY|REVOKE)\b/i;
+        // Procedures that are known to write (APOC refactoring/creation, index and schema management)
+        const writeProcedures = /\bCALL\s+(apoc\.(create|merge|refactor|periodic|nodes\.delete|atomic|schema\.assert|trigger)|db\.(create|index\.fulltext\.create|drop))/i;
+
+        return writeClauses.test(code) || writeProcedures.test(code);
+    }
+
+    // ==================== Read-only Guard ====================
+
+    /**
+     * Classify a query as read or write
+     * Uses the EXPLAIN plan (nothing is executed) and falls back to keyword
+     * matching when the server can't plan it
+     * @param {string} cypherQuery - Cypher query
+     * @param {object} parameters - Query parameters (needed to plan some queries)
+     * @returns {Promise<{type: string, source: string, operators: Array}>}
+     */
+    async classifyQuery(cypherQuery, parameters = {}) {
+        try {
+            const plan = await this.explainQuery(cypherQuery, parameters);
+
+            if (plan) {
+                const operators = this.collectPlanOperators(plan);
+                const writes = operators.filter(op => this.isWriteOperator(op));
 
-            return data;
+                // A procedure call can write without showing it in the plan
+                if (operators.includes('ProcedureCall') && this.isWriteQuery(cypherQuery)) {
+                    writes.push('ProcedureCall');
+                }
+
+                return {
+                    type: writes.length > 0 ? 'write' : 'read',
+                    source: 'plan',
+                    operators: writes
+                };
+            }
         } catch (error) {
-            console.error('Neo4j query error:', error);
+            console.warn('EXPLAIN failed, classifying by keywords:', error.message);
+        }
+
+        return {
+            type: this.isWriteQuery(cypherQuery) ? 'write' : 'read',
+            source: 'keywords',
+            operators: []
+        };
+    }
+
+    /**
+     * Get the execution plan of a query without running it
+     * @param {string} cypherQuery - Cypher query
+     * @param {object} parameters - Query parameters (needed to plan some queries)
+     * @returns {Promise<Object|null>} - Root plan operator, or null if the server returned none
+     */
+    async explainQuery(cypherQuery, parameters = {}) {
+        // PROFILE would run the query - plan it instead
+        const statement = 'EXPLAIN ' + cypherQuery.trim().replace(/^(EXPLAIN|PROFILE)\s+/i, '');
+
+        const statementObj = { statement };
+        if (parameters && Object.keys(parameters).length > 0) {
+            statementObj.parameters = parameters;
+        }
+
+        const result = await this.sendStatements([statementObj]);
+        const plan = result.results && result.results[0] && result.results[0].plan;
+
+        return plan ? (plan.root || plan) : null;
+    }
+
+    /**
+     * Collect operator names from a plan tree ("CreateNode@neo4j" -> "CreateNode")
+     */
+    collectPlanOperators(planNode, operators = []) {
+        if (!planNode) return operators;
+
+        if (planNode.operatorType) {
+            operators.push(planNode.operatorType.split('@')[0]);
+        }
+        (planNode.children || []).forEach(child => this.collectPlanOperators(child, operators));
+
+        return operators;
+    }
+
+    isWriteOperator(operator) {
+        return /^(Create|Merge|Delete|DetachDelete|Set|Remove|Drop|Foreach|LoadCSV|Transaction|Lock|DoNothingIfExists|Alter|Grant|Deny|Revoke|Rename|Start|Stop)/.test(operator);
+    }
+
+    /**
+     * Refuse write queries while read-only mode is on
+     * @param {string} cypherQuery - Query about to run
+     * @param {object} options - Options
+     * @param {boolean} options.allowWrites - Override (defaults to the unlock state)
+     */
+    async assertQueryAllowed(cypherQuery, { allowWrites = !this.readOnly } = {}) {
+        if (allowWrites) return;
+
+        const classification = await this.classifyQuery(cypherQuery);
+        if (classification.type === 'write') {
+            const detail = classification.operators.length > 0
+                ? ` (${[...new Set(classification.operators)].join(', ')})`
+                : '';
+            const error = new Error(`Read-only mode: this query would modify the graph${detail}. Unlock writes to run it.`);
+            error.readOnlyBlocked = true;
+            error.classification = classification;
             throw error;
         }
     }
 
+    /**
+     * Edits made from the canvas follow the same lock as typed queries
+     */
+    assertWritesUnlocked() {
+        if (this.readOnly) {
+            const error = new Error('Read-only mode: unlock writes to edit the graph.');
+            error.readOnlyBlocked = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Turn read-only mode on or off
+     */
+    setReadOnly(readOnly) {
+        if (!readOnly && window.AuthManager) {
+            window.AuthManager.requirePermission('graph.write');
+        }
+        this.readOnly = readOnly;
+        console.log(readOnly ? '🔒 Graph writes locked' : '🔓 Graph writes unlocked');
+    }
+
     /**
      * Initialize visualization with vis.js
      * @param {string} containerId - DOM element ID for the graph container
      * @param {string} cypherQuery - Cypher query to execute
+     * @param {object} guardOptions - Read-only guard options (see assertQueryAllowed)
+     * @param {object} loadOptions - Load options
+     * @param {boolean} loadOptions.paged - Load the first page only (see planGraphLoad)
      */
-    async initializeVisualization(containerId, cypherQuery) {
+    async initializeVisualization(containerId, cypherQuery, guardOptions = {}, { paged = false } = {}) {
+        // Execute query
+        await this.assertQueryAllowed(cypherQuery, guardOptions);
+        const result = paged ? await this.executeFirstPage(cypherQuery) : await this.executeUnpaged(cypherQuery);
+
+        return this.renderVisualization(containerId, result);
+    }
+
+    /**
+     * Draw a query result, creating the network on first use
+     * @param {string} containerId - DOM element ID for the graph container
+     * @param {Object} result - Query result (see sendStatements)
+     */
+    renderVisualization(containerId, result) {
+        if (this.network) {
+            return this.replaceGraphData(result);
+        }
+
         const container = document.getElementById(containerId);
         if (!container) {
             throw new Error(`Container ${containerId} not found`);
         }
 
-        // Execute query
-        const result = await this.executeQuery(cypherQuery);
-
         // Parse graph data
         const graphData = this.parseGraphData(result);
 
@@ -180,6 +873,11 @@ class Neo4jManager {
                 },
                 borderWidth: 2,
                 borderWidthSelected: 4,
+                // Nodes styled with a size-by-property get a value, scaled into this range
+                scaling: {
+                    min: 12,
+                    max: 50
+                },
                 shadow: {
                     enabled: true,
                     color: 'rgba(102, 126, 234, 0.3)',
@@ -255,6 +953,7 @@ class Neo4jManager {
                 tooltipDelay: 100,
                 navigationButtons: true,
                 keyboard: false, // Disable keyboard to prevent interference with chat input
+                multiselect: true, // Ctrl+click picks path endpoints
                 zoomView: true,
                 dragView: true
             },
@@ -264,104 +963,887 @@ class Neo4jManager {
             }
         };
 
-        // Create network
-        this.nodes = new vis.DataSet(graphData.nodes);
-        this.edges = new vis.DataSet(graphData.edges);
+        // Big results: quicker first layout, no curves or shadows
+        const large = this.isLargeGraph(graphData.nodes.length);
+        if (large) {
+            options.physics.stabilization.iterations = 100;
+            options.layout.improvedLayout = false;
+            options.edges.smooth.enabled = false;
+            options.edges.shadow.enabled = false;
+            options.nodes.shadow.enabled = false;
+        }
+
+        // Create network
+        this.nodes = new vis.DataSet(graphData.nodes);
+        this.edges = new vis.DataSet(graphData.edges);
+
+        const data = {
+            nodes: this.nodes,
+            edges: this.edges
+        };
+
+        this.network = new vis.Network(container, data, options);
+        this.clusterIds = [];
+        this.physicsFrozen = false;
+        this.largeLayout = large;
+        if (large) {
+            this.network.once('stabilizationIterationsDone', () => this.freezePhysics());
+        }
+
+        // Store original node IDs
+        this.originalNodeIds.clear();
+        graphData.nodes.forEach(node => this.originalNodeIds.add(node.id));
+        const clusters = this.applyClustering();
+
+        // Add event listeners for interactivity
+        this.selectedNodeOrder = [];
+        this.network.on('select', (params) => {
+            // Keep the order nodes were picked in, vis.js doesn't
+            const selected = new Set(params.nodes);
+            this.selectedNodeOrder = this.selectedNodeOrder.filter(id => selected.has(id));
+            params.nodes.forEach(id => {
+                if (!this.selectedNodeOrder.includes(id)) this.selectedNodeOrder.push(id);
+            });
+        });
+
+        this.network.on('click', (params) => {
+            if (!this.selectionCallback) return;
+
+            if (params.nodes.length > 0) {
+                // With several nodes selected, inspect the one that was clicked
+                const clicked = this.network.getNodeAt(params.pointer.DOM);
+                const nodeId = clicked !== undefined ? clicked : params.nodes[0];
+                this.selectionCallback(this.network.isCluster(nodeId) ? null : { type: 'node', id: nodeId });
+            } else if (params.edges.length > 0) {
+                this.selectionCallback({ type: 'relationship', id: params.edges[0] });
+            } else {
+                this.selectionCallback(null);
+            }
+        });
+
+        // Add double-click handler for node expansion
+        this.network.on('doubleClick', (params) => {
+            if (params.nodes.length > 0) {
+                const nodeId = params.nodes[0];
+                if (this.network.isCluster(nodeId)) {
+                    this.network.openCluster(nodeId);
+                    return;
+                }
+                this.expandNode(nodeId).catch(() => {});
+            }
+        });
+
+        // Right-click opens the expansion filters
+        this.network.on('oncontext', (params) => {
+            const nodeId = this.network.getNodeAt(params.pointer.DOM);
+            if (nodeId === undefined || !this.nodeContextMenuCallback || this.network.isCluster(nodeId)) return;
+
+            params.event.preventDefault();
+            this.network.selectNodes([nodeId]);
+
+            const rect = container.getBoundingClientRect();
+            this.nodeContextMenuCallback(nodeId, {
+                x: rect.left + params.pointer.DOM.x,
+                y: rect.top + params.pointer.DOM.y
+            });
+        });
+
+        return {
+            nodeCount: graphData.nodes.length,
+            edgeCount: graphData.edges.length,
+            clusterCount: clusters ? clusters.clusterCount : 0,
+            hasMore: this.hasMorePages(),
+            result: result
+        };
+    }
+
+    /**
+     * Register a callback for right-clicks on a node
+     * @param {function} callback - Receives (nodeId, {x, y}) in page coordinates
+     */
+    onNodeContextMenu(callback) {
+        this.nodeContextMenuCallback = callback;
+    }
+
+    /**
+     * Match a node by the ID the canvas uses for it
+     * The HTTP API gives numeric IDs, Query API and Bolt give elementIds
+     * @returns {{idFunction: string, value: (number|string)}}
+     */
+    getNodeIdMatch(nodeId) {
+        const byElementId = !/^\d+$/.test(String(nodeId));
+        return {
+            idFunction: byElementId ? 'elementId' : 'id',
+            value: byElementId ? String(nodeId) : Number(nodeId)
+        };
+    }
+
+    /**
+     * Count a node's relationships by type and direction, and its neighbours by label
+     * Feeds the expansion filters without loading the neighbours themselves
+     * @returns {Promise<{total: number, types: Object, labels: Object}>}
+     *   types: {TYPE: {out, in}}, labels: {Label: count}
+     */
+    async getNeighborSummary(nodeId) {
+        const { idFunction, value } = this.getNodeIdMatch(nodeId);
+        const query = `
+            MATCH (n) WHERE ${idFunction}(n) = $nodeId
+            MATCH (n)-[r]-(m)
+            RETURN type(r) AS type, startNode(r) = n AS outgoing, labels(m) AS labels, count(*) AS count
+        `;
+
+        const result = await this.executeQuery(query, { nodeId: value });
+        const summary = { total: 0, types: {}, labels: {} };
+
+        (result.results[0].data || []).forEach(record => {
+            const [type, outgoing, labels, count] = record.row;
+
+            summary.total += count;
+            summary.types[type] = summary.types[type] || { out: 0, in: 0 };
+            summary.types[type][outgoing ? 'out' : 'in'] += count;
+            (labels || []).forEach(label => {
+                summary.labels[label] = (summary.labels[label] || 0) + count;
+            });
+        });
+
+        return summary;
+    }
+
+    /**
+     * Expand a node to show its 1-hop neighbors
+     * Relationships already on the canvas are skipped, so expanding again loads the next batch
+     * @param {string|number} nodeId - Canvas node ID
+     * @param {object} filters - Optional filters
+     * @param {Array<string>} filters.relationshipTypes - Only these relationship types
+     * @param {string} filters.direction - 'both', 'out' or 'in'
+     * @param {Array<string>} filters.neighborLabels - Only neighbours with one of these labels
+     * @param {number} filters.limit - Maximum relationships to add
+     */
+    async expandNode(nodeId, filters = {}) {
+        const {
+            relationshipTypes = [],
+            direction = 'both',
+            neighborLabels = [],
+            limit = this.EXPAND_LIMIT
+        } = filters;
+
+        try {
+            console.log('Expanding node:', nodeId, filters);
+
+            const { idFunction, value } = this.getNodeIdMatch(nodeId);
+            const pattern = direction === 'out' ? '(n)-[r]->(m)' : direction === 'in' ? '(n)<-[r]-(m)' : '(n)-[r]-(m)';
+            const conditions = [`NOT ${idFunction}(r) IN $shown`];
+            if (relationshipTypes.length > 0) {
+                conditions.push('type(r) IN $types');
+            }
+            if (neighborLabels.length > 0) {
+                conditions.push('any(label IN labels(m) WHERE label IN $labels)');
+            }
+
+            const query = `
+                MATCH (n) WHERE ${idFunction}(n) = $nodeId
+                MATCH ${pattern}
+                WHERE ${conditions.join(' AND ')}
+                RETURN n, r, m
+                LIMIT $limit
+            `;
+            const shown = this.edges.getIds().map(id => this.getNodeIdMatch(id).value);
+
+            const result = await this.executeQuery(query, {
+                nodeId: value,
+                shown: shown,
+                types: relationshipTypes,
+                labels: neighborLabels,
+                limit: Math.max(1, Math.floor(limit))
+            });
+            const graphData = this.parseGraphData(result);
+
+            // Mark the expanded node
+            const expandedNode = this.nodes.get(nodeId);
+            if (expandedNode) {
+                expandedNode.expanded = true;
+                expandedNode.borderWidth = 4;
+                this.nodes.update(expandedNode);
+                this.expandedNodes.add(nodeId);
+            }
+
+            // Add new nodes (avoiding duplicates)
+            let newNodesCount = 0;
+            graphData.nodes.forEach(node => {
+                if (!this.nodes.get(node.id)) {
+                    this.nodes.add(node);
+                    newNodesCount++;
+                }
+            });
+
+            // Add new edges (avoiding duplicates)
+            let newEdgesCount = 0;
+            graphData.edges.forEach(edge => {
+                if (!this.edges.get(edge.id)) {
+                    this.edges.add(edge);
+                    newEdgesCount++;
+                }
+            });
+
+            // Stabilize the layout
+            this.stabilize();
+
+            return {
+                nodeCount: newNodesCount,
+                edgeCount: newEdgesCount,
+                totalNodes: this.nodes.length,
+                totalEdges: this.edges.length,
+                // The limit was hit - expanding again loads more
+                hasMore: graphData.edges.length >= limit
+            };
+        } catch (error) {
+            console.error('Failed to expand node:', error);
+            throw error;
+        }
+    }
+
+    // ==================== Large Graphs ====================
+
+    isLargeGraph(nodeCount) {
+        return this.largeGraphMode || nodeCount > this.LARGE_GRAPH_NODES;
+    }
+
+    /**
+     * Decide how to load a graph query before running it
+     * Results estimated above LARGE_RESULT_ROWS are loaded a page at a time (SKIP/LIMIT are
+     * added to the query); queries that can't be paged that way are refused
+     * @param {string} cypherQuery - Cypher query
+     * @returns {Promise<{paged: boolean, refused: boolean, tooLarge: boolean, pageable: boolean, estimatedRows: (number|null)}>}
+     */
+    async planGraphLoad(cypherQuery) {
+        const pageable = this.isPageable(cypherQuery);
+        const estimatedRows = await this.estimateRows(cypherQuery);
+        const tooLarge = estimatedRows !== null && estimatedRows > this.LARGE_RESULT_ROWS;
+
+        return {
+            paged: pageable && (this.largeGraphMode || tooLarge),
+            // Writes still run - only reads that would flood the canvas are refused
+            refused: tooLarge && !pageable && !this.isWriteQuery(cypherQuery),
+            tooLarge,
+            pageable,
+            estimatedRows
+        };
+    }
+
+    /**
+     * Rows the planner expects a query to return, or null when it can't say
+     */
+    async estimateRows(cypherQuery) {
+        try {
+            const plan = await this.explainQuery(cypherQuery);
+            const args = plan ? (plan.arguments || plan.args || {}) : {};
+            const estimate = Number(args.EstimatedRows);
+            return Number.isFinite(estimate) ? Math.round(estimate) : null;
+        } catch (error) {
+            console.warn('Could not estimate result size:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Whether SKIP/LIMIT can be appended: one read statement ending in a RETURN
+     * that has no SKIP/LIMIT of its own, and no UNION
+     */
+    isPageable(cypherQuery) {
+        // Blank out strings, quoted names and comments so they can't hide or fake keywords
+        const code = cypherQuery
+            .replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`[^`]*`|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+                match => /^['"`]/.test(match) ? "''" : ' ')
+            .trim()
+            .replace(/;\s*$/, '');
+
+        // Paging re-runs the query once per page, so writes are never paged
+        if (code.includes(';') || /^(EXPLAIN|PROFILE)\b/i.test(code) || /\bUNION\b/i.test(code) || this.isWriteQuery(code)) {
+            return false;
+        }
+
+        const returns = [...code.matchAll(/\bRETURN\b/gi)];
+        if (returns.length === 0) return false;
+
+        // A closing brace after the last RETURN means it belongs to a subquery
+        const tail = code.slice(returns[returns.length - 1].index);
+        return !/\b(SKIP|LIMIT)\b/i.test(tail) && !tail.includes('}');
+    }
+
+    buildPageQuery(cypherQuery, offset, pageSize) {
+        return `${cypherQuery.trim().replace(/;\s*$/, '')}\nSKIP ${offset} LIMIT ${pageSize}`;
+    }
+
+    async executeUnpaged(cypherQuery) {
+        this.paging = null;
+        return this.executeQuery(cypherQuery);
+    }
+
+    /**
+     * Run the first page of a query and remember where the next one starts
+     * Pages are only stable when the query has an ORDER BY, or the data doesn't change
+     */
+    async executeFirstPage(cypherQuery) {
+        const result = await this.executeQuery(this.buildPageQuery(cypherQuery, 0, this.PAGE_SIZE));
+        const rows = (result.results[0].data || []).length;
+
+        this.paging = {
+            query: cypherQuery,
+            offset: rows,
+            pageSize: this.PAGE_SIZE,
+            hasMore: rows >= this.PAGE_SIZE
+        };
+
+        return result;
+    }
+
+    hasMorePages() {
+        return !!(this.paging && this.paging.hasMore);
+    }
+
+    /**
+     * Add the next page of the current query to the canvas
+     * @returns {Promise<Object>} - {nodeCount, edgeCount, totalNodes, totalEdges, loadedRows, hasMore, result}
+     */
+    async loadMore() {
+        if (!this.network || !this.hasMorePages()) {
+            throw new Error('No more results to load');
+        }
+
+        const paging = this.paging;
+        const result = await this.executeQuery(this.buildPageQuery(paging.query, paging.offset, paging.pageSize));
+        if (this.paging !== paging) {
+            // A new query was run meanwhile
+            return null;
+        }
+
+        const rows = (result.results[0].data || []).length;
+        paging.offset += rows;
+        paging.hasMore = rows >= paging.pageSize;
+
+        const graphData = this.parseGraphData(result);
+        this.openAllClusters();
+
+        let newNodesCount = 0;
+        graphData.nodes.forEach(node => {
+            if (!this.nodes.get(node.id)) {
+                this.nodes.add(node);
+                this.originalNodeIds.add(node.id);
+                newNodesCount++;
+            }
+        });
+
+        let newEdgesCount = 0;
+        graphData.edges.forEach(edge => {
+            if (!this.edges.get(edge.id)) {
+                this.edges.add(edge);
+                newEdgesCount++;
+            }
+        });
+
+        this.applyClustering();
+        this.stabilize();
+
+        return {
+            nodeCount: newNodesCount,
+            edgeCount: newEdgesCount,
+            totalNodes: this.nodes.length,
+            totalEdges: this.edges.length,
+            loadedRows: paging.offset,
+            hasMore: paging.hasMore,
+            result: result
+        };
+    }
+
+    /**
+     * Physics on for a new layout; with large-graph settings it is switched off once laid out
+     */
+    applyLayoutMode(large) {
+        this.largeLayout = large;
+        this.physicsFrozen = false;
+        this.network.setOptions({
+            physics: { enabled: true, stabilization: { iterations: large ? 100 : 200 } },
+            layout: { improvedLayout: !large },
+            edges: { smooth: { enabled: !large }, shadow: { enabled: !large } },
+            nodes: { shadow: { enabled: !large } }
+        });
 
-        const data = {
-            nodes: this.nodes,
-            edges: this.edges
+        if (large) {
+            this.network.once('stabilizationIterationsDone', () => this.freezePhysics());
+        }
+    }
+
+    freezePhysics() {
+        // A normal-sized graph may have replaced the large one before its layout finished
+        if (!this.network || !this.largeLayout) return;
+        this.network.setOptions({ physics: { enabled: false } });
+        this.physicsFrozen = true;
+        console.log('🧊 Physics off after layout');
+    }
+
+    /**
+     * @param {string} mode - 'auto' (by label on big graphs), 'none', 'label' or 'community'
+     * @returns {Object|null} - See clusterGraph
+     */
+    setClusterMode(mode) {
+        this.clusterMode = mode;
+        return this.applyClustering();
+    }
+
+    applyClustering() {
+        if (!this.network) return null;
+
+        this.openAllClusters();
+        const mode = this.clusterMode === 'auto'
+            ? (this.nodes.length > this.CLUSTER_THRESHOLD ? 'label' : 'none')
+            : this.clusterMode;
+
+        return mode === 'none' ? null : this.clusterGraph(mode);
+    }
+
+    /**
+     * Collapse groups of nodes into cluster nodes (double-click one to open it)
+     * @param {string} mode - 'label' (first label) or 'community' (label propagation)
+     * @returns {{clusterCount: number, clusteredNodes: number}}
+     */
+    clusterGraph(mode) {
+        const groups = new Map(); // group key -> node IDs
+
+        if (mode === 'community') {
+            this.detectCommunities().forEach((community, nodeId) => {
+                if (!groups.has(community)) groups.set(community, []);
+                groups.get(community).push(nodeId);
+            });
+        } else {
+            this.nodes.get().forEach(node => {
+                const label = (node.metadata && node.metadata.labels[0]) || 'Unlabelled';
+                if (!groups.has(label)) groups.set(label, []);
+                groups.get(label).push(node.id);
+            });
+        }
+
+        let clusteredNodes = 0;
+        let index = 0;
+        groups.forEach((nodeIds, key) => {
+            if (nodeIds.length < this.MIN_CLUSTER_SIZE) return;
+
+            const members = new Set(nodeIds);
+            const name = mode === 'community' ? `${this.getDominantLabel(nodeIds)} community` : key;
+            const color = mode === 'community'
+                ? this.colorPalette[index % this.colorPalette.length]
+                : this.buildVisNode({ id: null, labels: [key], properties: {} }).color;
+            const clusterId = `cluster:${mode}:${index++}`;
+
+            this.network.cluster({
+                joinCondition: (nodeOptions) => members.has(nodeOptions.id),
+                clusterNodeProperties: {
+                    id: clusterId,
+                    label: `${name} (${nodeIds.length})`,
+                    title: `${nodeIds.length} ${name} node(s)\nDouble-click to open`,
+                    shape: 'dot',
+                    size: 25 + Math.min(40, Math.sqrt(nodeIds.length) * 3),
+                    borderWidth: 4,
+                    color: color,
+                    font: { size: 16, color: '#ffffff', strokeWidth: 3, strokeColor: 'rgba(0, 0, 0, 0.8)' }
+                }
+            });
+
+            this.clusterIds.push(clusterId);
+            clusteredNodes += nodeIds.length;
+        });
+
+        return { clusterCount: this.clusterIds.length, clusteredNodes };
+    }
+
+    openAllClusters() {
+        if (!this.network) return;
+
+        this.clusterIds.forEach(clusterId => {
+            if (this.network.isCluster(clusterId)) {
+                this.network.openCluster(clusterId);
+            }
+        });
+        this.clusterIds = [];
+    }
+
+    /**
+     * Communities by label propagation: each node repeatedly takes the most common
+     * community among its neighbours until nothing changes
+     * @returns {Map} - node ID -> community key
+     */
+    detectCommunities(maxIterations = 10) {
+        const nodeIds = this.nodes.getIds();
+        const neighbours = new Map(nodeIds.map(id => [id, []]));
+
+        this.edges.get().forEach(edge => {
+            if (neighbours.has(edge.from) && neighbours.has(edge.to) && edge.from !== edge.to) {
+                neighbours.get(edge.from).push(edge.to);
+                neighbours.get(edge.to).push(edge.from);
+            }
+        });
+
+        const community = new Map(nodeIds.map((id, index) => [id, index]));
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            let changed = false;
+
+            nodeIds.forEach(id => {
+                const counts = new Map();
+                neighbours.get(id).forEach(neighbour => {
+                    const key = community.get(neighbour);
+                    counts.set(key, (counts.get(key) || 0) + 1);
+                });
+                if (counts.size === 0) return;
+
+                // Most common neighbour community - a node only moves for a strictly better one,
+                // which keeps runs repeatable and stops ties pulling communities together
+                let best = community.get(id);
+                let bestCount = counts.get(best) || 0;
+                counts.forEach((count, key) => {
+                    if (count > bestCount) {
+                        best = key;
+                        bestCount = count;
+                    }
+                });
+
+                if (best !== community.get(id)) {
+                    community.set(id, best);
+                    changed = true;
+                }
+            });
+
+            if (!changed) break;
+        }
+
+        return community;
+    }
+
+    getDominantLabel(nodeIds) {
+        const counts = new Map();
+        nodeIds.forEach(id => {
+            const node = this.nodes.get(id);
+            const label = (node && node.metadata && node.metadata.labels[0]) || 'Unlabelled';
+            counts.set(label, (counts.get(label) || 0) + 1);
+        });
+
+        return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    // ==================== Path Finding ====================
+
+    /**
+     * Nodes selected on the canvas, in the order they were picked
+     * @returns {Array<string|number>}
+     */
+    getSelectedNodeIds() {
+        return this.network ? [...this.selectedNodeOrder] : [];
+    }
+
+    /**
+     * Find paths between two nodes, add them to the canvas and highlight them
+     * The rest of the graph is kept
+     * @param {string|number} sourceId - Canvas ID of the start node
+     * @param {string|number} targetId - Canvas ID of the end node
+     * @param {object} options - Search options
+     * @param {string} options.mode - 'shortest', 'allShortest' or 'all' (every path up to maxHops)
+     * @param {number} options.maxHops - Longest path to consider
+     * @param {Array<string>} options.relationshipTypes - Only follow these relationship types
+     * @param {string} options.direction - 'both', or 'out' to follow relationships from source to target
+     * @param {number} options.limit - Maximum paths for the 'allShortest' and 'all' modes
+     * @returns {Promise<Object>} - {pathCount, hops, maxHops, nodeCount, edgeCount} (nodeCount/edgeCount = newly added)
+     */
+    async findPaths(sourceId, targetId, options = {}) {
+        const {
+            mode = 'shortest',
+            maxHops = 5,
+            relationshipTypes = [],
+            direction = 'both',
+            limit = this.PATH_LIMIT
+        } = options;
+
+        if (!this.network) {
+            throw new Error('No graph to search. Execute a query first.');
+        }
+        if (String(sourceId) === String(targetId)) {
+            throw new Error('Pick two different nodes');
+        }
+
+        // Variable-length bounds can't be parameters, so they are clamped integers
+        const hopLimit = mode === 'all' ? this.PATH_MAX_HOPS_ALL : this.PATH_MAX_HOPS;
+        const hops = Math.min(hopLimit, Math.max(1, Math.floor(maxHops) || 1));
+        const pathLimit = mode === 'shortest' ? 1 : Math.max(1, Math.floor(limit));
+        const arrow = direction === 'out' ? '->' : '-';
+
+        const source = this.getNodeIdMatch(sourceId);
+        const target = this.getNodeIdMatch(targetId);
+        const buildQuery = (minHops, maxHopsInQuery) => {
+            const pattern = `(a)-[*${minHops}..${maxHopsInQuery}]${arrow}(b)`;
+            const match = mode === 'shortest'
+                ? `p = shortestPath(${pattern})`
+                : mode === 'allShortest' ? `p = allShortestPaths(${pattern})` : `p = ${pattern}`;
+
+            // No ORDER BY for plain patterns - sorting would have to enumerate every path first
+            return `
+                MATCH (a) WHERE ${source.idFunction}(a) = $source
+                MATCH (b) WHERE ${target.idFunction}(b) = $target
+                MATCH ${match}
+                ${relationshipTypes.length > 0 ? 'WHERE all(r IN relationships(p) WHERE type(r) IN $types)' : ''}
+                RETURN p, length(p) AS hops
+                ${mode === 'all' ? '' : 'ORDER BY hops'}
+                LIMIT $limit
+            `;
+        };
+        const params = {
+            source: source.value,
+            target: target.value,
+            types: relationshipTypes
         };
 
-        this.network = new vis.Network(container, data, options);
+        console.log('Finding paths:', sourceId, '→', targetId, options);
 
-        // Store original node IDs
-        this.originalNodeIds.clear();
-        graphData.nodes.forEach(node => this.originalNodeIds.add(node.id));
+        let result;
+        if (mode === 'all') {
+            // One length at a time, so shorter paths still come first and LIMIT ends each search early
+            const data = [];
+            for (let depth = 1; depth <= hops && data.length < pathLimit; depth++) {
+                result = await this.executeQuery(buildQuery(depth, depth), { ...params, limit: pathLimit - data.length });
+                data.push(...(result.results[0].data || []));
+            }
+            result = { ...result, results: [{ ...result.results[0], data }] };
+        } else {
+            result = await this.executeQuery(buildQuery(1, hops), { ...params, limit: pathLimit });
+        }
 
-        // Add event listeners for interactivity
-        this.network.on('click', (params) => {
-            if (params.nodes.length > 0) {
-                const nodeId = params.nodes[0];
-                const node = this.nodes.get(nodeId);
-                console.log('Node clicked:', node);
+        const rows = result.results[0].data || [];
+        const graphData = this.parseGraphData(result);
+
+        let newNodesCount = 0;
+        graphData.nodes.forEach(node => {
+            if (!this.nodes.get(node.id)) {
+                this.nodes.add(node);
+                newNodesCount++;
             }
         });
 
-        // Add double-click handler for node expansion
-        this.network.on('doubleClick', (params) => {
-            if (params.nodes.length > 0) {
-                const nodeId = params.nodes[0];
-                this.expandNode(nodeId);
+        let newEdgesCount = 0;
+        graphData.edges.forEach(edge => {
+            if (!this.edges.get(edge.id)) {
+                this.edges.add(edge);
+                newEdgesCount++;
             }
         });
 
+        this.highlightPath(graphData.nodes.map(n => n.id), graphData.edges.map(e => e.id));
+
+        if (graphData.nodes.length > 0) {
+            this.network.fit({ nodes: graphData.nodes.map(n => n.id), animation: true });
+        }
+
         return {
-            nodeCount: graphData.nodes.length,
-            edgeCount: graphData.edges.length
+            pathCount: rows.length,
+            hops: rows.length > 0 ? rows[0].row[1] : null,
+            maxHops: hops,
+            nodeCount: newNodesCount,
+            edgeCount: newEdgesCount
         };
     }
 
     /**
-     * Expand a node to show its 1-hop neighbors
+     * Highlight nodes and relationships, replacing any previous highlight
      */
-    async expandNode(nodeId) {
-        try {
-            console.log('Expanding node:', nodeId);
+    highlightPath(nodeIds, edgeIds) {
+        this.clearPathHighlight();
 
-            // Query for 1-hop neighbors
-            const query = `MATCH (n)-[r]-(m) WHERE id(n) = ${nodeId} RETURN n, r, m`;
-            const result = await this.executeQuery(query);
-            const graphData = this.parseGraphData(result);
+        const highlight = { nodes: new Map(), edges: new Map() };
 
-            // Mark the expanded node
-            const expandedNode = this.nodes.get(nodeId);
-            if (expandedNode) {
-                expandedNode.expanded = true;
-                expandedNode.borderWidth = 4;
-                this.nodes.update(expandedNode);
-                this.expandedNodes.add(nodeId);
-            }
+        nodeIds.forEach(id => {
+            const node = this.nodes.get(id);
+            if (!node) return;
 
-            // Add new nodes (avoiding duplicates)
-            let newNodesCount = 0;
-            graphData.nodes.forEach(node => {
-                if (!this.nodes.get(node.id)) {
-                    this.nodes.add(node);
-                    newNodesCount++;
-                }
+            highlight.nodes.set(id, { color: node.color, borderWidth: node.borderWidth });
+            this.nodes.update({
+                id,
+                color: { ...node.color, border: this.PATH_COLOR, highlight: { border: this.PATH_COLOR, background: (node.color || {}).background } },
+                borderWidth: 5
             });
+        });
 
-            // Add new edges (avoiding duplicates)
-            let newEdgesCount = 0;
-            graphData.edges.forEach(edge => {
-                if (!this.edges.get(edge.id)) {
-                    this.edges.add(edge);
-                    newEdgesCount++;
-                }
+        edgeIds.forEach(id => {
+            const edge = this.edges.get(id);
+            if (!edge) return;
+
+            highlight.edges.set(id, { color: edge.color, width: edge.width });
+            this.edges.update({
+                id,
+                color: { color: this.PATH_COLOR, highlight: this.PATH_COLOR, hover: this.PATH_COLOR },
+                width: 4
             });
+        });
 
-            // Stabilize the layout
-            this.network.stabilize();
+        this.highlightedPath = highlight;
+    }
 
-            return {
-                nodeCount: newNodesCount,
-                edgeCount: newEdgesCount,
-                totalNodes: this.nodes.length,
-                totalEdges: this.edges.length
-            };
-        } catch (error) {
-            console.error('Failed to expand node:', error);
-            throw error;
+    /**
+     * Restore the original look of highlighted path elements
+     */
+    clearPathHighlight() {
+        if (!this.highlightedPath) return;
+
+        // null resets an option to the network default
+        this.highlightedPath.nodes.forEach((style, id) => {
+            if (this.nodes.get(id)) {
+                this.nodes.update({ id, color: style.color ?? null, borderWidth: style.borderWidth ?? null });
+            }
+        });
+        this.highlightedPath.edges.forEach((style, id) => {
+            if (this.edges.get(id)) {
+                this.edges.update({ id, color: style.color ?? null, width: style.width ?? null });
+            }
+        });
+
+        this.highlightedPath = null;
+    }
+
+    hasPathHighlight() {
+        return this.highlightedPath !== null;
+    }
+
+    // ==================== Element Editing ====================
+
+    /**
+     * Register a callback for clicks on the canvas
+     * @param {function} callback - Receives {type: 'node'|'relationship', id} or null (background)
+     */
+    onSelectionChange(callback) {
+        this.selectionCallback = callback;
+    }
+
+    /**
+     * Load a node's or relationship's current labels/type, properties and degree
+     * @param {string} type - 'node' or 'relationship'
+     * @param {string|number} id - Canvas ID
+     * @returns {Promise<Object|null>} - {labels, properties, degree} or {type, properties, from, to}
+     */
+    async getElementDetails(type, id) {
+        const { idFunction, value } = this.getNodeIdMatch(id);
+        const query = type === 'node'
+            ? `MATCH (n) WHERE ${idFunction}(n) = $id
+               RETURN labels(n) AS labels, properties(n) AS properties, size([(n)--() | 1]) AS degree`
+            : `MATCH ()-[r]->() WHERE ${idFunction}(r) = $id
+               RETURN type(r) AS type, properties(r) AS properties`;
+
+        const result = await this.executeQuery(query, { id: value });
+        const record = (result.results[0].data || [])[0];
+        if (!record) return null;
+
+        const [first, properties, degree] = record.row;
+        return type === 'node'
+            ? { labels: first, properties: properties || {}, degree }
+            : { type: first, properties: properties || {} };
+    }
+
+    /**
+     * Set or remove properties (a null value removes the property)
+     * @param {string} type - 'node' or 'relationship'
+     * @param {string|number} id - Canvas ID
+     * @param {object} changes - {key: value}
+     */
+    async setElementProperties(type, id, changes) {
+        this.assertWritesUnlocked();
+        const { idFunction, value } = this.getNodeIdMatch(id);
+        const pattern = type === 'node' ? '(e)' : '()-[e]->()';
+
+        await this.executeQuery(
+            `MATCH ${pattern} WHERE ${idFunction}(e) = $id SET e += $changes RETURN e`,
+            { id: value, changes }
+        );
+        await this.refreshCanvasElement(type, id);
+    }
+
+    /**
+     * Add or remove a node label
+     * Labels can't be query parameters, so the name is validated and backtick-quoted
+     * @param {string|number} id - Canvas node ID
+     * @param {string} label - Label name
+     * @param {boolean} add - true to add, false to remove
+     */
+    async setNodeLabel(id, label, add) {
+        this.assertWritesUnlocked();
+        const name = String(label).trim();
+        if (!name) {
+            throw new Error('Label name is required');
+        }
+
+        const { idFunction, value } = this.getNodeIdMatch(id);
+        const quoted = '`' + name.replace(/`/g, '``') + '`';
+
+        await this.executeQuery(
+            `MATCH (n) WHERE ${idFunction}(n) = $id ${add ? 'SET' : 'REMOVE'} n:${quoted} RETURN n`,
+            { id: value }
+        );
+        await this.refreshCanvasElement('node', id);
+    }
+
+    /**
+     * Redraw one element from the database after an edit (keeps expansion state)
+     */
+    async refreshCanvasElement(type, id) {
+        if (!this.network) return;
+
+        const details = await this.getElementDetails(type, id);
+        if (!details) return;
+
+        if (type === 'node') {
+            const node = this.buildVisNode({ id, labels: details.labels, properties: details.properties });
+            this.nodes.update({ ...this.pickStyle(node, this.NODE_STYLE_KEYS), metadata: node.metadata });
+        } else {
+            const edge = this.edges.get(id);
+            const rel = this.buildVisEdge({ id, type: details.type, properties: details.properties, startNode: edge.from, endNode: edge.to });
+            this.edges.update({ ...this.pickStyle(rel, this.EDGE_STYLE_KEYS), metadata: rel.metadata });
+        }
+    }
+
+    /**
+     * Re-apply the styling rules to everything on the canvas (keeps positions and expansion state)
+     */
+    restyleGraph() {
+        if (!this.nodes || !this.edges) return;
+
+        const highlighted = this.highlightedPath;
+        this.clearPathHighlight();
+
+        this.nodes.update(this.nodes.get().map(node =>
+            this.pickStyle(this.buildVisNode({ id: node.id, ...node.metadata }), this.NODE_STYLE_KEYS)
+        ));
+        this.edges.update(this.edges.get().map(edge =>
+            this.pickStyle(this.buildVisEdge({ id: edge.id, startNode: edge.from, endNode: edge.to, ...edge.metadata }), this.EDGE_STYLE_KEYS)
+        ));
+
+        if (highlighted) {
+            this.highlightPath([...highlighted.nodes.keys()], [...highlighted.edges.keys()]);
         }
     }
 
+    /**
+     * Style fields of a vis.js item, for DataSet.update
+     * Missing fields become null, which resets them to the network default
+     */
+    pickStyle(item, keys) {
+        const update = { id: item.id };
+        keys.forEach(key => {
+            update[key] = item[key] ?? null;
+        });
+        return update;
+    }
+
     /**
      * Collapse all expanded nodes back to original query
      */
     collapseAll() {
         if (!this.nodes || !this.edges) return;
 
+        this.openAllClusters();
+
         // Remove all nodes that weren't in the original query
         const nodesToRemove = this.nodes.get().filter(node => !this.originalNodeIds.has(node.id));
         this.nodes.remove(nodesToRemove.map(n => n.id));
@@ -383,6 +1865,7 @@ class Neo4jManager {
             }
         });
         this.expandedNodes.clear();
+        this.applyClustering();
 
         // Re-fit the view
         this.fit();
@@ -393,6 +1876,111 @@ class Neo4jManager {
         };
     }
 
+    /**
+     * Graph returned by a read query, in the {nodes, relationships} form chat messages store
+     * Used for graphs embedded in chat replies - writes are never run, and at most
+     * INLINE_GRAPH_ROWS rows are read (queries that can't be limited are refused when larger)
+     * @param {string} cypherQuery - Cypher query from the workflow
+     * @param {number} limit - Maximum nodes to keep
+     * @returns {Promise<{nodes: Array, relationships: Array, truncated: boolean}>}
+     */
+    async getGraphSnapshot(cypherQuery, limit = this.INLINE_GRAPH_LIMIT) {
+        await this.assertQueryAllowed(cypherQuery, { allowWrites: false });
+
+        let query = cypherQuery;
+        if (this.isPageable(cypherQuery)) {
+            query = this.buildPageQuery(cypherQuery, 0, this.INLINE_GRAPH_ROWS);
+        } else {
+            const estimatedRows = await this.estimateRows(cypherQuery);
+            if (estimatedRows !== null && estimatedRows > this.INLINE_GRAPH_ROWS) {
+                throw new Error(`Query would return about ${estimatedRows.toLocaleString()} rows - too many to show in chat`);
+            }
+        }
+
+        const result = await this.executeQuery(query);
+
+        const nodes = new Map();
+        const relationships = new Map();
+        (result.results[0].data || []).forEach(record => {
+            if (!record.graph) return;
+            record.graph.nodes.forEach(node => nodes.set(node.id, node));
+            record.graph.relationships.forEach(rel => relationships.set(rel.id, rel));
+        });
+
+        const snapshot = this.toGraphSnapshot({ nodes: [...nodes.values()], relationships: [...relationships.values()] }, limit);
+        if (query !== cypherQuery && (result.results[0].data || []).length >= this.INLINE_GRAPH_ROWS) {
+            snapshot.truncated = true;
+        }
+        return snapshot;
+    }
+
+    /**
+     * Normalize a {nodes, relationships} graph (e.g. from a workflow reply or a graph JSON export)
+     * Relationships may use from/to or source/target instead of startNode/endNode.
+     * Elements listed twice are kept once, and relationships without an ID get one
+     * from their position, so parallel relationships of the same type stay apart.
+     * @returns {{nodes: Array, relationships: Array, truncated: boolean}}
+     */
+    toGraphSnapshot(graph, limit = this.INLINE_GRAPH_LIMIT) {
+        const allNodes = this.uniqueById(((graph && graph.nodes) || []).map(node => ({
+            id: String(node.id),
+            labels: node.labels || [],
+            properties: node.properties || {}
+        })));
+        const nodes = allNodes.slice(0, limit);
+
+        const kept = new Set(nodes.map(node => node.id));
+        const relationships = this.uniqueById(((graph && (graph.relationships || graph.edges)) || [])
+            .map((rel, index) => {
+                const startNode = String(rel.startNode ?? rel.from ?? rel.source);
+                const endNode = String(rel.endNode ?? rel.to ?? rel.target);
+                const type = rel.type || rel.label || 'RELATED_TO';
+                return {
+                    id: String(rel.id ?? `${startNode}-${type}-${endNode}-${index}`),
+                    type,
+                    startNode,
+                    endNode,
+                    properties: rel.properties || {}
+                };
+            }))
+            .filter(rel => kept.has(rel.startNode) && kept.has(rel.endNode));
+
+        return { nodes, relationships, truncated: allNodes.length > nodes.length };
+    }
+
+    /**
+     * First element for each ID (vis.js refuses duplicate IDs)
+     */
+    uniqueById(items) {
+        const seen = new Set();
+        return items.filter(item => {
+            const id = String(item.id);
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        });
+    }
+
+    /**
+     * Wrap a stored graph in the query result shape parseGraphData reads
+     * (graphs stored before duplicates were dropped may still repeat an ID)
+     */
+    toGraphResult(graph) {
+        return {
+            results: [{
+                columns: [],
+                data: [{
+                    row: [],
+                    graph: {
+                        nodes: this.uniqueById(graph.nodes || []),
+                        relationships: this.uniqueById(graph.relationships || [])
+                    }
+                }]
+            }],
+            errors: []
+        };
+    }
+
     /**
      * Parse Neo4j HTTP API response into vis.js format
      * @param {Object} result - Neo4j HTTP API response
@@ -415,41 +2003,13 @@ class Neo4jManager {
                     // Process nodes
                     record.graph.nodes.forEach((node) => {
                         if (!nodesMap.has(node.id)) {
-                            const label = this.getNodeLabel(node);
-                            const color = this.getNodeColor(node.labels);
-
-                            nodesMap.set(node.id, {
-                                id: node.id,
-                                label: label,
-                                title: this.getNodeTooltip(node),
-                                color: color,
-                                size: 20 + (Object.keys(node.properties).length * 2),
-                                font: {
-                                    size: 14,
-                                    color: '#ffffff',
-                                    face: 'system-ui, -apple-system, sans-serif',
-                                    strokeWidth: 3,
-                                    strokeColor: 'rgba(0, 0, 0, 0.8)'
-                                },
-                                // Store metadata for reference
-                                metadata: {
-                                    labels: node.labels,
-                                    properties: node.properties
-                                }
-                            });
+                            nodesMap.set(node.id, this.buildVisNode(node));
                         }
                     });
 
                     // Process relationships
                     record.graph.relationships.forEach((rel) => {
-                        edgesArray.push({
-                            id: rel.id,
-                            from: rel.startNode,
-                            to: rel.endNode,
-                            label: rel.type,
-                            title: this.getEdgeTooltip(rel),
-                            arrows: 'to'
-                        });
+                        edgesArray.push(this.buildVisEdge(rel));
                     });
                 }
             });
@@ -461,16 +2021,70 @@ class Neo4jManager {
         };
     }
 
+    /**
+     * Convert a Neo4j node into a vis.js node
+     */
+    buildVisNode(node) {
+        const style = this.styles.getNodeStyle(node.labels) || {};
+        const color = style.color ? this.styles.toVisColor(style.color) : this.getNodeColor(node.labels);
+        const sizeValue = style.sizeProperty ? Number(node.properties[style.sizeProperty]) : NaN;
+
+        return {
+            id: node.id,
+            label: this.getNodeLabel(node),
+            title: this.getNodeTooltip(node),
+            color: color,
+            shape: style.icon ? 'circularImage' : (style.shape || 'dot'),
+            image: style.icon ? this.styles.toIconImage(style.icon, color) : undefined,
+            size: 20 + (Object.keys(node.properties).length * 2),
+            // Scaled between nodes.scaling.min/max by vis.js
+            value: Number.isFinite(sizeValue) ? sizeValue : undefined,
+            font: {
+                size: 14,
+                color: '#ffffff',
+                face: 'system-ui, -apple-system, sans-serif',
+                strokeWidth: 3,
+                strokeColor: 'rgba(0, 0, 0, 0.8)'
+            },
+            // Store metadata for reference
+            metadata: {
+                labels: node.labels,
+                properties: node.properties
+            }
+        };
+    }
+
+    /**
+     * Convert a Neo4j relationship into a vis.js edge
+     */
+    buildVisEdge(rel) {
+        const style = this.styles.getRelationshipStyle(rel.type) || {};
+        const caption = style.caption && rel.properties ? rel.properties[style.caption] : undefined;
+
+        return {
+            id: rel.id,
+            from: rel.startNode,
+            to: rel.endNode,
+            label: caption !== undefined && caption !== null ? String(caption) : rel.type,
+            title: this.getEdgeTooltip(rel),
+            color: style.color ? { color: style.color, highlight: style.color, hover: style.color } : undefined,
+            width: style.width || undefined,
+            arrows: 'to',
+            metadata: {
+                type: rel.type,
+                properties: rel.properties || {}
+            }
+        };
+    }
+
     /**
      * Get label for node
      */
     getNodeLabel(node) {
-        // Try common label properties
-        const labelProps = ['name', 'title', 'label', 'id'];
-        for (const prop of labelProps) {
-            if (node.properties[prop]) {
-                return String(node.properties[prop]);
-            }
+        // Caption property from the styling rules, or a common name-like property
+        const caption = this.styles.getNodeCaption(node);
+        if (caption) {
+            return caption;
         }
 
         // Fallback to first label or ID
@@ -589,24 +2203,47 @@ class Neo4jManager {
 
     /**
      * Update visualization with new query
+     * @param {string} cypherQuery - Cypher query to execute
+     * @param {object} guardOptions - Read-only guard options (see assertQueryAllowed)
      */
-    async updateVisualization(cypherQuery) {
+    async updateVisualization(cypherQuery, guardOptions = {}, { paged = false } = {}) {
         if (!this.network) {
             throw new Error('Network not initialized');
         }
 
-        const result = await this.executeQuery(cypherQuery);
+        await this.assertQueryAllowed(cypherQuery, guardOptions);
+        const result = paged ? await this.executeFirstPage(cypherQuery) : await this.executeUnpaged(cypherQuery);
+
+        return this.replaceGraphData(result);
+    }
+
+    /**
+     * Replace the nodes and edges on the canvas with a query result
+     */
+    replaceGraphData(result) {
         const graphData = this.parseGraphData(result);
 
+        this.openAllClusters();
+        this.applyLayoutMode(this.isLargeGraph(graphData.nodes.length));
+
+        this.highlightedPath = null;
+        this.selectedNodeOrder = [];
         this.nodes.clear();
         this.edges.clear();
 
         this.nodes.add(graphData.nodes);
         this.edges.add(graphData.edges);
 
+        this.originalNodeIds = new Set(graphData.nodes.map(node => node.id));
+        this.expandedNodes.clear();
+        const clusters = this.applyClustering();
+
         return {
             nodeCount: graphData.nodes.length,
-            edgeCount: graphData.edges.length
+            edgeCount: graphData.edges.length,
+            clusterCount: clusters ? clusters.clusterCount : 0,
+            hasMore: this.hasMorePages(),
+            result: result
         };
     }
 
@@ -614,6 +2251,10 @@ class Neo4jManager {
      * Clear visualization
      */
     clearVisualization() {
+        this.openAllClusters();
+        this.paging = null;
+        this.highlightedPath = null;
+        this.selectedNodeOrder = [];
         if (this.nodes) this.nodes.clear();
         if (this.edges) this.edges.clear();
     }
@@ -623,6 +2264,11 @@ class Neo4jManager {
      */
     stabilize() {
         if (this.network) {
+            if (this.physicsFrozen) {
+                // Large-graph mode keeps physics off - run it for one more layout pass
+                this.network.setOptions({ physics: { enabled: true } });
+                this.network.once('stabilizationIterationsDone', () => this.freezePhysics());
+            }
             this.network.stabilize();
         }
     }
@@ -0,0 +1,213 @@
+/**
+ * Neo4j Transaction Module
+ * An explicit transaction over the configured protocol: begin, run any number
+ * of statements, then commit or roll back
+ * - HTTP API: /db/{name}/tx, /tx/{id}, /tx/{id}/commit
+ * - Query API: /db/{name}/query/v2/tx, /tx/{id}, /tx/{id}/commit
+ * - Bolt: session.beginTransaction()
+ */
+
+class Neo4jTransaction {
+    /**
+     * @param {Neo4jManager} manager - Provides the transport and result normalization
+     * @param {object} config - Connection settings, fixed for the life of the transaction
+     */
+    constructor(manager, config) {
+        this.manager = manager;
+        this.config = config;
+        this.protocol = manager.getProtocol(config);
+
+        this.state = 'new'; // new -> open -> committed / rolledBack
+        this.id = null;
+        this.headers = {};
+        this.session = null;
+        this.boltTx = null;
+    }
+
+    isOpen() {
+        return this.state === 'open';
+    }
+
+    /**
+     * Open the transaction on the server
+     */
+    async begin() {
+        if (this.state !== 'new') {
+            throw new Error('Transaction already started');
+        }
+
+        if (!this.config.neo4jUrl || !this.config.neo4jUsername || !this.config.neo4jPassword) {
+            throw new Error('Neo4j not configured. Please check settings.');
+        }
+
+        if (this.protocol === 'bolt') {
+            if (typeof neo4j === 'undefined') {
+                throw new Error('neo4j-driver is not loaded - Bolt is unavailable');
+            }
+            this.session = this.manager.getBoltDriver(this.config).session({
+                database: this.config.neo4jDatabase || 'neo4j'
+            });
+            this.boltTx = this.session.beginTransaction();
+        } else if (this.protocol === 'query-api') {
+            const { data, headers } = await this.manager.requestJson(
+                this.manager.buildEndpoint('query/v2/tx', this.config), { body: {} }, this.config
+            );
+            this.id = data.transaction && data.transaction.id;
+
+            // Clusters route the rest of the transaction by this header
+            const affinity = headers.get('neo4j-cluster-affinity');
+            if (affinity) {
+                this.headers['neo4j-cluster-affinity'] = affinity;
+            }
+        } else {
+            const data = await this.manager.postJson(
+                this.manager.buildEndpoint('tx', this.config), { statements: [] }, this.config
+            );
+            // The commit URL carries the transaction ID (".../tx/42/commit")
+            const match = (data.commit || '').match(/\/tx\/([^/]+)\/commit$/);
+            this.id = match && match[1];
+        }
+
+        if (this.protocol !== 'bolt' && !this.id) {
+            throw new Error('Neo4j did not return a transaction ID');
+        }
+
+        this.state = 'open';
+        console.log(`🔓 Transaction opened (${this.manager.getProtocolLabel(this.config)})`);
+    }
+
+    /**
+     * Run a statement in the transaction
+     * A failed statement rolls the whole transaction back on the server
+     * @param {string} cypherQuery - Cypher query
+     * @param {object} parameters - Query parameters
+     * @returns {Promise<Object>} - Result in the same shape as Neo4jManager.executeQuery
+     */
+    async run(cypherQuery, parameters = {}) {
+        this.assertOpen();
+        this.manager.checkWritePermission(cypherQuery);
+
+        try {
+            if (this.protocol === 'bolt') {
+                const result = await this.boltTx.run(cypherQuery, this.manager.toBoltParameters(parameters));
+                return { results: [this.manager.normalizeBoltResult(result)], errors: [] };
+            }
+
+            if (this.protocol === 'query-api') {
+                const { data } = await this.manager.requestJson(
+                    this.manager.buildEndpoint(`query/v2/tx/${this.id}`, this.config),
+                    { body: { statement: cypherQuery, parameters, includeCounters: true }, headers: this.headers },
+                    this.config
+                );
+                return { results: [this.manager.normalizeQueryApiResponse(data)], errors: [] };
+            }
+
+            return await this.manager.postJson(
+                this.manager.buildEndpoint(`tx/${this.id}`, this.config),
+                {
+                    statements: [{
+                        statement: cypherQuery,
+                        parameters: parameters,
+                        resultDataContents: ['row', 'graph'],
+                        includeStats: true
+                    }]
+                },
+                this.config
+            );
+        } catch (error) {
+            await this.discard();
+            throw this.protocol === 'bolt' ? this.manager.toBoltError(error) : error;
+        }
+    }
+
+    /**
+     * Commit everything run so far
+     */
+    async commit() {
+        this.assertOpen();
+
+        try {
+            if (this.protocol === 'bolt') {
+                await this.boltTx.commit();
+            } else if (this.protocol === 'query-api') {
+                await this.manager.requestJson(
+                    this.manager.buildEndpoint(`query/v2/tx/${this.id}/commit`, this.config),
+                    { body: {}, headers: this.headers },
+                    this.config
+                );
+            } else {
+                await this.manager.postJson(
+                    this.manager.buildEndpoint(`tx/${this.id}/commit`, this.config),
+                    { statements: [] },
+                    this.config
+                );
+            }
+        } catch (error) {
+            await this.discard();
+            throw this.protocol === 'bolt' ? this.manager.toBoltError(error) : error;
+        }
+
+        this.state = 'committed';
+        await this.closeSession();
+        console.log('✅ Transaction committed');
+    }
+
+    /**
+     * Discard everything run so far
+     */
+    async rollback() {
+        this.assertOpen();
+
+        try {
+            if (this.protocol === 'bolt') {
+                await this.boltTx.rollback();
+            } else {
+                const path = this.protocol === 'query-api' ? `query/v2/tx/${this.id}` : `tx/${this.id}`;
+                await this.manager.requestJson(
+                    this.manager.buildEndpoint(path, this.config),
+                    { method: 'DELETE', headers: this.headers },
+                    this.config
+                );
+            }
+        } finally {
+            this.state = 'rolledBack';
+            await this.closeSession();
+        }
+
+        console.log('↩️ Transaction rolled back');
+    }
+
+    /**
+     * After a failed statement the server normally rolls back on its own -
+     * roll back anyway (ignoring errors) so nothing is left open
+     */
+    async discard() {
+        if (this.protocol === 'bolt') {
+            if (this.boltTx && this.boltTx.isOpen()) {
+                await this.boltTx.rollback().catch(() => {});
+            }
+        } else if (this.id) {
+            const path = this.protocol === 'query-api' ? `query/v2/tx/${this.id}` : `tx/${this.id}`;
+            await this.manager.requestJson(
+                this.manager.buildEndpoint(path, this.config),
+                { method: 'DELETE', headers: this.headers },
+                this.config
+            ).catch(() => {});
+        }
+        this.state = 'rolledBack';
+        await this.closeSession();
+    }
+
+    async closeSession() {
+        if (this.session) {
+            await this.session.close().catch(() => {});
+            this.session = null;
+        }
+    }
+
+    assertOpen() {
+        if (this.state !== 'open') {
+            throw new Error(`Transaction is not open (${this.state})`);
+        }
+    }
+}
@@ -0,0 +1,260 @@
+/**
+ * Query Result View Module
+ * Renders a Neo4j query result as a sortable table, raw JSON or an execution plan
+ * (the graph canvas only shows nodes and relationships)
+ */
+
+class QueryResultView {
+    constructor() {
+        this.result = null;
+        this.sortColumn = null;
+        this.sortDirection = 1;
+
+        // Counter names as returned by includeStats, in display order
+        this.STAT_LABELS = {
+            nodes_created: 'nodes created',
+            nodes_deleted: 'nodes deleted',
+            relationships_created: 'relationships created',
+            relationship_deleted: 'relationships deleted',
+            properties_set: 'properties set',
+            labels_added: 'labels added',
+            labels_removed: 'labels removed',
+            indexes_added: 'indexes added',
+            indexes_removed: 'indexes removed',
+            constraints_added: 'constraints added',
+            constraints_removed: 'constraints removed',
+            system_updates: 'system updates'
+        };
+    }
+
+    /**
+     * Show a new result (the first statement of an executeQuery response)
+     * @param {Object} result - Query result ({results: [...]})
+     */
+    setResult(result) {
+        const previousColumns = this.getColumns().join('\u0000');
+        this.result = result && result.results && result.results[0] ? result.results[0] : null;
+
+        // Keep the sort when the same query is re-run (auto-refresh)
+        if (this.getColumns().join('\u0000') !== previousColumns) {
+            this.sortColumn = null;
+            this.sortDirection = 1;
+        }
+    }
+
+    /**
+     * Add the rows of another page of the same query (keeps the sort)
+     * @param {Object} result - Query result ({results: [...]})
+     */
+    appendResult(result) {
+        const page = result && result.results && result.results[0];
+        if (!this.result || !page) {
+            this.setResult(result);
+            return;
+        }
+
+        this.result = {
+            ...this.result,
+            data: [...(this.result.data || []), ...(page.data || [])]
+        };
+    }
+
+    hasResult() {
+        return this.result !== null;
+    }
+
+    getColumns() {
+        return this.result ? this.result.columns || [] : [];
+    }
+
+    getRows() {
+        return this.result ? (this.result.data || []).map(record => record.row || []) : [];
+    }
+
+    getPlan() {
+        if (!this.result) return null;
+        const plan = this.result.plan || this.result.profile;
+        return plan ? (plan.root || plan) : null;
+    }
+
+    /**
+     * One-line summary of the row count and update counters
+     * @returns {string} - e.g. "3 rows • 2 nodes created, 4 properties set"
+     */
+    getSummary() {
+        if (!this.result) return '';
+
+        const rowCount = (this.result.data || []).length;
+        const parts = [`${rowCount} row${rowCount === 1 ? '' : 's'}`];
+
+        const stats = this.result.stats || {};
+        const updates = Object.entries(this.STAT_LABELS)
+            .filter(([key]) => stats[key] > 0)
+            .map(([key, label]) => `${stats[key]} ${label}`);
+
+        if (updates.length > 0) {
+            parts.push(updates.join(', '));
+        }
+
+        return parts.join(' • ');
+    }
+
+    // ==================== Table ====================
+
+    /**
+     * Sort by a column, flipping the direction when it is already sorted by it
+     */
+    sortBy(columnIndex) {
+        if (this.sortColumn === columnIndex) {
+            this.sortDirection = -this.sortDirection;
+        } else {
+            this.sortColumn = columnIndex;
+            this.sortDirection = 1;
+        }
+    }
+
+    getSortedRows() {
+        const rows = this.getRows();
+        if (this.sortColumn === null) return rows;
+
+        const column = this.sortColumn;
+        return [...rows].sort((a, b) => {
+            const left = a[column];
+            const right = b[column];
+
+            // Nulls always sort last
+            if (left === null || left === undefined) return right === null || right === undefined ? 0 : 1;
+            if (right === null || right === undefined) return -1;
+
+            if (typeof left === 'number' && typeof right === 'number') {
+                return (left - right) * this.sortDirection;
+            }
+            return this.formatCell(left).localeCompare(this.formatCell(right), undefined, { numeric: true }) * this.sortDirection;
+        });
+    }
+
+    /**
+     * Render the rows as a table with sortable headers
+     * @param {HTMLElement} container - Element to render into
+     */
+    renderTable(container) {
+        const columns = this.getColumns();
+        if (!this.result || columns.length === 0) {
+            container.innerHTML = '<div class="result-view-empty">No rows returned.</div>';
+            return;
+        }
+
+        const header = columns.map((column, index) => {
+            const indicator = this.sortColumn === index ? (this.sortDirection === 1 ? ' ▲' : ' ▼') : '';
+            return `<th data-column="${index}" title="Sort by ${this.escapeHtml(column)}">${this.escapeHtml(column)}${indicator}</th>`;
+        }).join('');
+
+        const body = this.getSortedRows().map(row =>
+            `<tr>${columns.map((_, index) => `<td>${this.escapeHtml(this.formatCell(row[index]))}</td>`).join('')}</tr>`
+        ).join('');
+
+        container.innerHTML = `
+            <table class="result-table">
+                <thead><tr>${header}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('th[data-column]').forEach(th => {
+            th.addEventListener('click', () => {
+                this.sortBy(parseInt(th.dataset.column, 10));
+                this.renderTable(container);
+            });
+        });
+    }
+
+    /**
+     * Cell text - nodes come back as property maps, so objects are shown as JSON
+     */
+    formatCell(value) {
+        if (value === null || value === undefined) return 'null';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    /**
+     * Rows as CSV (in the current sort order)
+     * @returns {string}
+     */
+    toCSV() {
+        const escape = (text) => /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+        const lines = [this.getColumns().map(escape).join(',')];
+        this.getSortedRows().forEach(row => {
+            lines.push(row.map(value => escape(value === null || value === undefined ? '' : this.formatCell(value))).join(','));
+        });
+
+        return lines.join('\r\n');
+    }
+
+    // ==================== JSON ====================
+
+    renderJson(container) {
+        if (!this.result) {
+            container.innerHTML = '<div class="result-view-empty">Run a query to see its result.</div>';
+            return;
+        }
+
+        const json = {
+            columns: this.getColumns(),
+            rows: this.getRows(),
+            stats: this.result.stats || null
+        };
+        container.innerHTML = `<pre class="result-json">${this.escapeHtml(JSON.stringify(json, null, 2))}</pre>`;
+    }
+
+    // ==================== Plan ====================
+
+    /**
+     * Render an execution plan as a tree of operators
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} plan - Root operator (defaults to the plan in the current result)
+     */
+    renderPlan(container, plan = this.getPlan()) {
+        if (!plan) {
+            container.innerHTML = `
+                <div class="result-view-empty">
+                    No plan in this result. Prefix the query with <code>EXPLAIN</code> or <code>PROFILE</code>, or
+                    <button class="btn-secondary result-explain-btn" data-action="explain">Explain current query</button>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `<ul class="result-plan">${this.renderPlanNode(plan)}</ul>`;
+    }
+
+    renderPlanNode(node) {
+        const args = node.arguments || node.args || {};
+        const details = [];
+
+        if (args.Details) details.push(this.escapeHtml(args.Details));
+        if (args.EstimatedRows !== undefined) details.push(`est. ${Math.round(args.EstimatedRows)} rows`);
+        if (node.rows !== undefined || node.records !== undefined) details.push(`${node.rows ?? node.records} rows`);
+        if (node.dbHits !== undefined) details.push(`${node.dbHits} db hits`);
+
+        const children = (node.children || []).map(child => this.renderPlanNode(child)).join('');
+
+        return `
+            <li>
+                <span class="plan-operator">${this.escapeHtml((node.operatorType || 'Operator').split('@')[0])}</span>
+                ${details.length > 0 ? `<span class="plan-details">${details.join(' • ')}</span>` : ''}
+                ${children ? `<ul>${children}</ul>` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Escape HTML special characters (quotes too - column names end up in attributes)
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+}
@@ -0,0 +1,422 @@
+/**
+ * Response Blocks Module
+ * Typed content a workflow can return next to (or instead of) its reply text:
+ *
+ *   { "output": "Here is the summary", "blocks": [
+ *       { "type": "markdown", "text": "**Bold** text" },
+ *       { "type": "table", "title": "Orders", "columns": ["id", "total"], "rows": [[1, 9.5]] },
+ *       { "type": "card", "title": "Customer", "fields": { "Name": "Ada", "Plan": "Pro" } },
+ *       { "type": "gallery", "images": [{ "url": "https://...", "caption": "Chart" }] },
+ *       { "type": "actions", "buttons": [{ "label": "Show more", "message": "Show the next 10 orders" }] },
+ *       { "type": "form", "id": "refund", "title": "Refund", "submitLabel": "Request",
+ *         "fields": [{ "name": "amount", "label": "Amount", "type": "number", "required": true }] }
+ *   ]}
+ *
+ * Table rows may be arrays or objects; card fields may be an object or [{label, value}].
+ * Buttons post their message as a new chat message. Forms post a summary of the values,
+ * and the values themselves reach the workflow as formData. A used block gets used: true
+ * (and chosen: button index) so it stays disabled when the chat is loaded again.
+ */
+
+class ResponseBlocks {
+    /**
+     * @param {object} options - Options
+     * @param {function} options.formatMarkdown - Turns markdown into HTML
+     * @param {function} options.onSend - Receives (text, formData) when a button or form is used; return false if not sent
+     */
+    constructor({ formatMarkdown = (text) => this.escapeHtml(text), onSend = null } = {}) {
+        this.formatMarkdown = formatMarkdown;
+        this.onSend = onSend;
+
+        this.TYPES = ['markdown', 'table', 'card', 'gallery', 'actions', 'form'];
+        this.FIELD_TYPES = ['text', 'number', 'email', 'date', 'textarea', 'select', 'checkbox'];
+        this.MAX_BLOCKS = 20;
+        this.MAX_TABLE_ROWS = 200;
+    }
+
+    // ==================== Schema ====================
+
+    /**
+     * Keep the blocks that match the schema, in a canonical shape
+     * @param {Array} blocks - Blocks from the workflow reply
+     * @returns {Array} - Valid blocks (unknown or malformed ones are dropped)
+     */
+    normalize(blocks) {
+        if (!Array.isArray(blocks)) return [];
+
+        const valid = [];
+        blocks.forEach((block, index) => {
+            const normalized = block && typeof block === 'object' && this.TYPES.includes(block.type)
+                ? this.normalizeBlock(block)
+                : null;
+
+            if (normalized) {
+                valid.push(normalized);
+            } else {
+                console.warn(`⚠️ Skipping response block ${index}:`, block);
+            }
+        });
+
+        return valid.slice(0, this.MAX_BLOCKS);
+    }
+
+    normalizeBlock(block) {
+        const title = typeof block.title === 'string' ? block.title : null;
+
+        switch (block.type) {
+            case 'markdown': {
+                const text = block.text ?? block.content;
+                return typeof text === 'string' && text.trim() ? { type: 'markdown', text } : null;
+            }
+
+            case 'table': {
+                if (!Array.isArray(block.rows)) return null;
+                const columns = Array.isArray(block.columns)
+                    ? block.columns.map(String)
+                    : [...new Set(block.rows.filter(row => row && !Array.isArray(row) && typeof row === 'object').flatMap(Object.keys))];
+                const rows = block.rows
+                    .filter(row => row && typeof row === 'object')
+                    .map(row => (Array.isArray(row) ? row : columns.map(column => row[column])));
+                return columns.length > 0 ? { type: 'table', title, columns, rows } : null;
+            }
+
+            case 'card': {
+                const entries = Array.isArray(block.fields)
+                    ? block.fields.filter(field => field && field.label !== undefined).map(field => ({ label: String(field.label), value: field.value }))
+                    : Object.entries(block.fields || {}).map(([label, value]) => ({ label, value }));
+                const subtitle = typeof block.subtitle === 'string' ? block.subtitle : null;
+                return title || entries.length > 0 ? { type: 'card', title, subtitle, fields: entries } : null;
+            }
+
+            case 'gallery': {
+                const images = (Array.isArray(block.images) ? block.images : [])
+                    .map(image => (typeof image === 'string' ? { url: image } : image))
+                    .filter(image => image && this.isSafeImageUrl(image.url))
+                    .map(image => ({ url: image.url, caption: image.caption ? String(image.caption) : null, alt: image.alt ? String(image.alt) : null }));
+                return images.length > 0 ? { type: 'gallery', title, images } : null;
+            }
+
+            case 'actions': {
+                const buttons = (Array.isArray(block.buttons) ? block.buttons : [])
+                    .filter(button => button && typeof button.label === 'string' && button.label.trim())
+                    .map(button => ({
+                        label: button.label,
+                        message: typeof button.message === 'string' && button.message.trim() ? button.message : button.label,
+                        style: button.style === 'primary' ? 'primary' : 'secondary'
+                    }));
+                return buttons.length > 0 ? { type: 'actions', title, buttons } : null;
+            }
+
+            case 'form': {
+                const fields = (Array.isArray(block.fields) ? block.fields : [])
+                    .filter(field => field && typeof field.name === 'string' && field.name.trim())
+                    .map(field => ({
+                        name: field.name,
+                        label: typeof field.label === 'string' ? field.label : field.name,
+                        type: this.FIELD_TYPES.includes(field.type) ? field.type : 'text',
+                        options: Array.isArray(field.options)
+                            ? field.options.map(option => (option && typeof option === 'object'
+                                ? { label: String(option.label ?? option.value), value: String(option.value ?? option.label) }
+                                : { label: String(option), value: String(option) }))
+                            : [],
+                        required: Boolean(field.required),
+                        placeholder: typeof field.placeholder === 'string' ? field.placeholder : '',
+                        value: field.value ?? null
+                    }));
+                if (fields.length === 0) return null;
+                return {
+                    type: 'form',
+                    id: typeof block.id === 'string' ? block.id : null,
+                    title,
+                    submitLabel: typeof block.submitLabel === 'string' ? block.submitLabel : 'Submit',
+                    fields
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Images are shown straight from their URL - only web and inline image URLs are allowed
+     */
+    isSafeImageUrl(url) {
+        return typeof url === 'string' && /^(https?:\/\/|data:image\/(png|jpe?g|gif|webp);)/i.test(url.trim());
+    }
+
+    // ==================== Rendering ====================
+
+    /**
+     * Interactive element for a chat message
+     * @param {Array} blocks - Normalized blocks
+     * @param {object} options - Options
+     * @param {function} options.onUsed - Called after a block was marked used (to save it)
+     * @returns {HTMLElement}
+     */
+    render(blocks, { onUsed = null } = {}) {
+        const element = document.createElement('div');
+        element.className = 'response-blocks';
+        element.innerHTML = this.toHTML(blocks, { interactive: Boolean(this.onSend) });
+
+        element.addEventListener('click', (e) => {
+            const button = e.target.closest('.response-action');
+            if (button && !button.disabled && button.type !== 'submit') {
+                const block = blocks[parseInt(button.closest('[data-block]').dataset.block, 10)];
+                const action = block.buttons[parseInt(button.dataset.button, 10)];
+                if (this.onSend(action.message, null) !== false) {
+                    this.markUsed(button.closest('.response-block'), button);
+                    this.recordUsed(block, parseInt(button.dataset.button, 10), onUsed);
+                }
+            }
+        });
+
+        element.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const block = blocks[parseInt(form.closest('[data-block]').dataset.block, 10)];
+            const values = this.readForm(form, block);
+            if (this.onSend(this.describeForm(block, values), { form: block.id || block.title || 'form', values }) !== false) {
+                this.markUsed(form.closest('.response-block'), form.querySelector('button[type="submit"]'));
+                this.recordUsed(block, null, onUsed);
+            }
+        });
+
+        return element;
+    }
+
+    /**
+     * HTML for the blocks - interactive: false renders buttons and forms disabled (e.g. for exports)
+     */
+    toHTML(blocks, { interactive = false } = {}) {
+        return blocks.map((block, index) => `
+            <div class="response-block response-block-${block.type}${block.used ? ' used' : ''}" data-block="${index}">
+                ${block.title && block.type !== 'card' ? `<div class="response-block-title">${this.escapeHtml(block.title)}</div>` : ''}
+                ${this.renderBlock(block, interactive && !block.used)}
+            </div>
+        `).join('');
+    }
+
+    renderBlock(block, interactive) {
+        switch (block.type) {
+            case 'markdown':
+                return this.formatMarkdown(block.text);
+            case 'table':
+                return this.renderTable(block);
+            case 'card':
+                return this.renderCard(block);
+            case 'gallery':
+                return this.renderGallery(block);
+            case 'actions':
+                return this.renderActions(block, interactive);
+            case 'form':
+                return this.renderForm(block, interactive);
+        }
+        return '';
+    }
+
+    renderTable(block) {
+        const rows = block.rows.slice(0, this.MAX_TABLE_ROWS);
+        return `
+            <div class="response-table-wrapper">
+                <table class="response-table">
+                    <thead><tr>${block.columns.map(column => `<th>${this.escapeHtml(column)}</th>`).join('')}</tr></thead>
+                    <tbody>
+                        ${rows.map(row => `<tr>${block.columns.map((_, i) => `<td>${this.escapeHtml(this.formatValue(row[i]))}</td>`).join('')}</tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${block.rows.length > rows.length ? `<div class="response-block-note">Showing ${rows.length} of ${block.rows.length} rows</div>` : ''}
+        `;
+    }
+
+    renderCard(block) {
+        return `
+            ${block.title ? `<div class="response-card-title">${this.escapeHtml(block.title)}</div>` : ''}
+            ${block.subtitle ? `<div class="response-card-subtitle">${this.escapeHtml(block.subtitle)}</div>` : ''}
+            ${block.fields.length > 0 ? `
+                <dl class="response-card-fields">
+                    ${block.fields.map(field => `
+                        <dt>${this.escapeHtml(field.label)}</dt>
+                        <dd>${this.escapeHtml(this.formatValue(field.value))}</dd>
+                    `).join('')}
+                </dl>
+            ` : ''}
+        `;
+    }
+
+    renderGallery(block) {
+        return `
+            <div class="response-gallery">
+                ${block.images.map(image => `
+                    <figure>
+                        <a href="${this.escapeHtml(image.url)}" target="_blank" rel="noopener noreferrer">
+                            <img src="${this.escapeHtml(image.url)}" alt="${this.escapeHtml(image.alt || image.caption || '')}" loading="lazy">
+                        </a>
+                        ${image.caption ? `<figcaption>${this.escapeHtml(image.caption)}</figcaption>` : ''}
+                    </figure>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderActions(block, interactive) {
+        return `
+            <div class="response-actions">
+                ${block.buttons.map((button, i) => `
+                    <button class="response-action ${button.style}${block.chosen === i ? ' chosen' : ''}" data-button="${i}" title="${this.escapeHtml(button.message)}" ${interactive ? '' : 'disabled'}>
+                        ${this.escapeHtml(button.label)}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderForm(block, interactive) {
+        const disabled = interactive ? '' : 'disabled';
+
+        const fields = block.fields.map(field => {
+            const attrs = `name="${this.escapeHtml(field.name)}" ${field.required ? 'required' : ''} ${disabled}`;
+            const value = field.value === null ? '' : this.escapeHtml(String(field.value));
+            let input;
+
+            if (field.type === 'checkbox') {
+                return `
+                    <label class="response-form-check">
+                        <input type="checkbox" ${attrs} ${field.value ? 'checked' : ''}>
+                        ${this.escapeHtml(field.label)}
+                    </label>
+                `;
+            } else if (field.type === 'select') {
+                input = `
+                    <select ${attrs}>
+                        ${field.required ? '' : '<option value=""></option>'}
+                        ${field.options.map(option => `<option value="${this.escapeHtml(option.value)}" ${String(field.value) === option.value ? 'selected' : ''}>${this.escapeHtml(option.label)}</option>`).join('')}
+                    </select>
+                `;
+            } else if (field.type === 'textarea') {
+                input = `<textarea rows="3" placeholder="${this.escapeHtml(field.placeholder)}" ${attrs}>${value}</textarea>`;
+            } else {
+                input = `<input type="${field.type}" ${field.type === 'number' ? 'step="any"' : ''} value="${value}" placeholder="${this.escapeHtml(field.placeholder)}" autocomplete="off" ${attrs}>`;
+            }
+
+            return `
+                <label class="response-form-field">
+                    <span>${this.escapeHtml(field.label)}${field.required ? ' *' : ''}</span>
+                    ${input}
+                </label>
+            `;
+        }).join('');
+
+        return `
+            <form class="response-form">
+                ${fields}
+                <button type="submit" class="response-action primary${block.used ? ' chosen' : ''}" ${disabled}>${this.escapeHtml(block.submitLabel)}</button>
+            </form>
+        `;
+    }
+
+    // ==================== Interaction ====================
+
+    /**
+     * Values keyed by field name (numbers as numbers, checkboxes as booleans)
+     */
+    readForm(form, block) {
+        const values = {};
+        block.fields.forEach(field => {
+            const input = form.elements[field.name];
+            if (!input) return;
+
+            if (field.type === 'checkbox') {
+                values[field.name] = input.checked;
+            } else if (field.type === 'number') {
+                values[field.name] = input.value === '' ? null : Number(input.value);
+            } else {
+                values[field.name] = input.value;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Chat text for a submitted form
+     */
+    describeForm(block, values) {
+        const lines = block.fields.map(field => {
+            const value = values[field.name];
+            const text = field.type === 'checkbox' ? (value ? 'yes' : 'no') : this.formatValue(value);
+            return `- ${field.label}: ${text || '—'}`;
+        });
+        return `${block.title || 'Form'}\n${lines.join('\n')}`;
+    }
+
+    /**
+     * A button or form is used once - disable it so the follow-up isn't sent twice
+     */
+    markUsed(blockEl, usedControl) {
+        blockEl.querySelectorAll('button, input, select, textarea').forEach(control => {
+            control.disabled = true;
+        });
+        blockEl.classList.add('used');
+        if (usedControl) {
+            usedControl.classList.add('chosen');
+        }
+    }
+
+    recordUsed(block, chosen, onUsed) {
+        block.used = true;
+        if (chosen !== null) {
+            block.chosen = chosen;
+        }
+        if (onUsed) {
+            onUsed(block);
+        }
+    }
+
+    // ==================== Text ====================
+
+    /**
+     * Markdown version of the blocks, for exports and chat history
+     */
+    toMarkdown(blocks) {
+        return blocks.map(block => {
+            const title = block.title ? `**${block.title}**\n\n` : '';
+
+            switch (block.type) {
+                case 'markdown':
+                    return block.text;
+                case 'table': {
+                    const cell = (value) => this.formatValue(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+                    return `${title}| ${block.columns.map(cell).join(' | ')} |\n`
+                        + `| ${block.columns.map(() => '---').join(' | ')} |\n`
+                        + block.rows.map(row => `| ${block.columns.map((_, i) => cell(row[i])).join(' | ')} |`).join('\n');
+                }
+                case 'card':
+                    return `${title}${block.subtitle ? `_${block.subtitle}_\n\n` : ''}`
+                        + block.fields.map(field => `- **${field.label}:** ${this.formatValue(field.value)}`).join('\n');
+                case 'gallery':
+                    return title + block.images.map(image => `![${image.alt || image.caption || ''}](${image.url})`).join('\n');
+                case 'actions':
+                    return title + block.buttons.map(button => `[${button.label}]`).join(' ');
+                case 'form':
+                    return title + block.fields.map(field => `- ${field.label}${field.required ? ' *' : ''}`).join('\n');
+            }
+            return '';
+        }).join('\n\n');
+    }
+
+    formatValue(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    /**
+     * Escape HTML special characters (quotes too - values are used in attributes)
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -87,6 +87,8 @@ class SkillLibraryManager {
      */
     async updateSkill(id, updates) {
         try {
+            window.AuthManager.requirePermission('skills.edit');
+
             const skill = this.getSkillById(id);
             if (!skill) {
                 throw new Error('Skill not found');
@@ -168,6 +170,8 @@ class SkillLibraryManager {
      */
     async deleteSkill(id) {
         try {
+            window.AuthManager.requirePermission('skills.delete');
+
             const query = `
                 MATCH (s:Skill {id: $id})
                 DELETE s
@@ -0,0 +1,223 @@
+/**
+ * Workflow Diagram Module
+ * Draws a workflow's nodes and connections (at their positions in the n8n editor) as SVG
+ * and colours them from an execution's runData: done, failed, running or waiting,
+ * with timing badges and animated edges along the path the data has taken
+ */
+
+class WorkflowDiagram {
+    /**
+     * @param {HTMLElement} container - Element the SVG is drawn in
+     */
+    constructor(container) {
+        this.container = container;
+        this.workflow = null;
+        this.execution = null;
+
+        this.NODE_WIDTH = 140;
+        this.NODE_HEIGHT = 44;
+        this.PADDING = 40;
+
+        // Notes on the canvas, not part of the flow
+        this.IGNORED_TYPES = ['n8n-nodes-base.stickyNote'];
+    }
+
+    /**
+     * @param {{nodes: Array, connections: Object}} workflow - Workflow definition from the n8n API
+     */
+    setWorkflow(workflow) {
+        this.workflow = workflow;
+        this.execution = null;
+        this.render();
+    }
+
+    /**
+     * @param {object|null} execution - Execution with node data (includeData=true)
+     */
+    setExecution(execution) {
+        this.execution = execution;
+        this.render();
+    }
+
+    clear() {
+        this.workflow = null;
+        this.execution = null;
+        this.container.innerHTML = '';
+    }
+
+    // ==================== State ====================
+
+    /**
+     * Status and timing of each node in the current execution
+     * @returns {Map<string, {status: string, time: number, runs: number, error: string|null}>}
+     */
+    getNodeStates() {
+        const states = new Map();
+        if (!this.execution) return states;
+
+        const resultData = this.execution.data?.resultData || {};
+        const runData = resultData.runData || {};
+
+        Object.entries(runData).forEach(([name, runs]) => {
+            const last = runs[runs.length - 1] || {};
+            states.set(name, {
+                status: last.error ? 'error' : 'success',
+                time: runs.reduce((total, run) => total + (run.executionTime || 0), 0),
+                runs: runs.length,
+                error: last.error ? (last.error.message || String(last.error)) : null
+            });
+        });
+
+        // Nodes queued to run next are the ones working now
+        if (!this.isFinished()) {
+            const stack = this.execution.data?.executionData?.nodeExecutionStack || [];
+            stack.forEach(entry => {
+                const name = entry.node?.name;
+                if (name) {
+                    states.set(name, { ...(states.get(name) || { time: 0, runs: 0, error: null }), status: 'running' });
+                }
+            });
+
+            if (this.execution.status === 'waiting' && resultData.lastNodeExecuted) {
+                const name = resultData.lastNodeExecuted;
+                states.set(name, { ...(states.get(name) || { time: 0, runs: 0, error: null }), status: 'waiting' });
+            }
+        }
+
+        return states;
+    }
+
+    isFinished() {
+        const execution = this.execution;
+        if (!execution || ['new', 'running', 'waiting'].includes(execution.status)) {
+            return false;
+        }
+        return Boolean(execution.finished || execution.stoppedAt);
+    }
+
+    /**
+     * Every connection as {from, to, type} (AI sub-node connections included)
+     */
+    getEdges(nodeNames) {
+        const edges = [];
+
+        Object.entries(this.workflow.connections || {}).forEach(([from, types]) => {
+            Object.entries(types || {}).forEach(([type, outputs]) => {
+                (outputs || []).forEach((targets, output) => {
+                    (targets || []).forEach(target => {
+                        if (nodeNames.has(from) && nodeNames.has(target.node)) {
+                            edges.push({ from, to: target.node, type, output });
+                        }
+                    });
+                });
+            });
+        });
+
+        return edges;
+    }
+
+    // ==================== Rendering ====================
+
+    render() {
+        if (!this.workflow) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const nodes = (this.workflow.nodes || []).filter(node => !this.IGNORED_TYPES.includes(node.type));
+        if (nodes.length === 0) {
+            this.container.innerHTML = '<div class="workflow-diagram-empty">This workflow has no nodes</div>';
+            return;
+        }
+
+        const positions = new Map(nodes.map(node => [node.name, { x: node.position?.[0] || 0, y: node.position?.[1] || 0 }]));
+        const states = this.getNodeStates();
+        const edges = this.getEdges(new Set(positions.keys()));
+        const live = this.execution && !this.isFinished();
+
+        const xs = [...positions.values()].map(p => p.x);
+        const ys = [...positions.values()].map(p => p.y);
+        const minX = Math.min(...xs) - this.PADDING;
+        const minY = Math.min(...ys) - this.PADDING;
+        const width = Math.max(...xs) - minX + this.NODE_WIDTH + this.PADDING;
+        const height = Math.max(...ys) - minY + this.NODE_HEIGHT + this.PADDING + 16;
+
+        const edgeSvg = edges.map(edge => this.renderEdge(edge, positions, states, live)).join('');
+        const nodeSvg = nodes.map(node => this.renderNode(node, positions.get(node.name), states.get(node.name))).join('');
+
+        this.container.innerHTML = `
+            <svg class="workflow-diagram-svg" viewBox="${minX} ${minY} ${width} ${height}" preserveAspectRatio="xMidYMid meet" xmlns="http://www.w3.org/2000/svg">
+                <defs>
+                    <marker id="workflowDiagramArrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                        <path d="M 0 0 L 10 5 L 0 10 z" class="workflow-diagram-arrow"></path>
+                    </marker>
+                </defs>
+                <g class="workflow-diagram-edges">${edgeSvg}</g>
+                <g class="workflow-diagram-nodes">${nodeSvg}</g>
+            </svg>
+        `;
+    }
+
+    renderEdge(edge, positions, states, live) {
+        const from = positions.get(edge.from);
+        const to = positions.get(edge.to);
+
+        const x1 = from.x + this.NODE_WIDTH;
+        const y1 = from.y + this.NODE_HEIGHT / 2;
+        const x2 = to.x;
+        const y2 = to.y + this.NODE_HEIGHT / 2;
+        const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+
+        // Data went this way if the source has run and the target ran or is running now
+        const source = states.get(edge.from);
+        const target = states.get(edge.to);
+        const traversed = source && source.status !== 'running' && target;
+
+        const classes = [
+            'workflow-diagram-edge',
+            edge.type === 'main' ? '' : 'sub',
+            traversed ? 'traversed' : '',
+            traversed && live ? 'active' : ''
+        ].filter(Boolean).join(' ');
+
+        return `<path class="${classes}" d="M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}" marker-end="url(#workflowDiagramArrow)"></path>`;
+    }
+
+    renderNode(node, position, state) {
+        const status = state ? state.status : 'idle';
+        const label = node.name.length > 20 ? `${node.name.slice(0, 19)}…` : node.name;
+        const type = (node.type || '').split('.').pop();
+
+        const tooltip = [
+            node.name,
+            type,
+            state ? `Status: ${status}` : 'Not run',
+            state && state.time ? `Time: ${this.formatTime(state.time)}` : '',
+            state && state.runs > 1 ? `Runs: ${state.runs}` : '',
+            state && state.error ? `Error: ${state.error}` : ''
+        ].filter(Boolean).join('\n');
+
+        const badge = state && (state.time || state.runs > 1)
+            ? `<text class="workflow-diagram-badge" x="${position.x + this.NODE_WIDTH / 2}" y="${position.y + this.NODE_HEIGHT + 14}" text-anchor="middle">${this.formatTime(state.time)}${state.runs > 1 ? ` ×${state.runs}` : ''}</text>`
+            : '';
+
+        return `
+            <g class="workflow-diagram-node ${status}${node.disabled ? ' disabled' : ''}">
+                <title>${this.escapeXml(tooltip)}</title>
+                <rect x="${position.x}" y="${position.y}" width="${this.NODE_WIDTH}" height="${this.NODE_HEIGHT}" rx="8"></rect>
+                <text class="workflow-diagram-name" x="${position.x + this.NODE_WIDTH / 2}" y="${position.y + 19}" text-anchor="middle">${this.escapeXml(label)}</text>
+                <text class="workflow-diagram-type" x="${position.x + this.NODE_WIDTH / 2}" y="${position.y + 34}" text-anchor="middle">${this.escapeXml(type)}</text>
+                ${badge}
+            </g>
+        `;
+    }
+
+    formatTime(ms) {
+        if (!ms) return '0ms';
+        return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+    }
+
+    escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * NOX.AI Execution Relay
+ * Receives n8n execution events by webhook and re-broadcasts them to open NOX tabs over
+ * Server-Sent Events, so the tabs don't have to poll the n8n API while executions run.
+ *
+ *   POST /hooks   - n8n sends events here (log streaming webhook destination, or an HTTP Request node)
+ *   GET  /events  - NOX subscribes here (the "Execution relay URL" in settings, with ?token=)
+ *
+ * Run with Node 18+ and no dependencies:
+ *   RELAY_TOKEN=secret ALLOWED_ORIGIN=https://your-nox-host node relay/execution-relay.js
+ *
+ * Environment:
+ *   PORT            - Listen port (default 8787)
+ *   RELAY_TOKEN     - Required. Both endpoints need it as "Authorization: Bearer <token>" or ?token=
+ *                     (EventSource can't send headers, so NOX uses ?token=)
+ *   ALLOWED_ORIGIN  - CORS origin allowed to subscribe (default none: same origin only)
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const RELAY_TOKEN = process.env.RELAY_TOKEN || '';
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '';
+const MAX_BODY_BYTES = 1024 * 1024;
+const HEARTBEAT_MS = 25000;
+
+const clients = new Set();
+
+if (!RELAY_TOKEN) {
+    console.error('❌ RELAY_TOKEN is not set - refusing to start an open relay');
+    process.exit(1);
+}
+
+/**
+ * Reduce an n8n payload to the fields NOX needs - node data never leaves the relay
+ * Accepts log streaming events ({eventName, payload: {executionId, workflowId}}) and plain
+ * objects such as {executionId, workflowId, status} from an HTTP Request node
+ */
+function toRelayEvent(body) {
+    const payload = body.payload || body.data || body;
+    const executionId = payload.executionId || body.executionId;
+    if (!executionId) return null;
+
+    return {
+        executionId: String(executionId),
+        workflowId: payload.workflowId ? String(payload.workflowId) : null,
+        status: payload.status || body.status || null,
+        event: body.eventName || body.event || null
+    };
+}
+
+function broadcast(event) {
+    const message = `data: ${JSON.stringify(event)}\n\n`;
+    clients.forEach(res => res.write(message));
+}
+
+/**
+ * Compare in constant time so response timing doesn't reveal how much of a guess was right
+ */
+function tokenMatches(candidate) {
+    const expected = Buffer.from(RELAY_TOKEN);
+    const given = Buffer.from(String(candidate || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function isAuthorized(req, url) {
+    const header = req.headers.authorization || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice(7) : '';
+    return tokenMatches(bearer) || tokenMatches(url.searchParams.get('token'));
+}
+
+function handleHook(req, res, url) {
+    if (!isAuthorized(req, url)) {
+        res.writeHead(401).end();
+        return;
+    }
+
+    let body = '';
+    let received = 0;
+    let rejected = false;
+    req.on('data', (chunk) => {
+        if (rejected) return;
+
+        received += chunk.length;
+        if (received > MAX_BODY_BYTES) {
+            // Answer once, then drop the connection instead of reading the rest
+            rejected = true;
+            res.writeHead(413, { Connection: 'close' });
+            res.end(() => req.destroy());
+            return;
+        }
+        body += chunk;
+    });
+
+    req.on('end', () => {
+        if (rejected) return;
+
+        let events;
+        try {
+            // Log streaming may batch events in an array
+            const parsed = JSON.parse(body);
+            events = (Array.isArray(parsed) ? parsed : [parsed]).map(toRelayEvent).filter(Boolean);
+        } catch (error) {
+            res.writeHead(400).end('Invalid JSON');
+            return;
+        }
+
+        events.forEach(broadcast);
+        res.writeHead(202, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ relayed: events.length, clients: clients.size }));
+    });
+}
+
+function handleSubscribe(req, res, url) {
+    const corsHeaders = ALLOWED_ORIGIN ? { 'Access-Control-Allow-Origin': ALLOWED_ORIGIN } : {};
+
+    if (!isAuthorized(req, url)) {
+        res.writeHead(401, corsHeaders).end();
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        ...corsHeaders
+    });
+    res.write('retry: 5000\n\n');
+
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'POST' && url.pathname === '/hooks') {
+        handleHook(req, res, url);
+    } else if (req.method === 'GET' && url.pathname === '/events') {
+        handleSubscribe(req, res, url);
+    } else if (req.method === 'GET' && url.pathname === '/health') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, clients: clients.size }));
+    } else {
+        res.writeHead(404).end();
+    }
+});
+
+// Comments keep idle connections open through proxies
+setInterval(() => {
+    clients.forEach(res => res.write(': heartbeat\n\n'));
+}, HEARTBEAT_MS);
+
+server.listen(PORT, () => {
+    console.log(`📡 NOX execution relay listening on :${PORT} (POST /hooks, GET /events)`);
+});